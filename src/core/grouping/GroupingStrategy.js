@@ -0,0 +1,153 @@
+/**
+ * Grouping Strategy - Base class for the "group by" modes.
+ */
+
+const RepositoryParser = require('../repository/RepositoryParser.js');
+
+class GroupingStrategy {
+  /**
+   * Create grouping strategy instance.
+   * @param {string} id - Unique strategy identifier, saved in settings.
+   * @param {string} label - Label shown in the strategy selector.
+   */
+  constructor(id, label) {
+    this.id = id;
+    this.label = label;
+    this.supportsAssignments = false;
+    // List types the strategy is offered on, e.g. ['stars']; null for every list.
+    this.listTypes = null;
+  }
+
+  /**
+   * Check whether the strategy is offered on a kind of repository list.
+   * @param {string} listType - List type, see PageDetector.getListType.
+   * @returns {boolean} True if available.
+   */
+  isAvailableOn(listType) {
+    return this.listTypes === null || this.listTypes.includes(listType);
+  }
+
+  /**
+   * Extract groups from repository items.
+   * Nested groups are keyed by their full path, e.g. `Platform/Auth`.
+   * @param {Element[]} items - Repository item elements.
+   * @returns {Map<string, Element[]>} Map of group paths to repository items.
+   */
+  extractGroups(items) {
+    const groups = new Map();
+
+    items.forEach(item => {
+      const repo = RepositoryParser.parse(item);
+      const groupId = this.getItemGroupPath(repo).join(GroupingStrategy.PATH_SEPARATOR);
+
+      if (!groups.has(groupId)) {
+        groups.set(groupId, []);
+      }
+      groups.get(groupId).push(item);
+    });
+
+    return this.orderGroups(groups);
+  }
+
+  /**
+   * Get the group path for a repository. Groups are flat unless a strategy
+   * overrides this, so a `/` in a star list, owner or topic does not nest.
+   * @param {RepositoryModel} repo - Parsed repository.
+   * @returns {string[]} Group path from the top-level group down.
+   */
+  getItemGroupPath(repo) {
+    return [GroupingStrategy.escapeSegment(this.getItemGroup(repo))];
+  }
+
+  /**
+   * Keep a group name in one path segment by replacing the path separator
+   * with a character that looks the same.
+   * @param {string} name - Group name.
+   * @returns {string} Name without path separators.
+   */
+  static escapeSegment(name) {
+    return name.split(GroupingStrategy.PATH_SEPARATOR).join(GroupingStrategy.ESCAPED_SEPARATOR);
+  }
+
+  /**
+   * Get the group name for a repository.
+   * @param {RepositoryModel} repo - Parsed repository.
+   * @returns {string} Group name.
+   * @throws {Error} When a strategy does not implement it.
+   */
+  getItemGroup(repo) {
+    throw new Error(`[GroupingStrategy] ${this.id} must implement getItemGroup`);
+  }
+
+  /**
+   * Order extracted groups. Defaults to first-seen order.
+   * @param {Map<string, Element[]>} groups - Extracted groups.
+   * @returns {Map<string, Element[]>} Ordered groups.
+   */
+  orderGroups(groups) {
+    return groups;
+  }
+
+  /**
+   * Build a group tree from extracted groups.
+   * Every node holds the items of its whole subtree.
+   * @param {Map<string, Element[]>} groups - Map of group paths to repository items.
+   * @returns {Map<string, Object>} Nodes keyed by path, with name, parentId, depth, items and children.
+   */
+  buildGroupTree(groups) {
+    const nodes = new Map();
+
+    groups.forEach((items, groupId) => {
+      const segments = groupId.split(GroupingStrategy.PATH_SEPARATOR);
+
+      segments.forEach((segment, depth) => {
+        const id = segments.slice(0, depth + 1).join(GroupingStrategy.PATH_SEPARATOR);
+        const parentId = segments.slice(0, depth).join(GroupingStrategy.PATH_SEPARATOR);
+
+        if (!nodes.has(id)) {
+          nodes.set(id, { id, name: segment, parentId, depth, items: [], children: [] });
+          if (parentId) nodes.get(parentId).children.push(id);
+        }
+        nodes.get(id).items.push(...items);
+      });
+    });
+
+    return nodes;
+  }
+
+  /**
+   * Extract repository name from item element.
+   * @param {Element} item - Repository item element.
+   * @returns {string} Repository name.
+   */
+  getRepositoryName(item) {
+    return RepositoryParser.getName(item);
+  }
+
+  /**
+   * Extract the full `owner/name` of a repository from item element, which
+   * tells apart repositories of the same name on stars, search and topic pages.
+   * @param {Element} item - Repository item element.
+   * @returns {string} Full repository name.
+   */
+  getRepositoryFullName(item) {
+    return RepositoryParser.getFullName(item);
+  }
+
+  /**
+   * Get the manually assigned group for a repository.
+   * Only strategies that support assignments return one.
+   * @param {string} fullName - Full repository name, `owner/name`.
+   * @returns {string|null} Assigned group name, or null when none.
+   */
+  getAssignedGroup(fullName) {
+    return null;
+  }
+}
+
+GroupingStrategy.PATH_SEPARATOR = '/';
+
+// U+2215 DIVISION SLASH, shown in place of `/` in the names of flat groups.
+GroupingStrategy.ESCAPED_SEPARATOR = '\u2215';
+
+module.exports = GroupingStrategy;
@@ -0,0 +1,22 @@
+/**
+ * Language Strategy - Groups repositories by primary language.
+ */
+
+const GroupingStrategy = require('./GroupingStrategy.js');
+
+class LanguageStrategy extends GroupingStrategy {
+  constructor() {
+    super('language', 'Language');
+  }
+
+  /**
+   * Get the group name for a repository.
+   * @param {RepositoryModel} repo - Parsed repository.
+   * @returns {string} Language, or 'No language'.
+   */
+  getItemGroup(repo) {
+    return repo.language || 'No language';
+  }
+}
+
+module.exports = LanguageStrategy;
@@ -0,0 +1,23 @@
+/**
+ * Owner Strategy - Groups repositories by the user or organization that owns them.
+ */
+
+const GroupingStrategy = require('./GroupingStrategy.js');
+
+class OwnerStrategy extends GroupingStrategy {
+  constructor() {
+    super('owner', 'Owner');
+    this.listTypes = ['stars', 'search', 'topic'];
+  }
+
+  /**
+   * Get the group name for a repository.
+   * @param {RepositoryModel} repo - Parsed repository.
+   * @returns {string} Owner login, or 'Unknown owner'.
+   */
+  getItemGroup(repo) {
+    return repo.owner || 'Unknown owner';
+  }
+}
+
+module.exports = OwnerStrategy;
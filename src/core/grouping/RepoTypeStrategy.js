@@ -0,0 +1,37 @@
+/**
+ * Repository Type Strategy - Groups repositories into sources, forks, archived and templates.
+ */
+
+const GroupingStrategy = require('./GroupingStrategy.js');
+
+const TYPE_ORDER = ['Sources', 'Forks', 'Templates', 'Archived'];
+
+class RepoTypeStrategy extends GroupingStrategy {
+  constructor() {
+    super('type', 'Type');
+  }
+
+  /**
+   * Get the group name for a repository.
+   * Archived wins over template, which wins over fork.
+   * @param {RepositoryModel} repo - Parsed repository.
+   * @returns {string} Type group name.
+   */
+  getItemGroup(repo) {
+    if (repo.isArchived) return 'Archived';
+    if (repo.isTemplate) return 'Templates';
+    if (repo.isFork) return 'Forks';
+    return 'Sources';
+  }
+
+  /**
+   * Order groups as sources, forks, templates, archived.
+   * @param {Map<string, Element[]>} groups - Extracted groups.
+   * @returns {Map<string, Element[]>} Ordered groups.
+   */
+  orderGroups(groups) {
+    return new Map(Array.from(groups.entries()).sort(([a], [b]) => TYPE_ORDER.indexOf(a) - TYPE_ORDER.indexOf(b)));
+  }
+}
+
+module.exports = RepoTypeStrategy;
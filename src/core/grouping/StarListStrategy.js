@@ -0,0 +1,24 @@
+/**
+ * Star List Strategy - Groups starred repositories by the star list they were added to.
+ */
+
+const GroupingStrategy = require('./GroupingStrategy.js');
+
+class StarListStrategy extends GroupingStrategy {
+  constructor() {
+    super('star-list', 'Star list');
+    this.listTypes = ['stars'];
+  }
+
+  /**
+   * Get the group name for a repository.
+   * A repository row can only live in one group, so the first list wins.
+   * @param {RepositoryModel} repo - Parsed repository.
+   * @returns {string} Star list, or 'Not in a list'.
+   */
+  getItemGroup(repo) {
+    return repo.starLists[0] || 'Not in a list';
+  }
+}
+
+module.exports = StarListStrategy;
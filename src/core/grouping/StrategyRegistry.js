@@ -0,0 +1,36 @@
+/**
+ * Strategy Registry - Keeps the available "group by" strategies.
+ */
+
+class StrategyRegistry {
+  constructor() {
+    this.strategies = new Map();
+  }
+
+  /**
+   * Register a grouping strategy. Replaces any strategy with the same id.
+   * @param {GroupingStrategy} strategy - Strategy instance.
+   */
+  register(strategy) {
+    this.strategies.set(strategy.id, strategy);
+  }
+
+  /**
+   * Get a strategy by id.
+   * @param {string} id - Strategy identifier.
+   * @returns {GroupingStrategy|null} Strategy, or null when unknown.
+   */
+  get(id) {
+    return this.strategies.get(id) || null;
+  }
+
+  /**
+   * List registered strategies in registration order.
+   * @returns {GroupingStrategy[]} Strategies.
+   */
+  list() {
+    return Array.from(this.strategies.values());
+  }
+}
+
+module.exports = StrategyRegistry;
@@ -0,0 +1,23 @@
+/**
+ * Topic Strategy - Groups repositories by their first topic.
+ */
+
+const GroupingStrategy = require('./GroupingStrategy.js');
+
+class TopicStrategy extends GroupingStrategy {
+  constructor() {
+    super('topic', 'Topic');
+  }
+
+  /**
+   * Get the group name for a repository.
+   * A repository row can only live in one group, so the first topic wins.
+   * @param {RepositoryModel} repo - Parsed repository.
+   * @returns {string} Topic, or 'No topics'.
+   */
+  getItemGroup(repo) {
+    return repo.topics[0] || 'No topics';
+  }
+}
+
+module.exports = TopicStrategy;
@@ -0,0 +1,49 @@
+/**
+ * Updated Strategy - Groups repositories into last-updated buckets.
+ */
+
+const GroupingStrategy = require('./GroupingStrategy.js');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const BUCKETS = [
+  { name: 'This week', maxAge: 7 * DAY_MS },
+  { name: 'This month', maxAge: 30 * DAY_MS },
+  { name: 'This year', maxAge: 365 * DAY_MS },
+  { name: 'Older than a year', maxAge: Infinity }
+];
+
+class UpdatedStrategy extends GroupingStrategy {
+  /**
+   * Create updated strategy instance.
+   * @param {Function} now - Clock returning the current time in milliseconds.
+   */
+  constructor(now = () => Date.now()) {
+    super('updated', 'Last updated');
+    this.now = now;
+  }
+
+  /**
+   * Get the group name for a repository.
+   * @param {RepositoryModel} repo - Parsed repository.
+   * @returns {string} Bucket name, or 'Unknown' when no date is shown.
+   */
+  getItemGroup(repo) {
+    if (!repo.updatedAt) return 'Unknown';
+
+    const age = this.now() - repo.updatedAt.getTime();
+    return BUCKETS.find(bucket => age <= bucket.maxAge).name;
+  }
+
+  /**
+   * Order groups from most to least recent.
+   * @param {Map<string, Element[]>} groups - Extracted groups.
+   * @returns {Map<string, Element[]>} Ordered groups.
+   */
+  orderGroups(groups) {
+    const order = BUCKETS.map(bucket => bucket.name).concat('Unknown');
+    return new Map(Array.from(groups.entries()).sort(([a], [b]) => order.indexOf(a) - order.indexOf(b)));
+  }
+}
+
+module.exports = UpdatedStrategy;
@@ -0,0 +1,38 @@
+/**
+ * Visibility Strategy - Groups repositories into public, private and internal.
+ */
+
+const GroupingStrategy = require('./GroupingStrategy.js');
+
+const VISIBILITY_GROUPS = {
+  public: 'Public',
+  private: 'Private',
+  internal: 'Internal'
+};
+
+class VisibilityStrategy extends GroupingStrategy {
+  constructor() {
+    super('visibility', 'Visibility');
+  }
+
+  /**
+   * Get the group name for a repository.
+   * @param {RepositoryModel} repo - Parsed repository.
+   * @returns {string} Visibility group name.
+   */
+  getItemGroup(repo) {
+    return VISIBILITY_GROUPS[repo.visibility];
+  }
+
+  /**
+   * Order groups as public, private, internal.
+   * @param {Map<string, Element[]>} groups - Extracted groups.
+   * @returns {Map<string, Element[]>} Ordered groups.
+   */
+  orderGroups(groups) {
+    const order = Object.values(VISIBILITY_GROUPS);
+    return new Map(Array.from(groups.entries()).sort(([a], [b]) => order.indexOf(a) - order.indexOf(b)));
+  }
+}
+
+module.exports = VisibilityStrategy;
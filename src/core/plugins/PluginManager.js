@@ -0,0 +1,200 @@
+/**
+ * Plugin Manager - Registers self-contained modules that add grouping strategies,
+ * card decorations, toolbar buttons and lifecycle event handlers.
+ */
+
+const GroupingStrategy = require('../grouping/GroupingStrategy.js');
+const RepositoryParser = require('../repository/RepositoryParser.js');
+const GroupCard = require('../../ui/components/GroupCard.js');
+const Logger = require('../../utils/Logger.js');
+
+const logger = new Logger('PluginManager');
+
+class PluginManager {
+  /**
+   * Create plugin manager instance.
+   * @param {EventBus} events - Lifecycle event bus.
+   * @param {StrategyRegistry} strategyRegistry - Registry that plugin strategies join.
+   */
+  constructor(events, strategyRegistry) {
+    this.events = events;
+    this.strategyRegistry = strategyRegistry;
+    this.plugins = new Map();
+    this.decorators = [];
+    this.toolbarButtons = [];
+    this.subscriptions = [this.events.on('groupsComputed', ({ container }) => this.decorateCards(container))];
+  }
+
+  /**
+   * Register a plugin. Its setup receives the plugin API; a plugin whose
+   * setup fails is logged and left out, so it cannot break the page.
+   * @param {Object} plugin - Plugin.
+   * @param {string} plugin.id - Unique plugin identifier.
+   * @param {Function} plugin.setup - Called once with the API, see createApi.
+   * @returns {boolean} True if the plugin was registered.
+   */
+  register(plugin) {
+    PluginManager.validate(plugin, this.plugins);
+
+    try {
+      plugin.setup(this.createApi(plugin.id));
+    } catch (error) {
+      logger.error(`Plugin ${plugin.id} failed to set up:`, error);
+      return false;
+    }
+
+    this.plugins.set(plugin.id, plugin);
+    logger.info(`Registered plugin ${plugin.id}`);
+    return true;
+  }
+
+  /**
+   * Register the plugins that modules added with PluginManager.register, and
+   * those they add from now on.
+   */
+  loadRegistered() {
+    PluginManager.managers.add(this);
+    PluginManager.registered
+      .filter(plugin => !this.plugins.has(plugin.id))
+      .forEach(plugin => this.register(plugin));
+  }
+
+  /**
+   * Create the API handed to a plugin's setup.
+   * @param {string} pluginId - Plugin identifier.
+   * @returns {Object} API with on, registerStrategy, decorateCards and addToolbarButton.
+   */
+  createApi(pluginId) {
+    return {
+      /**
+       * Subscribe to a lifecycle event, see GitHubGitLabTheme.EVENTS.
+       * @param {string} type - Event type.
+       * @param {Function} handler - Called with the event detail.
+       */
+      on: (type, handler) => {
+        this.subscriptions.push(this.events.on(type, handler));
+      },
+
+      /**
+       * Offer a "group by" strategy in the controls.
+       * @param {GroupingStrategy} strategy - Strategy instance.
+       */
+      registerStrategy: (strategy) => {
+        this.strategyRegistry.register(strategy);
+      },
+
+      /**
+       * Decorate group cards whenever the groups of a list are computed.
+       * Elements added with a data-gitlab-decoration attribute are removed
+       * before the next run, so a decorator can simply add them again.
+       * @param {Function} decorator - Called with the card element and its group: id, name and repos.
+       */
+      decorateCards: (decorator) => {
+        this.decorators.push({ pluginId, decorator });
+      },
+
+      /**
+       * Add a button to the controls bar.
+       * @param {Object} button - Button with id, label, an optional title and onClick.
+       */
+      addToolbarButton: (button) => {
+        this.toolbarButtons.push({ ...button, id: `${pluginId}:${button.id}` });
+      }
+    };
+  }
+
+  /**
+   * Run the card decorators on the group cards of a list.
+   * @param {Element} container - Grouped container element.
+   */
+  decorateCards(container) {
+    if (this.decorators.length === 0) return;
+
+    const rows = Array.from(container.querySelectorAll('[data-gitlab-group]'));
+
+    GroupCard.findAll(container).forEach(card => {
+      card.querySelectorAll('[data-gitlab-decoration]').forEach(element => element.remove());
+
+      const group = PluginManager.describeGroup(card, rows);
+      this.decorators.forEach(({ pluginId, decorator }) => {
+        try {
+          decorator(card, group);
+        } catch (error) {
+          logger.error(`Card decorator of plugin ${pluginId} failed:`, error);
+        }
+      });
+    });
+  }
+
+  /**
+   * Get the toolbar buttons added by plugins.
+   * @returns {Object[]} Buttons, each with id, label, title and onClick.
+   */
+  getToolbarButtons() {
+    return this.toolbarButtons.slice();
+  }
+
+  /**
+   * Unsubscribe every plugin from the lifecycle events.
+   */
+  destroy() {
+    PluginManager.managers.delete(this);
+    this.subscriptions.forEach(unsubscribe => unsubscribe());
+    this.subscriptions = [];
+  }
+
+  /**
+   * Register a plugin from its own module, without editing the extension:
+   * `PluginManager.register({ id, setup })`. Extensions already running set it
+   * up straight away, those started later when they load their plugins.
+   * @param {Object} plugin - Plugin with id and setup, see register.
+   */
+  static register(plugin) {
+    PluginManager.validate(plugin, new Set(PluginManager.registered.map(known => known.id)));
+    PluginManager.registered.push(plugin);
+    PluginManager.managers.forEach(manager => manager.register(plugin));
+  }
+
+  /**
+   * Check that a plugin can be registered.
+   * @param {Object} plugin - Plugin.
+   * @param {Set<string>|Map<string, Object>} taken - Identifiers already registered.
+   * @throws {Error} When the plugin has no id or setup, or its id is taken.
+   */
+  static validate(plugin, taken) {
+    if (!plugin || !plugin.id || typeof plugin.setup !== 'function') {
+      throw new Error('A plugin needs an id and a setup function');
+    }
+    if (taken.has(plugin.id)) {
+      throw new Error(`Plugin already registered: ${plugin.id}`);
+    }
+  }
+
+  /**
+   * Describe the group a card shows, including the repositories of its subgroups.
+   * @param {Element} card - Group card element.
+   * @param {Element[]} rows - Repository rows of the list.
+   * @returns {Object} Group with id, name and repos (RepositoryModel[]).
+   */
+  static describeGroup(card, rows) {
+    const id = card.dataset.groupId;
+    const prefix = `${id}${GroupingStrategy.PATH_SEPARATOR}`;
+    const items = id === 'all'
+      ? rows
+      : rows.filter(row => row.dataset.gitlabGroup === id || row.dataset.gitlabGroup.startsWith(prefix));
+
+    return {
+      id,
+      name: id === 'all' ? 'All Repositories' : id.split(GroupingStrategy.PATH_SEPARATOR).pop(),
+      repos: items.map(item => RepositoryParser.parse(item))
+    };
+  }
+}
+
+// Plugins registered by their modules, in the order they were loaded.
+PluginManager.registered = [];
+
+// Plugin managers that take plugins as they are registered.
+PluginManager.managers = new Set();
+
+module.exports = PluginManager;
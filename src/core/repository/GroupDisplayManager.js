@@ -2,9 +2,23 @@
  * Group Display Manager - Handles showing/hiding group repositories.
  */
 
+const GroupingStrategy = require('../grouping/GroupingStrategy.js');
+const RepositorySearch = require('./RepositorySearch.js');
+const GroupCard = require('../../ui/components/GroupCard.js');
+const Logger = require('../../utils/Logger.js');
+
+const logger = new Logger('GroupDisplayManager');
+
 class GroupDisplayManager {
-  constructor() {
+  /**
+   * Create group display manager instance.
+   * @param {Function|null} onGroupChange - Called with the group id whenever a group is shown.
+   */
+  constructor(onGroupChange = null) {
+    this.onGroupChange = onGroupChange;
     this.currentActiveGroup = null;
+    this.currentLevel = '';
+    this.searches = new WeakMap();
   }
 
   /**
@@ -13,56 +27,195 @@ class GroupDisplayManager {
    * @param {Element} container - Container element.
    */
   showGroupRepos(groupId, container) {
-    console.log(`[GroupDisplayManager] Showing repos for group: ${groupId}`);
+    logger.debug(`Showing repos for group: ${groupId}`);
     
-    const reposSection = container.querySelector('.gitlab-repos-section');
-    
-    if (!reposSection) {
-      console.error(`[GroupDisplayManager] Repos section not found!`);
+    if (!container.querySelector('[data-gitlab-group]')) {
+      logger.error(`Grouped repositories not found!`);
       return;
     }
     
-    this.hideAllRepoContainers(reposSection);
-    this.showSelectedContainer(reposSection, groupId);
+    this.filterGroup(container, groupId);
     this.updateActiveCard(container, groupId);
+    this.updateCardLevel(container, groupId);
     
     this.currentActiveGroup = groupId;
+    this.notifyGroupChange();
+
+    const search = this.searches.get(container);
+    if (search) {
+      this.filterRepos(container, search.query);
+    }
     
-    reposSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    const firstRow = container.querySelector('[data-gitlab-group]:not([data-gitlab-filtered])');
+    if (firstRow) {
+      firstRow.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
   }
 
   /**
-   * Hide all repository containers.
-   * @param {Element} reposSection - Repositories section element.
+   * Hide the rows outside a group and its subgroups. Rows are only tagged;
+   * the stylesheet hides them, so the list itself is never rebuilt.
+   * @param {Element} container - Grouped container element.
+   * @param {string} groupId - Group identifier; 'all' shows every row.
    */
-  hideAllRepoContainers(reposSection) {
-    const allContainers = reposSection.querySelectorAll('.gitlab-repo-container');
-    
-    allContainers.forEach((cont, index) => {
-      cont.style.display = 'none';
-      console.log(`[GroupDisplayManager] Hiding container ${index} (data-group-id: ${cont.dataset.groupId})`);
+  filterGroup(container, groupId) {
+    container.dataset.gitlabActiveGroup = groupId;
+
+    let shown = 0;
+    container.querySelectorAll('[data-gitlab-group]').forEach(row => {
+      const inGroup = GroupDisplayManager.isInGroup(row.dataset.gitlabGroup, groupId);
+      row.toggleAttribute('data-gitlab-filtered', !inGroup);
+      if (inGroup) shown++;
     });
+
+    logger.debug(`Showing ${shown} repositories for ${groupId}`);
+  }
+
+  /**
+   * Check whether a row's group falls under the selected group.
+   * @param {string} rowGroupId - Group of the row.
+   * @param {string} groupId - Selected group identifier.
+   * @returns {boolean} True when the row belongs to the group or one of its subgroups.
+   */
+  static isInGroup(rowGroupId, groupId) {
+    return groupId === 'all' || rowGroupId === groupId ||
+      rowGroupId.startsWith(`${groupId}${GroupingStrategy.PATH_SEPARATOR}`);
   }
 
   /**
-   * Show selected repository container.
-   * @param {Element} reposSection - Repositories section element.
+   * Show the cards of one tree level and update the breadcrumb.
+   * Selecting a group with subgroups drills down into it; selecting a leaf
+   * keeps its siblings visible.
+   * @param {Element} container - Container element.
    * @param {string} groupId - Group identifier.
    */
-  showSelectedContainer(reposSection, groupId) {
-    const selectedContainer = reposSection.querySelector(`.gitlab-repo-container[data-group-id="${groupId}"]`);
-    if (selectedContainer) {
-      selectedContainer.style.display = 'block';
-      console.log(`[GroupDisplayManager] Found and showing container for ${groupId} with ${selectedContainer.children.length} items`);
-      
-      Array.from(selectedContainer.children).forEach((child, index) => {
-        child.style.display = '';
+  updateCardLevel(container, groupId) {
+    const selectedCard = GroupCard.find(container, groupId);
+    if (!selectedCard) return;
+
+    const hasChildren = Number(selectedCard.dataset.childCount) > 0;
+    const levelId = hasChildren ? groupId : (selectedCard.dataset.parentId || '');
+
+    this.showLevel(GroupCard.findAll(container), levelId);
+
+    this.currentLevel = levelId;
+    this.renderBreadcrumb(container, levelId);
+  }
+
+  /**
+   * Show only the cards of one tree level.
+   * @param {Element[]|NodeList} cards - Group card elements.
+   * @param {string} levelId - Path of the group whose subgroups are shown.
+   */
+  showLevel(cards, levelId) {
+    cards.forEach(card => {
+      card.style.display = (card.dataset.parentId || '') === levelId ? '' : 'none';
+    });
+  }
+
+  /**
+   * Apply the current view to rows and cards added to a grouped container,
+   * so it does not have to be shown again. A running search is re-applied.
+   * @param {Element} container - Grouped container element.
+   * @param {Element[]} rows - Added repository rows.
+   * @param {Element[]} cards - Added group cards.
+   */
+  addRows(container, rows, cards = []) {
+    const search = this.searches.get(container);
+    const view = search ? search.snapshot : { activeFilter: container.dataset.gitlabActiveGroup, level: this.currentLevel };
+
+    rows.forEach(row => {
+      const hidden = view.activeFilter !== undefined &&
+        !GroupDisplayManager.isInGroup(row.dataset.gitlabGroup, view.activeFilter);
+
+      if (search) {
+        if (hidden) search.snapshot.filteredRows.push(row);
+      } else {
+        row.toggleAttribute('data-gitlab-filtered', hidden);
+      }
+    });
+
+    this.showLevel(cards, view.level);
+
+    if (search) {
+      cards.forEach(card => search.snapshot.styles.set(card, card.getAttribute('style')));
+      // Counts of new or refreshed cards hold their totals until the search runs again.
+      const known = new Set(search.snapshot.counts.map(([count]) => count));
+      this.getCardCounts(container).forEach(count => {
+        if (!known.has(count)) search.snapshot.counts.push([count, count.textContent]);
       });
-    } else {
-      console.error(`[GroupDisplayManager] Container not found for group: ${groupId}`);
-      console.log(`[GroupDisplayManager] Available group IDs in repos section:`, 
-        Array.from(reposSection.querySelectorAll('.gitlab-repo-container')).map(c => c.dataset.groupId));
+      this.filterRepos(container, search.query);
+    }
+  }
+
+  /**
+   * Get the breadcrumb shown above the cards of a list.
+   * @param {Element} container - Grouped container element.
+   * @returns {Element|null} Breadcrumb element.
+   */
+  getBreadcrumb(container) {
+    const section = GroupCard.getSection(container);
+    return section ? section.querySelector('.gitlab-group-breadcrumb') : null;
+  }
+
+  /**
+   * Get the repository count elements of the cards of a list.
+   * @param {Element} container - Grouped container element.
+   * @returns {Element[]} Count elements.
+   */
+  getCardCounts(container) {
+    return GroupCard.findAll(container).map(card => card.querySelector('.gitlab-card-count')).filter(Boolean);
+  }
+
+  /**
+   * Render the breadcrumb for a tree level. Hidden at the top level.
+   * @param {Element} container - Container element.
+   * @param {string} levelId - Path of the group whose subgroups are shown.
+   */
+  renderBreadcrumb(container, levelId) {
+    const breadcrumb = this.getBreadcrumb(container);
+    if (!breadcrumb) return;
+
+    breadcrumb.innerHTML = '';
+
+    if (!levelId) {
+      breadcrumb.style.display = 'none';
+      return;
     }
+
+    const segments = levelId.split(GroupingStrategy.PATH_SEPARATOR);
+    const crumbs = [{ id: 'all', name: 'All Repositories' }].concat(segments.map((segment, index) => ({
+      id: segments.slice(0, index + 1).join(GroupingStrategy.PATH_SEPARATOR),
+      name: segment
+    })));
+
+    crumbs.forEach((crumb, index) => {
+      if (index > 0) {
+        const separator = document.createElement('span');
+        separator.className = 'gitlab-breadcrumb-separator';
+        separator.textContent = '\u203A';
+        breadcrumb.appendChild(separator);
+      }
+
+      const link = document.createElement('button');
+      link.type = 'button';
+      link.className = 'gitlab-breadcrumb-item';
+      link.textContent = crumb.name;
+      link.dataset.groupId = crumb.id;
+
+      if (index === crumbs.length - 1) {
+        link.setAttribute('aria-current', 'true');
+      }
+
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.showGroupRepos(crumb.id, container);
+      });
+
+      breadcrumb.appendChild(link);
+    });
+
+    breadcrumb.style.display = '';
   }
 
   /**
@@ -71,17 +224,181 @@ class GroupDisplayManager {
    * @param {string} groupId - Group identifier.
    */
   updateActiveCard(container, groupId) {
-    const allCards = container.querySelectorAll('.gitlab-group-card');
+    const allCards = GroupCard.findAll(container);
     allCards.forEach(card => {
       card.classList.remove('active');
     });
 
-    const activeCard = container.querySelector(`.gitlab-group-card[data-group-id="${groupId}"]`);
+    const activeCard = GroupCard.find(container, groupId);
     if (activeCard) {
       activeCard.classList.add('active');
-      console.log(`[GroupDisplayManager] Active card set for ${groupId}`);
+      logger.debug(`Active card set for ${groupId}`);
     } else {
-      console.error(`[GroupDisplayManager] Active card not found for group: ${groupId}`);
+      logger.error(`Active card not found for group: ${groupId}`);
+    }
+  }
+
+  /**
+   * Filter the grouped repositories by a search query.
+   * The first search remembers the current view so clearSearch can restore it.
+   * @param {Element} container - Grouped container element.
+   * @param {string} query - Search query; an empty query clears the search.
+   */
+  applySearch(container, query) {
+    if (!query || !query.trim()) {
+      this.clearSearch(container);
+      return;
+    }
+
+    if (!container.querySelector('[data-gitlab-group]')) return;
+
+    if (!this.searches.has(container)) {
+      this.searches.set(container, { query, snapshot: this.captureView(container) });
+      this.filterGroup(container, 'all');
+      this.updateActiveCard(container, 'all');
+    }
+
+    this.searches.get(container).query = query;
+    this.filterRepos(container, query);
+  }
+
+  /**
+   * Show matching rows of the active group and update every card with its match count.
+   * All cards are shown while searching so matches in subgroups stay visible.
+   * @param {Element} container - Grouped container element.
+   * @param {string} query - Search query.
+   */
+  filterRepos(container, query) {
+    const matchCounts = new Map();
+
+    container.querySelectorAll('[data-gitlab-group]').forEach(item => {
+      const groupId = item.dataset.gitlabGroup;
+
+      RepositorySearch.clearHighlights(item);
+      const matches = RepositorySearch.matchItem(item, query);
+
+      matches.forEach(({ element, indices }) => RepositorySearch.highlight(element, indices));
+      item.toggleAttribute('data-gitlab-search-miss', matches.length === 0);
+
+      if (matches.length > 0) {
+        matchCounts.set(groupId, (matchCounts.get(groupId) || 0) + 1);
+      }
+    });
+
+    GroupCard.findAll(container).forEach(card => {
+      const groupId = card.dataset.groupId;
+      const subgroupPrefix = `${groupId}${GroupingStrategy.PATH_SEPARATOR}`;
+      let count = 0;
+
+      matchCounts.forEach((matches, id) => {
+        if (groupId === 'all' || id === groupId || id.startsWith(subgroupPrefix)) {
+          count += matches;
+        }
+      });
+
+      const countElement = card.querySelector('.gitlab-card-count');
+      if (countElement) {
+        countElement.textContent = `${count}`;
+      }
+      card.classList.toggle('gitlab-card-no-match', count === 0);
+      card.style.display = '';
+    });
+
+    const breadcrumb = this.getBreadcrumb(container);
+    if (breadcrumb) {
+      breadcrumb.style.display = 'none';
+    }
+  }
+
+  /**
+   * Clear the search and restore the view from before it started.
+   * @param {Element} container - Grouped container element.
+   */
+  clearSearch(container) {
+    const search = this.searches.get(container);
+    if (!search) return;
+
+    this.searches.delete(container);
+    RepositorySearch.clearHighlights(container);
+    container.querySelectorAll('[data-gitlab-search-miss]').forEach(row => row.removeAttribute('data-gitlab-search-miss'));
+    GroupCard.findAll(container).forEach(card => card.classList.remove('gitlab-card-no-match'));
+    this.restoreView(container, search.snapshot);
+  }
+
+  /**
+   * Check whether a container is being searched.
+   * @param {Element} container - Grouped container element.
+   * @returns {boolean} True while a search is applied.
+   */
+  isSearching(container) {
+    return this.searches.has(container);
+  }
+
+  /**
+   * Record the visibility and card state of a grouped container.
+   * @param {Element} container - Grouped container element.
+   * @returns {Object} View snapshot.
+   */
+  captureView(container) {
+    const styles = new Map();
+    GroupCard.findAll(container).concat(this.getBreadcrumb(container) || []).forEach(element => {
+      styles.set(element, element.getAttribute('style'));
+    });
+
+    return {
+      activeGroup: this.currentActiveGroup,
+      activeFilter: container.dataset.gitlabActiveGroup,
+      level: this.currentLevel,
+      styles,
+      filteredRows: Array.from(container.querySelectorAll('[data-gitlab-filtered]')),
+      activeCards: GroupCard.findAll(container).filter(card => card.classList.contains('active')),
+      counts: this.getCardCounts(container).map(count => [count, count.textContent])
+    };
+  }
+
+  /**
+   * Restore a view recorded by captureView.
+   * @param {Element} container - Grouped container element.
+   * @param {Object} snapshot - View snapshot.
+   */
+  restoreView(container, snapshot) {
+    snapshot.styles.forEach((style, element) => {
+      if (style === null) {
+        element.removeAttribute('style');
+      } else {
+        element.setAttribute('style', style);
+      }
+    });
+
+    container.querySelectorAll('[data-gitlab-group]').forEach(row => {
+      row.toggleAttribute('data-gitlab-filtered', snapshot.filteredRows.includes(row));
+    });
+    if (snapshot.activeFilter === undefined) {
+      delete container.dataset.gitlabActiveGroup;
+    } else {
+      container.dataset.gitlabActiveGroup = snapshot.activeFilter;
+    }
+
+    GroupCard.findAll(container).forEach(card => {
+      card.classList.toggle('active', snapshot.activeCards.includes(card));
+    });
+
+    snapshot.counts.forEach(([count, text]) => {
+      count.textContent = text;
+    });
+
+    this.currentActiveGroup = snapshot.activeGroup;
+    this.currentLevel = snapshot.level;
+    this.renderBreadcrumb(container, snapshot.level);
+    this.notifyGroupChange();
+  }
+
+  /**
+   * Report the active group to the change handler.
+   */
+  notifyGroupChange() {
+    if (this.onGroupChange && this.currentActiveGroup) {
+      this.onGroupChange(this.currentActiveGroup);
     }
   }
 
@@ -1,31 +1,64 @@
 /**
  * Group Manager - Handles repository grouping logic.
+ * The default "group by name" strategy.
  */
 
-class GroupManager {
-  constructor(customGroups = new Set()) {
+const GroupingStrategy = require('../grouping/GroupingStrategy.js');
+const GroupRuleEngine = require('./GroupRuleEngine.js');
+
+class GroupManager extends GroupingStrategy {
+  /**
+   * Create group manager instance.
+   * @param {Set<string>} customGroups - Custom prefix groups.
+   * @param {Object[]} rules - Ordered regex/glob grouping rules.
+   */
+  constructor(customGroups = new Set(), rules = []) {
+    super('name', 'Name');
+    this.supportsAssignments = true;
     this.customGroups = customGroups;
+    this.ruleEngine = new GroupRuleEngine(rules);
+    this.assignments = new Map();
+    this.maxDepth = 1;
   }
 
   /**
-   * Extract groups from repository items.
-   * @param {Element[]} items - Repository item elements.
-   * @returns {Map<string, Element[]>} Map of group names to repository items.
+   * Get the group path for a repository.
+   * @param {RepositoryModel} repo - Parsed repository.
+   * @returns {string[]} Group path from the top-level group down.
    */
-  extractGroups(items) {
-    const groups = new Map();
+  getItemGroupPath(repo) {
+    return this.getGroupPath(repo.name, repo.fullName);
+  }
 
-    items.forEach(item => {
-      const repoName = this.getRepositoryName(item);
-      const groupName = this.getGroupName(repoName);
+  /**
+   * Get the manually assigned group for a repository.
+   * @param {string} fullName - Full repository name, `owner/name`.
+   * @returns {string|null} Assigned group name, or null when none.
+   */
+  getAssignedGroup(fullName) {
+    return this.assignments.get(fullName) || null;
+  }
 
-      if (!groups.has(groupName)) {
-        groups.set(groupName, []);
-      }
-      groups.get(groupName).push(item);
-    });
+  /**
+   * Get the nested group path for a repository, limited to the maximum depth.
+   * Assigned, rule and custom group names nest on `/`; prefix groups nest on
+   * the remaining name segments, e.g. `platform-auth-api` → Platform › Auth.
+   * @param {string} repoName - Repository name.
+   * @param {string} fullName - Full repository name the assignments are keyed by.
+   * @returns {string[]} Group path from the top-level group down.
+   */
+  getGroupPath(repoName, fullName = repoName) {
+    if (!repoName) return ['General'];
+
+    const explicitGroup = this.getAssignedGroup(fullName) || this.getNamedGroup(repoName);
+    if (explicitGroup) {
+      const path = explicitGroup.split(GroupingStrategy.PATH_SEPARATOR)
+        .map(segment => segment.trim())
+        .filter(Boolean);
+      return path.length > 0 ? path.slice(0, this.maxDepth) : ['General'];
+    }
 
-    return groups;
+    return this.getPrefixPath(repoName, this.maxDepth);
   }
 
   /**
@@ -35,6 +68,18 @@ class GroupManager {
    */
   getGroupName(repoName) {
     if (!repoName) return 'General';
+
+    return this.getNamedGroup(repoName) || this.getPrefixPath(repoName, 1)[0];
+  }
+
+  /**
+   * Get the group from grouping rules or custom prefix groups.
+   * @param {string} repoName - Repository name.
+   * @returns {string|null} Group name, or null when neither matches.
+   */
+  getNamedGroup(repoName) {
+    const ruleGroup = this.ruleEngine.match(repoName);
+    if (ruleGroup) return ruleGroup;
     
     for (const customGroup of this.customGroups) {
       if (repoName.toLowerCase().startsWith(customGroup.toLowerCase())) {
@@ -42,43 +87,47 @@ class GroupManager {
       }
     }
 
+    return null;
+  }
+
+  /**
+   * Get the group path from the repository name prefix.
+   * The last name segment is the repository itself and never becomes a group.
+   * @param {string} repoName - Repository name.
+   * @param {number} maxDepth - Maximum number of path segments.
+   * @returns {string[]} Group path.
+   */
+  getPrefixPath(repoName, maxDepth) {
     const separators = ['-', '_', '/', '.', ' '];
     for (const sep of separators) {
       const index = repoName.indexOf(sep);
       if (index > 0) {
-        const prefix = repoName.substring(0, index).toLowerCase();
+        const prefix = repoName.substring(0, index);
         if (prefix.length >= 2) {
-          return prefix.charAt(0).toUpperCase() + prefix.slice(1);
+          const path = [this.formatSegment(prefix)];
+          const rest = repoName.substring(index + 1).split(/[-_/. ]/).slice(0, -1);
+
+          for (const segment of rest) {
+            if (path.length >= maxDepth || segment.length < 2) break;
+            path.push(this.formatSegment(segment));
+          }
+
+          return path;
         }
       }
     }
 
-    return 'General';
+    return ['General'];
   }
 
   /**
-   * Extract repository name from item element.
-   * @param {Element} item - Repository item element.
-   * @returns {string} Repository name.
+   * Format a name segment as a group name.
+   * @param {string} segment - Name segment.
+   * @returns {string} Capitalized segment.
    */
-  getRepositoryName(item) {
-    const nameSelectors = [
-      'h3 a',
-      'a[itemprop="name codeRepository"]',
-      '.wb-break-all a',
-      '[data-testid="repository-name"]',
-      '[itemprop="name"]',
-      '.Link--primary',
-      'a[href*="/"][title]'
-    ];
-
-    for (const selector of nameSelectors) {
-      const element = item.querySelector(selector);
-      if (element && element.textContent.trim()) {
-        return element.textContent.trim();
-      }
-    }
-    return '';
+  formatSegment(segment) {
+    const lower = segment.toLowerCase();
+    return lower.charAt(0).toUpperCase() + lower.slice(1);
   }
 
   /**
@@ -108,6 +157,30 @@ class GroupManager {
   updateCustomGroups(newGroups) {
     this.customGroups = new Set(newGroups);
   }
+
+  /**
+   * Update manual repo-to-group assignments.
+   * @param {Object<string, string>} assignments - Full repository names mapped to group names.
+   */
+  updateAssignments(assignments) {
+    this.assignments = new Map(Object.entries(assignments || {}));
+  }
+
+  /**
+   * Update the maximum subgroup depth.
+   * @param {number} depth - Maximum depth; 1 keeps grouping flat.
+   */
+  updateMaxDepth(depth) {
+    this.maxDepth = Math.max(1, parseInt(depth, 10) || 1);
+  }
+
+  /**
+   * Update grouping rules.
+   * @param {Object[]} rules - New ordered grouping rules.
+   */
+  updateRules(rules) {
+    this.ruleEngine.updateRules(rules);
+  }
 }
 
 module.exports = GroupManager;
\ No newline at end of file
@@ -0,0 +1,89 @@
+/**
+ * Group Model - A custom group as it is stored.
+ */
+
+class GroupModel {
+  /**
+   * Create group model instance.
+   * @param {Object} fields - Stored fields.
+   * @param {string} fields.id - Unique identifier; derived from the owner and name when missing.
+   * @param {string} fields.name - Group name, also the prefix of the repositories it holds.
+   * @param {Object[]} fields.rules - Rules that put repositories in the group, e.g. { type: 'glob', pattern: 'billing-*' }.
+   * @param {string|null} fields.color - Card colour as a CSS colour.
+   * @param {string|null} fields.icon - Card icon name.
+   * @param {number} fields.order - Position among the custom groups.
+   * @param {number} fields.created - Creation time in milliseconds.
+   * @param {number} fields.updated - Last change time in milliseconds.
+   * @param {string|null} fields.owner - Login of the only owner the group applies to, or null for every owner.
+   */
+  constructor(fields = {}) {
+    this.name = fields.name || '';
+    this.owner = fields.owner ? fields.owner.toLowerCase() : null;
+    this.id = fields.id || GroupModel.createId(this.name, this.owner);
+    this.rules = fields.rules || [];
+    this.color = fields.color || null;
+    this.icon = fields.icon || null;
+    this.order = fields.order || 0;
+    this.created = fields.created || Date.now();
+    this.updated = fields.updated || this.created;
+  }
+
+  /**
+   * Check whether the group applies to the repositories of an owner.
+   * @param {string|null} owner - Owner login.
+   * @returns {boolean} True if the group is shared or scoped to the owner.
+   */
+  appliesTo(owner) {
+    return this.owner === null || this.owner === (owner || '').toLowerCase();
+  }
+
+  /**
+   * Get the group's rules in the format of GroupRuleEngine.
+   * @returns {Object[]} Rules targeting this group.
+   */
+  getRules() {
+    return this.rules.map(rule => ({ ...rule, group: this.name }));
+  }
+
+  /**
+   * Get the plain object that is stored.
+   * @returns {Object} Stored fields.
+   */
+  toRecord() {
+    return {
+      id: this.id,
+      name: this.name,
+      rules: this.rules,
+      color: this.color,
+      icon: this.icon,
+      order: this.order,
+      created: this.created,
+      updated: this.updated,
+      owner: this.owner
+    };
+  }
+
+  /**
+   * Build the identifier of a group. It only depends on the owner and name, so
+   * two devices upgrading the same groups do not create duplicates.
+   * @param {string} name - Group name.
+   * @param {string|null} owner - Owner login, or null for every owner.
+   * @returns {string} Identifier.
+   */
+  static createId(name, owner) {
+    return `${owner || '*'}/${name}`;
+  }
+
+  /**
+   * Upgrade the list of group names older versions saved as `customGroups`.
+   * @param {string[]} names - Group names in their order.
+   * @param {number} now - Time of the upgrade in milliseconds.
+   * @returns {GroupModel[]} Groups shared by every owner.
+   */
+  static fromNames(names, now = Date.now()) {
+    return Array.from(new Set(names.filter(name => typeof name === 'string' && name)))
+      .map((name, order) => new GroupModel({ name, order, created: now, updated: now }));
+  }
+}
+
+module.exports = GroupModel;
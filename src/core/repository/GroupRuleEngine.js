@@ -0,0 +1,113 @@
+/**
+ * Group Rule Engine - Matches repository names against ordered grouping rules.
+ */
+
+const Logger = require('../../utils/Logger.js');
+
+const logger = new Logger('GroupRuleEngine');
+
+class GroupRuleEngine {
+  /**
+   * Create rule engine instance.
+   * @param {Object[]} rules - Ordered rules, e.g. { type: 'regex', pattern: '^tf-(\\w+)-', group: 'Infra: $1' }.
+   */
+  constructor(rules = []) {
+    this.rules = [];
+    this.updateRules(rules);
+  }
+
+  /**
+   * Replace the current rules, compiling each pattern once.
+   * Rules with an invalid pattern or no target group are skipped.
+   * @param {Object[]} rules - Ordered rules.
+   */
+  updateRules(rules) {
+    this.rules = [];
+
+    (rules || []).forEach(rule => {
+      if (!rule || !rule.pattern || !rule.group) return;
+
+      try {
+        this.rules.push({
+          ...rule,
+          regex: GroupRuleEngine.compile(rule)
+        });
+      } catch (e) {
+        logger.warn(`Invalid rule pattern: ${rule.pattern}`);
+      }
+    });
+  }
+
+  /**
+   * Find the group for a repository name. The first matching rule wins.
+   * @param {string} repoName - Repository name.
+   * @returns {string|null} Group name, or null when no rule matches.
+   */
+  match(repoName) {
+    if (!repoName) return null;
+
+    for (const rule of this.rules) {
+      const match = rule.regex.exec(repoName);
+      if (match) {
+        const groupName = GroupRuleEngine.expand(rule.group, match).trim();
+        if (groupName) return groupName;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Compile a rule into a regular expression. The `g` and `y` flags are
+   * dropped: they make exec start at the last match's end, so the result for
+   * one repository would depend on the names matched before it.
+   * @param {Object} rule - Rule definition.
+   * @returns {RegExp} Compiled expression.
+   * @throws {SyntaxError} When the pattern is not a valid expression.
+   */
+  static compile(rule) {
+    if (rule.type === 'glob') {
+      return GroupRuleEngine.globToRegExp(rule.pattern);
+    }
+    const flags = rule.flags !== undefined ? rule.flags : 'i';
+    return new RegExp(rule.pattern, flags.replace(/[gy]/g, ''));
+  }
+
+  /**
+   * Convert a glob into an anchored, case-insensitive expression.
+   * Each `*` and `?` becomes a capture group so it can be used as `$1`, `$2`...
+   * @param {string} glob - Glob pattern, e.g. `svc-*-api`.
+   * @returns {RegExp} Compiled expression.
+   */
+  static globToRegExp(glob) {
+    let source = '';
+
+    for (const char of glob) {
+      if (char === '*') {
+        source += '(.*?)';
+      } else if (char === '?') {
+        source += '(.)';
+      } else {
+        source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      }
+    }
+
+    return new RegExp(`^${source}$`, 'i');
+  }
+
+  /**
+   * Expand `$1`, `$<name>` and `$&` references in a group template.
+   * @param {string} template - Group name template.
+   * @param {RegExpExecArray} match - Regex match result.
+   * @returns {string} Expanded group name.
+   */
+  static expand(template, match) {
+    return template.replace(/\$(\d+|<([^>]+)>|&)/g, (token, ref, name) => {
+      if (ref === '&') return match[0];
+      if (name !== undefined) return (match.groups && match.groups[name]) || '';
+      return match[Number(ref)] || '';
+    });
+  }
+}
+
+module.exports = GroupRuleEngine;
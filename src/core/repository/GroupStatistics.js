@@ -0,0 +1,50 @@
+/**
+ * Group Statistics - Aggregates repository models into per-group figures.
+ */
+
+class GroupStatistics {
+  /**
+   * Compute statistics for a group of repositories.
+   * @param {RepositoryModel[]} repos - Parsed repositories in the group.
+   * @returns {Object} Totals: repoCount, totalStars, languages, lastUpdated, archivedCount, forkCount.
+   */
+  static compute(repos) {
+    const languages = new Map();
+    let totalStars = 0;
+    let lastUpdated = null;
+    let archivedCount = 0;
+    let forkCount = 0;
+
+    repos.forEach(repo => {
+      totalStars += repo.stars;
+      if (repo.isArchived) archivedCount++;
+      if (repo.isFork) forkCount++;
+
+      if (repo.updatedAt && (!lastUpdated || repo.updatedAt > lastUpdated)) {
+        lastUpdated = repo.updatedAt;
+      }
+
+      if (repo.language) {
+        const entry = languages.get(repo.language) || { name: repo.language, color: repo.languageColor, count: 0 };
+        entry.count++;
+        entry.color = entry.color || repo.languageColor;
+        languages.set(repo.language, entry);
+      }
+    });
+
+    const withLanguage = Array.from(languages.values()).reduce((sum, entry) => sum + entry.count, 0);
+
+    return {
+      repoCount: repos.length,
+      totalStars,
+      languages: Array.from(languages.values())
+        .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name))
+        .map(entry => ({ ...entry, share: entry.count / withLanguage })),
+      lastUpdated,
+      archivedCount,
+      forkCount
+    };
+  }
+}
+
+module.exports = GroupStatistics;
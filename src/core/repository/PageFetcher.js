@@ -0,0 +1,201 @@
+/**
+ * Page Fetcher - Loads the other pages of a paginated repository list.
+ */
+
+const Logger = require('../../utils/Logger.js');
+
+const logger = new Logger('PageFetcher');
+
+class PageFetcher {
+  /**
+   * Create page fetcher instance.
+   * @param {RepositoryFinder} repositoryFinder - Finder used to read repository rows from fetched pages.
+   * @param {StorageManager} storage - Storage used to cache fetched pages.
+   * @param {Object} options - Fetch options.
+   * @param {Function} options.fetch - Fetch implementation, defaults to window.fetch.
+   * @param {number} options.ttl - Cache lifetime in milliseconds.
+   * @param {number} options.delay - Pause between page requests in milliseconds.
+   * @param {number} options.maxPages - Maximum number of pages to load.
+   */
+  constructor(repositoryFinder, storage, options = {}) {
+    this.repositoryFinder = repositoryFinder;
+    this.selectors = repositoryFinder.selectors;
+    this.storage = storage;
+    this.fetch = options.fetch || ((url, init) => window.fetch(url, init));
+    this.ttl = options.ttl !== undefined ? options.ttl : PageFetcher.CACHE_TTL;
+    this.delay = options.delay !== undefined ? options.delay : PageFetcher.REQUEST_DELAY;
+    this.maxPages = options.maxPages || PageFetcher.MAX_PAGES;
+  }
+
+  /**
+   * Check whether the current list has other pages.
+   * @returns {boolean} True when the list is paginated.
+   */
+  hasMorePages() {
+    return this.findPageLink(document, 'next', window.location.href) !== null ||
+      this.findPageLink(document, 'prev', window.location.href) !== null;
+  }
+
+  /**
+   * Fetch the repository rows of every other page of the current list.
+   * Pages are followed through their next and previous links, one at a time.
+   * @param {Function} onProgress - Called after each page with loaded and total page counts; total is null when unknown.
+   * @returns {Promise<Element[]>} Repository rows from the other pages, imported into the current document.
+   */
+  async fetchAll(onProgress = () => {}) {
+    const cacheKey = PageFetcher.getPageKey(window.location.href);
+    const cached = await this.storage.loadCache(cacheKey, this.ttl);
+
+    if (cached) {
+      logger.info(`Using ${cached.length} cached repositories for ${cacheKey}`);
+      return cached.map(html => this.createItem(html));
+    }
+
+    const total = this.getTotalPages(document);
+    const visited = new Set([PageFetcher.getPageKey(window.location.href)]);
+    const rows = [];
+    let loaded = 1;
+
+    for (const direction of ['next', 'prev']) {
+      let url = this.findPageLink(document, direction, window.location.href);
+
+      while (url && !visited.has(PageFetcher.getPageKey(url)) && visited.size < this.maxPages) {
+        visited.add(PageFetcher.getPageKey(url));
+
+        if (loaded > 1 && this.delay > 0) {
+          await new Promise(resolve => setTimeout(resolve, this.delay));
+        }
+
+        const page = await this.fetchPage(url);
+        const items = this.repositoryFinder.findRepositoryItemsIn(page);
+        const html = items.map(item => item.outerHTML);
+        if (direction === 'next') {
+          rows.push(...html);
+        } else {
+          rows.unshift(...html);
+        }
+
+        loaded++;
+        onProgress({ loaded, total });
+        url = this.findPageLink(page, direction, url);
+      }
+    }
+
+    await this.storage.saveCache(cacheKey, rows);
+    logger.info(`Loaded ${rows.length} repositories from ${loaded - 1} other pages`);
+    return rows.map(html => this.createItem(html));
+  }
+
+  /**
+   * Fetch and parse one page of the list.
+   * @param {string} url - Page URL, must be on the current origin.
+   * @returns {Promise<Document>} Parsed page.
+   */
+  async fetchPage(url) {
+    if (new URL(url).origin !== window.location.origin) {
+      throw new Error(`Refusing to fetch ${url} from another origin`);
+    }
+
+    const response = await this.fetch(url, {
+      credentials: 'same-origin',
+      headers: { Accept: 'text/html' }
+    });
+
+    if (!response.ok) {
+      throw new Error(`Failed to fetch ${url}: ${response.status}`);
+    }
+
+    return new DOMParser().parseFromString(await response.text(), 'text/html');
+  }
+
+  /**
+   * Find the link to the next or previous page.
+   * @param {Document} doc - Page to search.
+   * @param {string} direction - 'next' or 'prev'.
+   * @param {string} base - URL the page was loaded from, to resolve relative links.
+   * @returns {string|null} Absolute page URL on the current origin, or null when there is none.
+   */
+  findPageLink(doc, direction, base) {
+    const label = direction === 'next' ? 'next' : 'previous';
+    let link = this.selectors.query(doc, direction === 'next' ? 'nextPageLink' : 'previousPageLink');
+
+    if (!link) {
+      link = this.findInPagination(doc, 'a')
+        .find(candidate => candidate.textContent.trim().toLowerCase() === label) || null;
+    }
+
+    if (!link || !link.getAttribute('href')) return null;
+
+    const url = new URL(link.getAttribute('href'), base);
+    return url.origin === window.location.origin ? url.toString() : null;
+  }
+
+  /**
+   * Find elements inside the pagination blocks of a page.
+   * @param {Document} doc - Page to search.
+   * @param {string} selector - Selector of the elements to find.
+   * @returns {Element[]} Matching elements.
+   */
+  findInPagination(doc, selector) {
+    return this.selectors.queryAll(doc, 'pagination')
+      .flatMap(pagination => Array.from(pagination.querySelectorAll(selector)));
+  }
+
+  /**
+   * Get the number of pages from numbered pagination links.
+   * @param {Document} doc - Page to read.
+   * @returns {number|null} Page count, or null when the pagination only has next/previous links.
+   */
+  getTotalPages(doc) {
+    const numbers = this.findInPagination(doc, 'a, em, [aria-current]')
+      .map(element => parseInt(element.textContent.trim(), 10))
+      .filter(number => !isNaN(number));
+
+    return numbers.length > 0 ? Math.max(...numbers) : null;
+  }
+
+  /**
+   * Turn cached row HTML back into an element.
+   * @param {string} html - Row HTML.
+   * @returns {Element} Repository row element.
+   */
+  createItem(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html.trim();
+    const item = document.importNode(template.content.firstElementChild, true);
+    item.dataset.gitlabFetched = 'true';
+    return item;
+  }
+
+  /**
+   * Get the cache key of a list: its URL without the page number or hash.
+   * @param {string} href - List URL.
+   * @returns {string} Cache key.
+   */
+  static getCacheKey(href) {
+    const url = new URL(href);
+    url.searchParams.delete('page');
+    url.hash = '';
+    return `pages:${url.toString()}`;
+  }
+
+  /**
+   * Get a key that identifies one page of a list. Fetched rows are cached
+   * under the page they were fetched from, since they exclude that page.
+   * @param {string} href - Page URL.
+   * @returns {string} Page key.
+   */
+  static getPageKey(href) {
+    const url = new URL(href);
+    return `${PageFetcher.getCacheKey(href)}#${url.searchParams.get('page') || '1'}`;
+  }
+}
+
+// Fetched pages are reused for an hour.
+PageFetcher.CACHE_TTL = 60 * 60 * 1000;
+
+PageFetcher.REQUEST_DELAY = 250;
+
+PageFetcher.MAX_PAGES = 50;
+
+module.exports = PageFetcher;
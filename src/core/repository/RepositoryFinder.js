@@ -2,8 +2,20 @@
  * Repository Finder - Locates and validates repository containers and items.
  */
 
+const RepositoryParser = require('./RepositoryParser.js');
+const SelectorRegistry = require('../selectors/SelectorRegistry.js');
+const GroupCard = require('../../ui/components/GroupCard.js');
+const Logger = require('../../utils/Logger.js');
+
+const logger = new Logger('RepositoryFinder');
+
 class RepositoryFinder {
-  constructor() {
+  /**
+   * Create repository finder instance.
+   * @param {SelectorRegistry} selectors - Selectors for GitHub's markup.
+   */
+  constructor(selectors = SelectorRegistry.getDefault()) {
+    this.selectors = selectors;
     this.processedContainers = new Set();
   }
 
@@ -12,38 +24,39 @@ class RepositoryFinder {
    * @returns {Element[]} Array of repository container elements.
    */
   findRepositoryContainers() {
-    const selectors = [
-      '#user-repositories-list',
-      '#org-repositories-list', 
-      '[data-testid="repository-list-container"]',
-      '[data-filterable-for="your-repos-filter"]',
-      '[data-filterable-for="org-repos-filter"]',
-      '.js-repo-list',
-      'ul[data-test-selector="profile-repository-list"]',
-      'div[aria-label="Repositories"]',
-      'div[data-test-selector="org-repositories-list"]',
-      '[data-test-selector="org-repo-list"]'
-    ];
-
-    const containers = [];
-    selectors.forEach(selector => {
-      try {
-        const elements = document.querySelectorAll(selector);
-        elements.forEach(el => {
-          if (el && !this.processedContainers.has(el) && this.isValidRepositoryContainer(el)) {
-            containers.push(el);
-            this.processedContainers.add(el);
-          }
-        });
-      } catch (e) {
-        console.warn(`[RepositoryFinder] Invalid selector: ${selector}`);
-      }
-    });
+    const containers = this.selectors.queryAll(document, 'container',
+      el => !this.processedContainers.has(el) && this.isValidRepositoryContainer(el));
+    containers.forEach(container => this.processedContainers.add(container));
 
-    console.log(`[RepositoryFinder] Found ${containers.length} repository containers`);
+    logger.debug(`Found ${containers.length} repository containers`);
     return containers;
   }
 
+  /**
+   * Find the repository items of the first repository list in a document,
+   * e.g. another page of the list fetched in the background.
+   * @param {Document|Element} root - Document or element to search.
+   * @returns {Element[]} Array of repository item elements.
+   */
+  findRepositoryItemsIn(root) {
+    const container = this.selectors.query(root, 'container', el => this.isValidRepositoryContainer(el));
+    return container ? this.findRepositoryItems(container) : [];
+  }
+
+  /**
+   * Find processed containers whose list GitHub has changed since they were
+   * grouped, e.g. through the Type, Language or Sort filters or the search box.
+   * A list changed when it holds rows that were never processed, or when its
+   * group cards were removed.
+   * @returns {Object[]} Changed lists, each with container and its current items.
+   */
+  findUpdatedContainers() {
+    return Array.from(document.querySelectorAll('[data-gitlab-processed="true"]'))
+      .map(container => ({ container, items: this.findRepositoryItems(container) }))
+      .filter(({ container, items }) => items.some(item => item.dataset.gitlabRow !== 'true') ||
+        (container.classList.contains('gitlab-grouped-repositories') && !GroupCard.getSection(container)));
+  }
+
   /**
    * Validate if container contains repository items.
    * @param {Element} container - Container element to validate.
@@ -60,40 +73,16 @@ class RepositoryFinder {
    * @returns {Element[]} Array of repository item elements.
    */
   findRepositoryItems(container) {
-    const itemSelectors = [
-      '[itemprop="owns"]',
-      '[data-testid="repository-list-item"]',
-      '.repo-list-item',
-      '.public',
-      '.private',
-      '.source',
-      '.fork',
-      '.archived',
-      'li[itemprop="owns"]',
-      'div[data-testid="repository-item"]',
-      'li[data-test-selector="repository-list-item"]',
-      'div[data-test-selector="repository-list-item"]',
-      '.Box-row',
-      'li[itemprop="codeRepository"]',
-      'div[itemprop="codeRepository"]'
-    ];
-
-    let items = [];
-    itemSelectors.forEach(selector => {
-      try {
-        const found = container.querySelectorAll(selector);
-        found.forEach(item => {
-          const nameElement = item.querySelector('h3 a, a[itemprop="name codeRepository"], .wb-break-all a, [data-testid="repository-name"], [itemprop="name"], .Link--primary');
-          if (nameElement && !items.includes(item)) {
-            items.push(item);
-          }
-        });
-      } catch (e) {
-        console.warn(`[RepositoryFinder] Invalid item selector: ${selector}`);
-      }
-    });
+    return this.selectors.queryAll(container, 'item', item => RepositoryParser.getNameLink(item) !== null);
+  }
 
-    return items;
+  /**
+   * Check whether the page shows GitHub's empty state instead of a list,
+   * e.g. for an owner without repositories or a filter without matches.
+   * @returns {boolean} True if an empty state is shown.
+   */
+  hasEmptyState() {
+    return this.selectors.query(document, 'emptyState') !== null;
   }
 
   /**
@@ -102,23 +91,7 @@ class RepositoryFinder {
    * @returns {string} Repository name.
    */
   getRepositoryName(item) {
-    const nameSelectors = [
-      'h3 a',
-      'a[itemprop="name codeRepository"]',
-      '.wb-break-all a',
-      '[data-testid="repository-name"]',
-      '[itemprop="name"]',
-      '.Link--primary',
-      'a[href*="/"][title]'
-    ];
-
-    for (const selector of nameSelectors) {
-      const element = item.querySelector(selector);
-      if (element && element.textContent.trim()) {
-        return element.textContent.trim();
-      }
-    }
-    return '';
+    return RepositoryParser.getName(item);
   }
 
   /**
@@ -0,0 +1,54 @@
+/**
+ * Repository Model - Structured data for one repository row.
+ */
+
+class RepositoryModel {
+  /**
+   * Create repository model instance.
+   * @param {Object} fields - Parsed fields.
+   * @param {string} fields.name - Repository name.
+   * @param {string|null} fields.owner - Owner login.
+   * @param {string|null} fields.url - Absolute repository URL.
+   * @param {string} fields.description - Description, empty when none.
+   * @param {string|null} fields.language - Primary language.
+   * @param {string|null} fields.languageColor - Language colour as shown by GitHub.
+   * @param {number} fields.stars - Stargazer count.
+   * @param {number} fields.forks - Fork count.
+   * @param {string[]} fields.topics - Topics in page order.
+   * @param {string} fields.visibility - 'public', 'private' or 'internal'.
+   * @param {boolean} fields.isFork - True if fork.
+   * @param {string|null} fields.forkedFrom - Parent repository as `owner/name`.
+   * @param {boolean} fields.isArchived - True if archived.
+   * @param {boolean} fields.isTemplate - True if template.
+   * @param {Date|null} fields.updatedAt - Last updated time.
+   * @param {string[]} fields.starLists - Star lists the repository was added to, on the stars tab.
+   */
+  constructor(fields = {}) {
+    this.name = fields.name || '';
+    this.owner = fields.owner || null;
+    this.url = fields.url || null;
+    this.description = fields.description || '';
+    this.language = fields.language || null;
+    this.languageColor = fields.languageColor || null;
+    this.stars = fields.stars || 0;
+    this.forks = fields.forks || 0;
+    this.topics = fields.topics || [];
+    this.visibility = fields.visibility || 'public';
+    this.isFork = Boolean(fields.isFork);
+    this.forkedFrom = fields.forkedFrom || null;
+    this.isArchived = Boolean(fields.isArchived);
+    this.isTemplate = Boolean(fields.isTemplate);
+    this.updatedAt = fields.updatedAt || null;
+    this.starLists = fields.starLists || [];
+  }
+
+  /**
+   * Get the full `owner/name` of the repository.
+   * @returns {string} Full name, or just the name when the owner is unknown.
+   */
+  get fullName() {
+    return this.owner ? `${this.owner}/${this.name}` : this.name;
+  }
+}
+
+module.exports = RepositoryModel;
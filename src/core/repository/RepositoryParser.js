@@ -0,0 +1,207 @@
+/**
+ * Repository Parser - Turns repository list rows into RepositoryModel instances.
+ */
+
+const RepositoryModel = require('./RepositoryModel.js');
+const SelectorRegistry = require('../selectors/SelectorRegistry.js');
+
+const REPO_PATH = /^\/([^/?#]+)\/([^/?#]+)\/?$/;
+
+// Links to a user or organization, such as the owner link in front of a topic page result.
+const OWNER_PATH = /^(https?:\/\/[^/]+)?\/[^/?#]+\/?$/;
+
+class RepositoryParser {
+  /**
+   * Parse a repository row.
+   * @param {Element} item - Repository item element.
+   * @returns {RepositoryModel} Parsed repository.
+   */
+  static parse(item) {
+    const link = this.getNameLink(item);
+    const path = link ? this.getRepoPath(link) : null;
+    const labels = this.getLabels(item);
+    const language = this.find(item, 'language');
+    const languageColor = this.find(item, 'languageColor');
+    const forkedFrom = this.getForkedFrom(item);
+
+    return new RepositoryModel({
+      name: path ? path.name : this.getText(link),
+      owner: path ? path.owner : null,
+      url: link && link.getAttribute('href') ? link.href : null,
+      description: this.getText(this.find(item, 'description')),
+      language: this.getText(language) || null,
+      languageColor: languageColor ? languageColor.style.backgroundColor || null : null,
+      stars: this.getCount(item, 'stars'),
+      forks: this.getCount(item, 'forks'),
+      topics: this.selectors.queryAll(item, 'topic')
+        .map(tag => tag.textContent.trim())
+        .filter(Boolean),
+      visibility: this.getVisibility(item, labels),
+      isFork: item.classList.contains('fork') || forkedFrom !== null,
+      forkedFrom,
+      isArchived: item.classList.contains('archived') || labels.some(label => label.includes('archive')),
+      isTemplate: labels.some(label => label.includes('template')),
+      updatedAt: this.getUpdated(item),
+      starLists: this.getStarLists(item)
+    });
+  }
+
+  /**
+   * Extract repository name from item element.
+   * @param {Element} item - Repository item element.
+   * @returns {string} Repository name.
+   */
+  static getName(item) {
+    const link = this.getNameLink(item);
+    const path = link ? this.getRepoPath(link) : null;
+    return path ? path.name : this.getText(link);
+  }
+
+  /**
+   * Extract the full `owner/name` of a repository from item element.
+   * @param {Element} item - Repository item element.
+   * @returns {string} Full name, or just the name when the link has no owner.
+   */
+  static getFullName(item) {
+    const link = this.getNameLink(item);
+    const path = link ? this.getRepoPath(link) : null;
+    return path ? `${path.owner}/${path.name}` : this.getText(link);
+  }
+
+  /**
+   * Find the element holding the repository name. Links to an owner alone are skipped.
+   * @param {Element} item - Repository item element.
+   * @returns {Element|null} Name element.
+   */
+  static getNameLink(item) {
+    return this.find(item, 'nameLink', element => element.textContent.trim() !== '' &&
+      !OWNER_PATH.test(element.getAttribute('href') || ''));
+  }
+
+  /**
+   * Read owner and name from a repository link.
+   * @param {Element} link - Name element.
+   * @returns {Object|null} Owner and name, or null when the link is not a repository path.
+   */
+  static getRepoPath(link) {
+    const href = link.getAttribute('href');
+    if (!href) return null;
+
+    const match = REPO_PATH.exec(href.replace(/^https?:\/\/[^/]+/, ''));
+    return match ? { owner: decodeURIComponent(match[1]), name: decodeURIComponent(match[2]) } : null;
+  }
+
+  /**
+   * Get the labels shown next to the repository name, e.g. "Public archive".
+   * @param {Element} item - Repository item element.
+   * @returns {string[]} Lower-cased label texts.
+   */
+  static getLabels(item) {
+    return this.selectors.queryAll(item, 'label')
+      .map(label => label.textContent.trim().toLowerCase())
+      .filter(Boolean);
+  }
+
+  /**
+   * Get the star lists a repository was added to, from the checked entries
+   * of its "Starred" menu. Only the owner of the stars tab sees the menu.
+   * @param {Element} item - Repository item element.
+   * @returns {string[]} List names in menu order.
+   */
+  static getStarLists(item) {
+    return this.selectors.queryAll(item, 'starList')
+      .map(entry => this.getText(entry.closest('label, [role="menuitemcheckbox"]') || entry))
+      .filter(Boolean);
+  }
+
+  /**
+   * Get the visibility of a repository.
+   * @param {Element} item - Repository item element.
+   * @param {string[]} labels - Lower-cased label texts.
+   * @returns {string} 'public', 'private' or 'internal'.
+   */
+  static getVisibility(item, labels) {
+    if (labels.some(label => label.startsWith('internal'))) return 'internal';
+    if (item.classList.contains('private') || labels.some(label => label.startsWith('private'))) return 'private';
+    return 'public';
+  }
+
+  /**
+   * Get the parent of a fork from its "Forked from" line.
+   * @param {Element} item - Repository item element.
+   * @returns {string|null} Parent as `owner/name`, or null when not a fork.
+   */
+  static getForkedFrom(item) {
+    for (const element of item.querySelectorAll('span, p')) {
+      const link = element.querySelector('a');
+      if (link && /^\s*Forked from/.test(element.textContent)) {
+        return link.textContent.trim();
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Read a counter such as stars or forks.
+   * @param {Element} item - Repository item element.
+   * @param {string} role - Selector role of the counter.
+   * @returns {number} Count, 0 when not shown.
+   */
+  static getCount(item, role) {
+    const element = this.find(item, role);
+    return element ? this.parseCount(element.textContent) : 0;
+  }
+
+  /**
+   * Parse a GitHub counter like `1,234`, `1.2k` or `3m`.
+   * @param {string} text - Counter text.
+   * @returns {number} Parsed count, 0 when not a number.
+   */
+  static parseCount(text) {
+    const match = /([\d.,]+)\s*([km])?/i.exec(text || '');
+    if (!match) return 0;
+
+    const value = parseFloat(match[1].replace(/,/g, ''));
+    if (isNaN(value)) return 0;
+
+    const multiplier = { k: 1000, m: 1000000 }[(match[2] || '').toLowerCase()] || 1;
+    return Math.round(value * multiplier);
+  }
+
+  /**
+   * Get the last updated time of a repository.
+   * @param {Element} item - Repository item element.
+   * @returns {Date|null} Updated time, or null when not shown.
+   */
+  static getUpdated(item) {
+    const element = this.find(item, 'updated');
+    if (!element) return null;
+
+    const date = new Date(element.getAttribute('datetime'));
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Find the first element of a selector role in a row.
+   * @param {Element} item - Repository item element.
+   * @param {string} role - Selector role.
+   * @param {Function} accept - Filter for candidate elements.
+   * @returns {Element|null} Matching element.
+   */
+  static find(item, role, accept) {
+    return this.selectors.query(item, role, accept);
+  }
+
+  /**
+   * Get trimmed text with collapsed whitespace.
+   * @param {Element|null} element - Element to read.
+   * @returns {string} Text, empty when the element is missing.
+   */
+  static getText(element) {
+    return element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+  }
+}
+
+RepositoryParser.selectors = SelectorRegistry.getDefault();
+
+module.exports = RepositoryParser;
@@ -2,308 +2,570 @@
  * Repository Processor - Handles main repository processing logic.
  */
 
-import { GroupCard } from '../../ui/components/GroupCard.js';
-import { GroupManager } from './GroupManager.js';
+const GroupCard = require('../../ui/components/GroupCard.js');
+const RepositorySorter = require('./RepositorySorter.js');
+const DomTransform = require('../../utils/DomTransform.js');
+const EventBus = require('../../utils/EventBus.js');
 
-export class RepositoryProcessor {
-  constructor(groupManager, onShowGroupRepos) {
-    this.groupManager = groupManager;
+const GroupingStrategy = require('../grouping/GroupingStrategy.js');
+const Logger = require('../../utils/Logger.js');
+
+const logger = new Logger('RepositoryProcessor');
+
+const GROUP_DRAG_TYPE = 'application/x-gitlab-group';
+
+/**
+ * Check whether a drag carries a group card.
+ * @param {DragEvent} e - Drag event.
+ * @returns {boolean} True for group card drags.
+ */
+const isGroupDrag = (e) => Array.from(e.dataTransfer.types).includes(GROUP_DRAG_TYPE);
+
+class RepositoryProcessor {
+  /**
+   * Create repository processor instance.
+   * @param {GroupingStrategy} strategy - Grouping strategy used to build groups.
+   * @param {Function} onShowGroupRepos - Group card click handler.
+   * @param {Function} onAssignRepo - Handler for a repo dropped on a group card.
+   * @param {Function} onReorderGroups - Handler for the new manual card order, receives group ids.
+   * @param {EventBus} events - Lifecycle event bus, told when the groups of a list are computed.
+   */
+  constructor(strategy, onShowGroupRepos, onAssignRepo = null, onReorderGroups = null, events = new EventBus()) {
+    this.strategy = strategy;
+    this.events = events;
     this.onShowGroupRepos = onShowGroupRepos;
+    this.onAssignRepo = onAssignRepo;
+    this.onReorderGroups = onReorderGroups;
+    this.sorting = { groupSort: 'default', repoSort: 'default', manualOrder: [] };
+    this.transforms = new WeakMap();
+    this.rowCounts = new WeakMap();
+    this.draggedCard = null;
+  }
+
+  /**
+   * Get the transform recording the changes made to a container.
+   * @param {Element} container - Container element.
+   * @returns {DomTransform} Transform for the container.
+   */
+  getTransform(container) {
+    if (!this.transforms.has(container)) {
+      this.transforms.set(container, new DomTransform());
+    }
+    return this.transforms.get(container);
+  }
+
+  /**
+   * Undo every change made to a container, giving back GitHub's markup.
+   * @param {Element} container - Container element.
+   */
+  restore(container) {
+    const transform = this.transforms.get(container);
+    if (!transform) return;
+
+    transform.revert();
+    this.transforms.delete(container);
+  }
+
+  /**
+   * Update how group cards and repositories are ordered.
+   * @param {Object} sorting - Sorting options.
+   * @param {string} sorting.groupSort - Group sort mode, see RepositorySorter.GROUP_SORTS.
+   * @param {string} sorting.repoSort - Repository sort mode, see RepositorySorter.REPO_SORTS.
+   * @param {string[]} sorting.manualOrder - Group ids in manual order.
+   */
+  setSorting(sorting) {
+    this.sorting = { ...this.sorting, ...sorting };
+  }
+
+  /**
+   * Switch the grouping strategy used for new groupings.
+   * @param {GroupingStrategy} strategy - Grouping strategy.
+   */
+  setStrategy(strategy) {
+    this.strategy = strategy;
+  }
+
+  /**
+   * Get the drop handler for group cards, if the strategy supports manual assignments.
+   * @returns {Function|null} Assignment handler.
+   */
+  getAssignHandler() {
+    return this.strategy.supportsAssignments ? this.onAssignRepo : null;
   }
 
   /**
    * Create group cards from repository items.
+   * The rows stay in GitHub's list: each is tagged with its group and the
+   * cards are inserted before the list, so GitHub's widgets keep working and
+   * the list only ever holds its own rows.
    * @param {Element} container - Container element.
    * @param {Element[]} items - Repository item elements.
+   * @param {string|null} activeGroup - Group to show once the cards are built.
    */
-  createGroupCards(container, items) {
-    const groups = this.groupManager.extractGroups(items);
+  createGroupCards(container, items, activeGroup = null) {
+    this.markRows(container, items);
+    const groups = this.strategy.extractGroups(items);
     
     if (groups.size <= 1) {
       this.displayAllRepos(container, items);
       return;
     }
 
-    const originalContent = container.innerHTML;
-    const originalClasses = container.className;
-    
-    try {
-      container.innerHTML = '';
-      container.classList.add('gitlab-grouped-repositories');
-
-      const fragment = document.createDocumentFragment();
-      
-      const groupCardsSection = this.createGroupCardsSection(groups, container);
-      fragment.appendChild(groupCardsSection);
+    const transform = this.getTransform(container);
 
-      const repoContainersSection = this.createRepoContainers(groups, container);
-      fragment.appendChild(repoContainersSection);
+    try {
+      transform.toggleClass(container, 'gitlab-grouped-repositories', true);
+      // Switching groups only changes these, so they are put back on restore too.
+      transform.track(container, 'data-gitlab-active-group');
+
+      const nodes = this.getSortedNodes(groups);
+      const groupCardsSection = this.createGroupCardsSection(groups, nodes);
+      this.removeStaleSection(container);
+      transform.insert(groupCardsSection, container.parentNode, container);
+      GroupCard.attachSection(container, groupCardsSection);
+
+      this.assignRows(container, groups);
+      this.rowCounts.set(container, items.length);
+      if (this.sorting.repoSort !== 'default') {
+        this.orderRows(container, RepositorySorter.sortRepos(items, this.sorting.repoSort));
+      }
 
-      container.appendChild(fragment);
-      this.autoShowFirstGroup(container);
+      this.events.emit('groupsComputed', { container, groups });
+      this.autoShowFirstGroup(container, nodes, activeGroup);
 
     } catch (error) {
-      console.error('[RepositoryProcessor] Error creating group cards, reverting to original content:', error);
-      container.innerHTML = originalContent;
-      container.className = originalClasses;
+      logger.error('Error creating group cards, reverting to original content:', error);
+      this.restore(container);
       this.displayAllRepos(container, items);
     }
   }
 
   /**
-   * Display all repositories without grouping.
+   * Display all repositories without grouping. The list is left as GitHub rendered it.
    * @param {Element} container - Container element.
    * @param {Element[]} items - Repository item elements.
    */
   displayAllRepos(container, items) {
-    if (container.dataset.gitlabProcessed === 'true') {
-      return;
-    }
+    this.markRows(container, items);
+  }
 
-    const fragment = document.createDocumentFragment();
-    
+  /**
+   * Mark repository rows as seen, so rows GitHub adds later can be told apart.
+   * @param {Element} container - Container element.
+   * @param {Element[]} items - Repository item elements.
+   */
+  markRows(container, items) {
+    const transform = this.getTransform(container);
+    items.forEach(item => {
+      transform.setAttribute(item, 'data-gitlab-row', 'true');
+    });
+  }
+
+  /**
+   * Tag each repository row with the group it belongs to.
+   * @param {Element} container - Container element.
+   * @param {Map<string, Element[]>} groups - Groups map.
+   */
+  assignRows(container, groups) {
+    const transform = this.getTransform(container);
+
+    groups.forEach((items, groupId) => {
+      items.forEach(item => {
+        const fullName = this.strategy.getRepositoryFullName(item);
+        transform.setAttribute(item, 'data-gitlab-group', groupId);
+        transform.track(item, 'data-gitlab-filtered');
+        transform.track(item, 'data-gitlab-search-miss');
+        this.makeDraggable(transform, item, fullName);
+        transform.toggleClass(item, 'gitlab-repo-assigned', this.strategy.getAssignedGroup(fullName) !== null);
+      });
+    });
+  }
+
+  /**
+   * Move rows into a new order, within the element each row already lives in.
+   * @param {Element} container - Container element.
+   * @param {Element[]} items - Repository item elements in their new order.
+   */
+  orderRows(container, items) {
+    const transform = this.getTransform(container);
+    const byParent = new Map();
     items.forEach(item => {
-      fragment.appendChild(item);
+      if (!byParent.has(item.parentNode)) {
+        byParent.set(item.parentNode, []);
+      }
+      byParent.get(item.parentNode).push(item);
     });
 
-    const nonRepoItems = Array.from(container.children).filter(child => 
-      !items.includes(child) && 
-      !child.classList.contains('gitlab-cards-section') &&
-      !child.classList.contains('gitlab-repos-section')
-    );
+    byParent.forEach((rows, parent) => {
+      const lastRow = Array.from(parent.children).filter(child => rows.includes(child)).pop();
+      const anchor = lastRow.nextSibling;
+      rows.forEach(row => transform.move(row, parent, anchor));
+    });
+  }
+
+  /**
+   * Add rows to a list, after its last repository row.
+   * @param {Element} container - Container element.
+   * @param {Element[]} items - Repository item elements to add.
+   */
+  appendRows(container, items) {
+    const rows = container.querySelectorAll('[data-gitlab-row]');
+    const lastRow = rows[rows.length - 1];
+    const parent = lastRow ? lastRow.parentNode : container;
+    const anchor = lastRow ? lastRow.nextSibling : null;
+    const transform = this.getTransform(container);
+
+    items.forEach(item => transform.insert(item, parent, anchor));
+  }
 
-    nonRepoItems.forEach(item => fragment.appendChild(item));
+  /**
+   * Get the grouped repository rows of a container.
+   * @param {Element} container - Grouped container element.
+   * @returns {Element[]} Repository item elements in list order.
+   */
+  getRows(container) {
+    return Array.from(container.querySelectorAll('[data-gitlab-group]'));
+  }
+
+  /**
+   * Get the group tree nodes of groups, in card order.
+   * @param {Map<string, Element[]>} groups - Groups map.
+   * @returns {Object[]} Group tree nodes.
+   */
+  getSortedNodes(groups) {
+    const nodes = Array.from(this.strategy.buildGroupTree(groups).values());
+    return RepositorySorter.sortGroups(nodes, this.sorting.groupSort, this.sorting.manualOrder);
+  }
 
-    container.innerHTML = '';
-    container.appendChild(fragment);
+  /**
+   * Remove a cards section left before a container by a list GitHub replaced.
+   * @param {Element} container - Container element about to get its cards.
+   */
+  removeStaleSection(container) {
+    const previous = container.previousElementSibling;
+    if (previous && previous.classList.contains('gitlab-cards-section') && previous !== GroupCard.getSection(container)) {
+      previous.remove();
+    }
   }
 
   /**
    * Create group cards section.
+   * Subgroup cards start hidden and are revealed by drilling down.
    * @param {Map<string, Element[]>} groups - Groups map.
-   * @param {Element} container - Container element.
+   * @param {Object[]} nodes - Group tree nodes in card order.
    * @returns {Element} Group cards section element.
    */
-  createGroupCardsSection(groups, container) {
+  createGroupCardsSection(groups, nodes) {
     const section = document.createElement('div');
     section.className = 'gitlab-cards-section';
 
     const containerDiv = document.createElement('div');
     containerDiv.className = 'gitlab-group-cards-container';
 
-    const allReposCard = new GroupCard('All Repositories', Array.from(groups.values()).flat(), 'all', this.onShowGroupRepos);
+    const allReposCard = new GroupCard('All Repositories', Array.from(groups.values()).flat(), 'all', this.onShowGroupRepos, this.getAssignHandler());
     containerDiv.appendChild(allReposCard.create());
 
-    Array.from(groups.entries()).forEach(([name, items]) => {
-      const card = new GroupCard(name, items, name, this.onShowGroupRepos);
+    nodes.forEach(node => {
+      const card = new GroupCard(node.name, node.items, node.id, this.onShowGroupRepos, this.getAssignHandler(), {
+        parentId: node.parentId,
+        childCount: node.children.length
+      });
       containerDiv.appendChild(card.create());
     });
 
+    if (this.sorting.groupSort === 'manual' && this.onReorderGroups) {
+      this.enableCardReordering(containerDiv);
+    }
+
+    const breadcrumb = document.createElement('nav');
+    breadcrumb.className = 'gitlab-group-breadcrumb';
+    breadcrumb.setAttribute('aria-label', 'Group breadcrumb');
+    breadcrumb.style.display = 'none';
+
+    section.appendChild(breadcrumb);
     section.appendChild(containerDiv);
     return section;
   }
 
   /**
-   * Create repository containers section.
-   * @param {Map<string, Element[]>} groups - Groups map.
-   * @param {Element} container - Container element.
-   * @returns {Element} Repository containers section element.
+   * Let group cards be dragged into a manual order. The "All Repositories"
+   * card stays first and cards only move among their siblings.
+   * @param {Element} cardsContainer - Group cards container element.
    */
-  createRepoContainers(groups, container) {
-    const section = document.createElement('div');
-    section.className = 'gitlab-repos-section';
+  enableCardReordering(cardsContainer) {
+    cardsContainer.querySelectorAll('.gitlab-group-card:not([data-group-id="all"])').forEach(card => {
+      this.makeCardReorderable(cardsContainer, card);
+    });
+  }
 
-    const allReposContainer = document.createElement(container.tagName);
-    allReposContainer.className = container.className;
-    allReposContainer.classList.add('gitlab-repo-container');
-    allReposContainer.dataset.groupId = 'all';
-    allReposContainer.style.display = 'none';
+  /**
+   * Let one group card be dragged among its siblings.
+   * @param {Element} cardsContainer - Group cards container element.
+   * @param {Element} card - Group card element.
+   */
+  makeCardReorderable(cardsContainer, card) {
+    card.draggable = true;
+
+    card.addEventListener('dragstart', (e) => {
+      this.draggedCard = card;
+      e.dataTransfer.setData(GROUP_DRAG_TYPE, card.dataset.groupId);
+      e.dataTransfer.effectAllowed = 'move';
+      card.classList.add('dragging');
+    });
 
-    Array.from(groups.values()).flat().forEach(item => {
-      allReposContainer.appendChild(item.cloneNode(true));
+    card.addEventListener('dragend', () => {
+      this.draggedCard = null;
+      card.classList.remove('dragging');
     });
 
-    section.appendChild(allReposContainer);
+    card.addEventListener('dragover', (e) => {
+      const draggedCard = this.draggedCard;
+      if (!isGroupDrag(e) || !draggedCard || draggedCard === card ||
+          draggedCard.dataset.parentId !== card.dataset.parentId) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+    });
 
-    Array.from(groups.entries()).forEach(([name, items]) => {
-      const groupContainer = document.createElement(container.tagName);
-      groupContainer.className = container.className;
-      groupContainer.classList.add('gitlab-repo-container');
-      groupContainer.dataset.groupId = name;
-      groupContainer.style.display = 'none';
+    card.addEventListener('drop', (e) => {
+      const draggedCard = this.draggedCard;
+      if (!isGroupDrag(e) || !draggedCard || draggedCard === card) return;
+      e.preventDefault();
 
-      items.forEach(item => {
-        groupContainer.appendChild(item);
-      });
+      const cards = Array.from(cardsContainer.children);
+      const before = cards.indexOf(draggedCard) > cards.indexOf(card) ? card : card.nextSibling;
+      cardsContainer.insertBefore(draggedCard, before);
 
-      section.appendChild(groupContainer);
+      const order = Array.from(cardsContainer.querySelectorAll('.gitlab-group-card:not([data-group-id="all"])'))
+        .map(groupCard => groupCard.dataset.groupId);
+      logger.debug('New manual group order:', order);
+      this.onReorderGroups(order);
     });
+  }
 
-    return section;
+  /**
+   * Make a repository row draggable onto group cards.
+   * @param {DomTransform} transform - Transform recording the changes.
+   * @param {Element} item - Repository item element.
+   * @param {string} fullName - Full repository name carried by the drag.
+   */
+  makeDraggable(transform, item, fullName) {
+    if (!fullName) return;
+
+    transform.setAttribute(item, 'draggable', `${Boolean(this.getAssignHandler())}`);
+    if (!item.draggable) return;
+
+    transform.setAttribute(item, 'data-repo-name', fullName);
+
+    if (item.dataset.gitlabDraggable) return;
+    transform.setAttribute(item, 'data-gitlab-draggable', 'true');
+
+    transform.listen(item, 'dragstart', (e) => {
+      e.dataTransfer.setData(GroupCard.REPO_DRAG_TYPE, item.dataset.repoName);
+      e.dataTransfer.setData('text/plain', item.dataset.repoName);
+      e.dataTransfer.effectAllowed = 'move';
+      item.classList.add('gitlab-repo-dragging');
+    });
+
+    transform.listen(item, 'dragend', () => {
+      item.classList.remove('gitlab-repo-dragging');
+    });
   }
 
   /**
-   * Auto-show first group card.
+   * Check whether rows can be added to a container's groups without a rebuild:
+   * it is grouped and none of its grouped rows have been removed.
    * @param {Element} container - Container element.
+   * @returns {boolean} True when addRows can be used.
    */
-  autoShowFirstGroup(container) {
-    const firstGroup = Array.from(this.groupManager.extractGroups([]).keys())[0] || 'all';
-    console.log(`[RepositoryProcessor] Auto-showing first group: ${firstGroup}`);
-    
-    setTimeout(() => {
-      console.log(`[RepositoryProcessor] Attempting to show first group...`);
-      const firstCard = container.querySelector(`.gitlab-group-card[data-group-id="${firstGroup}"]`);
-      if (firstCard) {
-        console.log(`[RepositoryProcessor] Found first group card, simulating click`);
-        firstCard.click();
-      } else {
-        console.error(`[RepositoryProcessor] Could not find first group card: ${firstGroup}`);
-        console.log(`[RepositoryProcessor] Available cards:`, container.querySelectorAll('.gitlab-group-card'));
-      }
-    }, 200);
+  canAddRows(container) {
+    return container.classList.contains('gitlab-grouped-repositories') &&
+      GroupCard.getSection(container) !== null &&
+      this.getRows(container).length === this.rowCounts.get(container);
   }
 
   /**
-   * Create group cards for displaying repositories.
-   * @param {Element} container - Container element.
-   * @param {Array} items - Repository items.
+   * Add new rows of a list to its existing groups without rebuilding them.
+   * Only the new rows are classified. Cards of the groups they join are
+   * updated in place and cards are added for groups that did not exist yet.
+   * @param {Element} container - Grouped container element.
+   * @param {Element[]} items - New repository item elements, already in the list.
+   * @returns {Element[]} Cards created for new groups.
    */
-  createGroupCards(container, items) {
-    const groups = this.groupManager.extractGroups(items);
-    
-    if (groups.size <= 1) {
-      this.displayAllRepos(container, items);
-      return;
-    }
+  addRows(container, items) {
+    const cardsContainer = GroupCard.getSection(container).querySelector('.gitlab-group-cards-container');
 
-    // Store original content and clear container safely.
-    const originalContent = container.innerHTML;
-    const originalClasses = container.className;
-    
-    try {
-      container.innerHTML = '';
-      container.classList.add('gitlab-grouped-repositories');
+    this.markRows(container, items);
+    const newGroups = this.strategy.extractGroups(items);
+    this.assignRows(container, newGroups);
 
-      const fragment = document.createDocumentFragment();
-      
-      // Create group cards section.
-      const groupCardsSection = this.createGroupCardsSection(groups, container);
-      fragment.appendChild(groupCardsSection);
+    const rows = this.getRows(container);
+    this.rowCounts.set(container, rows.length);
 
-      // Create hidden repo containers for each group.
-      const repoContainersSection = this.createRepoContainers(groups, container);
-      fragment.appendChild(repoContainersSection);
+    const groups = new Map();
+    rows.forEach(row => {
+      const groupId = row.dataset.gitlabGroup;
+      if (!groups.has(groupId)) {
+        groups.set(groupId, []);
+      }
+      groups.get(groupId).push(row);
+    });
 
-      container.appendChild(fragment);
+    const affected = new Set(['all']);
+    newGroups.forEach((_, groupId) => {
+      const segments = groupId.split(GroupingStrategy.PATH_SEPARATOR);
+      segments.forEach((_, depth) => affected.add(segments.slice(0, depth + 1).join(GroupingStrategy.PATH_SEPARATOR)));
+    });
 
-      // Show the first group by default.
-      this.autoShowFirstGroup(container);
+    const cards = new Map(Array.from(cardsContainer.querySelectorAll('.gitlab-group-card')).map(card => [card.dataset.groupId, card]));
+    const nodes = Array.from(this.strategy.buildGroupTree(this.strategy.orderGroups(groups)).values());
+    const created = [];
 
-    } catch (error) {
-      console.error('[RepositoryProcessor] Error creating group cards, reverting to original content:', error);
-      container.innerHTML = originalContent;
-      container.className = originalClasses;
-      this.displayAllRepos(container, items);
-    }
-  }
+    new GroupCard('All Repositories', rows, 'all', this.onShowGroupRepos, this.getAssignHandler()).refresh(cards.get('all'));
 
-  displayAllRepos(container, items) {
-    // Only modify if we haven't already processed this container.
-    if (container.dataset.gitlabProcessed === 'true') {
-      return;
-    }
+    nodes.filter(node => affected.has(node.id)).forEach(node => {
+      const groupCard = new GroupCard(node.name, node.items, node.id, this.onShowGroupRepos, this.getAssignHandler(), {
+        parentId: node.parentId,
+        childCount: node.children.length
+      });
 
-    const fragment = document.createDocumentFragment();
-    
-    items.forEach(item => {
-      fragment.appendChild(item);
+      if (cards.has(node.id)) {
+        groupCard.refresh(cards.get(node.id));
+      } else {
+        const card = groupCard.create();
+        if (this.sorting.groupSort === 'manual' && this.onReorderGroups) {
+          this.makeCardReorderable(cardsContainer, card);
+        }
+        cards.set(node.id, card);
+        created.push(card);
+      }
     });
 
-    // Preserve non-repo items.
-    const nonRepoItems = Array.from(container.children).filter(child => 
-      !items.includes(child) && 
-      !child.classList.contains('gitlab-cards-section') &&
-      !child.classList.contains('gitlab-repos-section')
-    );
+    // Place new cards before the next card in sort order; later cards are placed first.
+    const sortedNodes = RepositorySorter.sortGroups(nodes, this.sorting.groupSort, this.sorting.manualOrder);
+    for (let i = sortedNodes.length - 1; i >= 0; i--) {
+      const card = cards.get(sortedNodes[i].id);
+      if (!created.includes(card)) continue;
+      const next = sortedNodes.slice(i + 1).map(node => cards.get(node.id)).find(nextCard => nextCard.parentNode === cardsContainer);
+      cardsContainer.insertBefore(card, next || null);
+    }
 
-    nonRepoItems.forEach(item => fragment.appendChild(item));
+    if (this.sorting.repoSort !== 'default') {
+      this.placeRows(container, items, RepositorySorter.sortRepos(rows, this.sorting.repoSort));
+    }
 
-    container.innerHTML = '';
-    container.appendChild(fragment);
+    logger.info(`Added ${items.length} repositories, ${created.length} new groups`);
+    this.events.emit('groupsComputed', { container, groups });
+    return created;
   }
 
-  createGroupCardsSection(groups, container) {
-    const section = document.createElement('div');
-    section.className = 'gitlab-cards-section';
-
-    const containerDiv = document.createElement('div');
-    containerDiv.className = 'gitlab-group-cards-container';
+  /**
+   * Move new rows to their place in a sorted list. The other rows are already in order.
+   * @param {Element} container - Container element.
+   * @param {Element[]} items - New repository item elements.
+   * @param {Element[]} sorted - Every row of the list in sorted order.
+   */
+  placeRows(container, items, sorted) {
+    const transform = this.getTransform(container);
 
-    // Add "All Repositories" card.
-    const allReposCard = new GroupCard('All Repositories', Array.from(groups.values()).flat(), 'all', this.onShowGroupRepos);
-    containerDiv.appendChild(allReposCard.create());
+    for (let i = sorted.length - 2; i >= 0; i--) {
+      const next = sorted[i + 1];
+      if (items.includes(sorted[i]) && next.parentNode === sorted[i].parentNode) {
+        transform.move(sorted[i], next.parentNode, next);
+      }
+    }
+  }
 
-    // Add group cards.
-    Array.from(groups.entries()).forEach(([name, items]) => {
-      const card = new GroupCard(name, items, name, this.onShowGroupRepos);
-      containerDiv.appendChild(card.create());
-    });
+  /**
+   * Rebuild the groups of an already grouped container in place.
+   * @param {Element} container - Grouped container element.
+   * @param {string|null} activeGroup - Group to show after regrouping.
+   * @param {Element[]} extraItems - Repository items to add, e.g. from other pages.
+   */
+  regroup(container, activeGroup = null, extraItems = []) {
+    if (!container.classList.contains('gitlab-grouped-repositories')) return;
 
-    section.appendChild(containerDiv);
-    return section;
+    this.rebuild(container, this.getRows(container).concat(extraItems), activeGroup);
   }
 
-  createRepoContainers(groups, container) {
-    const section = document.createElement('div');
-    section.className = 'gitlab-repos-section';
+  /**
+   * Replace the groups of a processed container with groups built from new items,
+   * e.g. after GitHub's filters swapped the list.
+   * @param {Element} container - Processed container element.
+   * @param {Element[]} items - Repository item elements now in the list; rows not
+   *   yet in the list are added after its last row.
+   * @param {string|null} activeGroup - Group to show after rebuilding.
+   */
+  rebuild(container, items, activeGroup = null) {
+    this.restore(container);
 
-    // Create container for "All Repositories".
-    const allReposContainer = document.createElement(container.tagName);
-    allReposContainer.className = container.className;
-    allReposContainer.classList.add('gitlab-repo-container');
-    allReposContainer.dataset.groupId = 'all';
-    allReposContainer.style.display = 'none';
+    const present = items.filter(item => container.contains(item));
+    this.markRows(container, present);
+    this.appendRows(container, items.filter(item => !present.includes(item)));
 
-    Array.from(groups.values()).flat().forEach(item => {
-      allReposContainer.appendChild(item.cloneNode(true));
-    });
+    this.createGroupCards(container, items, activeGroup);
+  }
 
-    section.appendChild(allReposContainer);
+  /**
+   * Show how far loading the other pages of the list has got.
+   * @param {Element} container - Grouped container element.
+   * @param {Object} progress - Progress.
+   * @param {number} progress.loaded - Pages loaded so far, including the current one.
+   * @param {number|null} progress.total - Total pages, null when unknown.
+   */
+  showPageProgress(container, { loaded, total }) {
+    const section = GroupCard.getSection(container);
+    if (!section) return;
+
+    const cardsContainer = section.querySelector('.gitlab-group-cards-container');
+    let status = section.querySelector('.gitlab-page-progress');
+    if (!status) {
+      status = document.createElement('div');
+      status.className = 'gitlab-page-progress';
+      status.setAttribute('role', 'status');
+      cardsContainer.parentNode.insertBefore(status, cardsContainer);
+    }
 
-    // Create containers for each group.
-    Array.from(groups.entries()).forEach(([name, items]) => {
-      const groupContainer = document.createElement(container.tagName);
-      groupContainer.className = container.className;
-      groupContainer.classList.add('gitlab-repo-container');
-      groupContainer.dataset.groupId = name;
-      groupContainer.style.display = 'none';
+    status.textContent = total
+      ? `Loading all pages\u2026 ${loaded} of ${total}`
+      : `Loading all pages\u2026 ${loaded} loaded`;
 
-      items.forEach(item => {
-        groupContainer.appendChild(item);
-      });
+    cardsContainer.classList.add('gitlab-cards-loading');
+    if (total) {
+      cardsContainer.style.setProperty('--gitlab-page-progress', `${Math.round((loaded / total) * 100)}%`);
+    } else {
+      cardsContainer.style.removeProperty('--gitlab-page-progress');
+    }
+  }
 
-      section.appendChild(groupContainer);
+  /**
+   * Remove the page loading progress.
+   * @param {Element} container - Grouped container element.
+   */
+  hidePageProgress(container) {
+    const section = GroupCard.getSection(container);
+    if (!section) return;
+
+    section.querySelectorAll('.gitlab-page-progress').forEach(status => status.remove());
+    section.querySelectorAll('.gitlab-cards-loading').forEach(cardsContainer => {
+      cardsContainer.classList.remove('gitlab-cards-loading');
+      cardsContainer.style.removeProperty('--gitlab-page-progress');
     });
-
-    return section;
   }
 
-  autoShowFirstGroup(container) {
-    const firstGroup = Array.from(this.groupManager.extractGroups([]).keys())[0] || 'all';
-    console.log(`[RepositoryProcessor] Auto-showing first group: ${firstGroup}`);
-    
-    // Wait a bit for DOM to settle, then simulate first group click.
-    setTimeout(() => {
-      console.log(`[RepositoryProcessor] Attempting to show first group...`);
-      const firstCard = container.querySelector(`.gitlab-group-card[data-group-id="${firstGroup}"]`);
-      if (firstCard) {
-        console.log(`[RepositoryProcessor] Found first group card, simulating click`);
-        firstCard.click();
-      } else {
-        console.error(`[RepositoryProcessor] Could not find first group card: ${firstGroup}`);
-        console.log(`[RepositoryProcessor] Available cards:`, container.querySelectorAll('.gitlab-group-card'));
-      }
-    }, 200);
+  /**
+   * Show the first group of a freshly grouped container.
+   * @param {Element} container - Container element.
+   * @param {Object[]} nodes - Group tree nodes in card order.
+   * @param {string|null} preferredGroup - Group to show instead, if it still exists.
+   */
+  autoShowFirstGroup(container, nodes, preferredGroup = null) {
+    const firstNode = nodes.find(node => !node.parentId);
+    const groupId = preferredGroup && GroupCard.find(container, preferredGroup)
+      ? preferredGroup
+      : (firstNode ? firstNode.id : 'all');
+    logger.debug(`Auto-showing first group: ${groupId}`);
+
+    this.onShowGroupRepos(groupId, GroupCard.find(container, groupId));
   }
 }
 
@@ -0,0 +1,146 @@
+/**
+ * Repository Search - Fuzzy matching and highlighting of repository rows.
+ */
+
+const RepositoryParser = require('./RepositoryParser.js');
+const SelectorRegistry = require('../selectors/SelectorRegistry.js');
+
+// Roles of the row fields searched besides the name.
+const FIELD_ROLES = ['description', 'topic'];
+
+class RepositorySearch {
+  /**
+   * Fuzzy-match a query against text. Query characters must appear in order;
+   * the tightest occurrence wins and overly scattered matches are rejected.
+   * @param {string} query - Search query, whitespace is ignored.
+   * @param {string} text - Text to search.
+   * @returns {number[]|null} Matched character indices in text, or null when there is no match.
+   */
+  static fuzzyMatch(query, text) {
+    const needle = (query || '').toLowerCase().replace(/\s+/g, '');
+    const haystack = (text || '').toLowerCase();
+    if (!needle || !haystack) return null;
+
+    let best = null;
+
+    for (let start = haystack.indexOf(needle[0]); start !== -1; start = haystack.indexOf(needle[0], start + 1)) {
+      const indices = [start];
+
+      for (let i = 1; i < needle.length; i++) {
+        const position = haystack.indexOf(needle[i], indices[i - 1] + 1);
+        if (position === -1) break;
+        indices.push(position);
+      }
+
+      // A later start cannot complete the match if this one could not.
+      if (indices.length < needle.length) break;
+
+      if (!best || indices[indices.length - 1] - start < best[best.length - 1] - best[0]) {
+        best = indices;
+      }
+    }
+
+    if (!best || best[best.length - 1] - best[0] + 1 > needle.length * RepositorySearch.MAX_SPREAD) {
+      return null;
+    }
+    return best;
+  }
+
+  /**
+   * Get the elements of a row that are searched: name, description and topics.
+   * @param {Element} item - Repository item element.
+   * @returns {Element[]} Searchable elements.
+   */
+  static getFields(item) {
+    const name = RepositoryParser.getNameLink(item);
+    const fields = FIELD_ROLES.flatMap(role => RepositorySearch.selectors.queryAll(item, role));
+    return name ? [name].concat(fields) : fields;
+  }
+
+  /**
+   * Match a query against a repository row.
+   * @param {Element} item - Repository item element.
+   * @param {string} query - Search query.
+   * @returns {Object[]} Matches, each with element and indices; empty when the row does not match.
+   */
+  static matchItem(item, query) {
+    return this.getFields(item)
+      .map(element => ({ element, indices: this.fuzzyMatch(query, element.textContent) }))
+      .filter(match => match.indices !== null);
+  }
+
+  /**
+   * Get the highlight that marks matched text, registering it on first use.
+   * @returns {Highlight|null} Highlight, or null when the browser lacks the CSS Custom Highlight API.
+   */
+  static getHighlight() {
+    if (typeof CSS === 'undefined' || !CSS.highlights || typeof Highlight === 'undefined') return null;
+
+    let highlight = CSS.highlights.get(RepositorySearch.HIGHLIGHT_NAME);
+    if (!highlight) {
+      highlight = new Highlight();
+      CSS.highlights.set(RepositorySearch.HIGHLIGHT_NAME, highlight);
+    }
+    return highlight;
+  }
+
+  /**
+   * Highlight matched characters of an element. The text is marked with ranges
+   * instead of elements, so rows GitHub renders are left as they are.
+   * @param {Element} element - Element whose text was matched.
+   * @param {number[]} indices - Matched character indices in the element's text.
+   */
+  static highlight(element, indices) {
+    const highlight = this.getHighlight();
+    if (!highlight) return;
+
+    const marked = new Set(indices);
+    const walker = document.createTreeWalker(element, NodeFilter.SHOW_TEXT);
+    let offset = 0;
+
+    while (walker.nextNode()) {
+      const node = walker.currentNode;
+      const start = offset;
+      offset += node.nodeValue.length;
+
+      for (let i = start; i < offset; i++) {
+        if (!marked.has(i)) continue;
+
+        let end = i + 1;
+        while (end < offset && marked.has(end)) end++;
+
+        const range = document.createRange();
+        range.setStart(node, i - start);
+        range.setEnd(node, end - start);
+        highlight.add(range);
+        i = end;
+      }
+    }
+  }
+
+  /**
+   * Remove the highlights within an element, and those of text no longer on the page.
+   * @param {Element} root - Element to clean up.
+   */
+  static clearHighlights(root) {
+    const highlight = this.getHighlight();
+    if (!highlight) return;
+
+    highlight.forEach(range => {
+      const node = range.startContainer;
+      if (!node.isConnected || root.contains(node)) {
+        highlight.delete(range);
+      }
+    });
+  }
+}
+
+// Name of the highlight in CSS.highlights, styled with ::highlight().
+RepositorySearch.HIGHLIGHT_NAME = 'gitlab-search-match';
+
+// Longest matched span allowed, as a multiple of the query length.
+RepositorySearch.MAX_SPREAD = 2;
+
+RepositorySearch.selectors = SelectorRegistry.getDefault();
+
+module.exports = RepositorySearch;
@@ -0,0 +1,104 @@
+/**
+ * Repository Sorter - Orders group cards and the repositories inside each group.
+ */
+
+const RepositoryParser = require('./RepositoryParser.js');
+
+const GROUP_SORTS = [
+  { id: 'default', label: 'Default' },
+  { id: 'name', label: 'Name' },
+  { id: 'size', label: 'Size' },
+  { id: 'activity', label: 'Recent activity' },
+  { id: 'manual', label: 'Manual' }
+];
+
+const REPO_SORTS = [
+  { id: 'default', label: 'GitHub order' },
+  { id: 'name', label: 'Name' },
+  { id: 'stars', label: 'Stars' },
+  { id: 'updated', label: 'Last updated' }
+];
+
+class RepositorySorter {
+  /**
+   * Sort group tree nodes. Only the order among siblings matters, so the
+   * whole list is sorted with one comparator.
+   * @param {Object[]} nodes - Group tree nodes with id, name and items.
+   * @param {string} mode - Group sort mode.
+   * @param {string[]} manualOrder - Group ids in manual order, used by 'manual'.
+   * @returns {Object[]} Sorted copy of the nodes.
+   */
+  static sortGroups(nodes, mode, manualOrder = []) {
+    const sorted = nodes.slice();
+
+    switch (mode) {
+      case 'name':
+        return sorted.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base', numeric: true }));
+      case 'size':
+        return sorted.sort((a, b) => b.items.length - a.items.length || a.name.localeCompare(b.name));
+      case 'activity': {
+        const latest = new Map(sorted.map(node => [node.id, this.getLatestUpdate(node.items)]));
+        return sorted.sort((a, b) => latest.get(b.id) - latest.get(a.id));
+      }
+      case 'manual': {
+        const rank = (node) => {
+          const index = manualOrder.indexOf(node.id);
+          return index === -1 ? Infinity : index;
+        };
+        return sorted.sort((a, b) => {
+          const diff = rank(a) - rank(b);
+          return isNaN(diff) ? 0 : diff;
+        });
+      }
+      default:
+        return sorted;
+    }
+  }
+
+  /**
+   * Sort repository items.
+   * @param {Element[]} items - Repository item elements.
+   * @param {string} mode - Repository sort mode.
+   * @returns {Element[]} Sorted copy of the items.
+   */
+  static sortRepos(items, mode) {
+    if (!mode || mode === 'default') return items.slice();
+
+    const repos = new Map(items.map(item => [item, RepositoryParser.parse(item)]));
+    const byName = (a, b) => repos.get(a).name.localeCompare(repos.get(b).name, undefined, { sensitivity: 'base', numeric: true });
+
+    switch (mode) {
+      case 'name':
+        return items.slice().sort(byName);
+      case 'stars':
+        return items.slice().sort((a, b) => repos.get(b).stars - repos.get(a).stars || byName(a, b));
+      case 'updated':
+        return items.slice().sort((a, b) => this.getTime(repos.get(b)) - this.getTime(repos.get(a)) || byName(a, b));
+      default:
+        return items.slice();
+    }
+  }
+
+  /**
+   * Get the most recent update time among items.
+   * @param {Element[]} items - Repository item elements.
+   * @returns {number} Timestamp, 0 when no item shows one.
+   */
+  static getLatestUpdate(items) {
+    return items.reduce((latest, item) => Math.max(latest, this.getTime(RepositoryParser.parse(item))), 0);
+  }
+
+  /**
+   * Get the update timestamp of a repository.
+   * @param {RepositoryModel} repo - Parsed repository.
+   * @returns {number} Timestamp, 0 when unknown.
+   */
+  static getTime(repo) {
+    return repo.updatedAt ? repo.updatedAt.getTime() : 0;
+  }
+}
+
+RepositorySorter.GROUP_SORTS = GROUP_SORTS;
+RepositorySorter.REPO_SORTS = REPO_SORTS;
+
+module.exports = RepositorySorter;
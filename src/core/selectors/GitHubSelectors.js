@@ -0,0 +1,85 @@
+/**
+ * GitHub Selectors - Every selector used to read GitHub's repository lists, by role.
+ * Each role lists its selectors from the current markup down to older fallbacks.
+ * Bump the version whenever an entry changes, so diagnostics show which set was in use.
+ */
+
+const GITHUB_SELECTORS = {
+  version: 4,
+  roles: {
+    // Repository lists.
+    container: [
+      '#user-repositories-list',
+      '#org-repositories-list',
+      '#user-starred-repos',
+      '[data-testid="repository-list-container"]',
+      '[data-filterable-for="your-repos-filter"]',
+      '[data-filterable-for="org-repos-filter"]',
+      '.js-repo-list',
+      'ul[data-test-selector="profile-repository-list"]',
+      'div[aria-label="Repositories"]',
+      'div[data-test-selector="org-repositories-list"]',
+      '[data-test-selector="org-repo-list"]',
+      '[data-testid="results-list"]',
+      'ul.repo-list',
+      'div:has(> article.border.rounded)'
+    ],
+
+    // Rows of a list. An entry may combine selectors that only match together.
+    item: [
+      '[itemprop="owns"]',
+      '[data-testid="repository-list-item"]',
+      'li[data-test-selector="repository-list-item"], div[data-test-selector="repository-list-item"]',
+      'div[data-testid="repository-item"]',
+      '.repo-list-item',
+      'li[itemprop="codeRepository"], div[itemprop="codeRepository"]',
+      '.Box-row',
+      '.public, .private, .source, .fork, .archived',
+      'div.col-12.d-block',
+      '[data-testid="results-list"] > div',
+      'article.border.rounded'
+    ],
+
+    // Fields of a row.
+    nameLink: [
+      'h3 a',
+      'a[itemprop="name codeRepository"]',
+      '.wb-break-all a',
+      '[data-testid="repository-name"]',
+      '[itemprop="name"]',
+      '.Link--primary',
+      'a[href*="/"][title]',
+      '.search-title a'
+    ],
+    description: ['[itemprop="description"]', '[data-testid="repository-description"]'],
+    language: ['[itemprop="programmingLanguage"]', '[data-testid="repository-language"]', '[aria-label$=" language"]'],
+    languageColor: ['.repo-language-color'],
+    stars: ['a[href$="/stargazers"]', '[data-testid="repository-stars"]', '[id^="repo-stars-counter"]'],
+    forks: ['a[href$="/forks"]', 'a[href$="/network/members"]', '[data-testid="repository-forks"]'],
+    topic: ['a.topic-tag', '[data-testid="topic-tag"]'],
+    label: ['.Label'],
+    updated: ['relative-time[datetime]', 'time-ago[datetime]', '[datetime]'],
+    starList: ['input.js-user-list-menu-item[checked]', '[role="menuitemcheckbox"][aria-checked="true"]'],
+
+    // Page landmarks.
+    controlsAnchor: [
+      '#user-repositories-list',
+      '#org-repositories-list',
+      '#user-starred-repos',
+      '[data-testid="repository-list-container"]',
+      'div[data-test-selector="org-repositories-list"]',
+      '.org-repos',
+      '#org-repositories',
+      '[data-testid="results-list"]',
+      'ul.repo-list',
+      'div:has(> article.border.rounded)'
+    ],
+    observeRoot: ['main[role="main"]', 'main'],
+    pagination: ['.paginate-container', '.pagination', 'nav[aria-label="Pagination"]', '[data-test-selector="pagination"]'],
+    nextPageLink: ['a[rel="next"]', 'a.next_page'],
+    previousPageLink: ['a[rel="prev"]', 'a.previous_page'],
+    emptyState: ['.blankslate', '[data-testid="blankslate"]', '.Blankslate']
+  }
+};
+
+module.exports = GITHUB_SELECTORS;
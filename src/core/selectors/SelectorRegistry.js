@@ -0,0 +1,137 @@
+/**
+ * Selector Registry - Looks up GitHub elements by role and records which selector matched.
+ */
+
+const GITHUB_SELECTORS = require('./GitHubSelectors.js');
+const Logger = require('../../utils/Logger.js');
+
+const logger = new Logger('SelectorRegistry');
+
+class SelectorRegistry {
+  /**
+   * Create selector registry instance.
+   * @param {Object} definitions - Selector set with version and roles, see GitHubSelectors.
+   */
+  constructor(definitions = GITHUB_SELECTORS) {
+    this.version = definitions.version;
+    this.roles = new Map(Object.entries(definitions.roles));
+    this.matches = new Map();
+    this.reported = new Set();
+  }
+
+  /**
+   * Get the selectors of a role, most current first.
+   * @param {string} role - Role name.
+   * @returns {string[]} Selectors.
+   */
+  get(role) {
+    if (!this.roles.has(role)) {
+      throw new Error(`Unknown selector role: ${role}`);
+    }
+    return this.roles.get(role);
+  }
+
+  /**
+   * Find the first element of a role, trying its selectors in order.
+   * @param {Document|Element} root - Element to search within.
+   * @param {string} role - Role name.
+   * @param {Function} accept - Filter for candidate elements.
+   * @returns {Element|null} First accepted element, or null.
+   */
+  query(root, role, accept = () => true) {
+    const found = this.queryAll(root, role, accept);
+    return found.length > 0 ? found[0] : null;
+  }
+
+  /**
+   * Find the elements of a role using the first of its selectors that matches.
+   * @param {Document|Element} root - Element to search within.
+   * @param {string} role - Role name.
+   * @param {Function} accept - Filter for candidate elements.
+   * @returns {Element[]} Accepted elements in document order, empty when no selector matches.
+   */
+  queryAll(root, role, accept = () => true) {
+    const selectors = this.get(role);
+
+    for (let index = 0; index < selectors.length; index++) {
+      let found;
+      try {
+        found = Array.from(root.querySelectorAll(selectors[index])).filter(accept);
+      } catch (e) {
+        logger.warn(`Invalid ${role} selector: ${selectors[index]}`);
+        continue;
+      }
+
+      if (found.length > 0) {
+        this.record(role, index);
+        return found;
+      }
+    }
+
+    return [];
+  }
+
+  /**
+   * Remember which selector of a role matched. Each fallback is logged the first time it is used.
+   * @param {string} role - Role name.
+   * @param {number} index - Index of the matching selector.
+   */
+  record(role, index) {
+    const selector = this.get(role)[index];
+    this.matches.set(role, { selector, index });
+
+    const key = `${role}#${index}`;
+    if (index > 0 && !this.reported.has(key)) {
+      this.reported.add(key);
+      logger.info(`${role} matched fallback #${index}: ${selector}`);
+    }
+  }
+
+  /**
+   * Get the selector that last matched for a role.
+   * @param {string} role - Role name.
+   * @returns {Object|null} Matching selector and its index, or null when the role never matched.
+   */
+  getMatch(role) {
+    return this.matches.get(role) || null;
+  }
+
+  /**
+   * Get the selector that last matched for every role that matched so far.
+   * @returns {Object<string, Object>} Matching selector and its index, by role.
+   */
+  getMatches() {
+    return Object.fromEntries(this.matches);
+  }
+
+  /**
+   * Check which roles match on a page, for reports when the markup is not recognised.
+   * @param {Document|Element} root - Element to check.
+   * @param {string[]} roles - Roles to check.
+   * @returns {Object} Selector set version and, per role, the matching selector or null.
+   */
+  diagnose(root = document, roles = ['container', 'item', 'nameLink']) {
+    const report = { version: this.version, roles: {} };
+
+    roles.forEach(role => {
+      report.roles[role] = this.query(root, role) ? this.getMatch(role).selector : null;
+    });
+
+    return report;
+  }
+
+  /**
+   * Get the registry shared by the extension.
+   * @returns {SelectorRegistry} Shared registry.
+   */
+  static getDefault() {
+    if (!SelectorRegistry.defaultRegistry) {
+      SelectorRegistry.defaultRegistry = new SelectorRegistry();
+    }
+    return SelectorRegistry.defaultRegistry;
+  }
+}
+
+SelectorRegistry.defaultRegistry = null;
+
+module.exports = SelectorRegistry;
@@ -45,6 +45,28 @@ class ThemeManager {
     }
   }
 
+  /**
+   * Re-apply the current theme, e.g. after GitHub swapped the page content.
+   */
+  applyCurrentTheme() {
+    if (this.isDarkMode) {
+      this.applyDarkTheme();
+    }
+  }
+
+  /**
+   * Switch the dark theme on or off.
+   * @param {boolean} enabled - True for the dark theme.
+   */
+  setDarkMode(enabled) {
+    this.isDarkMode = enabled;
+    if (enabled) {
+      this.applyDarkTheme();
+    } else {
+      this.removeDarkTheme();
+    }
+  }
+
   /**
    * Toggle between dark and light themes.
    */
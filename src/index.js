@@ -5,31 +5,103 @@
 const GitHubGitLabTheme = require('./main.js');
 
 const StorageManager = require('./storage/StorageManager.js');
+const SyncStorage = require('./storage/SyncStorage.js');
+const LegacyStorageMigration = require('./storage/LegacyStorageMigration.js');
+const DatabaseSchema = require('./storage/DatabaseSchema.js');
+const StorageAdapter = require('./storage/adapters/StorageAdapter.js');
+const ExtensionStorageAdapter = require('./storage/adapters/ExtensionStorageAdapter.js');
+const IndexedDBAdapter = require('./storage/adapters/IndexedDBAdapter.js');
+const MemoryAdapter = require('./storage/adapters/MemoryAdapter.js');
 const ThemeManager = require('./core/theme/ThemeManager.js');
 
 const RepositoryFinder = require('./core/repository/RepositoryFinder.js');
 const GroupManager = require('./core/repository/GroupManager.js');
+const GroupModel = require('./core/repository/GroupModel.js');
+const GroupRuleEngine = require('./core/repository/GroupRuleEngine.js');
+const RepositoryModel = require('./core/repository/RepositoryModel.js');
+const RepositoryParser = require('./core/repository/RepositoryParser.js');
+const GroupStatistics = require('./core/repository/GroupStatistics.js');
+const RepositorySorter = require('./core/repository/RepositorySorter.js');
+const RepositorySearch = require('./core/repository/RepositorySearch.js');
+const PageFetcher = require('./core/repository/PageFetcher.js');
+
+const GroupingStrategy = require('./core/grouping/GroupingStrategy.js');
+const StrategyRegistry = require('./core/grouping/StrategyRegistry.js');
+const LanguageStrategy = require('./core/grouping/LanguageStrategy.js');
+const TopicStrategy = require('./core/grouping/TopicStrategy.js');
+const VisibilityStrategy = require('./core/grouping/VisibilityStrategy.js');
+const RepoTypeStrategy = require('./core/grouping/RepoTypeStrategy.js');
+const UpdatedStrategy = require('./core/grouping/UpdatedStrategy.js');
+const OwnerStrategy = require('./core/grouping/OwnerStrategy.js');
+const StarListStrategy = require('./core/grouping/StarListStrategy.js');
+const PluginManager = require('./core/plugins/PluginManager.js');
 const RepositoryProcessor = require('./core/repository/RepositoryProcessor.js');
 const GroupDisplayManager = require('./core/repository/GroupDisplayManager.js');
 
+const GITHUB_SELECTORS = require('./core/selectors/GitHubSelectors.js');
+const SelectorRegistry = require('./core/selectors/SelectorRegistry.js');
+
 const GroupCard = require('./ui/components/GroupCard.js');
 const GroupControls = require('./ui/components/GroupControls.js');
+const CommandPalette = require('./ui/components/CommandPalette.js');
+const MarkupNotice = require('./ui/components/MarkupNotice.js');
+const DiagnosticsOverlay = require('./ui/components/DiagnosticsOverlay.js');
 const GroupManagerModal = require('./ui/managers/GroupManagerModal.js');
 
 const PageDetector = require('./utils/PageDetector.js');
+const RouteParser = require('./utils/RouteParser.js');
 const NavigationManager = require('./utils/NavigationManager.js');
+const GroupLink = require('./utils/GroupLink.js');
+const DomTransform = require('./utils/DomTransform.js');
+const Logger = require('./utils/Logger.js');
+const EventBus = require('./utils/EventBus.js');
 
 module.exports = {
   GitHubGitLabTheme,
   StorageManager,
+  SyncStorage,
+  LegacyStorageMigration,
+  DatabaseSchema,
+  StorageAdapter,
+  ExtensionStorageAdapter,
+  IndexedDBAdapter,
+  MemoryAdapter,
   ThemeManager,
   RepositoryFinder,
   GroupManager,
+  GroupModel,
+  GroupRuleEngine,
+  RepositoryModel,
+  RepositoryParser,
+  GroupStatistics,
+  RepositorySorter,
+  RepositorySearch,
+  PageFetcher,
+  GroupingStrategy,
+  StrategyRegistry,
+  LanguageStrategy,
+  TopicStrategy,
+  VisibilityStrategy,
+  RepoTypeStrategy,
+  UpdatedStrategy,
+  OwnerStrategy,
+  StarListStrategy,
+  PluginManager,
   RepositoryProcessor,
   GroupDisplayManager,
+  GITHUB_SELECTORS,
+  SelectorRegistry,
   GroupCard,
   GroupControls,
+  CommandPalette,
+  MarkupNotice,
+  DiagnosticsOverlay,
   GroupManagerModal,
   PageDetector,
-  NavigationManager
+  RouteParser,
+  NavigationManager,
+  GroupLink,
+  DomTransform,
+  Logger,
+  EventBus
 };
\ No newline at end of file
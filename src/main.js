@@ -7,14 +7,37 @@
 const StorageManager = require('./storage/StorageManager.js');
 const ThemeManager = require('./core/theme/ThemeManager.js');
 const PageDetector = require('./utils/PageDetector.js');
+const SelectorRegistry = require('./core/selectors/SelectorRegistry.js');
 const NavigationManager = require('./utils/NavigationManager.js');
+const GroupLink = require('./utils/GroupLink.js');
+const Logger = require('./utils/Logger.js');
+const EventBus = require('./utils/EventBus.js');
+const PluginManager = require('./core/plugins/PluginManager.js');
 const RepositoryFinder = require('./core/repository/RepositoryFinder.js');
+const RepositoryParser = require('./core/repository/RepositoryParser.js');
+const PageFetcher = require('./core/repository/PageFetcher.js');
 const GroupManager = require('./core/repository/GroupManager.js');
+const GroupModel = require('./core/repository/GroupModel.js');
+const GroupingStrategy = require('./core/grouping/GroupingStrategy.js');
+const StrategyRegistry = require('./core/grouping/StrategyRegistry.js');
+const LanguageStrategy = require('./core/grouping/LanguageStrategy.js');
+const TopicStrategy = require('./core/grouping/TopicStrategy.js');
+const VisibilityStrategy = require('./core/grouping/VisibilityStrategy.js');
+const RepoTypeStrategy = require('./core/grouping/RepoTypeStrategy.js');
+const UpdatedStrategy = require('./core/grouping/UpdatedStrategy.js');
+const OwnerStrategy = require('./core/grouping/OwnerStrategy.js');
+const StarListStrategy = require('./core/grouping/StarListStrategy.js');
 const RepositoryProcessor = require('./core/repository/RepositoryProcessor.js');
 const GroupDisplayManager = require('./core/repository/GroupDisplayManager.js');
+const GroupCard = require('./ui/components/GroupCard.js');
 const GroupControls = require('./ui/components/GroupControls.js');
+const CommandPalette = require('./ui/components/CommandPalette.js');
+const MarkupNotice = require('./ui/components/MarkupNotice.js');
+const DiagnosticsOverlay = require('./ui/components/DiagnosticsOverlay.js');
 const GroupManagerModal = require('./ui/managers/GroupManagerModal.js');
 
+const logger = new Logger('GitHubGitLabTheme');
+
 /**
  * Main extension class that orchestrates all functionality.
  */
@@ -22,43 +45,97 @@ class GitHubGitLabTheme {
   constructor() {
     this.storage = new StorageManager();
     this.themeManager = new ThemeManager();
-    this.repositoryFinder = new RepositoryFinder();
+    this.selectors = SelectorRegistry.getDefault();
+    this.repositoryFinder = new RepositoryFinder(this.selectors);
+    this.pageFetcher = new PageFetcher(this.repositoryFinder, this.storage);
     this.groupManager = null;
+    this.strategyRegistry = new StrategyRegistry();
+    this.events = new EventBus(GitHubGitLabTheme.EVENTS, 'lifecycle');
+    this.plugins = new PluginManager(this.events, this.strategyRegistry);
     this.repositoryProcessor = null;
-    this.groupDisplayManager = new GroupDisplayManager();
+    this.groupDisplayManager = new GroupDisplayManager(this.handleGroupChange.bind(this));
     this.navigationManager = null;
+    this.pendingNavigation = null;
+    this.stopRemoteSettings = null;
+    this.popStateListener = null;
+    this.isRestoringGroup = false;
+    this.groupLinked = false;
+    this.commandPalette = null;
+    this.groupControls = null;
+    this.diagnosticsOverlay = new DiagnosticsOverlay(() => this.handleToggleDebug(false));
     
     this.isProcessing = false;
     this.debounceTimer = null;
     this.groupingEnabled = true;
+    this.darkMode = true;
+    this.fetchAllPages = false;
+    this.debugMode = false;
+    this.groups = [];
     this.customGroups = new Set();
+    this.groupingRules = [];
+    this.subgroupDepth = 1;
+    this.owner = null;
+    this.repoAssignments = {};
+    this.groupingStrategy = 'name';
+    this.groupSort = 'default';
+    this.repoSort = 'default';
+    this.manualGroupOrder = [];
+    this.searchQuery = '';
+    this.listPath = null;
     this.observer = null;
+    this.markupStatus = 'unknown';
+    this.markupTimer = null;
   }
 
   /**
    * Initialize the extension.
    */
   async init() {
-    console.log('[GitHubGitLabTheme] Initializing extension...');
+    logger.info('Initializing extension...');
     
     await this.storage.init();
+    this.stopRemoteSettings = this.storage.onRemoteChange(this.handleRemoteSettings.bind(this));
     this.themeManager.init();
     
     await this.loadSettings();
+    this.applyDebugMode();
+    this.themeManager.setDarkMode(this.darkMode);
     
-    this.groupManager = new GroupManager(this.customGroups);
-    this.repositoryProcessor = new RepositoryProcessor(this.groupManager, this.showGroupRepos.bind(this));
+    this.groupManager = new GroupManager(this.customGroups, this.getGroupingRules());
+    this.groupManager.updateMaxDepth(this.subgroupDepth);
+    this.registerStrategies();
+    this.plugins.loadRegistered();
+    this.repositoryProcessor = new RepositoryProcessor(
+      this.groupManager,
+      this.showGroupRepos.bind(this),
+      this.handleAssignRepo.bind(this),
+      this.handleReorderGroups.bind(this),
+      this.events
+    );
+    await this.loadOwnerSettings();
     
-    this.navigationManager = new NavigationManager(this.handleNavigationChange.bind(this));
+    this.navigationManager = new NavigationManager();
+    this.navigationManager.on('beforeNavigate', this.handleBeforeNavigate.bind(this));
+    this.navigationManager.on('navigated', () => {
+      this.pendingNavigation = this.handleNavigationChange();
+    });
+    this.navigationManager.on('contentReady', this.handleContentReady.bind(this));
     this.navigationManager.init();
+
+    this.commandPalette = new CommandPalette(
+      this.getPaletteCommands.bind(this),
+      () => PageDetector.isRepositoryPage()
+    );
+    this.commandPalette.init();
+
+    this.popStateListener = this.handlePopState.bind(this);
+    window.addEventListener('popstate', this.popStateListener);
     
     if (document.readyState === 'loading') {
       document.addEventListener('DOMContentLoaded', () => this.run());
     } else {
       this.run();
     }
-    
-    setTimeout(() => this.run(), 1000);
   }
 
   /**
@@ -66,35 +143,210 @@ class GitHubGitLabTheme {
    */
   async loadSettings() {
     this.groupingEnabled = await this.storage.loadSetting('groupingEnabled', true);
+    this.darkMode = await this.storage.loadSetting('darkMode', true);
+    this.fetchAllPages = await this.storage.loadSetting('fetchAllPages', false);
+    this.debugMode = await this.storage.loadSetting('debugMode', false);
     
-    const customGroups = await this.storage.loadSetting('customGroups', []);
-    this.customGroups = new Set(customGroups);
+    this.groups = await this.storage.loadGroups();
+    this.customGroups = new Set(this.getOwnerGroups().map(group => group.name));
+
+    this.groupingRules = await this.storage.loadSetting('groupingRules', []);
+    this.subgroupDepth = await this.storage.loadSetting('subgroupDepth', 1);
     
-    console.log('[GitHubGitLabTheme] Settings loaded:', { 
+    logger.debug('Settings loaded:', { 
       groupingEnabled: this.groupingEnabled,
-      customGroups: Array.from(this.customGroups)
+      darkMode: this.darkMode,
+      fetchAllPages: this.fetchAllPages,
+      debugMode: this.debugMode,
+      groups: this.groups.map(group => group.name),
+      groupingRules: this.groupingRules,
+      subgroupDepth: this.subgroupDepth
+    });
+  }
+
+  /**
+   * Register the available "group by" strategies.
+   */
+  registerStrategies() {
+    [
+      this.groupManager,
+      new LanguageStrategy(),
+      new TopicStrategy(),
+      new VisibilityStrategy(),
+      new RepoTypeStrategy(),
+      new UpdatedStrategy(),
+      new OwnerStrategy(),
+      new StarListStrategy()
+    ].forEach(strategy => this.strategyRegistry.register(strategy));
+  }
+
+  /**
+   * Register a plugin, see PluginManager.register.
+   * @param {Object} plugin - Plugin with id and setup.
+   * @returns {boolean} True if the plugin was registered.
+   */
+  use(plugin) {
+    return this.plugins.register(plugin);
+  }
+
+  /**
+   * Load the manual assignments of the page owner, keyed by full repository
+   * name. Older versions keyed them by the name alone; those are the owner's
+   * own repositories and are saved again under their full name.
+   * @returns {Object<string, string>} Full repository names mapped to group names.
+   */
+  async loadAssignments() {
+    const saved = await this.storage.loadOwnerSetting(this.owner, 'repoAssignments', {});
+    const legacy = Object.keys(saved).filter(repo => !repo.includes('/'));
+    if (legacy.length === 0 || !this.owner) return saved;
+
+    const assignments = {};
+    Object.entries(saved).forEach(([repo, group]) => {
+      assignments[repo.includes('/') ? repo : `${this.owner}/${repo}`] = group;
     });
+    await this.storage.saveOwnerSetting(this.owner, 'repoAssignments', assignments);
+    logger.info(`Upgraded ${legacy.length} manual assignments`);
+    return assignments;
+  }
+
+  /**
+   * Load settings scoped to the owner of the current page.
+   */
+  async loadOwnerSettings() {
+    this.owner = PageDetector.getOwner();
+    this.repoAssignments = await this.loadAssignments();
+    this.groupingStrategy = await this.storage.loadOwnerSetting(this.owner, this.getStrategySettingKey(), this.getDefaultStrategy());
+    this.groupSort = await this.storage.loadOwnerSetting(this.owner, 'groupSort', 'default');
+    this.repoSort = await this.storage.loadOwnerSetting(this.owner, 'repoSort', 'default');
+    this.manualGroupOrder = await this.storage.loadOwnerSetting(this.owner, 'manualGroupOrder', []);
+    this.applyGroups();
+
+    if (this.groupManager) {
+      this.groupManager.updateAssignments(this.repoAssignments);
+    }
+
+    if (this.repositoryProcessor) {
+      this.repositoryProcessor.setStrategy(this.getActiveStrategy());
+      this.repositoryProcessor.setSorting({
+        groupSort: this.groupSort,
+        repoSort: this.repoSort,
+        manualOrder: this.manualGroupOrder
+      });
+    }
+  }
+
+  /**
+   * Get the selected grouping strategy, falling back to grouping by name
+   * when it is unknown or not offered on this list.
+   * @returns {GroupingStrategy} Active strategy.
+   */
+  getActiveStrategy() {
+    const strategy = this.strategyRegistry.get(this.groupingStrategy);
+    return strategy && strategy.isAvailableOn(PageDetector.getListType()) ? strategy : this.groupManager;
+  }
+
+  /**
+   * Get the strategies offered on the current list.
+   * @returns {GroupingStrategy[]} Available strategies in registration order.
+   */
+  getAvailableStrategies() {
+    const listType = PageDetector.getListType();
+    return this.strategyRegistry.list().filter(strategy => strategy.isAvailableOn(listType));
+  }
+
+  /**
+   * Get the owner setting that stores the strategy of the current list. The
+   * stars tab keeps its own, since its repositories belong to other owners.
+   * @returns {string} Setting key.
+   */
+  getStrategySettingKey() {
+    const listType = PageDetector.getListType();
+    return listType === 'repositories' ? 'groupingStrategy' : `${listType}GroupingStrategy`;
+  }
+
+  /**
+   * Check whether only the loaded part of the list can be grouped. Search
+   * results and topic pages are not fetched page by page, so the groups
+   * cover the results shown so far.
+   * @returns {boolean} True on search results and topic pages.
+   */
+  isLoadedOnlyList() {
+    return GitHubGitLabTheme.LOADED_ONLY_LISTS.includes(PageDetector.getListType());
+  }
+
+  /**
+   * Get the strategy used on the current list until the user picks one.
+   * @returns {string} Strategy identifier.
+   */
+  getDefaultStrategy() {
+    return GitHubGitLabTheme.DEFAULT_STRATEGIES[PageDetector.getListType()] || 'name';
   }
 
   /**
    * Main run method to process the current page.
    */
   run() {
-    if (!PageDetector.isRepositoryPage()) {
-      console.log('[GitHubGitLabTheme] Not a repository page, skipping processing');
+    if (!logger.time('Detect page', () => PageDetector.isRepositoryPage())) {
+      logger.debug('Not a repository page, skipping processing');
+      this.setMarkupStatus('unknown');
+      this.updateDiagnostics();
       return;
     }
     
-    this.themeManager.applyDarkTheme();
+    this.themeManager.applyCurrentTheme();
     
     const pageType = PageDetector.getPageType();
-    if (pageType === 'organization') {
-      console.log('[GitHubGitLabTheme] Organization page detected');
-    }
+    logger.debug(`Page type: ${pageType}`);
+    this.events.emit('pageDetected', { pageType, listType: PageDetector.getListType(), route: PageDetector.getRoute() });
     
     this.setupMutationObserver();
     this.addGroupControls();
     this.processRepositories();
+    this.scheduleMarkupCheck();
+  }
+
+  /**
+   * Check the page once GitHub has had time to render its list.
+   */
+  scheduleMarkupCheck() {
+    clearTimeout(this.markupTimer);
+    this.markupTimer = setTimeout(() => {
+      this.markupTimer = null;
+      this.checkMarkup();
+    }, GitHubGitLabTheme.MARKUP_CHECK_DELAY);
+  }
+
+  /**
+   * Work out whether the selectors recognised the page. A page whose URL lists
+   * repositories but that shows neither a list nor GitHub's empty state has
+   * markup the selectors do not know.
+   */
+  checkMarkup() {
+    if (document.querySelector('[data-gitlab-processed="true"]') || this.repositoryFinder.hasEmptyState()) {
+      this.setMarkupStatus('recognised');
+    } else if (PageDetector.expectsRepositoryList()) {
+      this.setMarkupStatus('unrecognised');
+    } else {
+      this.setMarkupStatus('unknown');
+    }
+  }
+
+  /**
+   * Update the markup status, reporting unrecognised markup with the selector diagnostics.
+   * @param {string} status - 'unknown', 'recognised' or 'unrecognised'.
+   */
+  setMarkupStatus(status) {
+    if (status === this.markupStatus) return;
+    this.markupStatus = status;
+
+    if (status === 'unrecognised') {
+      const report = this.selectors.diagnose(document);
+      logger.warn('Repository list markup not recognised', report);
+      new MarkupNotice(report).show();
+    } else {
+      MarkupNotice.remove();
+    }
+    this.updateDiagnostics();
   }
 
   /**
@@ -125,22 +377,15 @@ class GitHubGitLabTheme {
       }
     });
 
-    const targetSelectors = [
-      '#user-repositories-list',
-      '#org-repositories-list',
-      '[data-testid="repository-list-container"]',
-      'div[data-test-selector="org-repositories-list"]',
-      'main[role="main"]'
-    ];
+    const targets = this.selectors.queryAll(document, 'container');
+    const root = this.selectors.query(document, 'observeRoot');
+    if (root) targets.push(root);
 
-    targetSelectors.forEach(selector => {
-      const element = document.querySelector(selector);
-      if (element) {
-        this.observer.observe(element, {
-          childList: true,
-          subtree: true
-        });
-      }
+    targets.forEach(element => {
+      this.observer.observe(element, {
+        childList: true,
+        subtree: true
+      });
     });
   }
 
@@ -152,30 +397,204 @@ class GitHubGitLabTheme {
     this.isProcessing = true;
 
     try {
-      this.themeManager.applyDarkTheme();
+      this.themeManager.applyCurrentTheme();
       
-      const containers = this.repositoryFinder.findRepositoryContainers();
+      logger.time('Update changed lists', () => this.regroupUpdatedLists());
+
+      const containers = logger.time('Find containers', () => this.repositoryFinder.findRepositoryContainers());
+      this.events.emit('containersFound', { containers });
+      const activeGroup = this.getPreferredGroup();
       
-      containers.forEach(container => {
+      logger.time('Group repositories', () => containers.forEach(container => {
         const items = this.repositoryFinder.findRepositoryItems(container);
         
         if (items.length > 0) {
           if (!container.dataset.gitlabProcessed) {
+            this.announceRepos(container, items);
             if (this.groupingEnabled && this.groupManager) {
-              this.repositoryProcessor.createGroupCards(container, items);
+              this.repositoryProcessor.createGroupCards(container, items, activeGroup);
             } else {
               this.repositoryProcessor.displayAllRepos(container, items);
             }
             container.dataset.gitlabProcessed = 'true';
           }
         }
-      });
+      }));
+
+      this.listPath = window.location.pathname;
 
+      // A list that appears late clears an earlier report.
+      if (this.markupStatus === 'unrecognised') {
+        this.checkMarkup();
+      }
     } catch (e) {
-      console.error('[GitHubGitLabTheme] Error processing repositories:', e);
+      logger.error('Error processing repositories:', e);
     } finally {
       this.isProcessing = false;
     }
+
+    this.updateDiagnostics();
+
+    if (this.fetchAllPages) {
+      this.loadAllPages();
+    }
+  }
+
+  /**
+   * Get the group to show when a list is grouped. A group linked in the URL
+   * wins; otherwise the active group is kept while GitHub's filters reload
+   * the same list.
+   * @returns {string|null} Group identifier, or null for the default group.
+   */
+  getPreferredGroup() {
+    const linked = GroupLink.read();
+    if (linked) return linked;
+
+    return window.location.pathname === this.listPath
+      ? this.groupDisplayManager.getCurrentActiveGroup()
+      : null;
+  }
+
+  /**
+   * Update the groups of lists that GitHub has changed in place. Rows added
+   * to a list join its groups directly; lists that GitHub's Type, Language or
+   * Sort filters or its search box replaced are rebuilt, keeping the active group.
+   */
+  regroupUpdatedLists() {
+    const updated = this.repositoryFinder.findUpdatedContainers();
+    if (updated.length === 0) return;
+
+    const activeGroup = this.groupDisplayManager.getCurrentActiveGroup();
+
+    updated.forEach(({ container, items }) => {
+      this.announceRepos(container, items);
+      const newItems = items.filter(item => item.dataset.gitlabRow !== 'true');
+      if (this.groupingEnabled && newItems.length > 0 && this.repositoryProcessor.canAddRows(container)) {
+        this.addGroupedRows(container, newItems);
+        return;
+      }
+
+      logger.info(`Repository list changed, regrouping ${items.length} repositories`);
+      this.resetSearch();
+      // The new list may be filtered differently, so its other pages are loaded again.
+      delete container.dataset.gitlabAllPages;
+
+      if (this.groupingEnabled && this.groupManager) {
+        this.repositoryProcessor.rebuild(container, items, activeGroup);
+      } else {
+        this.repositoryProcessor.restore(container);
+        this.repositoryProcessor.markRows(container, items);
+      }
+    });
+  }
+
+  /**
+   * Get the repository list being grouped on this page.
+   * @returns {Element|null} Processed list container.
+   */
+  getListContainer() {
+    return document.querySelector('[data-gitlab-processed="true"]');
+  }
+
+  /**
+   * Get the repository rows of a processed container, grouped or not.
+   * @param {Element} container - Processed container element.
+   * @returns {Element[]} Repository item elements.
+   */
+  getListItems(container) {
+    return this.repositoryFinder.findRepositoryItems(container);
+  }
+
+  /**
+   * Fetch the other pages of the list and merge their repositories into the groups.
+   * Runs once per list; progress is shown above the group cards.
+   */
+  async loadAllPages() {
+    const container = this.getListContainer();
+    if (!container || container.dataset.gitlabAllPages || this.isLoadedOnlyList() || !this.pageFetcher.hasMorePages()) return;
+
+    container.dataset.gitlabAllPages = 'loading';
+
+    try {
+      const items = await logger.time('Load all pages', () => this.pageFetcher.fetchAll((progress) => {
+        this.repositoryProcessor.showPageProgress(container, progress);
+      }));
+
+      const known = new Set(this.getListItems(container).map(item => RepositoryParser.parse(item).fullName));
+      const newItems = items.filter(item => !known.has(RepositoryParser.parse(item).fullName));
+
+      this.addRepositories(container, newItems);
+      container.dataset.gitlabAllPages = 'loaded';
+    } catch (error) {
+      logger.error('Failed to load all pages:', error);
+      delete container.dataset.gitlabAllPages;
+    } finally {
+      this.repositoryProcessor.hidePageProgress(container);
+      this.updateDiagnostics();
+    }
+  }
+
+  /**
+   * Add repository rows to a processed container and rebuild its groups.
+   * @param {Element} container - Processed container element.
+   * @param {Element[]} items - Repository item elements to add.
+   */
+  addRepositories(container, items) {
+    if (items.length === 0) return;
+    this.announceRepos(container, this.getListItems(container).concat(items));
+
+    if (this.repositoryProcessor.canAddRows(container)) {
+      this.repositoryProcessor.appendRows(container, items);
+      this.addGroupedRows(container, items);
+      return;
+    }
+
+    this.resetSearch();
+    const activeGroup = this.groupDisplayManager.getCurrentActiveGroup();
+
+    if (container.classList.contains('gitlab-grouped-repositories')) {
+      this.repositoryProcessor.regroup(container, activeGroup, items);
+      return;
+    }
+
+    this.repositoryProcessor.appendRows(container, items);
+    this.repositoryProcessor.markRows(container, items);
+    if (this.groupingEnabled) {
+      this.repositoryProcessor.createGroupCards(container, this.repositoryFinder.findRepositoryItems(container), activeGroup);
+    }
+  }
+
+  /**
+   * Tell plugins which repositories a list holds, each time they are grouped
+   * again or rows join the list. Rows are only parsed when someone listens.
+   * @param {Element} container - Processed container element.
+   * @param {Element[]} items - Every repository item element of the list.
+   */
+  announceRepos(container, items = this.getListItems(container)) {
+    if (this.events.has('reposParsed')) {
+      this.events.emit('reposParsed', { container, repos: items.map(item => RepositoryParser.parse(item)) });
+    }
+  }
+
+  /**
+   * Add new rows to the groups of a list without rebuilding it.
+   * @param {Element} container - Grouped container element.
+   * @param {Element[]} items - New repository item elements, already in the list.
+   */
+  addGroupedRows(container, items) {
+    const cards = this.repositoryProcessor.addRows(container, items);
+    this.groupDisplayManager.addRows(container, items, cards);
+  }
+
+  /**
+   * Remove repositories that were loaded from other pages.
+   */
+  removeFetchedRepositories() {
+    document.querySelectorAll('[data-gitlab-processed="true"]').forEach(container => {
+      container.querySelectorAll('[data-gitlab-fetched="true"]').forEach(item => item.remove());
+      delete container.dataset.gitlabAllPages;
+    });
+    this.refreshGrouping();
   }
 
   /**
@@ -185,27 +604,43 @@ class GitHubGitLabTheme {
     const existingControls = document.querySelector('.gitlab-group-controls');
     if (existingControls) return;
 
-    const repoSections = [
-      '#user-repositories-list',
-      '#org-repositories-list',
-      '[data-testid="repository-list-container"]',
-      'div[data-test-selector="org-repositories-list"]',
-      '.org-repos',
-      '#org-repositories'
-    ];
+    const container = this.selectors.query(document, 'controlsAnchor');
+    if (!container) return;
 
-    for (const selector of repoSections) {
-      const container = document.querySelector(selector);
-      if (container && !container.previousElementSibling?.classList.contains('gitlab-group-controls')) {
-        const controls = new GroupControls(
-          this.handleToggleGrouping.bind(this),
-          this.showGroupManager.bind(this),
-          this.groupingEnabled
-        );
-        container.parentNode.insertBefore(controls.create(), container);
-        break;
-      }
-    }
+    this.groupControls = new GroupControls({
+      onToggleGrouping: this.handleToggleGrouping.bind(this),
+      onManageGroups: this.showGroupManager.bind(this),
+      groupingEnabled: this.groupingEnabled,
+      strategies: this.getAvailableStrategies().map(({ id, label }) => ({ id, label })),
+      activeStrategy: this.getActiveStrategy().id,
+      onStrategyChange: this.handleStrategyChange.bind(this),
+      sorting: {
+        groupSort: this.groupSort,
+        repoSort: this.repoSort,
+        onChange: this.handleSortChange.bind(this)
+      },
+      onSearch: this.handleSearch.bind(this),
+      allPages: {
+        enabled: this.fetchAllPages,
+        available: !this.isLoadedOnlyList(),
+        onToggle: this.handleToggleAllPages.bind(this)
+      },
+      debug: {
+        enabled: this.debugMode,
+        onToggle: this.handleToggleDebug.bind(this)
+      },
+      note: this.isLoadedOnlyList() ? 'Grouping applies only to the results loaded on this page' : '',
+      buttons: this.plugins.getToolbarButtons()
+    });
+    container.parentNode.insertBefore(this.groupControls.create(), container);
+  }
+
+  /**
+   * Remove the controls bar so the next addGroupControls rebuilds it.
+   */
+  removeGroupControls() {
+    document.querySelectorAll('.gitlab-group-controls').forEach(controls => controls.remove());
+    this.groupControls = null;
   }
 
   /**
@@ -215,19 +650,225 @@ class GitHubGitLabTheme {
   handleToggleGrouping(enabled) {
     this.groupingEnabled = enabled;
     this.saveSetting('groupingEnabled', enabled);
+    this.applyGroupingEnabled();
+  }
+
+  /**
+   * Process the lists again after grouping was turned on or off.
+   */
+  applyGroupingEnabled() {
+    this.resetSearch();
+
+    // Put GitHub's list back exactly as it was, then process it again in the new mode.
+    document.querySelectorAll('[data-gitlab-processed="true"]').forEach(container => {
+      this.repositoryProcessor.restore(container);
+      delete container.dataset.gitlabProcessed;
+      delete container.dataset.gitlabAllPages;
+    });
+
     this.repositoryFinder.clearProcessedCache();
     this.processRepositories();
   }
 
+  /**
+   * Handle the "All pages" toggle.
+   * @param {boolean} enabled - Whether to group repositories from every page.
+   */
+  async handleToggleAllPages(enabled) {
+    this.fetchAllPages = enabled;
+    await this.saveSetting('fetchAllPages', enabled);
+
+    if (enabled) {
+      await this.loadAllPages();
+    } else {
+      this.removeFetchedRepositories();
+    }
+  }
+
+  /**
+   * Handle "group by" strategy change.
+   * @param {string} strategyId - Selected strategy identifier.
+   */
+  async handleStrategyChange(strategyId) {
+    this.groupingStrategy = strategyId;
+    await this.saveOwnerSetting(this.getStrategySettingKey(), strategyId);
+
+    this.repositoryProcessor.setStrategy(this.getActiveStrategy());
+    this.refreshGrouping();
+  }
+
+  /**
+   * Handle group or repository sort change.
+   * @param {string} kind - 'groupSort' or 'repoSort'.
+   * @param {string} mode - Selected sort mode.
+   */
+  async handleSortChange(kind, mode) {
+    this[kind] = mode;
+    await this.saveOwnerSetting(kind, mode);
+
+    this.repositoryProcessor.setSorting({ [kind]: mode });
+    this.refreshGrouping();
+  }
+
+  /**
+   * Handle a new manual group card order.
+   * @param {string[]} order - Group ids in their new order.
+   */
+  async handleReorderGroups(order) {
+    this.manualGroupOrder = order;
+    await this.saveOwnerSetting('manualGroupOrder', order);
+    this.repositoryProcessor.setSorting({ manualOrder: order });
+  }
+
+  /**
+   * Handle the live search query.
+   * @param {string} query - Search query; empty clears the search.
+   */
+  handleSearch(query) {
+    this.searchQuery = query.trim();
+
+    this.getGroupedContainers().forEach(container => {
+      this.groupDisplayManager.applySearch(container, this.searchQuery);
+    });
+  }
+
+  /**
+   * End any running search, e.g. before the groups are rebuilt.
+   */
+  resetSearch() {
+    this.searchQuery = '';
+    document.querySelectorAll('.gitlab-search-input').forEach(input => {
+      input.value = '';
+    });
+    this.getGroupedContainers().forEach(container => {
+      this.groupDisplayManager.clearSearch(container);
+    });
+  }
+
+  /**
+   * Handle switching between the dark and light theme.
+   */
+  async handleToggleTheme() {
+    this.darkMode = !this.darkMode;
+    this.themeManager.setDarkMode(this.darkMode);
+    await this.saveSetting('darkMode', this.darkMode);
+  }
+
+  /**
+   * Get the grouped containers.
+   * @returns {Element[]} Grouped container elements.
+   */
+  getGroupedContainers() {
+    return Array.from(document.querySelectorAll('.gitlab-grouped-repositories'));
+  }
+
+  /**
+   * Build the command palette entries for the current page.
+   * Actions run through the same handlers as the controls bar, which is
+   * rebuilt afterwards so it shows the new state.
+   * @returns {Object[]} Commands, each with type, label, hint and run.
+   */
+  getPaletteCommands() {
+    const commands = [];
+    const seenRepos = new Set();
+
+    this.getGroupedContainers().forEach(container => {
+      GroupCard.findAll(container).forEach(card => {
+        const groupId = card.dataset.groupId;
+        commands.push({
+          type: 'group',
+          label: groupId === 'all' ? 'All Repositories' : groupId.split(GroupingStrategy.PATH_SEPARATOR).join(' \u203A '),
+          hint: 'Group',
+          run: () => this.groupDisplayManager.showGroupRepos(groupId, container)
+        });
+      });
+    });
+
+    document.querySelectorAll('[data-gitlab-processed="true"]').forEach(container => {
+      this.getListItems(container).forEach(item => {
+        const repo = RepositoryParser.parse(item);
+        if (!repo.url || seenRepos.has(repo.url)) return;
+        seenRepos.add(repo.url);
+
+        commands.push({
+          type: 'repo',
+          label: repo.fullName || repo.name,
+          hint: 'Repository',
+          run: () => window.location.assign(repo.url)
+        });
+      });
+    });
+
+    const withControls = (handler) => async () => {
+      try {
+        await handler();
+      } finally {
+        this.removeGroupControls();
+        this.addGroupControls();
+      }
+    };
+
+    commands.push({
+      type: 'action',
+      label: this.groupingEnabled ? 'Disable grouping' : 'Enable grouping',
+      hint: 'Action',
+      run: withControls(() => this.handleToggleGrouping(!this.groupingEnabled))
+    });
+
+    if (!this.isLoadedOnlyList()) {
+      commands.push({
+        type: 'action',
+        label: this.fetchAllPages ? 'Group this page only' : 'Group all pages',
+        hint: 'Action',
+        run: withControls(() => this.handleToggleAllPages(!this.fetchAllPages))
+      });
+    }
+
+    commands.push({
+      type: 'action',
+      label: 'Manage groups',
+      hint: 'Action',
+      run: () => this.showGroupManager()
+    });
+
+    commands.push({
+      type: 'action',
+      label: this.darkMode ? 'Switch to light theme' : 'Switch to dark theme',
+      hint: 'Action',
+      run: () => this.handleToggleTheme()
+    });
+
+    this.getAvailableStrategies()
+      .filter(strategy => strategy.id !== this.getActiveStrategy().id)
+      .forEach(strategy => {
+        commands.push({
+          type: 'action',
+          label: `Group by ${strategy.label}`,
+          hint: 'Action',
+          run: withControls(() => this.handleStrategyChange(strategy.id))
+        });
+      });
+
+    return commands;
+  }
+
   /**
    * Show group management modal.
    */
   showGroupManager() {
-    const modal = new GroupManagerModal(
-      this.customGroups,
-      this.handleAddGroup.bind(this),
-      this.handleRemoveGroup.bind(this)
-    );
+    const modal = new GroupManagerModal({
+      customGroups: this.customGroups,
+      onAddGroup: this.handleAddGroup.bind(this),
+      onRemoveGroup: this.handleRemoveGroup.bind(this),
+      rules: this.groupingRules,
+      onUpdateRules: this.handleUpdateRules.bind(this),
+      assignments: this.repoAssignments,
+      onClearAssignment: (fullName) => this.handleAssignRepo(fullName, null),
+      subgroupDepth: this.subgroupDepth,
+      onUpdateDepth: this.handleUpdateDepth.bind(this),
+      debugMode: this.debugMode,
+      onToggleDebug: this.handleToggleDebug.bind(this)
+    });
     modal.show();
   }
 
@@ -236,15 +877,12 @@ class GitHubGitLabTheme {
    * @param {string} groupName - Group name to add.
    */
   async handleAddGroup(groupName) {
-    this.customGroups.add(groupName);
+    const order = this.groups.reduce((last, group) => Math.max(last, group.order + 1), 0);
+    this.groups.push(new GroupModel({ name: groupName, order }));
     await this.saveCustomGroups();
+    this.applyGroups();
     
-    if (this.groupManager) {
-      this.groupManager.updateCustomGroups(this.customGroups);
-    }
-    
-    this.repositoryFinder.clearProcessedCache();
-    this.processRepositories();
+    this.refreshGrouping();
   }
 
   /**
@@ -252,22 +890,194 @@ class GitHubGitLabTheme {
    * @param {string} groupName - Group name to remove.
    */
   async handleRemoveGroup(groupName) {
-    this.customGroups.delete(groupName);
+    this.groups = this.groups.filter(group => group.name !== groupName || !group.appliesTo(this.owner));
     await this.saveCustomGroups();
+    this.applyGroups();
     
+    this.refreshGrouping();
+  }
+
+  /**
+   * Handle changes to the ordered grouping rules.
+   * @param {Object[]} rules - New ordered grouping rules.
+   */
+  async handleUpdateRules(rules) {
+    this.groupingRules = rules;
+    await this.saveSetting('groupingRules', rules);
+
+    if (this.groupManager) {
+      this.groupManager.updateRules(this.getGroupingRules());
+    }
+
+    this.refreshGrouping();
+  }
+
+  /**
+   * Handle changes to the maximum subgroup depth.
+   * @param {number} depth - New maximum depth; 1 keeps grouping flat.
+   */
+  async handleUpdateDepth(depth) {
+    this.subgroupDepth = depth;
+    await this.saveSetting('subgroupDepth', depth);
+
+    if (this.groupManager) {
+      this.groupManager.updateMaxDepth(depth);
+    }
+
+    this.refreshGrouping();
+  }
+
+  /**
+   * Manually assign a repository to a group, or clear its assignment.
+   * Dropping a repository on "All Repositories" clears the assignment.
+   * @param {string} fullName - Full repository name, `owner/name`.
+   * @param {string|null} groupId - Target group, or null/'all' to clear.
+   */
+  async handleAssignRepo(fullName, groupId) {
+    const assignments = { ...this.repoAssignments };
+
+    if (!groupId || groupId === 'all') {
+      delete assignments[fullName];
+    } else {
+      assignments[fullName] = groupId;
+    }
+
+    this.repoAssignments = assignments;
+    await this.saveOwnerSetting('repoAssignments', assignments);
+
+    if (this.groupManager) {
+      this.groupManager.updateAssignments(assignments);
+    }
+
+    this.refreshGrouping();
+  }
+
+  /**
+   * Turn debug mode on or off from the controls, the settings or the overlay.
+   * @param {boolean} enabled - New debug mode state.
+   */
+  async handleToggleDebug(enabled) {
+    this.debugMode = enabled;
+    this.applyDebugMode();
+
+    if (this.groupControls) {
+      this.groupControls.updateDebugMode(enabled);
+    }
+
+    try {
+      await this.saveSetting('debugMode', enabled);
+    } catch (error) {
+      logger.error('Failed to save debug mode:', error);
+    }
+  }
+
+  /**
+   * Apply the debug mode: log everything and show the overlay, or only report errors.
+   */
+  applyDebugMode() {
+    Logger.setLevel(this.debugMode ? 'debug' : Logger.DEFAULT_LEVEL);
+
+    if (this.debugMode) {
+      this.updateDiagnostics();
+    } else {
+      this.diagnosticsOverlay.hide();
+    }
+  }
+
+  /**
+   * Refresh the diagnostics overlay while debug mode is on.
+   */
+  updateDiagnostics() {
+    if (this.debugMode) {
+      this.diagnosticsOverlay.show(this.getDiagnostics());
+    }
+  }
+
+  /**
+   * Collect what was detected on the page: page type, matching selectors,
+   * repository lists, the group of every repository and step timings.
+   * @returns {Object} Diagnostics report.
+   */
+  getDiagnostics() {
+    const containers = Array.from(document.querySelectorAll('[data-gitlab-processed="true"]'));
+
+    return {
+      pageType: PageDetector.getPageType(),
+      path: window.location.pathname + window.location.search,
+      markupStatus: this.markupStatus,
+      selectors: { version: this.selectors.version, matches: this.selectors.getMatches() },
+      containers: containers.map(container => ({
+        name: container.id ? `#${container.id}` : container.tagName.toLowerCase(),
+        items: this.getListItems(container).length,
+        groups: Math.max(GroupCard.findAll(container).length - 1, 0)
+      })),
+      assignments: containers.flatMap(container => this.getListItems(container).map(item => ({
+        repo: RepositoryParser.getName(item),
+        group: item.dataset.gitlabGroup || 'ungrouped'
+      }))),
+      timings: Logger.getTimings()
+    };
+  }
+
+  /**
+   * Rebuild groups in every processed container, keeping the active group.
+   * Containers that ended up with a single group are grouped again too.
+   * A running search is cleared first, since its rows are about to move.
+   */
+  refreshGrouping() {
+    this.resetSearch();
+    const activeGroup = this.groupDisplayManager.getCurrentActiveGroup();
+
+    logger.time('Regroup', () => document.querySelectorAll('[data-gitlab-processed="true"]').forEach(container => {
+      if (container.classList.contains('gitlab-grouped-repositories')) {
+        this.announceRepos(container);
+        this.repositoryProcessor.regroup(container, activeGroup);
+      } else if (this.groupingEnabled) {
+        const items = this.repositoryFinder.findRepositoryItems(container);
+        this.announceRepos(container, items);
+        this.repositoryProcessor.createGroupCards(container, items, activeGroup);
+      }
+    }));
+    this.updateDiagnostics();
+  }
+
+  /**
+   * Get the custom groups that apply to the current page's owner.
+   * @returns {GroupModel[]} Groups in their order.
+   */
+  getOwnerGroups() {
+    return this.groups.filter(group => group.appliesTo(this.owner));
+  }
+
+  /**
+   * Get the grouping rules followed by the rules of the owner's custom groups.
+   * @returns {Object[]} Ordered rules.
+   */
+  getGroupingRules() {
+    return [
+      ...this.groupingRules,
+      ...this.getOwnerGroups().flatMap(group => group.getRules())
+    ];
+  }
+
+  /**
+   * Hand the custom groups of the current page's owner to the group manager.
+   */
+  applyGroups() {
+    this.customGroups = new Set(this.getOwnerGroups().map(group => group.name));
+
     if (this.groupManager) {
       this.groupManager.updateCustomGroups(this.customGroups);
+      this.groupManager.updateRules(this.getGroupingRules());
     }
-    
-    this.repositoryFinder.clearProcessedCache();
-    this.processRepositories();
   }
 
   /**
    * Save custom groups to storage.
    */
   async saveCustomGroups() {
-    await this.storage.saveSetting('customGroups', Array.from(this.customGroups));
+    await this.storage.saveGroups(this.groups);
+    this.events.emit('settingsChanged', { key: 'groups', value: this.groups, owner: null });
   }
 
   /**
@@ -277,6 +1087,17 @@ class GitHubGitLabTheme {
    */
   async saveSetting(key, value) {
     await this.storage.saveSetting(key, value);
+    this.events.emit('settingsChanged', { key, value, owner: null });
+  }
+
+  /**
+   * Save a setting of the current page's owner to storage.
+   * @param {string} key - Setting key.
+   * @param {*} value - Setting value.
+   */
+  async saveOwnerSetting(key, value) {
+    await this.storage.saveOwnerSetting(this.owner, key, value);
+    this.events.emit('settingsChanged', { key, value, owner: this.owner });
   }
 
   /**
@@ -285,32 +1106,119 @@ class GitHubGitLabTheme {
    * @param {Element} card - Group card element.
    */
   showGroupRepos(groupId, card) {
-    const groupedContainer = card.closest('.gitlab-grouped-repositories') || 
-                          card.parentElement.closest('.gitlab-grouped-repositories') ||
-                          document.querySelector('.gitlab-grouped-repositories');
+    const groupedContainer = card ? GroupCard.getList(card) : null;
     
-    console.log(`[GitHubGitLabTheme] Showing repos for group: ${groupId}`);
+    logger.debug(`Showing repos for group: ${groupId}`);
     
     if (groupedContainer) {
       this.groupDisplayManager.showGroupRepos(groupId, groupedContainer);
     } else {
-      console.error(`[GitHubGitLabTheme] Could not find grouped repositories container`);
-      const allGroupedContainers = document.querySelectorAll('.gitlab-grouped-repositories');
-      if (allGroupedContainers.length > 0) {
-        this.groupDisplayManager.showGroupRepos(groupId, allGroupedContainers[0]);
-      }
+      logger.error(`Could not find the list of group: ${groupId}`);
+    }
+  }
+
+  /**
+   * Announce the shown group and link it in the URL. The first group shown on a page
+   * replaces the history entry; later selections add one each, so back
+   * and forward step through them.
+   * @param {string} groupId - Shown group identifier.
+   */
+  handleGroupChange(groupId) {
+    this.events.emit('groupShown', { groupId });
+    if (this.isRestoringGroup) return;
+
+    const replace = !this.groupLinked;
+    this.groupLinked = true;
+
+    if ((GroupLink.read() || 'all') === groupId) return;
+    GroupLink.write(groupId, replace);
+  }
+
+  /**
+   * Show the group linked in the URL after back or forward.
+   */
+  handlePopState() {
+    const containers = this.getGroupedContainers();
+    const groupIds = containers.flatMap(container => GroupCard.findAll(container).map(card => card.dataset.groupId));
+    const groupId = GroupLink.read(groupIds) || 'all';
+    if (groupId === this.groupDisplayManager.getCurrentActiveGroup()) return;
+
+    this.isRestoringGroup = true;
+    try {
+      containers.forEach(container => {
+        if (GroupCard.find(container, groupId)) {
+          this.groupDisplayManager.showGroupRepos(groupId, container);
+        }
+      });
+    } finally {
+      this.isRestoringGroup = false;
     }
   }
 
+  /**
+   * Stop pending work for the page that is being left.
+   */
+  handleBeforeNavigate() {
+    if (this.observer) this.observer.disconnect();
+    clearTimeout(this.debounceTimer);
+    clearTimeout(this.markupTimer);
+    this.markupTimer = null;
+  }
+
   /**
    * Handle navigation changes.
    */
-  handleNavigationChange() {
-    console.log('[GitHubGitLabTheme] Handling navigation change');
+  async handleNavigationChange() {
+    logger.info('Handling navigation change');
     this.repositoryFinder.clearProcessedCache();
+    this.groupLinked = false;
+    Logger.clearTimings();
+    this.setMarkupStatus('unknown');
+    await this.loadOwnerSettings();
+
+    // Controls reflect per-owner settings, so rebuild them for the new page.
+    this.removeGroupControls();
+  }
+
+  /**
+   * Process the page once its content has been rendered, after the settings
+   * of a navigation to it have loaded.
+   */
+  async handleContentReady() {
+    await this.pendingNavigation;
     this.run();
   }
 
+  /**
+   * Apply settings changed on another device to this page.
+   * @param {string[]} keys - Changed setting keys.
+   */
+  async handleRemoteSettings(keys) {
+    logger.info(`Applying settings synced from another device: ${keys.join(', ')}`);
+    const wasGrouping = this.groupingEnabled;
+
+    await this.loadSettings();
+    this.applyDebugMode();
+    this.themeManager.setDarkMode(this.darkMode);
+
+    if (this.groupManager) {
+      this.groupManager.updateMaxDepth(this.subgroupDepth);
+    }
+    // Also hands the groups and rules to the group manager.
+    await this.loadOwnerSettings();
+
+    this.removeGroupControls();
+    if (!PageDetector.isRepositoryPage()) return;
+    this.addGroupControls();
+
+    // The new values are already stored, so they are applied without saving them again.
+    if (wasGrouping !== this.groupingEnabled) {
+      this.applyGroupingEnabled();
+    } else {
+      this.refreshGrouping();
+    }
+  }
+
   /**
    * Destroy the extension and cleanup.
    */
@@ -318,12 +1226,38 @@ class GitHubGitLabTheme {
     if (this.observer) {
       this.observer.disconnect();
     }
+    clearTimeout(this.markupTimer);
+    this.diagnosticsOverlay.hide();
     if (this.navigationManager) {
       this.navigationManager.destroy();
     }
+    if (this.commandPalette) {
+      this.commandPalette.destroy();
+    }
+    if (this.popStateListener) {
+      window.removeEventListener('popstate', this.popStateListener);
+    }
+    this.plugins.destroy();
+    if (this.stopRemoteSettings) {
+      this.stopRemoteSettings();
+    }
   }
 }
 
+GitHubGitLabTheme.MARKUP_CHECK_DELAY = 3000;
+
+GitHubGitLabTheme.DEFAULT_STRATEGIES = {
+  repositories: 'name',
+  stars: 'owner',
+  search: 'owner',
+  topic: 'owner'
+};
+
+GitHubGitLabTheme.LOADED_ONLY_LISTS = ['search', 'topic'];
+
+// Lifecycle events on GitHubGitLabTheme.events, in the order a page goes through them.
+GitHubGitLabTheme.EVENTS = ['pageDetected', 'containersFound', 'reposParsed', 'groupsComputed', 'groupShown', 'settingsChanged'];
+
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = GitHubGitLabTheme;
 } else {
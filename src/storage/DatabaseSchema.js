@@ -0,0 +1,89 @@
+/**
+ * Database Schema - The versions of the IndexedDB database and the steps that upgrade it.
+ */
+
+const GroupModel = require('../core/repository/GroupModel.js');
+const Logger = require('../utils/Logger.js');
+
+const logger = new Logger('IndexedDB');
+
+class DatabaseSchema {
+  /**
+   * Declare the schema versions on a database. Dexie runs the upgrade step of
+   * every version newer than the one the database was opened with before.
+   * @param {Dexie} db - Unopened database.
+   * @param {number} version - Newest version to declare; older versions are for tests.
+   */
+  static apply(db, version = DatabaseSchema.LATEST) {
+    DatabaseSchema.VERSIONS
+      .filter(step => step.version <= version)
+      .forEach(step => {
+        const declared = db.version(step.version).stores(step.stores);
+        if (step.upgrade) declared.upgrade(step.upgrade);
+      });
+  }
+
+  /**
+   * Turn the `customGroups` setting, a list of group names, into group records.
+   * @param {Transaction} tx - Upgrade transaction.
+   */
+  static async upgradeCustomGroups(tx) {
+    const settings = tx.table('settings').where('key').equals(DatabaseSchema.LEGACY_GROUPS_KEY);
+    const rows = await settings.toArray();
+    const names = rows.length > 0 ? rows[rows.length - 1].value : null;
+
+    if (Array.isArray(names)) {
+      const groups = GroupModel.fromNames(names);
+      await tx.table('groups').bulkPut(groups.map(group => group.toRecord()));
+      await tx.table('settings').add({ key: DatabaseSchema.GROUPS_SAVED_KEY, value: true });
+      logger.info(`Upgraded ${groups.length} custom groups`);
+    }
+
+    await settings.delete();
+  }
+}
+
+DatabaseSchema.NAME = 'GitHubGitLabThemeDB';
+
+// Setting that held the custom group names before groups had their own table.
+DatabaseSchema.LEGACY_GROUPS_KEY = 'customGroups';
+
+// Setting that records that groups were saved, so an empty groups table means
+// the user has no groups rather than that they were never upgraded.
+DatabaseSchema.GROUPS_SAVED_KEY = 'groupsSaved';
+
+// Each version lists only the tables it adds, changes or deletes (null).
+DatabaseSchema.VERSIONS = [
+  {
+    version: 1,
+    stores: {
+      settings: '++id, key, value',
+      groups: '++id, name, created'
+    }
+  },
+  {
+    version: 2,
+    stores: {
+      cache: 'key, updated'
+    }
+  },
+  {
+    // The version 1 groups table was never used. IndexedDB cannot change its
+    // primary key, so it is deleted and created again in version 4.
+    version: 3,
+    stores: {
+      groups: null
+    }
+  },
+  {
+    version: 4,
+    stores: {
+      groups: 'id, name, owner, order, updated'
+    },
+    upgrade: DatabaseSchema.upgradeCustomGroups
+  }
+];
+
+DatabaseSchema.LATEST = DatabaseSchema.VERSIONS[DatabaseSchema.VERSIONS.length - 1].version;
+
+module.exports = DatabaseSchema;
@@ -0,0 +1,116 @@
+/**
+ * Legacy Storage Migration - Moves settings that older versions kept in
+ * github.com cookies and localStorage into the storage adapters.
+ */
+
+const DatabaseSchema = require('./DatabaseSchema.js');
+const Logger = require('../utils/Logger.js');
+
+const logger = new Logger('Storage');
+
+class LegacyStorageMigration {
+  /**
+   * Move legacy settings once. Settings the adapters already hold are newer
+   * and are kept; the legacy copies are deleted either way.
+   * @param {StorageManager} storage - Storage to move the settings into.
+   * @returns {number} Number of settings moved.
+   */
+  static async run(storage) {
+    if (await storage.loadSetting(LegacyStorageMigration.DONE_KEY, false)) return 0;
+
+    // localStorage was written with every cookie, so it wins over the cookie.
+    const legacy = new Map([...this.readCookies(), ...this.readLocalStorage()]);
+    let moved = 0;
+
+    for (const [key, value] of legacy) {
+      // Group names from before groups were records are outdated once records exist.
+      const isStale = key === DatabaseSchema.LEGACY_GROUPS_KEY && await storage.loadSavedGroups() !== null;
+      if (!isStale && await storage.loadSetting(key) === null) {
+        await storage.saveSetting(key, value);
+        moved++;
+      }
+    }
+
+    legacy.forEach((_, key) => {
+      this.deleteCookie(`${LegacyStorageMigration.PREFIX}${key}`);
+      localStorage.removeItem(`${LegacyStorageMigration.PREFIX}${key}`);
+    });
+    await storage.saveSetting(LegacyStorageMigration.DONE_KEY, true);
+
+    if (legacy.size > 0) {
+      logger.info(`Moved ${moved} of ${legacy.size} settings out of cookies and localStorage`);
+    }
+    return moved;
+  }
+
+  /**
+   * Read the settings kept in localStorage.
+   * @returns {Array<Array>} Setting keys and values.
+   */
+  static readLocalStorage() {
+    const settings = [];
+
+    for (let i = 0; i < localStorage.length; i++) {
+      const name = localStorage.key(i);
+      const key = this.getKey(name);
+      const value = key === null ? undefined : this.parse(localStorage.getItem(name));
+      if (value !== undefined) settings.push([key, value]);
+    }
+
+    return settings;
+  }
+
+  /**
+   * Read the settings kept in cookies.
+   * @returns {Array<Array>} Setting keys and values.
+   */
+  static readCookies() {
+    return document.cookie.split(';')
+      .map(cookie => cookie.trim())
+      .filter(Boolean)
+      .map(cookie => {
+        const separator = cookie.indexOf('=');
+        const key = this.getKey(cookie.slice(0, separator));
+        return [key, key === null ? undefined : this.parse(cookie.slice(separator + 1))];
+      })
+      .filter(([, value]) => value !== undefined);
+  }
+
+  /**
+   * Delete a cookie set by an older version.
+   * @param {string} name - Cookie name.
+   */
+  static deleteCookie(name) {
+    document.cookie = `${name}=;expires=Thu, 01 Jan 1970 00:00:00 GMT;path=/;SameSite=Lax`;
+  }
+
+  /**
+   * Get the setting key of a legacy cookie or localStorage name.
+   * @param {string} name - Cookie or localStorage name.
+   * @returns {string|null} Setting key, or null for names that are not settings.
+   */
+  static getKey(name) {
+    return name && name.startsWith(LegacyStorageMigration.PREFIX) ? name.slice(LegacyStorageMigration.PREFIX.length) : null;
+  }
+
+  /**
+   * Parse a legacy JSON value.
+   * @param {string} text - Stored text.
+   * @returns {*} Value, or undefined when it is not valid JSON.
+   */
+  static parse(text) {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      logger.warn('Skipping unreadable legacy setting:', text);
+      return undefined;
+    }
+  }
+}
+
+LegacyStorageMigration.PREFIX = 'gitlab_theme_';
+
+// Setting that records that the migration ran.
+LegacyStorageMigration.DONE_KEY = 'legacyStorageMigrated';
+
+module.exports = LegacyStorageMigration;
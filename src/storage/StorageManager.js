@@ -2,142 +2,250 @@
  * Storage Manager - Handles all data persistence operations.
  */
 
+const ExtensionStorageAdapter = require('./adapters/ExtensionStorageAdapter.js');
+const IndexedDBAdapter = require('./adapters/IndexedDBAdapter.js');
+const MemoryAdapter = require('./adapters/MemoryAdapter.js');
+const LegacyStorageMigration = require('./LegacyStorageMigration.js');
+const DatabaseSchema = require('./DatabaseSchema.js');
+const GroupModel = require('../core/repository/GroupModel.js');
+const Logger = require('../utils/Logger.js');
+
+const logger = new Logger('Storage');
+
 class StorageManager {
-  constructor() {
-    this.db = null;
+  /**
+   * Create storage manager instance.
+   * @param {StorageAdapter[]} adapters - Storages in the order settings are read from;
+   *   every setting is written to all of them.
+   */
+  constructor(adapters = StorageManager.createDefaultAdapters()) {
+    this.adapters = adapters;
     this.isInitialized = false;
   }
 
   /**
-   * Initialize storage with IndexedDB and fallback mechanisms.
+   * Create the adapters the browser supports: extension storage first, so
+   * synced settings win, then IndexedDB. Settings only last for the page
+   * when neither is available.
+   * @returns {StorageAdapter[]} Adapters.
+   */
+  static createDefaultAdapters() {
+    const adapters = [ExtensionStorageAdapter, IndexedDBAdapter]
+      .filter(Adapter => Adapter.isAvailable())
+      .map(Adapter => new Adapter());
+
+    return adapters.length > 0 ? adapters : [new MemoryAdapter()];
+  }
+
+  /**
+   * Open the adapters and move settings left behind by older versions.
    */
   async init() {
     if (this.isInitialized) return;
-    
+
+    const opened = [];
+    for (const adapter of this.adapters) {
+      try {
+        await adapter.init();
+        opened.push(adapter);
+        logger.info(`${adapter.name} storage initialized successfully`);
+      } catch (error) {
+        logger.error(`Failed to initialize ${adapter.name} storage:`, error);
+      }
+    }
+
+    if (opened.length === 0) {
+      logger.info('Using memory storage');
+      opened.push(new MemoryAdapter());
+    }
+    this.adapters = opened;
+
     try {
-      await this.initIndexedDB();
-      console.log('[Storage] IndexedDB initialized successfully');
+      await LegacyStorageMigration.run(this);
     } catch (error) {
-      console.error('[Storage] Failed to initialize IndexedDB:', error);
-      this.initFallbackStorage();
+      logger.error('Failed to move legacy settings:', error);
     }
-    
+
     this.isInitialized = true;
   }
 
   /**
-   * Initialize IndexedDB database.
-   * @throws {Error} When Dexie is not available.
+   * Save a setting to every adapter.
+   * @param {string} key - Setting key.
+   * @param {*} value - Setting value.
    */
-  async initIndexedDB() {
-    const Dexie = window.Dexie;
-    if (!Dexie) {
-      throw new Error('Dexie not available');
-    }
+  async saveSetting(key, value) {
+    await Promise.all(this.adapters.map(async adapter => {
+      try {
+        await adapter.set(key, value);
+      } catch (error) {
+        logger.error(`Failed to save setting to ${adapter.name} storage:`, error);
+      }
+    }));
 
-    this.db = new Dexie('GitHubGitLabThemeDB');
-    this.db.version(1).stores({
-      settings: '++id, key, value',
-      groups: '++id, name, created'
-    });
+    logger.debug(`Saved setting: ${key}`);
   }
 
   /**
-   * Initialize fallback storage mechanism.
+   * Load a setting from the first adapter that has it.
+   * @param {string} key - Setting key.
+   * @param {*} defaultValue - Default value if not found.
+   * @returns {*} Setting value or default.
    */
-  initFallbackStorage() {
-    console.log('[Storage] Using fallback storage');
+  async loadSetting(key, defaultValue = null) {
+    for (const adapter of this.adapters) {
+      try {
+        const value = await adapter.get(key);
+        if (value !== undefined) return value;
+      } catch (error) {
+        logger.error(`Failed to load setting from ${adapter.name} storage:`, error);
+      }
+    }
+
+    return defaultValue;
   }
 
   /**
-   * Save a setting to storage with multiple fallback mechanisms.
+   * Delete a setting from every adapter.
    * @param {string} key - Setting key.
-   * @param {*} value - Setting value.
    */
-  async saveSetting(key, value) {
-    try {
-      if (this.db) {
-        await this.db.settings.where('key').equals(key).delete();
-        await this.db.settings.add({ key, value });
+  async removeSetting(key) {
+    await Promise.all(this.adapters.map(async adapter => {
+      try {
+        await adapter.remove(key);
+      } catch (error) {
+        logger.error(`Failed to remove setting from ${adapter.name} storage:`, error);
+      }
+    }));
+  }
+
+  /**
+   * Load the custom groups saved as records, from the first adapter that has them.
+   * @returns {GroupModel[]|null} Groups in their order, or null when groups were never saved.
+   */
+  async loadSavedGroups() {
+    for (const adapter of this.adapters) {
+      try {
+        const groups = await adapter.loadGroups();
+        if (groups !== undefined) {
+          return groups.map(group => new GroupModel(group)).sort((a, b) => a.order - b.order);
+        }
+      } catch (error) {
+        logger.error(`Failed to load groups from ${adapter.name} storage:`, error);
       }
-      
-      localStorage.setItem(`gitlab_theme_${key}`, JSON.stringify(value));
-      this.setCookie(`gitlab_theme_${key}`, JSON.stringify(value), 365);
-      
-      console.log(`[Storage] Saved setting: ${key}`);
-    } catch (error) {
-      console.error('[Storage] Failed to save setting:', error);
-      this.saveSettingFallback(key, value);
     }
+
+    return null;
   }
 
   /**
-   * Load a setting from storage with fallback mechanisms.
+   * Load the custom groups of every owner. The list of names older versions
+   * saved is upgraded on first load and then deleted, so it cannot bring
+   * removed groups back.
+   * @returns {GroupModel[]} Groups in their order.
+   */
+  async loadGroups() {
+    const saved = await this.loadSavedGroups();
+    if (saved) return saved;
+
+    const names = await this.loadSetting(DatabaseSchema.LEGACY_GROUPS_KEY);
+    if (!Array.isArray(names)) return [];
+
+    const groups = GroupModel.fromNames(names);
+    await this.saveGroups(groups);
+    await this.removeSetting(DatabaseSchema.LEGACY_GROUPS_KEY);
+    logger.info(`Upgraded ${groups.length} custom groups`);
+    return groups;
+  }
+
+  /**
+   * Save the custom groups of every owner to every adapter.
+   * @param {GroupModel[]} groups - Groups.
+   */
+  async saveGroups(groups) {
+    const records = groups.map(group => group.toRecord());
+
+    await Promise.all(this.adapters.map(async adapter => {
+      try {
+        await adapter.saveGroups(records);
+      } catch (error) {
+        logger.error(`Failed to save groups to ${adapter.name} storage:`, error);
+      }
+    }));
+
+    logger.debug(`Saved ${groups.length} groups`);
+  }
+
+  /**
+   * Subscribe to settings changed on another device.
+   * @param {Function} handler - Called with the changed setting keys.
+   * @returns {Function} Unsubscribe function.
+   */
+  onRemoteChange(handler) {
+    const unsubscribes = this.adapters.map(adapter => adapter.onChange(handler));
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }
+
+  /**
+   * Save a setting scoped to a GitHub user or organization.
+   * @param {string} owner - Owner login.
+   * @param {string} key - Setting key.
+   * @param {*} value - Setting value.
+   */
+  async saveOwnerSetting(owner, key, value) {
+    await this.saveSetting(this.getOwnerKey(owner, key), value);
+  }
+
+  /**
+   * Load a setting scoped to a GitHub user or organization.
+   * @param {string} owner - Owner login.
    * @param {string} key - Setting key.
    * @param {*} defaultValue - Default value if not found.
    * @returns {*} Setting value or default.
    */
-  async loadSetting(key, defaultValue = null) {
-    try {
-      if (this.db) {
-        const setting = await this.db.settings.where('key').equals(key).first();
-        if (setting) return setting.value;
-      }
-      
-      const localValue = localStorage.getItem(`gitlab_theme_${key}`);
-      if (localValue) return JSON.parse(localValue);
-      
-      const cookieValue = this.getCookie(`gitlab_theme_${key}`);
-      if (cookieValue) return JSON.parse(cookieValue);
-      
-      return defaultValue;
-    } catch (error) {
-      console.error('[Storage] Failed to load setting:', error);
-      return defaultValue;
-    }
+  async loadOwnerSetting(owner, key, defaultValue = null) {
+    return this.loadSetting(this.getOwnerKey(owner, key), defaultValue);
   }
 
   /**
-   * Save setting using fallback mechanisms only.
+   * Build the storage key for an owner-scoped setting.
+   * @param {string} owner - Owner login.
    * @param {string} key - Setting key.
-   * @param {*} value - Setting value.
+   * @returns {string} Scoped key.
    */
-  saveSettingFallback(key, value) {
-    try {
-      localStorage.setItem(`gitlab_theme_${key}`, JSON.stringify(value));
-      this.setCookie(`gitlab_theme_${key}`, JSON.stringify(value), 365);
-    } catch (error) {
-      console.error('[Storage] Fallback storage failed:', error);
-    }
+  getOwnerKey(owner, key) {
+    return `${key}_${(owner || 'default').toLowerCase()}`;
   }
 
   /**
-   * Set a cookie with expiration.
-   * @param {string} name - Cookie name.
-   * @param {string} value - Cookie value.
-   * @param {number} days - Days until expiration.
+   * Get the adapter that keeps the cache.
+   * @returns {StorageAdapter|null} First adapter that supports caching.
    */
-  setCookie(name, value, days) {
-    const expires = new Date();
-    expires.setTime(expires.getTime() + (days * 24 * 60 * 60 * 1000));
-    document.cookie = `${name}=${value};expires=${expires.toUTCString()};path=/;SameSite=Lax`;
+  getCacheAdapter() {
+    return this.adapters.find(adapter => adapter.supportsCache) || null;
   }
 
   /**
-   * Get a cookie value by name.
-   * @param {string} name - Cookie name.
-   * @returns {string|null} Cookie value or null if not found.
+   * Cache a value. Cached values are kept on this device only, they can be
+   * fetched again.
+   * @param {string} key - Cache key.
+   * @param {*} value - Value to cache.
    */
-  getCookie(name) {
-    const nameEQ = name + "=";
-    const ca = document.cookie.split(';');
-    for(let i = 0; i < ca.length; i++) {
-      let c = ca[i];
-      while (c.charAt(0) === ' ') c = c.substring(1, c.length);
-      if (c.indexOf(nameEQ) === 0) return c.substring(nameEQ.length, c.length);
-    }
-    return null;
+  async saveCache(key, value) {
+    const adapter = this.getCacheAdapter();
+    if (adapter) await adapter.saveCache(key, value);
+  }
+
+  /**
+   * Load a cached value that is not older than the given age.
+   * @param {string} key - Cache key.
+   * @param {number} maxAge - Maximum age in milliseconds.
+   * @returns {*} Cached value, or null when missing or expired.
+   */
+  async loadCache(key, maxAge) {
+    const adapter = this.getCacheAdapter();
+    return adapter ? adapter.loadCache(key, maxAge) : null;
   }
 }
 
-module.exports = StorageManager;
\ No newline at end of file
+module.exports = StorageManager;
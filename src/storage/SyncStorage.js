@@ -0,0 +1,301 @@
+/**
+ * Sync Storage - Keeps settings in chrome.storage.sync so they follow the user between devices.
+ */
+
+const EventBus = require('../utils/EventBus.js');
+const Logger = require('../utils/Logger.js');
+
+const logger = new Logger('SyncStorage');
+
+/**
+ * Count the bytes a string takes in UTF-8, as chrome.storage counts its quota.
+ * @param {string} text - Text.
+ * @returns {number} Byte length.
+ */
+const byteLength = (text) => encodeURIComponent(text).replace(/%[0-9A-F]{2}/g, 'x').length;
+
+class SyncStorage {
+  /**
+   * Create sync storage instance.
+   * @param {Object} storage - The chrome.storage API, with sync, local and onChanged.
+   * @param {Function} now - Clock used for the timestamps of writes.
+   */
+  constructor(storage, now = () => Date.now()) {
+    this.storage = storage;
+    this.now = now;
+    this.entries = new Map();
+    this.pending = new Map();
+    this.flushTimer = null;
+    this.retryDelay = 0;
+    this.events = new EventBus(['change'], 'sync');
+    this.changeListener = this.handleStorageChange.bind(this);
+    // The write timer does not survive the page, so batched settings are
+    // written as soon as the user leaves it.
+    this.pageHideListener = () => this.flush();
+  }
+
+  /**
+   * Check whether the browser offers chrome.storage.sync.
+   * @returns {boolean} True if available.
+   */
+  static isAvailable() {
+    return typeof chrome !== 'undefined' && Boolean(chrome.storage && chrome.storage.sync);
+  }
+
+  /**
+   * Read the synced settings and those kept locally after the sync quota ran
+   * out, keeping the newest of each, then listen for changes from other devices.
+   */
+  async init() {
+    const [synced, local] = await Promise.all([
+      this.storage.sync.get(null),
+      this.storage.local.get(null)
+    ]);
+
+    [synced, local].forEach(items => {
+      Object.entries(items || {}).forEach(([storageKey, entry]) => {
+        const key = SyncStorage.getKey(storageKey);
+        if (key !== null && SyncStorage.isEntry(entry)) {
+          this.merge(key, entry);
+        }
+      });
+    });
+
+    this.storage.onChanged.addListener(this.changeListener);
+    window.addEventListener('pagehide', this.pageHideListener);
+    logger.info(`Loaded ${this.entries.size} synced settings`);
+  }
+
+  /**
+   * Check whether a setting is known.
+   * @param {string} key - Setting key.
+   * @returns {boolean} True if stored.
+   */
+  has(key) {
+    return this.entries.has(key);
+  }
+
+  /**
+   * Get a setting value.
+   * @param {string} key - Setting key.
+   * @returns {*} Value, or undefined when not stored.
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    return entry ? entry.value : undefined;
+  }
+
+  /**
+   * Save a setting. Writes are batched, since chrome.storage.sync limits
+   * how many it accepts per minute.
+   * @param {string} key - Setting key.
+   * @param {*} value - Setting value.
+   */
+  set(key, value) {
+    const entry = { value, updated: this.now() };
+    this.entries.set(key, entry);
+    this.pending.set(key, entry);
+
+    if (!this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), SyncStorage.WRITE_DELAY);
+    }
+  }
+
+  /**
+   * Delete a setting from sync and from the local copy. Unlike writes this is
+   * not batched, and other devices drop the setting when they hear of it.
+   * @param {string} key - Setting key.
+   */
+  async remove(key) {
+    this.entries.delete(key);
+    this.pending.delete(key);
+
+    const storageKey = SyncStorage.getStorageKey(key);
+    await Promise.all([this.storage.sync.remove(storageKey), this.storage.local.remove(storageKey)]);
+  }
+
+  /**
+   * Write the batched settings. Settings too large for one sync item, or all
+   * of them when the sync quota is used up, are kept in chrome.storage.local.
+   * Settings refused because too many writes were made recently are kept
+   * locally too, and written to sync again once the limit has reset.
+   */
+  async flush() {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    if (this.pending.size === 0) return;
+
+    const batch = Array.from(this.pending.entries());
+    this.pending.clear();
+
+    const synced = {};
+    const local = {};
+    batch.forEach(([key, entry]) => {
+      const storageKey = SyncStorage.getStorageKey(key);
+      const target = byteLength(storageKey) + byteLength(JSON.stringify(entry)) > SyncStorage.QUOTA_BYTES_PER_ITEM ? local : synced;
+      target[storageKey] = entry;
+    });
+
+    if (Object.keys(synced).length > 0) {
+      try {
+        await this.storage.sync.set(synced);
+        // A local copy kept while the quota was used up is no longer needed.
+        await this.storage.local.remove(Object.keys(synced));
+        this.retryDelay = 0;
+      } catch (error) {
+        if (SyncStorage.isRateLimited(error)) {
+          logger.warn('Sync write limit reached, retrying later:', error);
+          this.scheduleRetry(batch.filter(([key]) => SyncStorage.getStorageKey(key) in synced));
+        } else {
+          logger.warn('Sync quota exceeded, keeping settings on this device:', error);
+        }
+        Object.assign(local, synced);
+      }
+    }
+
+    if (Object.keys(local).length > 0) {
+      try {
+        await this.storage.local.set(local);
+      } catch (error) {
+        logger.error('Failed to save settings locally:', error);
+      }
+    }
+  }
+
+  /**
+   * Queue settings refused by the sync write limit again and flush them
+   * after a delay that doubles with each refusal in a row.
+   * @param {Array} batch - Refused [key, entry] pairs.
+   */
+  scheduleRetry(batch) {
+    batch.forEach(([key, entry]) => {
+      // Settings changed since, locally or on another device, are newer.
+      if (!this.pending.has(key) && this.entries.get(key) === entry) {
+        this.pending.set(key, entry);
+      }
+    });
+
+    this.retryDelay = Math.min(this.retryDelay * 2 || SyncStorage.RETRY_DELAY, SyncStorage.MAX_RETRY_DELAY);
+    clearTimeout(this.flushTimer);
+    this.flushTimer = setTimeout(() => this.flush(), this.retryDelay);
+  }
+
+  /**
+   * Apply settings changed or deleted on another device. The newest write of a setting wins.
+   * @param {Object} changes - Changed storage keys with oldValue and newValue.
+   * @param {string} areaName - Storage area, 'sync' or 'local'.
+   */
+  handleStorageChange(changes, areaName) {
+    if (areaName !== 'sync') return;
+
+    const changed = Object.entries(changes)
+      .map(([storageKey, change]) => [SyncStorage.getKey(storageKey), change])
+      .filter(([key, change]) => key !== null && ('newValue' in change
+        ? SyncStorage.isEntry(change.newValue) && this.merge(key, change.newValue)
+        : this.drop(key)))
+      .map(([key]) => key);
+
+    if (changed.length > 0) {
+      logger.info(`Settings changed on another device: ${changed.join(', ')}`);
+      this.events.emit('change', { keys: changed });
+    }
+  }
+
+  /**
+   * Keep an entry if it is newer than the one known.
+   * @param {string} key - Setting key.
+   * @param {Object} entry - Entry with value and updated timestamp.
+   * @returns {boolean} True if the entry was newer.
+   */
+  merge(key, entry) {
+    const known = this.entries.get(key);
+    if (known && known.updated >= entry.updated) return false;
+
+    this.entries.set(key, entry);
+    // An older write of this device must not overwrite it.
+    this.pending.delete(key);
+    return true;
+  }
+
+  /**
+   * Forget a setting deleted on another device.
+   * @param {string} key - Setting key.
+   * @returns {boolean} True if the setting was known.
+   */
+  drop(key) {
+    this.pending.delete(key);
+    return this.entries.delete(key);
+  }
+
+  /**
+   * Subscribe to settings changed on other devices.
+   * @param {Function} handler - Called with the changed setting keys.
+   * @returns {Function} Unsubscribe function.
+   */
+  onChange(handler) {
+    return this.events.on('change', ({ keys }) => handler(keys));
+  }
+
+  /**
+   * Write pending settings and stop listening for changes.
+   */
+  async destroy() {
+    this.storage.onChanged.removeListener(this.changeListener);
+    window.removeEventListener('pagehide', this.pageHideListener);
+    this.events.clear();
+    await this.flush();
+  }
+
+  /**
+   * Build the storage key of a setting.
+   * @param {string} key - Setting key.
+   * @returns {string} Storage key.
+   */
+  static getStorageKey(key) {
+    return `${SyncStorage.PREFIX}${key}`;
+  }
+
+  /**
+   * Get the setting key of a storage key.
+   * @param {string} storageKey - Storage key.
+   * @returns {string|null} Setting key, or null for keys that are not settings.
+   */
+  static getKey(storageKey) {
+    return storageKey.startsWith(SyncStorage.PREFIX) ? storageKey.slice(SyncStorage.PREFIX.length) : null;
+  }
+
+  /**
+   * Check whether a sync write failed on the write rate limits rather than
+   * on the storage quota. Only the rate limits reset by themselves.
+   * @param {Error} error - Error thrown by chrome.storage.sync.set.
+   * @returns {boolean} True for MAX_WRITE_OPERATIONS_PER_MINUTE and _PER_HOUR.
+   */
+  static isRateLimited(error) {
+    return /MAX_WRITE_OPERATIONS_PER_(MINUTE|HOUR)/.test(error && error.message);
+  }
+
+  /**
+   * Check that a stored value is a timestamped setting entry.
+   * @param {*} entry - Stored value.
+   * @returns {boolean} True for entries with a value and an updated timestamp.
+   */
+  static isEntry(entry) {
+    return Boolean(entry) && typeof entry === 'object' && 'value' in entry && typeof entry.updated === 'number';
+  }
+}
+
+SyncStorage.PREFIX = 'gitlab_theme_';
+
+// chrome.storage.sync.QUOTA_BYTES_PER_ITEM.
+SyncStorage.QUOTA_BYTES_PER_ITEM = 8192;
+
+// Settings changed within this many milliseconds are written together.
+SyncStorage.WRITE_DELAY = 2000;
+
+// First wait before writing settings refused by the per-minute write limit.
+SyncStorage.RETRY_DELAY = 60000;
+
+// Longest wait between retries, the span of the per-hour write limit.
+SyncStorage.MAX_RETRY_DELAY = 3600000;
+
+module.exports = SyncStorage;
@@ -0,0 +1,70 @@
+/**
+ * Extension Storage Adapter - Keeps settings in the extension's own storage,
+ * synced between the user's devices.
+ */
+
+const StorageAdapter = require('./StorageAdapter.js');
+const SyncStorage = require('../SyncStorage.js');
+
+class ExtensionStorageAdapter extends StorageAdapter {
+  /**
+   * Create extension storage adapter instance.
+   * @param {SyncStorage} sync - Synced settings; created from chrome.storage by default.
+   */
+  constructor(sync = new SyncStorage(chrome.storage)) {
+    super('Extension');
+    this.sync = sync;
+  }
+
+  /**
+   * Check whether the browser offers extension storage.
+   * @returns {boolean} True if available.
+   */
+  static isAvailable() {
+    return SyncStorage.isAvailable();
+  }
+
+  /**
+   * Load the synced settings.
+   */
+  async init() {
+    await this.sync.init();
+  }
+
+  /**
+   * Read a setting.
+   * @param {string} key - Setting key.
+   * @returns {*} Value, or undefined when not stored.
+   */
+  async get(key) {
+    return this.sync.has(key) ? this.sync.get(key) : undefined;
+  }
+
+  /**
+   * Write a setting; it reaches the other devices with the next batch.
+   * @param {string} key - Setting key.
+   * @param {*} value - Setting value.
+   */
+  async set(key, value) {
+    this.sync.set(key, value);
+  }
+
+  /**
+   * Delete a setting, here and on the other devices.
+   * @param {string} key - Setting key.
+   */
+  async remove(key) {
+    await this.sync.remove(key);
+  }
+
+  /**
+   * Subscribe to settings changed on another device.
+   * @param {Function} handler - Called with the changed setting keys.
+   * @returns {Function} Unsubscribe function.
+   */
+  onChange(handler) {
+    return this.sync.onChange(handler);
+  }
+}
+
+module.exports = ExtensionStorageAdapter;
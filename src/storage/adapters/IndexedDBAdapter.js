@@ -0,0 +1,150 @@
+/**
+ * IndexedDB Adapter - Keeps settings and the page cache in IndexedDB through Dexie.
+ */
+
+const StorageAdapter = require('./StorageAdapter.js');
+const DatabaseSchema = require('../DatabaseSchema.js');
+const Logger = require('../../utils/Logger.js');
+
+const logger = new Logger('IndexedDB');
+
+class IndexedDBAdapter extends StorageAdapter {
+  /**
+   * Create IndexedDB adapter instance.
+   * @param {Function} Dexie - Dexie constructor; the one loaded with the extension by default.
+   * @param {string} name - Database name.
+   */
+  constructor(Dexie = IndexedDBAdapter.getDexie(), name = DatabaseSchema.NAME) {
+    super('IndexedDB');
+    this.supportsCache = true;
+    this.Dexie = Dexie;
+    this.databaseName = name;
+    this.db = null;
+  }
+
+  /**
+   * Check whether Dexie was loaded with the extension.
+   * @returns {boolean} True if available.
+   */
+  static isAvailable() {
+    return Boolean(IndexedDBAdapter.getDexie());
+  }
+
+  /**
+   * Get the Dexie constructor loaded with the extension.
+   * @returns {Function|undefined} Dexie, or undefined when not loaded.
+   */
+  static getDexie() {
+    return typeof window !== 'undefined' ? window.Dexie : undefined;
+  }
+
+  /**
+   * Open the database, upgrading it to the latest schema version.
+   * @throws {Error} When Dexie is not available or the database cannot be opened.
+   */
+  async init() {
+    if (!this.Dexie) {
+      throw new Error('Dexie not available');
+    }
+
+    this.db = new this.Dexie(this.databaseName);
+    DatabaseSchema.apply(this.db);
+    await this.db.open();
+  }
+
+  /**
+   * Read a setting.
+   * @param {string} key - Setting key.
+   * @returns {*} Value, or undefined when not stored.
+   */
+  async get(key) {
+    if (!this.db) return undefined;
+
+    const setting = await this.db.settings.where('key').equals(key).first();
+    return setting ? setting.value : undefined;
+  }
+
+  /**
+   * Write a setting.
+   * @param {string} key - Setting key.
+   * @param {*} value - Setting value.
+   */
+  async set(key, value) {
+    if (!this.db) return;
+
+    await this.db.settings.where('key').equals(key).delete();
+    await this.db.settings.add({ key, value });
+  }
+
+  /**
+   * Delete a setting.
+   * @param {string} key - Setting key.
+   */
+  async remove(key) {
+    if (!this.db) return;
+
+    await this.db.settings.where('key').equals(key).delete();
+  }
+
+  /**
+   * Read the custom groups.
+   * @returns {Object[]|undefined} Group records in their order, or undefined when groups were never saved.
+   */
+  async loadGroups() {
+    if (!this.db) return undefined;
+
+    const groups = await this.db.groups.orderBy('order').toArray();
+    if (groups.length > 0) return groups;
+    return (await this.get(DatabaseSchema.GROUPS_SAVED_KEY)) ? [] : undefined;
+  }
+
+  /**
+   * Replace the custom groups.
+   * @param {Object[]} groups - Group records.
+   */
+  async saveGroups(groups) {
+    if (!this.db) return;
+
+    await this.db.transaction('rw', this.db.groups, this.db.settings, async () => {
+      await this.db.groups.clear();
+      await this.db.groups.bulkPut(groups);
+      await this.set(DatabaseSchema.GROUPS_SAVED_KEY, true);
+    });
+  }
+
+  /**
+   * Cache a value.
+   * @param {string} key - Cache key.
+   * @param {*} value - Value to cache.
+   */
+  async saveCache(key, value) {
+    if (!this.db) return;
+
+    try {
+      await this.db.cache.put({ key, value, updated: Date.now() });
+    } catch (error) {
+      logger.error('Failed to save cache entry:', error);
+    }
+  }
+
+  /**
+   * Load a cached value that is not older than the given age.
+   * @param {string} key - Cache key.
+   * @param {number} maxAge - Maximum age in milliseconds.
+   * @returns {*} Cached value, or null when missing or expired.
+   */
+  async loadCache(key, maxAge) {
+    if (!this.db) return null;
+
+    try {
+      const entry = await this.db.cache.get(key);
+      if (!entry || Date.now() - entry.updated > maxAge) return null;
+      return entry.value;
+    } catch (error) {
+      logger.error('Failed to load cache entry:', error);
+      return null;
+    }
+  }
+}
+
+module.exports = IndexedDBAdapter;
@@ -0,0 +1,74 @@
+/**
+ * Memory Adapter - Keeps settings for the lifetime of the page, e.g. in tests.
+ */
+
+const StorageAdapter = require('./StorageAdapter.js');
+
+/**
+ * Copy a value the way storing it would.
+ * @param {*} value - Value.
+ * @returns {*} Deep copy.
+ */
+const copy = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+class MemoryAdapter extends StorageAdapter {
+  /**
+   * Create memory adapter instance.
+   * @param {Object} values - Settings to start with.
+   */
+  constructor(values = {}) {
+    super('Memory');
+    this.supportsCache = true;
+    this.values = new Map(Object.entries(copy(values)));
+    this.cache = new Map();
+  }
+
+  /**
+   * Read a setting.
+   * @param {string} key - Setting key.
+   * @returns {*} Value, or undefined when not stored.
+   */
+  async get(key) {
+    return copy(this.values.get(key));
+  }
+
+  /**
+   * Write a setting.
+   * @param {string} key - Setting key.
+   * @param {*} value - Setting value.
+   */
+  async set(key, value) {
+    this.values.set(key, copy(value));
+  }
+
+  /**
+   * Delete a setting.
+   * @param {string} key - Setting key.
+   */
+  async remove(key) {
+    this.values.delete(key);
+  }
+
+  /**
+   * Cache a value.
+   * @param {string} key - Cache key.
+   * @param {*} value - Value to cache.
+   */
+  async saveCache(key, value) {
+    this.cache.set(key, { value: copy(value), updated: Date.now() });
+  }
+
+  /**
+   * Load a cached value that is not older than the given age.
+   * @param {string} key - Cache key.
+   * @param {number} maxAge - Maximum age in milliseconds.
+   * @returns {*} Cached value, or null when missing or expired.
+   */
+  async loadCache(key, maxAge) {
+    const entry = this.cache.get(key);
+    if (!entry || Date.now() - entry.updated > maxAge) return null;
+    return copy(entry.value);
+  }
+}
+
+module.exports = MemoryAdapter;
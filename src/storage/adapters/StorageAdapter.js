@@ -0,0 +1,102 @@
+/**
+ * Storage Adapter - Base class for the places settings can be kept.
+ */
+
+class StorageAdapter {
+  /**
+   * Create storage adapter instance.
+   * @param {string} name - Adapter name shown in logs.
+   */
+  constructor(name) {
+    this.name = name;
+    // Whether the adapter can also keep the page cache, see saveCache.
+    this.supportsCache = false;
+  }
+
+  /**
+   * Check whether the browser offers this storage.
+   * @returns {boolean} True if available.
+   */
+  static isAvailable() {
+    return true;
+  }
+
+  /**
+   * Open the storage.
+   */
+  async init() {}
+
+  /**
+   * Read a setting.
+   * @param {string} key - Setting key.
+   * @returns {*} Value, or undefined when not stored.
+   */
+  async get(key) {
+    throw new Error(`${this.name} storage does not implement get`);
+  }
+
+  /**
+   * Write a setting.
+   * @param {string} key - Setting key.
+   * @param {*} value - Setting value, anything JSON can represent.
+   */
+  async set(key, value) {
+    throw new Error(`${this.name} storage does not implement set`);
+  }
+
+  /**
+   * Delete a setting.
+   * @param {string} key - Setting key.
+   */
+  async remove(key) {
+    throw new Error(`${this.name} storage does not implement remove`);
+  }
+
+  /**
+   * Read the custom groups. Adapters without a place of their own for groups
+   * keep them as one setting.
+   * @returns {Object[]|undefined} Group records, or undefined when none are stored.
+   */
+  async loadGroups() {
+    return this.get(StorageAdapter.GROUPS_KEY);
+  }
+
+  /**
+   * Replace the custom groups.
+   * @param {Object[]} groups - Group records.
+   */
+  async saveGroups(groups) {
+    await this.set(StorageAdapter.GROUPS_KEY, groups);
+  }
+
+  /**
+   * Subscribe to settings changed outside this page, e.g. on another device.
+   * @param {Function} handler - Called with the changed setting keys.
+   * @returns {Function} Unsubscribe function.
+   */
+  onChange(handler) {
+    return () => {};
+  }
+
+  /**
+   * Cache a value, see StorageManager.saveCache.
+   * @param {string} key - Cache key.
+   * @param {*} value - Value to cache.
+   */
+  async saveCache(key, value) {}
+
+  /**
+   * Load a cached value, see StorageManager.loadCache.
+   * @param {string} key - Cache key.
+   * @param {number} maxAge - Maximum age in milliseconds.
+   * @returns {*} Cached value, or null when missing or expired.
+   */
+  async loadCache(key, maxAge) {
+    return null;
+  }
+}
+
+// Setting that holds the custom groups, see loadGroups.
+StorageAdapter.GROUPS_KEY = 'groups';
+
+module.exports = StorageAdapter;
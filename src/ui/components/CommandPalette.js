@@ -0,0 +1,252 @@
+/**
+ * Command Palette Component - Keyboard launcher for groups, repositories and actions.
+ */
+
+const RepositorySearch = require('../../core/repository/RepositorySearch.js');
+const Logger = require('../../utils/Logger.js');
+
+const logger = new Logger('CommandPalette');
+
+const TYPE_LABELS = {
+  group: 'Group',
+  repo: 'Repository',
+  action: 'Action'
+};
+
+class CommandPalette {
+  /**
+   * Create command palette instance.
+   * @param {Function} getCommands - Returns the current commands, each with type ('group' | 'repo' | 'action'), label, optional hint and run.
+   * @param {Function} isAvailable - Whether the shortcut should open the palette on the current page.
+   */
+  constructor(getCommands, isAvailable = () => true) {
+    this.getCommands = getCommands;
+    this.isAvailable = isAvailable;
+    this.commands = [];
+    this.results = [];
+    this.selectedIndex = 0;
+    this.element = null;
+    this.handleKeydown = this.handleKeydown.bind(this);
+  }
+
+  /**
+   * Listen for the Ctrl+K / Cmd+K shortcut. Listens while capturing so the
+   * shortcut reaches the palette before GitHub's own command palette.
+   */
+  init() {
+    window.addEventListener('keydown', this.handleKeydown, true);
+  }
+
+  /**
+   * Stop listening for the shortcut and close the palette.
+   */
+  destroy() {
+    window.removeEventListener('keydown', this.handleKeydown, true);
+    this.close();
+  }
+
+  /**
+   * Toggle the palette on Ctrl+K / Cmd+K.
+   * @param {KeyboardEvent} e - Keydown event.
+   */
+  handleKeydown(e) {
+    if ((e.ctrlKey || e.metaKey) && !e.altKey && !e.shiftKey && e.key.toLowerCase() === 'k') {
+      if (!this.isOpen() && !this.isAvailable()) return;
+
+      e.preventDefault();
+      e.stopPropagation();
+      if (this.isOpen()) {
+        this.close();
+      } else {
+        this.open();
+      }
+    }
+  }
+
+  /**
+   * Check whether the palette is shown.
+   * @returns {boolean} True when open.
+   */
+  isOpen() {
+    return this.element !== null;
+  }
+
+  /**
+   * Open the palette with a fresh list of commands.
+   */
+  open() {
+    this.close();
+    this.commands = this.getCommands();
+
+    this.element = this.createPalette();
+    document.body.appendChild(this.element);
+
+    this.filter('');
+    this.element.querySelector('.gitlab-palette-input').focus();
+  }
+
+  /**
+   * Close the palette.
+   */
+  close() {
+    if (this.element) {
+      this.element.remove();
+      this.element = null;
+    }
+  }
+
+  /**
+   * Create palette DOM element.
+   * @returns {Element} Palette overlay element.
+   */
+  createPalette() {
+    const overlay = document.createElement('div');
+    overlay.className = 'gitlab-command-palette';
+    overlay.addEventListener('click', (e) => {
+      if (e.target === overlay) this.close();
+    });
+
+    const dialog = document.createElement('div');
+    dialog.className = 'gitlab-palette-dialog';
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-label', 'Command palette');
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'gitlab-palette-input';
+    input.placeholder = 'Jump to a group, repository or action...';
+    input.setAttribute('aria-label', 'Command');
+    input.oninput = () => this.filter(input.value);
+    input.onkeydown = (e) => this.handleInputKeydown(e);
+
+    const list = document.createElement('ul');
+    list.className = 'gitlab-palette-results';
+    list.setAttribute('role', 'listbox');
+
+    dialog.appendChild(input);
+    dialog.appendChild(list);
+    overlay.appendChild(dialog);
+    return overlay;
+  }
+
+  /**
+   * Handle navigation keys in the palette input.
+   * @param {KeyboardEvent} e - Keydown event.
+   */
+  handleInputKeydown(e) {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      if (this.results.length === 0) return;
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      this.select((this.selectedIndex + step + this.results.length) % this.results.length);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      this.execute(this.results[this.selectedIndex]);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      this.close();
+    }
+  }
+
+  /**
+   * Filter commands by a fuzzy query. Tighter and earlier matches rank first.
+   * @param {string} query - Search query.
+   */
+  filter(query) {
+    if (!query.trim()) {
+      this.results = this.commands.slice(0, CommandPalette.MAX_RESULTS);
+    } else {
+      this.results = this.commands
+        .map((command, order) => ({ command, order, indices: RepositorySearch.fuzzyMatch(query, command.label) }))
+        .filter(result => result.indices !== null)
+        .sort((a, b) => {
+          const spread = (a.indices[a.indices.length - 1] - a.indices[0]) - (b.indices[b.indices.length - 1] - b.indices[0]);
+          return spread || a.indices[0] - b.indices[0] || a.order - b.order;
+        })
+        .slice(0, CommandPalette.MAX_RESULTS)
+        .map(result => result.command);
+    }
+
+    this.renderResults();
+    this.select(0);
+  }
+
+  /**
+   * Render the filtered commands.
+   */
+  renderResults() {
+    const list = this.element.querySelector('.gitlab-palette-results');
+    list.innerHTML = '';
+
+    if (this.results.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'gitlab-palette-empty';
+      empty.textContent = 'No matches';
+      list.appendChild(empty);
+      return;
+    }
+
+    this.results.forEach((command, index) => {
+      const item = document.createElement('li');
+      item.className = 'gitlab-palette-item';
+      item.setAttribute('role', 'option');
+      item.dataset.type = command.type;
+
+      const label = document.createElement('span');
+      label.className = 'gitlab-palette-label';
+      label.textContent = command.label;
+
+      const hint = document.createElement('span');
+      hint.className = 'gitlab-palette-hint';
+      hint.textContent = command.hint || TYPE_LABELS[command.type] || '';
+
+      item.appendChild(label);
+      item.appendChild(hint);
+
+      item.addEventListener('mousemove', () => this.select(index));
+      item.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.execute(command);
+      });
+
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Highlight a result.
+   * @param {number} index - Result index.
+   */
+  select(index) {
+    this.selectedIndex = index;
+
+    this.element.querySelectorAll('.gitlab-palette-item').forEach((item, itemIndex) => {
+      const selected = itemIndex === index;
+      item.classList.toggle('selected', selected);
+      item.setAttribute('aria-selected', `${selected}`);
+      if (selected && item.scrollIntoView) {
+        item.scrollIntoView({ block: 'nearest' });
+      }
+    });
+  }
+
+  /**
+   * Close the palette and run a command. Commands may be async; their errors are logged.
+   * @param {Object} command - Command to run.
+   */
+  async execute(command) {
+    if (!command) return;
+
+    logger.debug(`Running ${command.type}: ${command.label}`);
+    this.close();
+    try {
+      await command.run();
+    } catch (error) {
+      logger.error(`Command failed: ${command.label}`, error);
+    }
+  }
+}
+
+CommandPalette.MAX_RESULTS = 50;
+
+module.exports = CommandPalette;
@@ -0,0 +1,119 @@
+/**
+ * Diagnostics Overlay Component - Shows what the extension detected on the page while debug mode is on.
+ */
+
+class DiagnosticsOverlay {
+  /**
+   * Create diagnostics overlay instance.
+   * @param {Function} onClose - Close handler, turns debug mode off.
+   */
+  constructor(onClose = () => {}) {
+    this.onClose = onClose;
+    this.element = null;
+  }
+
+  /**
+   * Show the overlay, or update it when already shown.
+   * @param {Object} report - Diagnostics, see GitHubGitLabTheme.getDiagnostics.
+   */
+  show(report) {
+    if (!this.element || !this.element.isConnected) {
+      this.element = this.create();
+      document.body.appendChild(this.element);
+    }
+
+    const body = this.element.querySelector('.gitlab-diagnostics-body');
+    body.replaceChildren(
+      this.createSection('Page', [
+        ['Type', report.pageType],
+        ['Path', report.path],
+        ['Markup', report.markupStatus]
+      ]),
+      this.createSection(`Selectors v${report.selectors.version}`,
+        Object.entries(report.selectors.matches).map(([role, match]) => [role, `${match.selector} (#${match.index})`])),
+      this.createSection('Containers',
+        report.containers.map(container => [container.name, `${container.items} repos, ${container.groups} groups`])),
+      this.createSection('Timings',
+        report.timings.map(({ step, duration }) => [step, `${duration.toFixed(1)}ms`])),
+      this.createSection('Assignments',
+        report.assignments.map(({ repo, group }) => [repo, group]))
+    );
+  }
+
+  /**
+   * Remove the overlay.
+   */
+  hide() {
+    if (this.element) {
+      this.element.remove();
+      this.element = null;
+    }
+  }
+
+  /**
+   * Create overlay DOM element.
+   * @returns {Element} Overlay element.
+   */
+  create() {
+    const overlay = document.createElement('aside');
+    overlay.className = 'gitlab-diagnostics-overlay';
+    overlay.setAttribute('aria-label', 'Repository grouping diagnostics');
+
+    const header = document.createElement('div');
+    header.className = 'gitlab-diagnostics-header';
+
+    const title = document.createElement('strong');
+    title.textContent = 'Debug mode';
+    header.appendChild(title);
+
+    const close = document.createElement('button');
+    close.className = 'gitlab-diagnostics-close';
+    close.setAttribute('aria-label', 'Turn off debug mode');
+    close.textContent = '×';
+    close.onclick = () => this.onClose();
+    header.appendChild(close);
+
+    const body = document.createElement('div');
+    body.className = 'gitlab-diagnostics-body';
+
+    overlay.appendChild(header);
+    overlay.appendChild(body);
+    return overlay;
+  }
+
+  /**
+   * Create a titled list of name/value rows.
+   * @param {string} title - Section title.
+   * @param {Array<string[]>} rows - Name and value pairs.
+   * @returns {Element} Section element.
+   */
+  createSection(title, rows) {
+    const section = document.createElement('section');
+    section.className = 'gitlab-diagnostics-section';
+
+    const heading = document.createElement('h4');
+    heading.textContent = title;
+    section.appendChild(heading);
+
+    const list = document.createElement('dl');
+    rows.forEach(([name, value]) => {
+      const term = document.createElement('dt');
+      term.textContent = name;
+      const detail = document.createElement('dd');
+      detail.textContent = value;
+      list.appendChild(term);
+      list.appendChild(detail);
+    });
+
+    if (rows.length === 0) {
+      const empty = document.createElement('dd');
+      empty.textContent = 'None';
+      list.appendChild(empty);
+    }
+
+    section.appendChild(list);
+    return section;
+  }
+}
+
+module.exports = DiagnosticsOverlay;
@@ -2,6 +2,16 @@
  * Group Card Component - Creates and manages group card UI elements.
  */
 
+const RepositoryParser = require('../../core/repository/RepositoryParser.js');
+const GroupStatistics = require('../../core/repository/GroupStatistics.js');
+const Logger = require('../../utils/Logger.js');
+
+const logger = new Logger('GroupCard');
+
+// Cards sections are placed beside their list, so each is linked to it both ways.
+const sections = new WeakMap();
+const lists = new WeakMap();
+
 class GroupCard {
   /**
    * Create group card instance.
@@ -9,12 +19,19 @@ class GroupCard {
    * @param {Element[]} items - Repository items in this group.
    * @param {string} groupId - Unique group identifier.
    * @param {Function} onCardClick - Click handler function.
+   * @param {Function|null} onRepoDrop - Handler for a repo row dropped on this card.
+   * @param {Object} options - Tree options.
+   * @param {string} options.parentId - Parent group path, empty for top-level cards.
+   * @param {number} options.childCount - Number of direct subgroups.
    */
-  constructor(name, items, groupId, onCardClick) {
+  constructor(name, items, groupId, onCardClick, onRepoDrop = null, options = {}) {
     this.name = name;
     this.items = items;
     this.groupId = groupId;
     this.onCardClick = onCardClick;
+    this.onRepoDrop = onRepoDrop;
+    this.parentId = options.parentId || '';
+    this.childCount = options.childCount || 0;
   }
 
   /**
@@ -25,21 +42,85 @@ class GroupCard {
     const card = document.createElement('div');
     card.className = 'gitlab-group-card';
     card.dataset.groupId = this.groupId;
+    card.dataset.parentId = this.parentId;
+    card.dataset.childCount = `${this.childCount}`;
+
+    if (this.parentId) {
+      card.style.display = 'none';
+    }
 
     const cardHeader = this.createCardHeader();
     card.appendChild(cardHeader);
 
+    if (this.items.length > 0) {
+      const stats = GroupStatistics.compute(this.items.map(item => RepositoryParser.parse(item)));
+      card.appendChild(this.createLanguageBar(stats.languages));
+      card.appendChild(this.createStats(stats));
+    }
+
     card.style.cursor = 'pointer';
     card.addEventListener('click', (e) => {
       e.preventDefault();
       e.stopPropagation();
-      console.log(`[GroupCard] Clicked group: ${this.groupId}`);
+      logger.debug(`Clicked group: ${this.groupId}`);
       this.onCardClick(this.groupId, card);
     });
 
+    if (this.onRepoDrop) {
+      this.setupDropTarget(card);
+    }
+
     return card;
   }
 
+  /**
+   * Update an existing card element with this card's items and subgroup count.
+   * The element, its state and its listeners are kept.
+   * @param {Element} card - Group card element created for the same group.
+   */
+  refresh(card) {
+    card.dataset.childCount = `${this.childCount}`;
+    card.querySelector('.gitlab-card-title-count').replaceWith(this.createTitleCount());
+    card.querySelectorAll('.gitlab-card-language-bar, .gitlab-card-stats').forEach(element => element.remove());
+
+    if (this.items.length > 0) {
+      const stats = GroupStatistics.compute(this.items.map(item => RepositoryParser.parse(item)));
+      card.appendChild(this.createLanguageBar(stats.languages));
+      card.appendChild(this.createStats(stats));
+    }
+  }
+
+  /**
+   * Accept repository rows dragged onto the card.
+   * @param {Element} card - Group card element.
+   */
+  setupDropTarget(card) {
+    const isRepoDrag = (e) => Array.from(e.dataTransfer.types).includes(GroupCard.REPO_DRAG_TYPE);
+
+    card.addEventListener('dragover', (e) => {
+      if (!isRepoDrag(e)) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      card.classList.add('drop-target');
+    });
+
+    card.addEventListener('dragleave', () => {
+      card.classList.remove('drop-target');
+    });
+
+    card.addEventListener('drop', (e) => {
+      card.classList.remove('drop-target');
+      if (!isRepoDrag(e)) return;
+      e.preventDefault();
+
+      const repoName = e.dataTransfer.getData(GroupCard.REPO_DRAG_TYPE);
+      if (repoName) {
+        logger.debug(`Dropped ${repoName} on group: ${this.groupId}`);
+        this.onRepoDrop(repoName, this.groupId);
+      }
+    });
+  }
+
   /**
    * Create card header element.
    * @returns {Element} Card header element.
@@ -85,11 +166,103 @@ class GroupCard {
     count.textContent = `${this.items.length}`;
 
     titleCount.appendChild(title);
+
+    if (this.childCount > 0) {
+      const subgroups = document.createElement('span');
+      subgroups.className = 'gitlab-card-subgroups';
+      subgroups.textContent = `${this.childCount} ${this.childCount === 1 ? 'subgroup' : 'subgroups'}`;
+      titleCount.appendChild(subgroups);
+    }
+
     titleCount.appendChild(count);
 
     return titleCount;
   }
 
+  /**
+   * Create GitLab-style language bar.
+   * @param {Object[]} languages - Languages with name, color and share.
+   * @returns {Element} Language bar element.
+   */
+  createLanguageBar(languages) {
+    const bar = document.createElement('div');
+    bar.className = 'gitlab-card-language-bar';
+
+    if (languages.length === 0) {
+      bar.classList.add('empty');
+      return bar;
+    }
+
+    languages.forEach(language => {
+      const segment = document.createElement('span');
+      segment.className = 'gitlab-card-language';
+      segment.style.width = `${(language.share * 100).toFixed(1)}%`;
+      segment.style.backgroundColor = language.color || 'var(--gl-gray-400)';
+      segment.title = `${language.name} ${Math.round(language.share * 100)}%`;
+      bar.appendChild(segment);
+    });
+
+    return bar;
+  }
+
+  /**
+   * Create aggregate statistics row.
+   * @param {Object} stats - Group statistics from GroupStatistics.compute.
+   * @returns {Element} Statistics element.
+   */
+  createStats(stats) {
+    const row = document.createElement('div');
+    row.className = 'gitlab-card-stats';
+
+    const addStat = (className, html, title) => {
+      const stat = document.createElement('span');
+      stat.className = `gitlab-card-stat ${className}`;
+      stat.innerHTML = html;
+      stat.title = title;
+      row.appendChild(stat);
+    };
+
+    addStat('gitlab-card-stars',
+      `<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polygon points="12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2"></polygon></svg> ${this.formatCount(stats.totalStars)}`,
+      `${stats.totalStars.toLocaleString('en-US')} stars`);
+
+    if (stats.lastUpdated) {
+      addStat('gitlab-card-updated',
+        `Updated ${this.formatDate(stats.lastUpdated)}`,
+        stats.lastUpdated.toISOString());
+    }
+
+    if (stats.archivedCount > 0) {
+      addStat('gitlab-card-archived', `${stats.archivedCount} archived`, 'Archived repositories');
+    }
+
+    if (stats.forkCount > 0) {
+      addStat('gitlab-card-forks', `${stats.forkCount} ${stats.forkCount === 1 ? 'fork' : 'forks'}`, 'Forked repositories');
+    }
+
+    return row;
+  }
+
+  /**
+   * Format a count like GitHub, e.g. 1.2k.
+   * @param {number} count - Count to format.
+   * @returns {string} Formatted count.
+   */
+  formatCount(count) {
+    if (count >= 1000000) return `${(count / 1000000).toFixed(1).replace(/\.0$/, '')}m`;
+    if (count >= 1000) return `${(count / 1000).toFixed(1).replace(/\.0$/, '')}k`;
+    return `${count}`;
+  }
+
+  /**
+   * Format a date for display.
+   * @param {Date} date - Date to format.
+   * @returns {string} Formatted date, e.g. Oct 18, 2026.
+   */
+  formatDate(date) {
+    return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+  }
+
   /**
    * Get icon SVG for group name.
    * @param {string} groupName - Group name.
@@ -109,6 +282,59 @@ class GroupCard {
 
     return iconMap[groupName] || iconMap['Default'];
   }
+
+  /**
+   * Link a cards section to the list it groups.
+   * @param {Element} container - List container element.
+   * @param {Element} section - Cards section element, placed before the list.
+   */
+  static attachSection(container, section) {
+    sections.set(container, section);
+    lists.set(section, container);
+  }
+
+  /**
+   * Get the cards section of a list, if it is still beside the list.
+   * @param {Element} container - List container element.
+   * @returns {Element|null} Cards section element.
+   */
+  static getSection(container) {
+    const section = sections.get(container);
+    return section && section.parentNode && section.parentNode === container.parentNode ? section : null;
+  }
+
+  /**
+   * Get the list a card, breadcrumb or other element of a cards section belongs to.
+   * @param {Element} element - Element inside a cards section.
+   * @returns {Element|null} List container element.
+   */
+  static getList(element) {
+    const section = element.closest('.gitlab-cards-section');
+    return section ? lists.get(section) || null : null;
+  }
+
+  /**
+   * Get the group cards of a list.
+   * @param {Element} container - List container element.
+   * @returns {Element[]} Card elements in display order.
+   */
+  static findAll(container) {
+    const section = GroupCard.getSection(container);
+    return section ? Array.from(section.querySelectorAll('.gitlab-group-card')) : [];
+  }
+
+  /**
+   * Find the card of a group. Group ids come from repository names, rules and
+   * the URL, so they are compared as data instead of put into a selector.
+   * @param {Element} container - List container element.
+   * @param {string} groupId - Group identifier.
+   * @returns {Element|null} Card element, or null when the group has no card.
+   */
+  static find(container, groupId) {
+    return GroupCard.findAll(container).find(card => card.dataset.groupId === groupId) || null;
+  }
 }
 
+GroupCard.REPO_DRAG_TYPE = 'application/x-gitlab-repo';
+
 module.exports = GroupCard;
\ No newline at end of file
@@ -2,17 +2,61 @@
  * Group Controls Component - Creates controls for managing groups.
  */
 
+const RepositorySorter = require('../../core/repository/RepositorySorter.js');
+
 class GroupControls {
   /**
    * Create group controls instance.
-   * @param {Function} onToggleGrouping - Toggle grouping handler.
-   * @param {Function} onManageGroups - Manage groups handler.
-   * @param {boolean} groupingEnabled - Current grouping status.
+   * @param {Object} options - Control options.
+   * @param {Function} options.onToggleGrouping - Toggle grouping handler.
+   * @param {Function} options.onManageGroups - Manage groups handler.
+   * @param {boolean} options.groupingEnabled - Current grouping status, on by default.
+   * @param {Object[]} options.strategies - Available grouping strategies, each with id and label.
+   * @param {string} options.activeStrategy - Id of the selected strategy.
+   * @param {Function} options.onStrategyChange - Strategy change handler.
+   * @param {Object} options.sorting - Sort options.
+   * @param {string} options.sorting.groupSort - Current group sort mode.
+   * @param {string} options.sorting.repoSort - Current repository sort mode.
+   * @param {Function} options.sorting.onChange - Sort change handler, receives ('groupSort' | 'repoSort', mode).
+   * @param {Function} options.onSearch - Search handler, receives the query; an empty query clears the search.
+   * @param {Object} options.allPages - "All pages" options.
+   * @param {boolean} options.allPages.enabled - Whether repositories from every page are grouped.
+   * @param {boolean} options.allPages.available - Whether the list supports loading its other pages.
+   * @param {Function} options.allPages.onToggle - Toggle handler, receives the new state.
+   * @param {Object} options.debug - Debug mode options.
+   * @param {boolean} options.debug.enabled - Whether debug mode is on.
+   * @param {Function} options.debug.onToggle - Toggle handler, receives the new state.
+   * @param {string} options.note - Short note shown in the controls, e.g. what the grouping covers.
+   * @param {Object[]} options.buttons - Extra buttons added by plugins, each with id, label, an optional title and onClick.
    */
-  constructor(onToggleGrouping, onManageGroups, groupingEnabled = true) {
-    this.onToggleGrouping = onToggleGrouping;
-    this.onManageGroups = onManageGroups;
-    this.groupingEnabled = groupingEnabled;
+  constructor(options = {}) {
+    this.onToggleGrouping = options.onToggleGrouping;
+    this.onManageGroups = options.onManageGroups;
+    this.groupingEnabled = options.groupingEnabled !== undefined ? options.groupingEnabled : true;
+    this.strategies = options.strategies || [];
+    this.activeStrategy = options.activeStrategy || 'name';
+    this.onStrategyChange = options.onStrategyChange || (() => {});
+    this.sorting = {
+      groupSort: 'default',
+      repoSort: 'default',
+      onChange: () => {},
+      ...options.sorting
+    };
+    this.onSearch = options.onSearch || (() => {});
+    this.allPages = {
+      enabled: false,
+      available: true,
+      onToggle: () => {},
+      ...options.allPages
+    };
+    this.debug = {
+      enabled: false,
+      onToggle: () => {},
+      ...options.debug
+    };
+    this.debugButton = null;
+    this.note = options.note || '';
+    this.buttons = options.buttons || [];
   }
 
   /**
@@ -28,10 +72,104 @@ class GroupControls {
 
     controls.appendChild(toggleGrouping);
     controls.appendChild(manageGroups);
+    if (this.allPages.available) {
+      controls.appendChild(this.createAllPagesButton());
+    }
+
+    if (this.strategies.length > 1) {
+      controls.appendChild(this.createStrategySelect());
+    }
+
+    controls.appendChild(this.createSelect('Sort groups', 'gitlab-group-sort-select', RepositorySorter.GROUP_SORTS, this.sorting.groupSort, (mode) => {
+      this.sorting.groupSort = mode;
+      this.sorting.onChange('groupSort', mode);
+    }));
+
+    controls.appendChild(this.createSelect('Sort repos', 'gitlab-repo-sort-select', RepositorySorter.REPO_SORTS, this.sorting.repoSort, (mode) => {
+      this.sorting.repoSort = mode;
+      this.sorting.onChange('repoSort', mode);
+    }));
+
+    controls.appendChild(this.createSearchInput());
+    this.buttons.forEach(button => controls.appendChild(this.createPluginButton(button)));
+    controls.appendChild(this.createDebugButton());
+
+    if (this.note) {
+      const note = document.createElement('span');
+      note.className = 'gitlab-controls-note';
+      note.textContent = this.note;
+      controls.appendChild(note);
+    }
 
     return controls;
   }
 
+  /**
+   * Create the live search field. Escape clears it.
+   * @returns {Element} Search input element.
+   */
+  createSearchInput() {
+    const input = document.createElement('input');
+    input.type = 'search';
+    input.className = 'gitlab-search-input';
+    input.placeholder = 'Search repositories';
+    input.setAttribute('aria-label', 'Search repositories in all groups');
+
+    input.oninput = () => this.onSearch(input.value);
+
+    input.onkeydown = (e) => {
+      if (e.key === 'Escape' && input.value) {
+        e.preventDefault();
+        input.value = '';
+        this.onSearch('');
+      }
+    };
+
+    return input;
+  }
+
+  /**
+   * Create "group by" strategy selector.
+   * @returns {Element} Selector label element.
+   */
+  createStrategySelect() {
+    return this.createSelect('Group by', 'gitlab-strategy-select', this.strategies, this.activeStrategy, (strategyId) => {
+      this.activeStrategy = strategyId;
+      this.onStrategyChange(strategyId);
+    });
+  }
+
+  /**
+   * Create a labelled selector.
+   * @param {string} text - Label text.
+   * @param {string} className - Select class name.
+   * @param {Object[]} options - Options, each with id and label.
+   * @param {string} value - Selected option id.
+   * @param {Function} onChange - Change handler, receives the selected id.
+   * @returns {Element} Selector label element.
+   */
+  createSelect(text, className, options, value, onChange) {
+    const label = document.createElement('label');
+    label.className = 'gitlab-control-select';
+    label.textContent = text;
+
+    const select = document.createElement('select');
+    select.className = className;
+
+    options.forEach(({ id, label: optionLabel }) => {
+      const option = document.createElement('option');
+      option.value = id;
+      option.textContent = optionLabel;
+      option.selected = id === value;
+      select.appendChild(option);
+    });
+
+    select.onchange = () => onChange(select.value);
+
+    label.appendChild(select);
+    return label;
+  }
+
   /**
    * Create toggle button.
    * @returns {Element} Toggle button element.
@@ -78,6 +216,97 @@ class GroupControls {
     return button;
   }
 
+  /**
+   * Create the "All pages" toggle that groups repositories from every page of the list.
+   * @returns {Element} Toggle button element.
+   */
+  createAllPagesButton() {
+    const button = document.createElement('button');
+    button.className = 'gitlab-control-btn gitlab-all-pages-btn';
+    button.title = 'Load the other pages of this list and group them too';
+    button.innerHTML = '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polygon points="12 2 2 7 12 12 22 7 12 2"></polygon><polyline points="2 17 12 22 22 17"></polyline><polyline points="2 12 12 17 22 12"></polyline></svg> All pages';
+    this.updateAllPagesButton(button);
+
+    button.onclick = () => {
+      this.allPages.enabled = !this.allPages.enabled;
+      this.updateAllPagesButton(button);
+      this.allPages.onToggle(this.allPages.enabled);
+    };
+
+    return button;
+  }
+
+  /**
+   * Update "All pages" toggle appearance.
+   * @param {Element} button - Button element to update.
+   */
+  updateAllPagesButton(button) {
+    button.classList.toggle('active', this.allPages.enabled);
+    button.setAttribute('aria-pressed', `${this.allPages.enabled}`);
+  }
+
+  /**
+   * Create a button added by a plugin.
+   * @param {Object} options - Button options.
+   * @param {string} options.id - Button identifier, prefixed with the plugin id.
+   * @param {string} options.label - Button text.
+   * @param {string} options.title - Tooltip.
+   * @param {Function} options.onClick - Click handler, receives the button element.
+   * @returns {Element} Button element.
+   */
+  createPluginButton({ id, label, title = '', onClick = () => {} }) {
+    const button = document.createElement('button');
+    button.className = 'gitlab-control-btn gitlab-plugin-btn';
+    button.dataset.pluginButton = id;
+    button.textContent = label;
+    if (title) button.title = title;
+
+    button.onclick = () => {
+      onClick(button);
+    };
+
+    return button;
+  }
+
+  /**
+   * Create the debug mode toggle.
+   * @returns {Element} Toggle button element.
+   */
+  createDebugButton() {
+    const button = document.createElement('button');
+    button.className = 'gitlab-control-btn gitlab-debug-btn';
+    button.title = 'Log to the console and show what was detected on this page';
+    button.innerHTML = '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="8" y="6" width="8" height="14" rx="4"></rect><path d="M19 7l-3 2M5 7l3 2M19 19l-3-2M5 19l3-2M20 13h-4M4 13h4M10 4l1 2M14 4l-1 2"></path></svg> Debug';
+    this.debugButton = button;
+    this.updateDebugButton();
+
+    button.onclick = () => {
+      this.debug.enabled = !this.debug.enabled;
+      this.updateDebugButton();
+      this.debug.onToggle(this.debug.enabled);
+    };
+
+    return button;
+  }
+
+  /**
+   * Update debug toggle appearance.
+   */
+  updateDebugButton() {
+    if (!this.debugButton) return;
+    this.debugButton.classList.toggle('active', this.debug.enabled);
+    this.debugButton.setAttribute('aria-pressed', `${this.debug.enabled}`);
+  }
+
+  /**
+   * Update debug mode status, e.g. after it was changed in the settings.
+   * @param {boolean} enabled - New debug mode status.
+   */
+  updateDebugMode(enabled) {
+    this.debug.enabled = enabled;
+    this.updateDebugButton();
+  }
+
   /**
    * Update grouping status.
    * @param {boolean} enabled - New grouping status.
@@ -85,6 +314,14 @@ class GroupControls {
   updateGroupingStatus(enabled) {
     this.groupingEnabled = enabled;
   }
+
+  /**
+   * Update the selected strategy.
+   * @param {string} strategyId - Strategy identifier.
+   */
+  updateActiveStrategy(strategyId) {
+    this.activeStrategy = strategyId;
+  }
 }
 
 module.exports = GroupControls;
\ No newline at end of file
@@ -0,0 +1,69 @@
+/**
+ * Markup Notice Component - Tells the user that GitHub's repository list was not recognised.
+ */
+
+class MarkupNotice {
+  /**
+   * Create markup notice instance.
+   * @param {Object} report - Selector diagnostics, see SelectorRegistry.diagnose.
+   */
+  constructor(report) {
+    this.report = report;
+  }
+
+  /**
+   * Create notice DOM element.
+   * @returns {Element} Notice element.
+   */
+  create() {
+    const notice = document.createElement('div');
+    notice.className = 'gitlab-markup-notice';
+    notice.setAttribute('role', 'status');
+
+    const title = document.createElement('strong');
+    title.textContent = 'Repository grouping is unavailable';
+    notice.appendChild(title);
+
+    const message = document.createElement('span');
+    message.textContent = 'GitHub\'s repository list markup was not recognised, so this page is shown unchanged.';
+    notice.appendChild(message);
+
+    const details = document.createElement('code');
+    details.textContent = `Selectors v${this.report.version}: ${this.describeRoles()}`;
+    notice.appendChild(details);
+
+    return notice;
+  }
+
+  /**
+   * Describe which selector roles matched.
+   * @returns {string} Roles with the selector that matched, or "no match".
+   */
+  describeRoles() {
+    return Object.entries(this.report.roles)
+      .map(([role, selector]) => `${role} ${selector || 'no match'}`)
+      .join(', ');
+  }
+
+  /**
+   * Show the notice at the top of the page's main content.
+   * @returns {Element} Inserted notice element.
+   */
+  show() {
+    MarkupNotice.remove();
+
+    const notice = this.create();
+    const parent = document.querySelector('main') || document.body;
+    parent.insertBefore(notice, parent.firstChild);
+    return notice;
+  }
+
+  /**
+   * Remove a shown notice.
+   */
+  static remove() {
+    document.querySelectorAll('.gitlab-markup-notice').forEach(notice => notice.remove());
+  }
+}
+
+module.exports = MarkupNotice;
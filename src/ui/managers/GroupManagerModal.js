@@ -2,17 +2,36 @@
  * Group Manager Modal - Creates and manages group management modal.
  */
 
+const GroupRuleEngine = require('../../core/repository/GroupRuleEngine.js');
+
 export class GroupManagerModal {
   /**
    * Create group manager modal instance.
-   * @param {Set<string>} customGroups - Current custom groups.
-   * @param {Function} onAddGroup - Add group handler.
-   * @param {Function} onRemoveGroup - Remove group handler.
+   * @param {Object} options - Modal options.
+   * @param {Set<string>} options.customGroups - Current custom groups.
+   * @param {Function} options.onAddGroup - Add group handler.
+   * @param {Function} options.onRemoveGroup - Remove group handler.
+   * @param {Object[]} options.rules - Current ordered grouping rules.
+   * @param {Function} options.onUpdateRules - Rules change handler, receives the full ordered list.
+   * @param {Object<string, string>} options.assignments - Manual assignments for this owner, full repository names mapped to groups.
+   * @param {Function} options.onClearAssignment - Clear assignment handler, receives the full repository name.
+   * @param {number} options.subgroupDepth - Current maximum subgroup depth.
+   * @param {Function} options.onUpdateDepth - Subgroup depth change handler.
+   * @param {boolean} options.debugMode - Whether debug mode is on.
+   * @param {Function} options.onToggleDebug - Debug mode change handler, receives the new state.
    */
-  constructor(customGroups, onAddGroup, onRemoveGroup) {
-    this.customGroups = customGroups;
-    this.onAddGroup = onAddGroup;
-    this.onRemoveGroup = onRemoveGroup;
+  constructor(options = {}) {
+    this.customGroups = options.customGroups || new Set();
+    this.onAddGroup = options.onAddGroup;
+    this.onRemoveGroup = options.onRemoveGroup;
+    this.rules = (options.rules || []).slice();
+    this.onUpdateRules = options.onUpdateRules || (() => {});
+    this.assignments = { ...options.assignments };
+    this.onClearAssignment = options.onClearAssignment || (() => {});
+    this.subgroupDepth = options.subgroupDepth || 1;
+    this.onUpdateDepth = options.onUpdateDepth || (() => {});
+    this.debugMode = Boolean(options.debugMode);
+    this.onToggleDebug = options.onToggleDebug || (() => {});
   }
 
   /**
@@ -67,6 +86,40 @@ export class GroupManagerModal {
             <input type="text" id="new-group-name" placeholder="Enter group name..." />
             <button id="add-group-btn">Add Group</button>
           </div>
+          <div class="gitlab-group-list">
+            <h4>Grouping Rules</h4>
+            <p class="gitlab-manager-hint">Checked top to bottom, first match wins. Use $1 in the group name for capture groups.</p>
+            <div id="grouping-rules-list">
+              ${this.getRulesListHTML()}
+            </div>
+          </div>
+          <div class="gitlab-add-group gitlab-add-rule">
+            <h4>Add New Rule</h4>
+            <select id="new-rule-type">
+              <option value="glob">Glob</option>
+              <option value="regex">Regex</option>
+            </select>
+            <input type="text" id="new-rule-pattern" placeholder="Pattern, e.g. tf-*-* or ^svc-(\\w+)-" />
+            <input type="text" id="new-rule-group" placeholder="Group name, e.g. Infra: $1" />
+            <button id="add-rule-btn">Add Rule</button>
+          </div>
+          <div class="gitlab-add-group gitlab-depth-setting">
+            <h4>Subgroup Depth</h4>
+            <p class="gitlab-manager-hint">1 keeps groups flat. Higher values nest names like platform-auth-api as Platform &rsaquo; Auth.</p>
+            <input type="number" id="subgroup-depth" min="1" max="5" value="${this.subgroupDepth}" />
+          </div>
+          <div class="gitlab-group-list gitlab-assignment-list">
+            <h4>Manual Assignments</h4>
+            <p class="gitlab-manager-hint">Drag a repository onto a group card to assign it. Drop it on "All Repositories" or remove it here to restore its automatic group.</p>
+            <div id="repo-assignments-list">
+              ${this.getAssignmentsListHTML()}
+            </div>
+          </div>
+          <div class="gitlab-add-group gitlab-debug-setting">
+            <h4>Debug Mode</h4>
+            <p class="gitlab-manager-hint">Logs to the browser console and shows what was detected on the page. Include its overlay when reporting that groups don't show up.</p>
+            <label><input type="checkbox" id="debug-mode" ${this.debugMode ? 'checked' : ''} /> Enable debug mode</label>
+          </div>
         </div>
         <div class="gitlab-manager-footer">
           <button id="close-manager-btn">Close</button>
@@ -86,12 +139,62 @@ export class GroupManagerModal {
 
     return Array.from(this.customGroups).map(group => `
       <div class="gitlab-group-item">
-        <span>${group}</span>
-        <button class="gitlab-remove-group" data-group="${group}"></button>
+        <span>${this.escapeHTML(group)}</span>
+        <button class="gitlab-remove-group" data-group="${this.escapeHTML(group)}"></button>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Get rules list HTML.
+   * @returns {string} Rules list HTML.
+   */
+  getRulesListHTML() {
+    if (this.rules.length === 0) {
+      return '<p class="gitlab-no-groups">No grouping rules yet</p>';
+    }
+
+    return this.rules.map((rule, index) => `
+      <div class="gitlab-group-item gitlab-rule-item">
+        <span class="gitlab-rule-type">${rule.type === 'glob' ? 'glob' : 'regex'}</span>
+        <code class="gitlab-rule-pattern">${this.escapeHTML(rule.pattern)}</code>
+        <span class="gitlab-rule-target">&rarr; ${this.escapeHTML(rule.group)}</span>
+        <button class="gitlab-move-rule" data-index="${index}" title="Move up" ${index === 0 ? 'disabled' : ''}>&uarr;</button>
+        <button class="gitlab-remove-group gitlab-remove-rule" data-index="${index}"></button>
       </div>
     `).join('');
   }
 
+  /**
+   * Get manual assignments list HTML.
+   * @returns {string} Assignments list HTML.
+   */
+  getAssignmentsListHTML() {
+    const entries = Object.entries(this.assignments);
+    if (entries.length === 0) {
+      return '<p class="gitlab-no-groups">No manual assignments yet</p>';
+    }
+
+    return entries.map(([fullName, groupName]) => `
+      <div class="gitlab-group-item gitlab-assignment-item">
+        <span>${this.escapeHTML(fullName)}</span>
+        <span class="gitlab-rule-target">&rarr; ${this.escapeHTML(groupName)}</span>
+        <button class="gitlab-remove-group gitlab-clear-assignment" data-repo="${this.escapeHTML(fullName)}"></button>
+      </div>
+    `).join('');
+  }
+
+  /**
+   * Escape text for safe use in HTML.
+   * @param {string} text - Raw text.
+   * @returns {string} Escaped text.
+   */
+  escapeHTML(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML.replace(/"/g, '&quot;');
+  }
+
   /**
    * Setup event listeners for modal.
    * @param {Element} manager - Modal element.
@@ -101,7 +204,7 @@ export class GroupManagerModal {
     
     document.getElementById('add-group-btn').onclick = () => this.handleAddGroup();
     
-    document.querySelectorAll('.gitlab-remove-group').forEach(btn => {
+    document.querySelectorAll('#custom-groups-list .gitlab-remove-group').forEach(btn => {
       btn.onclick = (e) => {
         const group = e.target.dataset.group;
         this.onRemoveGroup(group);
@@ -120,6 +223,102 @@ export class GroupManagerModal {
         this.handleAddGroup();
       }
     };
+
+    document.getElementById('add-rule-btn').onclick = () => this.handleAddRule();
+
+    document.getElementById('subgroup-depth').onchange = (e) => {
+      const depth = Math.min(5, Math.max(1, parseInt(e.target.value, 10) || 1));
+      e.target.value = depth;
+      this.subgroupDepth = depth;
+      this.onUpdateDepth(depth);
+    };
+
+    document.getElementById('debug-mode').onchange = (e) => {
+      this.debugMode = e.target.checked;
+      this.onToggleDebug(this.debugMode);
+    };
+    this.setupRuleListeners();
+    this.setupAssignmentListeners();
+  }
+
+  /**
+   * Setup clear listeners for manual assignments.
+   */
+  setupAssignmentListeners() {
+    document.querySelectorAll('.gitlab-clear-assignment').forEach(btn => {
+      btn.onclick = (e) => {
+        const fullName = e.target.dataset.repo;
+        delete this.assignments[fullName];
+        this.onClearAssignment(fullName);
+
+        const list = document.getElementById('repo-assignments-list');
+        if (list) {
+          list.innerHTML = this.getAssignmentsListHTML();
+          this.setupAssignmentListeners();
+        }
+      };
+    });
+  }
+
+  /**
+   * Setup move and remove listeners for rules.
+   */
+  setupRuleListeners() {
+    document.querySelectorAll('.gitlab-remove-rule').forEach(btn => {
+      btn.onclick = (e) => {
+        this.rules.splice(Number(e.target.dataset.index), 1);
+        this.commitRules();
+      };
+    });
+
+    document.querySelectorAll('.gitlab-move-rule').forEach(btn => {
+      btn.onclick = (e) => {
+        const index = Number(e.target.dataset.index);
+        if (index > 0) {
+          [this.rules[index - 1], this.rules[index]] = [this.rules[index], this.rules[index - 1]];
+          this.commitRules();
+        }
+      };
+    });
+  }
+
+  /**
+   * Handle add rule action.
+   */
+  handleAddRule() {
+    const type = document.getElementById('new-rule-type').value;
+    const patternInput = document.getElementById('new-rule-pattern');
+    const groupInput = document.getElementById('new-rule-group');
+    const pattern = patternInput.value.trim();
+    const group = groupInput.value.trim();
+
+    if (!pattern || !group) return;
+
+    try {
+      GroupRuleEngine.compile({ type, pattern });
+    } catch (e) {
+      patternInput.classList.add('gitlab-input-error');
+      return;
+    }
+
+    patternInput.classList.remove('gitlab-input-error');
+    this.rules.push({ type, pattern, group });
+    patternInput.value = '';
+    groupInput.value = '';
+    this.commitRules();
+  }
+
+  /**
+   * Notify the rules change handler and re-render the rules list.
+   */
+  commitRules() {
+    this.onUpdateRules(this.rules.slice());
+
+    const rulesList = document.getElementById('grouping-rules-list');
+    if (rulesList) {
+      rulesList.innerHTML = this.getRulesListHTML();
+      this.setupRuleListeners();
+    }
   }
 
   /**
@@ -151,7 +350,7 @@ export class GroupManagerModal {
    * Setup remove group listeners.
    */
   setupRemoveGroupListeners() {
-    document.querySelectorAll('.gitlab-remove-group').forEach(btn => {
+    document.querySelectorAll('#custom-groups-list .gitlab-remove-group').forEach(btn => {
       btn.onclick = (e) => {
         const group = e.target.dataset.group;
         this.onRemoveGroup(group);
@@ -0,0 +1,121 @@
+/**
+ * DOM Transform - Records changes made to GitHub's markup so they can be undone exactly.
+ */
+
+class DomTransform {
+  constructor() {
+    this.undoSteps = [];
+    this.attributes = new Map();
+  }
+
+  /**
+   * Insert a node that the extension created.
+   * @param {Node} node - Node to insert.
+   * @param {Element} parent - New parent element.
+   * @param {Node|null} before - Sibling to insert before, null to append.
+   */
+  insert(node, parent, before = null) {
+    parent.insertBefore(node, before);
+    this.undoSteps.push(() => node.remove());
+  }
+
+  /**
+   * Move an existing node, remembering where it was.
+   * @param {Node} node - Node to move.
+   * @param {Element} parent - New parent element.
+   * @param {Node|null} before - Sibling to insert before, null to append.
+   */
+  move(node, parent, before = null) {
+    const originalParent = node.parentNode;
+    const originalNext = node.nextSibling;
+    if (originalParent === parent && (before === node || originalNext === before)) return;
+
+    parent.insertBefore(node, before);
+    this.undoSteps.push(() => {
+      // Skip nodes that GitHub has moved or removed since.
+      if (node.parentNode !== parent || !originalParent) return;
+      const anchor = originalNext && originalNext.parentNode === originalParent ? originalNext : null;
+      originalParent.insertBefore(node, anchor);
+    });
+  }
+
+  /**
+   * Set an attribute.
+   * @param {Element} element - Element to change.
+   * @param {string} name - Attribute name.
+   * @param {string} value - Attribute value.
+   */
+  setAttribute(element, name, value) {
+    this.track(element, name);
+    element.setAttribute(name, value);
+  }
+
+  /**
+   * Add or remove a class.
+   * @param {Element} element - Element to change.
+   * @param {string} className - Class name.
+   * @param {boolean} force - True to add the class, false to remove it.
+   */
+  toggleClass(element, className, force) {
+    this.track(element, 'class');
+    element.classList.toggle(className, force);
+  }
+
+  /**
+   * Remember the current value of an attribute so revert puts it back.
+   * Used for attributes changed later outside the transform, e.g. while switching groups.
+   * @param {Element} element - Element whose attribute will change.
+   * @param {string} name - Attribute name.
+   */
+  track(element, name) {
+    if (!this.attributes.has(element)) {
+      this.attributes.set(element, new Map());
+    }
+
+    const originals = this.attributes.get(element);
+    if (!originals.has(name)) {
+      originals.set(name, element.getAttribute(name));
+    }
+  }
+
+  /**
+   * Add an event listener that is removed on revert.
+   * @param {Element} element - Element to listen on.
+   * @param {string} type - Event type.
+   * @param {Function} handler - Event handler.
+   */
+  listen(element, type, handler) {
+    element.addEventListener(type, handler);
+    this.undoSteps.push(() => element.removeEventListener(type, handler));
+  }
+
+  /**
+   * Undo every recorded change, newest first, and put attributes back to their original values.
+   */
+  revert() {
+    while (this.undoSteps.length > 0) {
+      this.undoSteps.pop()();
+    }
+
+    this.attributes.forEach((originals, element) => {
+      originals.forEach((value, name) => {
+        if (value === null) {
+          element.removeAttribute(name);
+        } else {
+          element.setAttribute(name, value);
+        }
+      });
+    });
+    this.attributes.clear();
+  }
+
+  /**
+   * Check whether anything has been recorded.
+   * @returns {boolean} True when there is nothing to revert.
+   */
+  isEmpty() {
+    return this.undoSteps.length === 0 && this.attributes.size === 0;
+  }
+}
+
+module.exports = DomTransform;
@@ -0,0 +1,95 @@
+/**
+ * Event Bus - Named events that modules publish and subscribe to without knowing each other.
+ */
+
+const Logger = require('./Logger.js');
+
+const logger = new Logger('EventBus');
+
+class EventBus {
+  /**
+   * Create event bus instance.
+   * @param {string[]|null} types - Event types the bus accepts, or null to accept any.
+   * @param {string} name - Name of the events in error messages, e.g. 'navigation'.
+   */
+  constructor(types = null, name = '') {
+    this.types = types;
+    this.name = name;
+    this.handlers = new Map();
+  }
+
+  /**
+   * Subscribe to an event.
+   * @param {string} type - Event type.
+   * @param {Function} handler - Called with the event detail.
+   * @returns {Function} Unsubscribe function.
+   */
+  on(type, handler) {
+    this.check(type);
+
+    if (!this.handlers.has(type)) {
+      this.handlers.set(type, new Set());
+    }
+    this.handlers.get(type).add(handler);
+    return () => this.off(type, handler);
+  }
+
+  /**
+   * Unsubscribe from an event.
+   * @param {string} type - Event type.
+   * @param {Function} handler - Subscribed handler.
+   */
+  off(type, handler) {
+    if (this.handlers.has(type)) {
+      this.handlers.get(type).delete(handler);
+    }
+  }
+
+  /**
+   * Call the handlers of an event. A failing handler does not stop the others.
+   * @param {string} type - Event type.
+   * @param {Object} detail - Event detail.
+   */
+  emit(type, detail = {}) {
+    this.check(type);
+
+    const handlers = this.handlers.get(type);
+    if (!handlers) return;
+
+    Array.from(handlers).forEach(handler => {
+      try {
+        handler(detail);
+      } catch (error) {
+        logger.error(`Error in ${type} handler:`, error);
+      }
+    });
+  }
+
+  /**
+   * Check whether an event has subscribers, e.g. to skip preparing its detail.
+   * @param {string} type - Event type.
+   * @returns {boolean} True if any handler is subscribed.
+   */
+  has(type) {
+    return this.handlers.has(type) && this.handlers.get(type).size > 0;
+  }
+
+  /**
+   * Remove every subscription.
+   */
+  clear() {
+    this.handlers.clear();
+  }
+
+  /**
+   * Reject event types the bus does not know, which are usually typos.
+   * @param {string} type - Event type.
+   */
+  check(type) {
+    if (this.types && !this.types.includes(type)) {
+      throw new Error(`Unknown ${this.name ? `${this.name} ` : ''}event: ${type}`);
+    }
+  }
+}
+
+module.exports = EventBus;
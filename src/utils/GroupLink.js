@@ -0,0 +1,63 @@
+/**
+ * Group Link - Reads and writes the active group in the URL hash.
+ */
+
+class GroupLink {
+  /**
+   * Get the group linked in the current URL.
+   * @param {Iterable<string>|null} groupIds - Identifiers of the existing groups;
+   *   a linked group that is not among them is ignored.
+   * @returns {string|null} Group identifier, or null when the URL links none.
+   */
+  static read(groupIds = null) {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const groupId = params.get(GroupLink.PARAM) || null;
+
+    if (groupId && groupIds && !new Set(groupIds).has(groupId)) return null;
+    return groupId;
+  }
+
+  /**
+   * Build the current URL with a group linked in its hash.
+   * The path and query are kept, so GitHub's own routing is unaffected.
+   * @param {string|null} groupId - Group identifier; null or 'all' removes the link.
+   * @returns {string} URL.
+   */
+  static buildUrl(groupId) {
+    const url = new URL(window.location.href);
+    const params = new URLSearchParams(url.hash.slice(1));
+
+    if (!groupId || groupId === 'all') {
+      params.delete(GroupLink.PARAM);
+    } else {
+      params.set(GroupLink.PARAM, groupId);
+    }
+
+    // Keep subgroup paths readable, e.g. #group=Platform/Auth.
+    const hash = params.toString().replace(/%2F/gi, '/');
+    url.hash = hash ? `#${hash}` : '';
+    return url.toString();
+  }
+
+  /**
+   * Link a group in the URL.
+   * @param {string|null} groupId - Group identifier; null or 'all' removes the link.
+   * @param {boolean} replace - Replace the current history entry instead of adding one.
+   */
+  static write(groupId, replace = false) {
+    const url = this.buildUrl(groupId);
+    if (url === window.location.href) return;
+
+    const state = { gitlabGroup: groupId || 'all' };
+    if (replace) {
+      // Keep the state GitHub stored for this entry.
+      window.history.replaceState({ ...window.history.state, ...state }, '', url);
+    } else {
+      window.history.pushState(state, '', url);
+    }
+  }
+}
+
+GroupLink.PARAM = 'group';
+
+module.exports = GroupLink;
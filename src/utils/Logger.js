@@ -0,0 +1,148 @@
+/**
+ * Logger - Levelled, module-tagged logging that only reports errors unless debug mode is on.
+ */
+
+const CONSOLE_METHODS = {
+  debug: 'debug',
+  info: 'info',
+  warn: 'warn',
+  error: 'error'
+};
+
+class Logger {
+  /**
+   * Create logger instance.
+   * @param {string} module - Module tag shown in front of every message.
+   */
+  constructor(module) {
+    this.module = module;
+  }
+
+  /**
+   * Log a debug message.
+   * @param {string} message - Message text.
+   * @param {...*} details - Extra values passed to the console.
+   */
+  debug(message, ...details) {
+    this.write('debug', message, details);
+  }
+
+  /**
+   * Log an info message.
+   * @param {string} message - Message text.
+   * @param {...*} details - Extra values passed to the console.
+   */
+  info(message, ...details) {
+    this.write('info', message, details);
+  }
+
+  /**
+   * Log a warning.
+   * @param {string} message - Message text.
+   * @param {...*} details - Extra values passed to the console.
+   */
+  warn(message, ...details) {
+    this.write('warn', message, details);
+  }
+
+  /**
+   * Log an error.
+   * @param {string} message - Message text.
+   * @param {...*} details - Extra values passed to the console, e.g. the error.
+   */
+  error(message, ...details) {
+    this.write('error', message, details);
+  }
+
+  /**
+   * Write a message to the console when its level is enabled.
+   * @param {string} level - Message level.
+   * @param {string} message - Message text.
+   * @param {*[]} details - Extra values passed to the console.
+   */
+  write(level, message, details = []) {
+    if (!Logger.isEnabled(level)) return;
+    console[CONSOLE_METHODS[level]](`[${this.module}] ${message}`, ...details);
+  }
+
+  /**
+   * Run a pipeline step and record how long it took. Promises are timed until they settle.
+   * @param {string} step - Step name shown in the diagnostics.
+   * @param {Function} fn - Step to run.
+   * @returns {*} Result of the step.
+   */
+  time(step, fn) {
+    const start = Logger.now();
+    const done = () => {
+      const duration = Logger.now() - start;
+      Logger.timings.set(step, duration);
+      this.debug(`${step} took ${duration.toFixed(1)}ms`);
+    };
+
+    let result;
+    try {
+      result = fn();
+    } catch (error) {
+      done();
+      throw error;
+    }
+
+    if (result && typeof result.then === 'function') {
+      return result.finally(done);
+    }
+
+    done();
+    return result;
+  }
+
+  /**
+   * Set the lowest level that is written to the console.
+   * @param {string} level - One of Logger.LEVELS; 'silent' writes nothing.
+   */
+  static setLevel(level) {
+    if (!Logger.LEVELS.includes(level)) {
+      throw new Error(`Unknown log level: ${level}`);
+    }
+    Logger.level = level;
+  }
+
+  /**
+   * Check whether messages of a level are written.
+   * @param {string} level - Message level.
+   * @returns {boolean} True if enabled.
+   */
+  static isEnabled(level) {
+    return Logger.LEVELS.indexOf(level) >= Logger.LEVELS.indexOf(Logger.level);
+  }
+
+  /**
+   * Get the last duration of every timed step.
+   * @returns {Object[]} Steps in the order they first ran, each with step and duration in ms.
+   */
+  static getTimings() {
+    return Array.from(Logger.timings, ([step, duration]) => ({ step, duration }));
+  }
+
+  /**
+   * Forget recorded timings, e.g. when navigating to another page.
+   */
+  static clearTimings() {
+    Logger.timings.clear();
+  }
+
+  /**
+   * Get a high resolution timestamp.
+   * @returns {number} Milliseconds.
+   */
+  static now() {
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+  }
+}
+
+Logger.LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+// Errors are always reported, so failures show up without debug mode.
+Logger.DEFAULT_LEVEL = 'error';
+Logger.level = Logger.DEFAULT_LEVEL;
+Logger.timings = new Map();
+
+module.exports = Logger;
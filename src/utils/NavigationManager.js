@@ -2,15 +2,29 @@
  * Navigation Manager - Handles SPA navigation and page changes.
  */
 
+const Logger = require('./Logger.js');
+const EventBus = require('./EventBus.js');
+
+const logger = new Logger('NavigationManager');
+
 class NavigationManager {
   /**
    * Create navigation manager instance.
-   * @param {Function} onNavigationChange - Navigation change handler.
+   * @param {Function} onNavigationChange - Optional handler subscribed to 'navigated'.
    */
-  constructor(onNavigationChange) {
-    this.onNavigationChange = onNavigationChange;
+  constructor(onNavigationChange = null) {
     this.currentUrl = window.location.href;
-    this.observer = null;
+    this.events = new EventBus(NavigationManager.EVENTS, 'navigation');
+    this.historyWrappers = {};
+    this.domListeners = [];
+    this.turboVisiting = false;
+    this.turboRendered = false;
+    this.unreportedUrl = null;
+    this.pendingUrl = null;
+
+    if (onNavigationChange) {
+      this.on('navigated', onNavigationChange);
+    }
   }
 
   /**
@@ -21,34 +35,230 @@ class NavigationManager {
   }
 
   /**
-   * Setup navigation listener for SPA changes.
+   * Setup navigation listeners for SPA changes: back and forward, the
+   * Navigation API, Turbo visits and the extension's own history changes.
    */
   setupNavigationListener() {
-    this.observer = new MutationObserver(() => {
-      if (window.location.href !== this.currentUrl) {
-        this.currentUrl = window.location.href;
-        console.log('[NavigationManager] URL changed to:', this.currentUrl);
-        
-        setTimeout(() => {
-          this.onNavigationChange();
-        }, 500);
+    this.wrapHistory();
+    this.watchPageNavigation();
+
+    this.listen(window, 'popstate', () => this.handleUrlChange());
+    this.listen(document, 'turbo:visit', (event) => {
+      this.turboVisiting = true;
+      this.turboRendered = false;
+      this.announce((event.detail && event.detail.url) || window.location.href);
+    });
+    ['turbo:fetch-request-error', 'turbo:frame-missing'].forEach(type => {
+      this.listen(document, type, () => this.endTurboVisit());
+    });
+    this.listen(document, 'turbo:render', () => {
+      this.turboRendered = true;
+      this.handleTurboRender();
+    });
+    this.listen(document, 'turbo:load', () => {
+      this.turboVisiting = false;
+      // Content was already reported when the visit rendered.
+      if (this.turboRendered) {
+        this.handleUrlChange();
+      } else {
+        this.handleTurboRender();
+      }
+    });
+  }
+
+  /**
+   * Wrap history.pushState and history.replaceState so that URL changes made
+   * through them are announced before and reported after they happen. Content
+   * scripts run in an isolated world, so this only sees the extension's own
+   * calls; changes made by the page come through the Navigation API.
+   */
+  wrapHistory() {
+    const history = window.history;
+
+    ['pushState', 'replaceState'].forEach(method => {
+      const original = history[method];
+      const wrapper = (...args) => {
+        const url = args[2];
+        if (url !== undefined && url !== null) {
+          this.announce(new URL(url, window.location.href).href);
+        }
+
+        const result = original.apply(history, args);
+        this.handleUrlChange();
+        return result;
+      };
+      history[method] = wrapper;
+      this.historyWrappers[method] = { original, wrapper };
+    });
+  }
+
+  /**
+   * Follow navigations made by GitHub's own scripts, such as React router tab
+   * and filter changes, through the Navigation API where the browser has it.
+   */
+  watchPageNavigation() {
+    const navigation = window.navigation;
+    if (!navigation) return;
+
+    this.listen(navigation, 'navigate', (event) => {
+      if (event.destination && event.destination.url) {
+        this.announce(event.destination.url);
       }
     });
+    this.listen(navigation, 'navigatesuccess', () => this.handleUrlChange());
+    this.listen(navigation, 'navigateerror', () => this.endTurboVisit());
+  }
+
+  /**
+   * Add a listener that is removed on destroy.
+   * @param {EventTarget} target - Event target.
+   * @param {string} type - Event type.
+   * @param {Function} handler - Event handler.
+   */
+  listen(target, type, handler) {
+    target.addEventListener(type, handler);
+    this.domListeners.push({ target, type, handler });
+  }
+
+  /**
+   * Emit beforeNavigate for a URL on another page, once per navigation.
+   * @param {string} url - URL about to be shown.
+   */
+  announce(url) {
+    if (!NavigationManager.isOtherPage(url, this.currentUrl) || url === this.pendingUrl) return;
+
+    this.pendingUrl = url;
+    this.emit('beforeNavigate', { from: this.currentUrl, to: url });
+  }
+
+  /**
+   * Report a change of the current URL. Hash changes, such as group deep
+   * links, stay on the same page and are not reported.
+   */
+  handleUrlChange() {
+    const url = window.location.href;
+    if (url === this.currentUrl) return;
+
+    const previousUrl = this.currentUrl;
+    this.currentUrl = url;
+    if (!NavigationManager.isOtherPage(url, previousUrl)) return;
+
+    if (this.pendingUrl !== url) {
+      this.emit('beforeNavigate', { from: previousUrl, to: url });
+    }
+    this.pendingUrl = null;
+
+    logger.info('URL changed to:', url);
+    this.emit('navigated', { url, previousUrl });
+
+    // Turbo's own popstate handler starts its visit during the same event,
+    // so wait for the dispatch to finish before deciding who renders.
+    Promise.resolve().then(() => {
+      if (this.currentUrl !== url) return;
 
-    this.observer.observe(document.body, { 
-      subtree: true, 
-      childList: true 
+      if (this.turboVisiting) {
+        this.unreportedUrl = url;
+      } else {
+        this.reportContent();
+      }
     });
   }
 
+  /**
+   * Stop waiting for a Turbo visit that failed or was cancelled, and report
+   * the content of a page it left unreported.
+   */
+  endTurboVisit() {
+    if (!this.turboVisiting) return;
+
+    logger.debug('Turbo visit ended without loading');
+    this.turboVisiting = false;
+    this.handleUrlChange();
+    if (this.unreportedUrl === this.currentUrl) {
+      this.reportContent();
+    }
+  }
+
+  /**
+   * Emit contentReady for the current URL.
+   */
+  reportContent() {
+    this.unreportedUrl = null;
+    this.emit('contentReady', { url: this.currentUrl });
+  }
+
+  /**
+   * Report content rendered by Turbo. A visit that Turbo rendered without a
+   * history change is still a navigation.
+   */
+  handleTurboRender() {
+    this.handleUrlChange();
+    this.reportContent();
+  }
+
+  /**
+   * Subscribe to a navigation event.
+   * @param {string} type - 'beforeNavigate', 'navigated' or 'contentReady'.
+   * @param {Function} handler - Called with the event detail.
+   * @returns {Function} Unsubscribe function.
+   */
+  on(type, handler) {
+    return this.events.on(type, handler);
+  }
+
+  /**
+   * Unsubscribe from a navigation event.
+   * @param {string} type - Event type.
+   * @param {Function} handler - Subscribed handler.
+   */
+  off(type, handler) {
+    this.events.off(type, handler);
+  }
+
+  /**
+   * Call the handlers of a navigation event.
+   * @param {string} type - Event type.
+   * @param {Object} detail - Event detail.
+   */
+  emit(type, detail) {
+    logger.debug(`${type}: ${detail.url || detail.to}`);
+    this.events.emit(type, detail);
+  }
+
+  /**
+   * Check whether two URLs show different pages.
+   * @param {string} url - URL.
+   * @param {string} otherUrl - URL to compare with.
+   * @returns {boolean} True unless they differ only in their hash.
+   */
+  static isOtherPage(url, otherUrl) {
+    return NavigationManager.stripHash(url) !== NavigationManager.stripHash(otherUrl);
+  }
+
+  /**
+   * Remove the hash from a URL.
+   * @param {string} url - URL.
+   * @returns {string} URL without its hash.
+   */
+  static stripHash(url) {
+    return url.split('#')[0];
+  }
+
   /**
    * Destroy navigation manager and cleanup listeners.
    */
   destroy() {
-    if (this.observer) {
-      this.observer.disconnect();
-      this.observer = null;
-    }
+    this.domListeners.forEach(({ target, type, handler }) => target.removeEventListener(type, handler));
+    this.domListeners = [];
+
+    // Leave history alone if something wrapped it after us.
+    Object.entries(this.historyWrappers).forEach(([method, { original, wrapper }]) => {
+      if (window.history[method] === wrapper) {
+        window.history[method] = original;
+      }
+    });
+    this.historyWrappers = {};
+    this.events.clear();
   }
 
   /**
@@ -60,4 +270,6 @@ class NavigationManager {
   }
 }
 
-module.exports = NavigationManager;
\ No newline at end of file
+NavigationManager.EVENTS = ['beforeNavigate', 'navigated', 'contentReady'];
+
+module.exports = NavigationManager;
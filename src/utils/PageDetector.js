@@ -2,56 +2,128 @@
  * Page Detector - Determines if current page is a repository page.
  */
 
+const SelectorRegistry = require('../core/selectors/SelectorRegistry.js');
+const RouteParser = require('./RouteParser.js');
+
 class PageDetector {
+  /**
+   * Get the route of the current page.
+   * @returns {Object} Route, see RouteParser.parse.
+   */
+  static getRoute() {
+    return RouteParser.parse(window.location.href);
+  }
+
   /**
    * Check if current page is a repository listing page.
    * @returns {boolean} True if repository page.
    */
   static isRepositoryPage() {
-    const pathname = window.location.pathname;
-    
-    if (pathname.match(/^\/[^\/]+$/)) {
-      const pageHeader = document.querySelector('h1');
-      if (pageHeader && pageHeader.textContent.includes('Repositories')) {
-        return true;
-      }
-    }
-    
-    if (pathname.includes('?tab=repositories')) {
+    if (this.expectsRepositoryList()) {
       return true;
     }
-    
-    if (pathname.includes('/orgs/') && 
-        (pathname.includes('/repositories') || 
-         document.querySelector('[data-test-selector="org-repositories-list"]'))) {
+
+    return this.selectors.query(document, 'container') !== null;
+  }
+
+  /**
+   * Check if the URL is one that lists repositories, whatever the markup shows.
+   * @returns {boolean} True for an organization's repositories, a profile's repositories or
+   * stars tab, repository search results and topic pages.
+   */
+  static expectsRepositoryList() {
+    if (PageDetector.LIST_KINDS.includes(this.getRoute().kind)) {
       return true;
     }
-    
-    const repoContainers = [
-      '#user-repositories-list',
-      '#org-repositories-list',
-      '[data-testid="repository-list-container"]',
-      'div[data-test-selector="org-repositories-list"]'
-    ];
-    
-    return repoContainers.some(selector => document.querySelector(selector));
+
+    return this.isSearchPage() || this.isTopicPage();
   }
 
   /**
-   * Check if current page is an organization page.
+   * Check if current page shows repository search results.
+   * @returns {boolean} True on `/search?type=repositories`.
+   */
+  static isSearchPage() {
+    const route = this.getRoute();
+    return route.kind === 'search' && route.tab === 'repositories';
+  }
+
+  /**
+   * Check if current page lists the repositories of a topic.
+   * @returns {boolean} True on `/topics/<name>`.
+   */
+  static isTopicPage() {
+    return this.getRoute().kind === 'topic';
+  }
+
+  /**
+   * Get the tab shown on a user profile.
+   * @returns {string|null} Tab name, e.g. 'repositories' or 'stars', or null when not on a profile.
+   */
+  static getProfileTab() {
+    const route = this.getRoute();
+    return ['profile', 'user-repos', 'stars'].includes(route.kind) ? route.tab : null;
+  }
+
+  /**
+   * Check if current page is a user's starred repositories.
+   * @returns {boolean} True on the stars tab.
+   */
+  static isStarsPage() {
+    return this.getRoute().kind === 'stars';
+  }
+
+  /**
+   * Get the kind of repository list on the current page, which decides the
+   * grouping strategies offered.
+   * @returns {string} 'stars', 'search', 'topic' or 'repositories'.
+   */
+  static getListType() {
+    if (this.isStarsPage()) return 'stars';
+    if (this.isSearchPage()) return 'search';
+    if (this.isTopicPage()) return 'topic';
+    return 'repositories';
+  }
+
+  /**
+   * Check if current page is an organization page. An organization's overview
+   * shares its URL shape with a user profile, so the page header tells them apart.
    * @returns {boolean} True if organization page.
    */
   static isOrganizationPage() {
-    return window.location.pathname.includes('/orgs/') || 
-           window.location.pathname.match(/^\/[^\/]+$/) && 
-           document.querySelector('[data-test-selector="org-header"]');
+    const { kind } = this.getRoute();
+    if (kind === 'org' || kind === 'org-repos') {
+      return true;
+    }
+
+    return kind === 'profile' && document.querySelector('[data-test-selector="org-header"]') !== null;
+  }
+
+  /**
+   * Get the user or organization that owns the current repository list.
+   * @returns {string|null} Owner login, or null when not on an owner page.
+   */
+  static getOwner() {
+    return this.getRoute().owner;
   }
 
   /**
    * Get the current page type.
-   * @returns {string} Page type: 'organization', 'repository', or 'other'.
+   * @returns {string} Page type: 'organization', 'stars', 'search', 'topic', 'repository', or 'other'.
    */
   static getPageType() {
+    if (this.isStarsPage()) {
+      return 'stars';
+    }
+
+    if (this.isSearchPage()) {
+      return 'search';
+    }
+
+    if (this.isTopicPage()) {
+      return 'topic';
+    }
+
     if (this.isOrganizationPage()) {
       return 'organization';
     }
@@ -64,4 +136,8 @@ class PageDetector {
   }
 }
 
+// Route kinds whose page is a repository list.
+PageDetector.LIST_KINDS = ['user-repos', 'org-repos', 'stars'];
+PageDetector.selectors = SelectorRegistry.getDefault();
+
 module.exports = PageDetector;
\ No newline at end of file
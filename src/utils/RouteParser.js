@@ -0,0 +1,87 @@
+/**
+ * Route Parser - Reads what kind of GitHub page a URL points to.
+ */
+
+class RouteParser {
+  /**
+   * Parse a GitHub URL.
+   * @param {string} url - Absolute URL, defaults to the current page.
+   * @returns {Object} Route with kind, owner, repo, tab, query and topic. Kind is one of
+   * 'home', 'profile', 'user-repos', 'stars', 'org', 'org-repos', 'repo', 'search', 'topic',
+   * 'new-repo' or 'other'; fields that do not apply to a kind are null.
+   */
+  static parse(url = window.location.href) {
+    const { pathname, searchParams } = new URL(url, 'https://github.com');
+    const segments = pathname.split('/').filter(Boolean);
+    const [first, second, third, fourth] = segments.map(segment => segment.toLowerCase());
+    const query = searchParams.get('q');
+    const route = (kind, fields = {}) => ({
+      kind, owner: null, repo: null, tab: null, query: null, topic: null, ...fields
+    });
+
+    if (segments.length === 0) {
+      return route('home');
+    }
+
+    if (first === 'search' && segments.length === 1) {
+      return route('search', { tab: RouteParser.lower(searchParams.get('type')), query });
+    }
+
+    if (first === 'topics' && segments.length === 2) {
+      return route('topic', { topic: segments[1] });
+    }
+
+    if (first === 'new' && (segments.length === 1 || second === 'import')) {
+      return route('new-repo');
+    }
+
+    if (first === 'organizations' && third === 'repositories' && fourth === 'new') {
+      return route('new-repo', { owner: segments[1] });
+    }
+
+    if (first === 'orgs' && second) {
+      if (third === 'repositories' && segments.length === 3) {
+        return route('org-repos', { owner: segments[1], tab: 'repositories', query });
+      }
+      return route('org', { owner: segments[1], tab: third || null });
+    }
+
+    if (RouteParser.RESERVED.includes(first)) {
+      return route('other');
+    }
+
+    if (segments.length === 1) {
+      const tab = RouteParser.lower(searchParams.get('tab'));
+      const kind = RouteParser.PROFILE_TABS[tab] || 'profile';
+      return route(kind, { owner: segments[0], tab, query: kind === 'profile' ? null : query });
+    }
+
+    return route('repo', { owner: segments[0], repo: segments[1], tab: third || null });
+  }
+
+  /**
+   * Lower-case an optional URL parameter.
+   * @param {string|null} value - Parameter value.
+   * @returns {string|null} Lower-cased value, or null when missing.
+   */
+  static lower(value) {
+    return value ? value.toLowerCase() : null;
+  }
+}
+
+// Profile tabs that are repository lists of their own kind.
+RouteParser.PROFILE_TABS = {
+  repositories: 'user-repos',
+  stars: 'stars'
+};
+
+// First path segments GitHub uses for its own pages, never for an owner.
+RouteParser.RESERVED = [
+  'about', 'account', 'apps', 'codespaces', 'collections', 'copilot', 'dashboard',
+  'discussions', 'enterprise', 'explore', 'features', 'issues', 'login', 'logout',
+  'marketplace', 'new', 'notifications', 'organizations', 'orgs', 'pricing', 'pulls',
+  'search', 'security', 'sessions', 'settings', 'signup', 'site', 'sponsors', 'stars',
+  'topics', 'trending', 'users', 'watching'
+];
+
+module.exports = RouteParser;
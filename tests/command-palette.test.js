@@ -0,0 +1,177 @@
+/**
+ * Command Palette Test Suite.
+ */
+
+const CommandPalette = require('../src/ui/components/CommandPalette.js');
+const GitHubGitLabTheme = require('../src/main.js');
+const GroupManager = require('../src/core/repository/GroupManager.js');
+const RepositoryProcessor = require('../src/core/repository/RepositoryProcessor.js');
+const { createItem } = require('./helpers/repositoryRows.js');
+
+const pressKey = (target, key, options = {}) => {
+  const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options });
+  target.dispatchEvent(event);
+  return event;
+};
+
+const labels = () => Array.from(document.querySelectorAll('.gitlab-palette-item .gitlab-palette-label'))
+  .map(label => label.textContent);
+
+describe('CommandPalette', () => {
+  let palette;
+  let commands;
+
+  beforeEach(() => {
+    commands = [
+      { type: 'group', label: 'Billing', run: jest.fn() },
+      { type: 'repo', label: 'acme/billing-api', run: jest.fn() },
+      { type: 'repo', label: 'acme/auth-service', run: jest.fn() },
+      { type: 'action', label: 'Manage groups', run: jest.fn() }
+    ];
+    palette = new CommandPalette(() => commands);
+    palette.init();
+  });
+
+  afterEach(() => {
+    palette.destroy();
+  });
+
+  test('should open and close with Ctrl+K and Cmd+K', () => {
+    const event = pressKey(document.body, 'k', { ctrlKey: true });
+    expect(event.defaultPrevented).toBe(true);
+    expect(document.querySelector('.gitlab-command-palette')).not.toBeNull();
+    expect(document.activeElement.classList.contains('gitlab-palette-input')).toBe(true);
+    expect(labels()).toEqual(['Billing', 'acme/billing-api', 'acme/auth-service', 'Manage groups']);
+
+    pressKey(document.body, 'K', { metaKey: true });
+    expect(document.querySelector('.gitlab-command-palette')).toBeNull();
+  });
+
+  test('should stay closed when not available on the page', () => {
+    palette.destroy();
+    palette = new CommandPalette(() => commands, () => false);
+    palette.init();
+
+    const event = pressKey(document.body, 'k', { ctrlKey: true });
+    expect(event.defaultPrevented).toBe(false);
+    expect(palette.isOpen()).toBe(false);
+  });
+
+  test('should rank tighter matches first', () => {
+    palette.open();
+    const input = document.querySelector('.gitlab-palette-input');
+
+    input.value = 'bil';
+    input.dispatchEvent(new Event('input'));
+    expect(labels()).toEqual(['Billing', 'acme/billing-api']);
+
+    input.value = 'zzz';
+    input.dispatchEvent(new Event('input'));
+    expect(document.querySelector('.gitlab-palette-empty').textContent).toBe('No matches');
+  });
+
+  test('should run the selected command with the keyboard', () => {
+    palette.open();
+    const input = document.querySelector('.gitlab-palette-input');
+
+    pressKey(input, 'ArrowDown');
+    pressKey(input, 'ArrowDown');
+    expect(document.querySelector('.gitlab-palette-item.selected .gitlab-palette-label').textContent).toBe('acme/auth-service');
+
+    pressKey(input, 'Enter');
+    expect(commands[2].run).toHaveBeenCalled();
+    expect(palette.isOpen()).toBe(false);
+  });
+
+  test('should log commands that fail', async () => {
+    const error = new Error('Request failed');
+    commands[3].run = jest.fn().mockRejectedValue(error);
+
+    await palette.execute(commands[3]);
+
+    expect(console.error).toHaveBeenCalledWith('[CommandPalette] Command failed: Manage groups', error);
+  });
+
+  test('should wrap around and close on Escape', () => {
+    palette.open();
+    const input = document.querySelector('.gitlab-palette-input');
+
+    pressKey(input, 'ArrowUp');
+    expect(document.querySelector('.gitlab-palette-item.selected .gitlab-palette-label').textContent).toBe('Manage groups');
+
+    pressKey(input, 'Escape');
+    expect(palette.isOpen()).toBe(false);
+    expect(commands[3].run).not.toHaveBeenCalled();
+  });
+});
+
+describe('GitHubGitLabTheme palette commands', () => {
+  let app;
+  let container;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    app = new GitHubGitLabTheme();
+    app.groupManager = new GroupManager();
+    app.registerStrategies();
+    app.groupDisplayManager.showGroupRepos = jest.fn();
+    app.handleToggleGrouping = jest.fn();
+    app.handleStrategyChange = jest.fn();
+    app.showGroupManager = jest.fn();
+    app.addGroupControls = jest.fn();
+
+    container = document.createElement('ul');
+    container.dataset.gitlabProcessed = 'true';
+    document.body.appendChild(container);
+    const items = ['billing-api', 'billing-web', 'auth-api'].map(createItem);
+    items.forEach(item => container.appendChild(item));
+    new RepositoryProcessor(app.groupManager, jest.fn()).createGroupCards(container, items);
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+    jest.useRealTimers();
+  });
+
+  test('should list groups, repositories and actions', () => {
+    const commands = app.getPaletteCommands();
+    const byType = (type) => commands.filter(command => command.type === type).map(command => command.label);
+
+    expect(byType('group')).toEqual(['All Repositories', 'Billing', 'Auth']);
+    expect(byType('repo')).toEqual(['acme/billing-api', 'acme/billing-web', 'acme/auth-api']);
+    expect(byType('action')).toEqual(expect.arrayContaining([
+      'Disable grouping',
+      'Manage groups',
+      'Switch to light theme',
+      'Group by Language'
+    ]));
+    expect(byType('action')).not.toContain('Group by Name');
+  });
+
+  test('should show groups and call the control handlers', async () => {
+    const commands = app.getPaletteCommands();
+    const find = (label) => commands.find(command => command.label === label);
+
+    find('Billing').run();
+    expect(app.groupDisplayManager.showGroupRepos).toHaveBeenCalledWith('Billing', container);
+
+    await find('Disable grouping').run();
+    expect(app.handleToggleGrouping).toHaveBeenCalledWith(false);
+    expect(app.addGroupControls).toHaveBeenCalled();
+
+    find('Group by Language').run();
+    expect(app.handleStrategyChange).toHaveBeenCalledWith('language');
+
+    find('Manage groups').run();
+    expect(app.showGroupManager).toHaveBeenCalled();
+  });
+
+  test('should rebuild the controls once an action has finished, also when it fails', async () => {
+    const error = new Error('Storage unavailable');
+    app.handleStrategyChange = jest.fn().mockRejectedValue(error);
+    const run = app.getPaletteCommands().find(command => command.label === 'Group by Language').run;
+
+    await expect(run()).rejects.toBe(error);
+    expect(app.addGroupControls).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,275 @@
+/**
+ * Database Schema and Group Records Test Suite.
+ */
+
+// JSDOM does not implement structuredClone, which fake-indexeddb copies records with
+if (typeof global.structuredClone === 'undefined') {
+  const v8 = require('v8');
+  global.structuredClone = (value) => v8.deserialize(v8.serialize(value));
+}
+
+require('fake-indexeddb/auto');
+const Dexie = require('dexie');
+const DatabaseSchema = require('../src/storage/DatabaseSchema.js');
+const StorageManager = require('../src/storage/StorageManager.js');
+const IndexedDBAdapter = require('../src/storage/adapters/IndexedDBAdapter.js');
+const MemoryAdapter = require('../src/storage/adapters/MemoryAdapter.js');
+const GroupModel = require('../src/core/repository/GroupModel.js');
+const GitHubGitLabTheme = require('../src/main.js');
+const GroupManager = require('../src/core/repository/GroupManager.js');
+const { installCookieJar } = require('./helpers/cookieJar.js');
+
+installCookieJar();
+
+let databaseCount = 0;
+
+/**
+ * Create a database as an older version of the extension left it.
+ * @param {number} version - Schema version.
+ * @param {Function} fill - Called with the open database to add rows.
+ * @returns {string} Database name.
+ */
+const createDatabase = async (version, fill = async () => {}) => {
+  const name = `schema-test-${++databaseCount}`;
+  const db = new Dexie(name);
+  DatabaseSchema.apply(db, version);
+  await db.open();
+  await fill(db);
+  db.close();
+  return name;
+};
+
+const openAdapter = async (name = `schema-test-${++databaseCount}`) => {
+  const adapter = new IndexedDBAdapter(Dexie, name);
+  await adapter.init();
+  return adapter;
+};
+
+describe('DatabaseSchema', () => {
+  let adapter;
+
+  afterEach(async () => {
+    if (adapter) await adapter.db.delete();
+    adapter = null;
+  });
+
+  test('should create the latest schema on a fresh install', async () => {
+    adapter = await openAdapter();
+
+    expect(adapter.db.verno).toBe(DatabaseSchema.LATEST);
+    expect(adapter.db.tables.map(table => table.name).sort()).toEqual(['cache', 'groups', 'settings']);
+    expect(adapter.db.groups.schema.primKey.name).toBe('id');
+    expect(await adapter.loadGroups()).toBeUndefined();
+  });
+
+  test('should upgrade custom groups from version 1', async () => {
+    const name = await createDatabase(1, async db => {
+      await db.settings.add({ key: 'customGroups', value: ['billing', 'auth'] });
+      await db.settings.add({ key: 'darkMode', value: false });
+    });
+    adapter = await openAdapter(name);
+
+    const groups = await adapter.loadGroups();
+    expect(groups).toEqual([
+      expect.objectContaining({ id: '*/billing', name: 'billing', order: 0, owner: null, rules: [], color: null, icon: null }),
+      expect.objectContaining({ id: '*/auth', name: 'auth', order: 1, owner: null })
+    ]);
+    expect(groups[0].created).toEqual(expect.any(Number));
+    expect(groups[0].updated).toBe(groups[0].created);
+    expect(await adapter.get('customGroups')).toBeUndefined();
+    expect(await adapter.get('darkMode')).toBe(false);
+  });
+
+  test('should upgrade custom groups from version 2 and keep the cache', async () => {
+    const name = await createDatabase(2, async db => {
+      await db.settings.add({ key: 'customGroups', value: ['platform'] });
+      await db.cache.put({ key: 'pages', value: ['a'], updated: Date.now() });
+    });
+    adapter = await openAdapter(name);
+
+    expect((await adapter.loadGroups()).map(group => group.name)).toEqual(['platform']);
+    expect(await adapter.loadCache('pages', 60000)).toEqual(['a']);
+  });
+
+  test('should upgrade a database without custom groups', async () => {
+    const name = await createDatabase(2, async db => {
+      await db.settings.add({ key: 'subgroupDepth', value: 2 });
+    });
+    adapter = await openAdapter(name);
+
+    expect(await adapter.loadGroups()).toBeUndefined();
+    expect(await adapter.get('subgroupDepth')).toBe(2);
+  });
+
+  test('should skip duplicate and invalid group names', async () => {
+    const name = await createDatabase(1, async db => {
+      await db.settings.add({ key: 'customGroups', value: ['billing', '', null, 'billing', 'auth'] });
+    });
+    adapter = await openAdapter(name);
+
+    expect((await adapter.loadGroups()).map(group => [group.name, group.order])).toEqual([['billing', 0], ['auth', 1]]);
+  });
+
+  test('should drop a custom groups setting that is not a list', async () => {
+    const name = await createDatabase(1, async db => {
+      await db.settings.add({ key: 'customGroups', value: 'billing' });
+    });
+    adapter = await openAdapter(name);
+
+    expect(await adapter.loadGroups()).toBeUndefined();
+    expect(await adapter.get('customGroups')).toBeUndefined();
+  });
+
+  test('should replace the groups and return them in their order', async () => {
+    adapter = await openAdapter();
+    const groups = [
+      new GroupModel({ name: 'auth', order: 1 }),
+      new GroupModel({ name: 'billing', order: 0, owner: 'Acme', rules: [{ type: 'glob', pattern: 'pay-*' }], color: '#e24329', icon: 'credit-card' })
+    ];
+
+    await adapter.saveGroups(groups.map(group => group.toRecord()));
+    await adapter.saveGroups(groups.map(group => group.toRecord()));
+
+    const stored = await adapter.loadGroups();
+    expect(stored.map(group => group.id)).toEqual(['acme/billing', '*/auth']);
+    expect(stored[0]).toMatchObject({ owner: 'acme', rules: [{ type: 'glob', pattern: 'pay-*' }], color: '#e24329', icon: 'credit-card' });
+  });
+
+  test('should tell no groups from groups that were never saved', async () => {
+    adapter = await openAdapter();
+    await adapter.saveGroups([new GroupModel({ name: 'billing' }).toRecord()]);
+    await adapter.saveGroups([]);
+
+    expect(await adapter.loadGroups()).toEqual([]);
+  });
+});
+
+describe('StorageManager groups', () => {
+  afterEach(() => {
+    document.cookie = 'gitlab_theme_customGroups=;expires=Thu, 01 Jan 1970 00:00:00 GMT;path=/';
+  });
+
+  test('should not bring back deleted groups', async () => {
+    const name = await createDatabase(1, async db => {
+      await db.settings.add({ key: 'customGroups', value: ['billing', 'auth'] });
+    });
+    // Older versions also kept the names in a cookie, which is moved on first run.
+    document.cookie = `gitlab_theme_customGroups=${JSON.stringify(['billing', 'auth'])};path=/`;
+
+    const storage = new StorageManager([new IndexedDBAdapter(Dexie, name)]);
+    await storage.init();
+    expect((await storage.loadGroups()).map(group => group.name)).toEqual(['billing', 'auth']);
+    expect(await storage.loadSetting('customGroups')).toBeNull();
+
+    await storage.saveGroups([]);
+    storage.adapters[0].db.close();
+
+    const reopened = new StorageManager([new IndexedDBAdapter(Dexie, name)]);
+    await reopened.init();
+    expect(await reopened.loadGroups()).toEqual([]);
+    await reopened.adapters[0].db.delete();
+  });
+
+  test('should delete the upgraded name list', async () => {
+    const memory = new MemoryAdapter({ customGroups: ['billing'] });
+    const storage = new StorageManager([memory]);
+
+    await storage.loadGroups();
+    expect(await memory.get('customGroups')).toBeUndefined();
+
+    // Deleted once, by the upgrade; saving groups leaves the settings alone.
+    const removeSetting = jest.spyOn(storage, 'removeSetting');
+    await storage.saveGroups([]);
+    expect(removeSetting).not.toHaveBeenCalled();
+    expect(await storage.loadGroups()).toEqual([]);
+  });
+
+  test('should upgrade custom groups kept by adapters without a groups table', async () => {
+    const memory = new MemoryAdapter({ customGroups: ['billing', 'auth'] });
+    const storage = new StorageManager([memory]);
+
+    const groups = await storage.loadGroups();
+
+    expect(groups.map(group => group.name)).toEqual(['billing', 'auth']);
+    expect(groups[0]).toBeInstanceOf(GroupModel);
+    expect((await memory.get('groups')).map(group => group.id)).toEqual(['*/billing', '*/auth']);
+  });
+
+  test('should read groups from the first adapter that has them', async () => {
+    const extension = new MemoryAdapter({ groups: [{ name: 'auth', order: 0 }] });
+    const indexedDB = await openAdapter();
+    await indexedDB.saveGroups([new GroupModel({ name: 'billing' }).toRecord()]);
+    const storage = new StorageManager([extension, indexedDB]);
+
+    expect((await storage.loadGroups()).map(group => group.name)).toEqual(['auth']);
+
+    await storage.saveGroups([new GroupModel({ name: 'platform' })]);
+    expect((await indexedDB.loadGroups()).map(group => group.name)).toEqual(['platform']);
+    await indexedDB.db.delete();
+  });
+
+  test('should return no groups when none were ever saved', async () => {
+    expect(await new StorageManager([new MemoryAdapter()]).loadGroups()).toEqual([]);
+  });
+});
+
+describe('Custom groups on the page', () => {
+  let app;
+
+  beforeEach(async () => {
+    window.history.replaceState(null, '', '/orgs/acme/repositories');
+    app = new GitHubGitLabTheme();
+    app.storage = new StorageManager([new MemoryAdapter({
+      groups: [
+        { name: 'legacy', order: 0 },
+        { name: 'payments', order: 1, owner: 'acme', rules: [{ type: 'glob', pattern: 'pay-*' }] },
+        { name: 'infra', order: 2, owner: 'globex' }
+      ]
+    })]);
+    await app.loadSettings();
+    app.groupManager = new GroupManager(app.customGroups, app.getGroupingRules());
+    await app.loadOwnerSettings();
+  });
+
+  afterEach(() => {
+    window.history.replaceState(null, '', '/');
+  });
+
+  test('should use the groups and rules of the page owner', () => {
+    expect(Array.from(app.customGroups)).toEqual(['legacy', 'payments']);
+    expect(app.groupManager.getGroupPath('pay-gateway')).toEqual(['payments']);
+    expect(app.groupManager.getGroupPath('infra-dns')).toEqual(['Infra']);
+  });
+
+  test('should save added and removed groups as records', async () => {
+    const settingsChanged = jest.fn();
+    app.events.on('settingsChanged', settingsChanged);
+
+    await app.handleAddGroup('billing');
+    await app.handleRemoveGroup('legacy');
+
+    const stored = await app.storage.loadGroups();
+    expect(stored.map(group => [group.name, group.order, group.owner])).toEqual([
+      ['payments', 1, 'acme'],
+      ['infra', 2, 'globex'],
+      ['billing', 3, null]
+    ]);
+    expect(Array.from(app.groupManager.customGroups)).toEqual(['payments', 'billing']);
+    expect(settingsChanged).toHaveBeenLastCalledWith(expect.objectContaining({ key: 'groups', owner: null }));
+  });
+
+  test('should list and remove groups named with markup', async () => {
+    const name = '<img src=x onerror="alert(1)"> & "quotes"';
+    await app.handleAddGroup(name);
+    const handleRemoveGroup = jest.spyOn(app, 'handleRemoveGroup');
+    app.showGroupManager();
+
+    const item = Array.from(document.querySelectorAll('#custom-groups-list .gitlab-group-item')).pop();
+    expect(item.querySelector('img')).toBeNull();
+    expect(item.querySelector('span').textContent).toBe(name);
+
+    item.querySelector('.gitlab-remove-group').click();
+    expect(handleRemoveGroup).toHaveBeenCalledWith(name);
+    document.querySelector('.gitlab-group-manager').remove();
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Debug Mode Test Suite.
+ */
+
+const Logger = require('../src/utils/Logger.js');
+const GITHUB_SELECTORS = require('../src/core/selectors/GitHubSelectors.js');
+const GitHubGitLabTheme = require('../src/main.js');
+const GroupManager = require('../src/core/repository/GroupManager.js');
+const RepositoryProcessor = require('../src/core/repository/RepositoryProcessor.js');
+
+// tests/setup.js only silences log, warn and error
+beforeEach(() => {
+  jest.spyOn(console, 'debug').mockImplementation(() => {});
+  jest.spyOn(console, 'info').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  console.debug.mockRestore();
+  console.info.mockRestore();
+});
+
+describe('Logger', () => {
+  const logger = new Logger('Test');
+
+  afterEach(() => {
+    Logger.setLevel(Logger.DEFAULT_LEVEL);
+    Logger.clearTimings();
+  });
+
+  test('should only report errors by default', () => {
+    logger.debug('debug');
+    logger.info('info');
+    logger.warn('warn');
+    logger.error('error');
+
+    expect(Logger.level).toBe('error');
+    expect(console.debug).not.toHaveBeenCalled();
+    expect(console.info).not.toHaveBeenCalled();
+    expect(console.warn).not.toHaveBeenCalled();
+    expect(console.error).toHaveBeenCalledWith('[Test] error');
+  });
+
+  test('should write enabled levels with the module tag', () => {
+    const error = new Error('failed');
+    Logger.setLevel('warn');
+
+    logger.info('hidden');
+    logger.warn('Careful');
+    logger.error('Broken:', error);
+
+    expect(console.info).not.toHaveBeenCalled();
+    expect(console.warn).toHaveBeenCalledWith('[Test] Careful');
+    expect(console.error).toHaveBeenCalledWith('[Test] Broken:', error);
+    expect(() => Logger.setLevel('verbose')).toThrow('Unknown log level: verbose');
+  });
+
+  test('should time steps, including promises', async () => {
+    expect(logger.time('Sync step', () => 42)).toBe(42);
+    await expect(logger.time('Async step', () => Promise.resolve('done'))).resolves.toBe('done');
+    expect(() => logger.time('Failing step', () => { throw new Error('no'); })).toThrow('no');
+
+    expect(Logger.getTimings().map(timing => timing.step)).toEqual(['Sync step', 'Async step', 'Failing step']);
+    expect(Logger.getTimings().every(timing => timing.duration >= 0)).toBe(true);
+  });
+});
+
+describe('Debug mode', () => {
+  let app;
+  let container;
+
+  const overlay = () => document.querySelector('.gitlab-diagnostics-overlay');
+  const section = (title) => Array.from(overlay().querySelectorAll('.gitlab-diagnostics-section'))
+    .find(element => element.querySelector('h4').textContent === title);
+  const values = (title) => Array.from(section(title).querySelectorAll('dt'))
+    .map(term => `${term.textContent}: ${term.nextElementSibling.textContent}`);
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    window.history.replaceState(null, '', '/orgs/acme/repositories');
+    document.body.innerHTML = `
+      <main>
+        <ul id="org-repositories-list">
+          <li itemprop="owns"><h3><a href="/acme/billing-api">billing-api</a></h3></li>
+          <li itemprop="owns"><h3><a href="/acme/billing-web">billing-web</a></h3></li>
+          <li itemprop="owns"><h3><a href="/acme/auth-api">auth-api</a></h3></li>
+        </ul>
+      </main>`;
+    container = document.getElementById('org-repositories-list');
+
+    app = new GitHubGitLabTheme();
+    app.groupManager = new GroupManager();
+    app.repositoryProcessor = new RepositoryProcessor(app.groupManager, app.showGroupRepos.bind(app));
+    app.run();
+  });
+
+  afterEach(() => {
+    app.destroy();
+    Logger.setLevel(Logger.DEFAULT_LEVEL);
+    document.body.innerHTML = '';
+    jest.useRealTimers();
+  });
+
+  test('should show what was detected when turned on from the controls', () => {
+    const button = document.querySelector('.gitlab-debug-btn');
+    expect(overlay()).toBeNull();
+
+    button.click();
+
+    expect(button.getAttribute('aria-pressed')).toBe('true');
+    expect(app.debugMode).toBe(true);
+    expect(Logger.level).toBe('debug');
+    expect(values('Page')).toContain('Path: /orgs/acme/repositories');
+    expect(values(`Selectors v${GITHUB_SELECTORS.version}`)).toContain('item: [itemprop="owns"] (#0)');
+    expect(values('Containers')).toEqual(['#org-repositories-list: 3 repos, 2 groups']);
+    expect(values('Assignments')).toEqual(['billing-api: Billing', 'billing-web: Billing', 'auth-api: Auth']);
+    expect(values('Timings').map(timing => timing.split(':')[0])).toEqual(
+      expect.arrayContaining(['Detect page', 'Find containers', 'Group repositories'])
+    );
+  });
+
+  test('should keep the overlay up to date and log while on', () => {
+    app.handleToggleDebug(true);
+    container.insertAdjacentHTML('beforeend', '<li itemprop="owns"><h3><a href="/acme/docs-site">docs-site</a></h3></li>');
+    app.processRepositories();
+
+    expect(values('Assignments')).toContain('docs-site: Docs');
+    expect(console.info).toHaveBeenCalledWith(expect.stringMatching(/^\[RepositoryProcessor\] Added 1 repositories/));
+  });
+
+  test('should turn off from the overlay and sync the controls', () => {
+    app.handleToggleDebug(true);
+    overlay().querySelector('.gitlab-diagnostics-close').click();
+
+    expect(overlay()).toBeNull();
+    expect(app.debugMode).toBe(false);
+    expect(Logger.level).toBe('error');
+    expect(document.querySelector('.gitlab-debug-btn').getAttribute('aria-pressed')).toBe('false');
+  });
+
+  test('should log when the debug mode cannot be saved', async () => {
+    const error = new Error('Storage unavailable');
+    jest.spyOn(app, 'saveSetting').mockRejectedValue(error);
+
+    await app.handleToggleDebug(false);
+
+    expect(Logger.level).toBe('error');
+    expect(console.error).toHaveBeenCalledWith('[GitHubGitLabTheme] Failed to save debug mode:', error);
+  });
+
+  test('should be switchable from the settings', () => {
+    app.showGroupManager();
+    const checkbox = document.getElementById('debug-mode');
+    checkbox.checked = true;
+    checkbox.onchange({ target: checkbox });
+
+    expect(app.debugMode).toBe(true);
+    expect(overlay()).not.toBeNull();
+    expect(document.querySelector('.gitlab-debug-btn').classList.contains('active')).toBe(true);
+  });
+});
@@ -0,0 +1,180 @@
+/**
+ * DOM Transform Test Suite.
+ */
+
+const DomTransform = require('../src/utils/DomTransform.js');
+const GitHubGitLabTheme = require('../src/main.js');
+const GroupManager = require('../src/core/repository/GroupManager.js');
+const GroupDisplayManager = require('../src/core/repository/GroupDisplayManager.js');
+const RepositoryProcessor = require('../src/core/repository/RepositoryProcessor.js');
+const { createItem } = require('./helpers/repositoryRows.js');
+
+// A list as GitHub renders it: whitespace between rows, classes and a trailing pagination block.
+const GITHUB_LIST = `
+  <ul id="org-repositories-list" class="repo-list">
+    <li itemprop="owns" class="col-12 public source"><h3><a href="/acme/platform-web">platform-web</a></h3><p itemprop="description">Web client</p></li>
+    <li itemprop="owns" class="col-12 public source" draggable="false"><h3><a href="/acme/billing-api">billing-api</a></h3></li>
+    <li itemprop="owns" class="col-12 private source"><h3><a href="/acme/platform-auth-api">platform-auth-api</a></h3></li>
+    <li itemprop="owns"><h3><a href="/acme/billing-web">billing-web</a></h3></li>
+    <div class="paginate-container"><a rel="next" href="/orgs/acme/repositories?page=2">Next</a></div>
+  </ul>`;
+
+describe('DomTransform', () => {
+  let root;
+
+  beforeEach(() => {
+    document.body.innerHTML = '<div id="root" class="box"><p id="a">A</p> <p id="b" title="b">B</p><p id="c">C</p></div>';
+    root = document.getElementById('root');
+  });
+
+  test('should undo inserts, moves, attributes, classes and listeners', () => {
+    const before = document.body.innerHTML;
+    const transform = new DomTransform();
+    const handler = jest.fn();
+
+    transform.insert(document.createElement('section'), root, root.firstChild);
+    transform.move(document.getElementById('c'), root, document.getElementById('a'));
+    transform.move(document.getElementById('a'), root);
+    transform.setAttribute(document.getElementById('b'), 'title', 'changed');
+    transform.setAttribute(document.getElementById('b'), 'data-new', 'x');
+    transform.toggleClass(root, 'grouped', true);
+    transform.toggleClass(root, 'box', false);
+    transform.track(document.getElementById('c'), 'hidden');
+    document.getElementById('c').setAttribute('hidden', '');
+    transform.listen(document.getElementById('b'), 'click', handler);
+
+    expect(document.body.innerHTML).not.toBe(before);
+    transform.revert();
+
+    expect(document.body.innerHTML).toBe(before);
+    expect(transform.isEmpty()).toBe(true);
+    document.getElementById('b').click();
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test('should keep the first original value of an attribute', () => {
+    const transform = new DomTransform();
+    const b = document.getElementById('b');
+
+    transform.setAttribute(b, 'title', 'one');
+    transform.setAttribute(b, 'title', 'two');
+    transform.revert();
+
+    expect(b.getAttribute('title')).toBe('b');
+  });
+
+  test('should leave nodes alone that were moved by someone else since', () => {
+    const transform = new DomTransform();
+    const a = document.getElementById('a');
+    const elsewhere = document.createElement('div');
+
+    transform.move(a, root);
+    elsewhere.appendChild(a);
+    transform.revert();
+
+    expect(a.parentNode).toBe(elsewhere);
+  });
+});
+
+describe('RepositoryProcessor restore', () => {
+  let container;
+  let before;
+  let rows;
+  let processor;
+  let displayManager;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    document.body.innerHTML = GITHUB_LIST;
+    container = document.querySelector('#org-repositories-list');
+    before = document.body.innerHTML;
+    rows = Array.from(container.querySelectorAll('[itemprop="owns"]'));
+
+    const manager = new GroupManager();
+    manager.updateMaxDepth(2);
+    manager.updateAssignments({ 'acme/billing-web': 'Platform' });
+    displayManager = new GroupDisplayManager();
+    processor = new RepositoryProcessor(manager, (groupId) => displayManager.showGroupRepos(groupId, container), jest.fn());
+    processor.setSorting({ repoSort: 'name' });
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+    jest.useRealTimers();
+  });
+
+  test('should give back the original markup after grouping, switching and searching', () => {
+    processor.createGroupCards(container, rows);
+    displayManager.showGroupRepos('Platform', container);
+    displayManager.applySearch(container, 'web');
+    displayManager.clearSearch(container);
+
+    expect(document.body.innerHTML).not.toBe(before);
+    processor.restore(container);
+
+    expect(document.body.innerHTML).toBe(before);
+    expect(Array.from(container.querySelectorAll('[itemprop="owns"]'))).toEqual(rows);
+  });
+
+  test('should drop added rows and undo a regroup', () => {
+    processor.createGroupCards(container, rows);
+    processor.regroup(container, null, [createItem('docs-site')]);
+    processor.regroup(container, 'Billing');
+
+    expect(container.querySelectorAll('[data-gitlab-group]')).toHaveLength(5);
+    expect(document.querySelectorAll('.gitlab-cards-section')).toHaveLength(1);
+
+    processor.restore(container);
+    expect(document.body.innerHTML).toBe(before);
+  });
+
+  test('should restore a list that was only marked', () => {
+    processor.displayAllRepos(container, rows);
+    processor.restore(container);
+
+    expect(document.body.innerHTML).toBe(before);
+  });
+});
+
+describe('GitHubGitLabTheme grouping toggle', () => {
+  let app;
+  let container;
+  let before;
+
+  // Processed lists are tagged so later changes by GitHub can be detected.
+  const withoutMarkers = (html) => html
+    .replace(/ data-gitlab-processed="true"/g, '')
+    .replace(/ data-gitlab-row="true"/g, '');
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    window.history.replaceState(null, '', '/orgs/acme/repositories');
+    document.body.innerHTML = GITHUB_LIST;
+    container = document.querySelector('#org-repositories-list');
+    before = document.body.innerHTML;
+
+    app = new GitHubGitLabTheme();
+    app.groupManager = new GroupManager();
+    app.repositoryProcessor = new RepositoryProcessor(app.groupManager, app.showGroupRepos.bind(app));
+    app.processRepositories();
+  });
+
+  afterEach(() => {
+    app.destroy();
+    document.body.innerHTML = '';
+    jest.useRealTimers();
+  });
+
+  test('should put the list back when grouping is turned off and regroup when turned on', () => {
+    app.showGroupRepos('Billing', document.querySelector('.gitlab-group-card[data-group-id="Billing"]'));
+    app.handleSearch('api');
+
+    app.handleToggleGrouping(false);
+    expect(withoutMarkers(document.body.innerHTML)).toBe(before);
+
+    app.handleToggleGrouping(true);
+    expect(container.classList.contains('gitlab-grouped-repositories')).toBe(true);
+    expect(document.querySelectorAll('.gitlab-cards-section')).toHaveLength(1);
+    expect(container.querySelectorAll('[data-gitlab-group]')).toHaveLength(4);
+  });
+});
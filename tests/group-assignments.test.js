@@ -0,0 +1,137 @@
+/**
+ * Manual Group Assignment Test Suite.
+ */
+
+const GroupManager = require('../src/core/repository/GroupManager.js');
+const RepositoryProcessor = require('../src/core/repository/RepositoryProcessor.js');
+const GroupCard = require('../src/ui/components/GroupCard.js');
+const GitHubGitLabTheme = require('../src/main.js');
+const StorageManager = require('../src/storage/StorageManager.js');
+const MemoryAdapter = require('../src/storage/adapters/MemoryAdapter.js');
+const { createItem } = require('./helpers/repositoryRows.js');
+
+const createDragEvent = (type, data) => {
+  const event = new Event(type, { bubbles: true, cancelable: true });
+  event.dataTransfer = {
+    types: Object.keys(data),
+    getData: (key) => data[key] || '',
+    setData: (key, value) => { data[key] = value; },
+    dropEffect: 'none',
+    effectAllowed: 'all'
+  };
+  return event;
+};
+
+describe('GroupManager assignments', () => {
+  test('should take priority over rules, custom groups and prefixes', () => {
+    const manager = new GroupManager(new Set(['legacy']), [
+      { type: 'glob', pattern: 'billing-*', group: 'Billing' }
+    ]);
+    manager.updateAssignments({ 'acme/billing-web': 'Frontend', 'acme/legacy-cron': 'Ops', 'acme/dotfiles': 'Personal' });
+
+    const groups = manager.extractGroups(['billing-web', 'billing-api', 'legacy-cron', 'dotfiles'].map(createItem));
+
+    expect(groups.get('Frontend')).toHaveLength(1);
+    expect(groups.get('Billing')).toHaveLength(1);
+    expect(groups.get('Ops')).toHaveLength(1);
+    expect(groups.get('Personal')).toHaveLength(1);
+    expect(groups.has('legacy')).toBe(false);
+  });
+
+  test('should fall back to the automatic group once cleared', () => {
+    const manager = new GroupManager();
+    manager.updateAssignments({ 'acme/billing-web': 'Frontend' });
+    expect(manager.getAssignedGroup('acme/billing-web')).toBe('Frontend');
+
+    manager.updateAssignments({});
+    expect(manager.getAssignedGroup('acme/billing-web')).toBeNull();
+    expect(manager.extractGroups([createItem('billing-web')]).has('Billing')).toBe(true);
+  });
+
+  test('should tell apart repositories of the same name from different owners', () => {
+    const manager = new GroupManager();
+    manager.updateAssignments({ 'alice/api': 'Work' });
+
+    const groups = manager.extractGroups([createItem({ owner: 'alice', name: 'api' }), createItem({ owner: 'bob', name: 'api' })]);
+
+    expect(groups.get('Work').map(item => item.querySelector('a').getAttribute('href'))).toEqual(['/alice/api']);
+    expect(groups.get('General').map(item => item.querySelector('a').getAttribute('href'))).toEqual(['/bob/api']);
+  });
+});
+
+describe('Saved assignments', () => {
+  afterEach(() => {
+    window.history.replaceState(null, '', '/');
+  });
+
+  test('should key assignments saved by name only by the full name of the owner\'s repository', async () => {
+    window.history.replaceState(null, '', '/orgs/acme/repositories');
+    const app = new GitHubGitLabTheme();
+    app.storage = new StorageManager([new MemoryAdapter({
+      repoAssignments_acme: { 'billing-web': 'Frontend', 'globex/api': 'Partners' }
+    })]);
+    app.groupManager = new GroupManager();
+
+    await app.loadOwnerSettings();
+
+    const expected = { 'acme/billing-web': 'Frontend', 'globex/api': 'Partners' };
+    expect(app.repoAssignments).toEqual(expected);
+    expect(await app.storage.loadOwnerSetting('acme', 'repoAssignments')).toEqual(expected);
+    expect(app.groupManager.getAssignedGroup('acme/billing-web')).toBe('Frontend');
+  });
+});
+
+describe('Drag and drop onto group cards', () => {
+  test('should report the dropped repository and target group', () => {
+    const onRepoDrop = jest.fn();
+    const card = new GroupCard('Billing', [], 'Billing', jest.fn(), onRepoDrop).create();
+
+    const dragOver = createDragEvent('dragover', { [GroupCard.REPO_DRAG_TYPE]: 'svc-billing-api' });
+    card.dispatchEvent(dragOver);
+    expect(dragOver.defaultPrevented).toBe(true);
+    expect(card.classList.contains('drop-target')).toBe(true);
+
+    card.dispatchEvent(createDragEvent('drop', { [GroupCard.REPO_DRAG_TYPE]: 'svc-billing-api' }));
+    expect(onRepoDrop).toHaveBeenCalledWith('svc-billing-api', 'Billing');
+    expect(card.classList.contains('drop-target')).toBe(false);
+  });
+
+  test('should ignore drags that are not repository rows', () => {
+    const onRepoDrop = jest.fn();
+    const card = new GroupCard('Billing', [], 'Billing', jest.fn(), onRepoDrop).create();
+
+    const dragOver = createDragEvent('dragover', { 'text/plain': 'hello' });
+    card.dispatchEvent(dragOver);
+    card.dispatchEvent(createDragEvent('drop', { 'text/plain': 'hello' }));
+
+    expect(dragOver.defaultPrevented).toBe(false);
+    expect(onRepoDrop).not.toHaveBeenCalled();
+  });
+
+  test('should make grouped rows draggable and regroup after an assignment', () => {
+    const manager = new GroupManager();
+    const processor = new RepositoryProcessor(manager, jest.fn(), jest.fn());
+    const container = document.createElement('ul');
+    const items = ['billing-web', 'billing-api', 'auth-api'].map(createItem);
+    items.forEach(item => container.appendChild(item));
+    document.body.appendChild(container);
+
+    processor.createGroupCards(container, items);
+
+    const row = container.querySelector('[data-gitlab-group="Billing"][data-repo-name="acme/billing-web"]');
+    expect(row.draggable).toBe(true);
+
+    const dragStart = createDragEvent('dragstart', {});
+    row.dispatchEvent(dragStart);
+    expect(dragStart.dataTransfer.getData(GroupCard.REPO_DRAG_TYPE)).toBe('acme/billing-web');
+
+    manager.updateAssignments({ 'acme/billing-web': 'Auth' });
+    processor.regroup(container, 'Auth');
+
+    const authRows = container.querySelectorAll('[data-gitlab-group="Auth"]');
+    expect(Array.from(authRows).map(r => r.dataset.repoName).sort()).toEqual(['acme/auth-api', 'acme/billing-web']);
+    expect(container.querySelectorAll('[data-gitlab-group]')).toHaveLength(3);
+    expect(container.querySelector('[data-gitlab-group="Auth"][data-repo-name="acme/billing-web"]').classList.contains('gitlab-repo-assigned')).toBe(true);
+    document.body.innerHTML = '';
+  });
+});
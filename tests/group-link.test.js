@@ -0,0 +1,198 @@
+/**
+ * Group Deep Link Test Suite.
+ */
+
+const GroupLink = require('../src/utils/GroupLink.js');
+const NavigationManager = require('../src/utils/NavigationManager.js');
+const GitHubGitLabTheme = require('../src/main.js');
+const GroupManager = require('../src/core/repository/GroupManager.js');
+const RepositoryProcessor = require('../src/core/repository/RepositoryProcessor.js');
+const GroupCard = require('../src/ui/components/GroupCard.js');
+const { createItem } = require('./helpers/repositoryRows.js');
+
+describe('GroupLink', () => {
+  beforeEach(() => {
+    window.history.replaceState(null, '', '/orgs/acme/repositories?type=source');
+  });
+
+  test('should read and write the group in the hash', () => {
+    expect(GroupLink.read()).toBeNull();
+
+    GroupLink.write('Platform/Auth');
+    expect(window.location.pathname).toBe('/orgs/acme/repositories');
+    expect(window.location.search).toBe('?type=source');
+    expect(window.location.hash).toBe('#group=Platform/Auth');
+    expect(GroupLink.read()).toBe('Platform/Auth');
+  });
+
+  test('should encode names and keep other hash parameters', () => {
+    window.history.replaceState(null, '', '#tab=1');
+
+    expect(GroupLink.buildUrl('Infra: billing & ops')).toMatch(/#tab=1&group=Infra%3A\+billing\+%26\+ops$/);
+    GroupLink.write('Infra: billing & ops');
+    expect(GroupLink.read()).toBe('Infra: billing & ops');
+  });
+
+  test('should ignore a linked group that does not exist', () => {
+    window.history.replaceState(null, '', '#group=a%22b');
+
+    expect(GroupLink.read()).toBe('a"b');
+    expect(GroupLink.read(['all', 'Billing'])).toBeNull();
+    expect(GroupLink.read(['all', 'a"b'])).toBe('a"b');
+  });
+
+  test('should remove the link for all repositories', () => {
+    GroupLink.write('Billing');
+    GroupLink.write('all');
+
+    expect(window.location.href).toBe('http://localhost/orgs/acme/repositories?type=source');
+  });
+
+  test('should add history entries unless replacing', () => {
+    const length = window.history.length;
+
+    GroupLink.write('Billing', true);
+    expect(window.history.length).toBe(length);
+
+    GroupLink.write('Auth');
+    expect(window.history.length).toBe(length + 1);
+
+    GroupLink.write('Auth');
+    expect(window.history.length).toBe(length + 1);
+  });
+});
+
+describe('NavigationManager with group links', () => {
+  test('should ignore hash-only URL changes', async () => {
+    window.history.replaceState(null, '', '/acme?tab=repositories');
+    const onNavigationChange = jest.fn();
+    const manager = new NavigationManager(onNavigationChange);
+    manager.init();
+
+    GroupLink.write('Billing');
+    document.body.appendChild(document.createElement('div'));
+    await Promise.resolve();
+    expect(manager.getCurrentUrl()).toMatch(/#group=Billing$/);
+
+    jest.useFakeTimers();
+    jest.advanceTimersByTime(600);
+    expect(onNavigationChange).not.toHaveBeenCalled();
+
+    jest.useRealTimers();
+    manager.destroy();
+  });
+});
+
+describe('GitHubGitLabTheme group links', () => {
+  let app;
+  let container;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    window.history.replaceState(null, '', '/orgs/acme/repositories');
+
+    app = new GitHubGitLabTheme();
+    app.groupManager = new GroupManager();
+
+    container = document.createElement('ul');
+    document.body.appendChild(container);
+    container.scrollIntoView = jest.fn();
+
+    const items = ['billing-api', 'billing-web', 'auth-api', 'auth-web'].map(createItem);
+    items.forEach(item => container.appendChild(item));
+    app.repositoryProcessor = new RepositoryProcessor(app.groupManager, app.showGroupRepos.bind(app));
+    app.repositoryProcessor.createGroupCards(container, items);
+
+    app.popStateListener = app.handlePopState.bind(app);
+    window.addEventListener('popstate', app.popStateListener);
+  });
+
+  afterEach(() => {
+    app.destroy();
+    container.remove();
+    jest.useRealTimers();
+  });
+
+  const clickCard = (groupId) => document.querySelector(`.gitlab-group-card[data-group-id="${groupId}"]`).click();
+
+  test('should add a history entry per selected group', () => {
+    const length = window.history.length;
+
+    expect(app.groupDisplayManager.getCurrentActiveGroup()).toBe('Billing');
+    expect(window.location.hash).toBe('#group=Billing');
+    expect(window.history.length).toBe(length);
+
+    clickCard('Auth');
+    expect(window.location.hash).toBe('#group=Auth');
+    expect(window.history.length).toBe(length + 1);
+
+    clickCard('Billing');
+    expect(window.location.hash).toBe('#group=Billing');
+    expect(window.history.length).toBe(length + 2);
+  });
+
+  test('should replace the entry for the first group shown on a page', () => {
+    const length = window.history.length;
+    app.showGroupRepos('Billing', document.querySelector('.gitlab-group-card'));
+
+    expect(window.location.hash).toBe('#group=Billing');
+    expect(window.history.length).toBe(length);
+  });
+
+  test('should show the linked group after back and forward', () => {
+    clickCard('Auth');
+
+    window.history.replaceState(null, '', '#group=Billing');
+    window.dispatchEvent(new PopStateEvent('popstate'));
+
+    expect(app.groupDisplayManager.getCurrentActiveGroup()).toBe('Billing');
+    expect(document.querySelector('.gitlab-group-card.active').dataset.groupId).toBe('Billing');
+    expect(window.location.hash).toBe('#group=Billing');
+
+    window.history.replaceState(null, '', '/orgs/acme/repositories');
+    window.dispatchEvent(new PopStateEvent('popstate'));
+    expect(app.groupDisplayManager.getCurrentActiveGroup()).toBe('all');
+  });
+
+  test('should open the linked group when the page is processed', () => {
+    container.remove();
+    container = document.createElement('ul');
+    container.id = 'user-repositories-list';
+    ['billing-api', 'billing-web', 'auth-api', 'auth-web'].map(createItem).forEach(item => container.appendChild(item));
+    document.body.appendChild(container);
+    container.scrollIntoView = jest.fn();
+
+    window.history.replaceState(null, '', '#group=Auth');
+    app.processRepositories();
+
+    expect(app.groupDisplayManager.getCurrentActiveGroup()).toBe('Auth');
+    expect(window.location.hash).toBe('#group=Auth');
+  });
+
+  test('should group the page when the link holds quotes', () => {
+    container.remove();
+    container = document.createElement('ul');
+    container.id = 'user-repositories-list';
+    ['billing-api', 'auth-api'].map(createItem).forEach(item => container.appendChild(item));
+    document.body.appendChild(container);
+    container.scrollIntoView = jest.fn();
+
+    window.history.replaceState(null, '', '#group=a%22b%5C');
+    app.processRepositories();
+
+    expect(container.classList.contains('gitlab-grouped-repositories')).toBe(true);
+    expect(app.groupDisplayManager.getCurrentActiveGroup()).toBe('Billing');
+
+    window.history.replaceState(null, '', '#group=%22%5D');
+    expect(() => window.dispatchEvent(new PopStateEvent('popstate'))).not.toThrow();
+    expect(app.groupDisplayManager.getCurrentActiveGroup()).toBe('all');
+  });
+
+  test('should show groups whose names hold quotes and backslashes', () => {
+    app.groupManager.updateRules([{ type: 'glob', pattern: 'billing-*', group: 'Pay "core" \\ api' }]);
+    app.repositoryProcessor.regroup(container, 'all');
+
+    GroupCard.find(container, 'Pay "core" \\ api').click();
+    expect(document.querySelector('.gitlab-group-card.active').dataset.groupId).toBe('Pay "core" \\ api');
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Grouping Rules Test Suite.
+ */
+
+const GroupRuleEngine = require('../src/core/repository/GroupRuleEngine.js');
+const GroupManager = require('../src/core/repository/GroupManager.js');
+
+describe('GroupRuleEngine', () => {
+  test('should match regex rules and expand capture groups', () => {
+    const engine = new GroupRuleEngine([
+      { type: 'regex', pattern: '^tf-(\\w+)-', group: 'Infra: $1' }
+    ]);
+
+    expect(engine.match('tf-billing-prod')).toBe('Infra: billing');
+    expect(engine.match('tf-payments-staging')).toBe('Infra: payments');
+    expect(engine.match('billing-web')).toBeNull();
+  });
+
+  test('should support named capture groups and whole-match references', () => {
+    const engine = new GroupRuleEngine([
+      { type: 'regex', pattern: '^svc-(?<domain>[a-z]+)-', group: 'Service $<domain>' },
+      { type: 'regex', pattern: '^dotfiles$', group: '$&' }
+    ]);
+
+    expect(engine.match('svc-billing-api')).toBe('Service billing');
+    expect(engine.match('dotfiles')).toBe('dotfiles');
+  });
+
+  test('should drop the stateful g and y flags', () => {
+    const engine = new GroupRuleEngine([
+      { type: 'regex', pattern: 'api', flags: 'gi', group: 'APIs' },
+      { type: 'regex', pattern: 'web', flags: 'y', group: 'Sites' }
+    ]);
+
+    expect(engine.rules.map(rule => rule.regex.flags)).toEqual(['i', '']);
+    expect(engine.match('billing-api')).toBe('APIs');
+    expect(engine.match('billing-api')).toBe('APIs');
+    expect(engine.match('web-app')).toBe('Sites');
+    expect(engine.match('web-app')).toBe('Sites');
+  });
+
+  test('should match globs case-insensitively with wildcards as captures', () => {
+    const engine = new GroupRuleEngine([
+      { type: 'glob', pattern: 'svc-*-api', group: '$1' },
+      { type: 'glob', pattern: '*-web', group: 'Web: $1' },
+      { type: 'glob', pattern: 'v? docs', group: 'Docs' }
+    ]);
+
+    expect(engine.match('svc-billing-api')).toBe('billing');
+    expect(engine.match('SVC-Billing-API')).toBe('Billing');
+    expect(engine.match('billing-web')).toBe('Web: billing');
+    expect(engine.match('billing-web-legacy')).toBeNull();
+    expect(engine.match('v2 docs')).toBe('Docs');
+  });
+
+  test('should treat glob metacharacters other than * and ? literally', () => {
+    const engine = new GroupRuleEngine([
+      { type: 'glob', pattern: 'vernonthedev.github.io', group: 'Pages' }
+    ]);
+
+    expect(engine.match('vernonthedev.github.io')).toBe('Pages');
+    expect(engine.match('vernonthedevXgithubXio')).toBeNull();
+  });
+
+  test('should use the first matching rule', () => {
+    const engine = new GroupRuleEngine([
+      { type: 'glob', pattern: '*billing*', group: 'Billing' },
+      { type: 'regex', pattern: '^tf-(\\w+)-', group: 'Infra: $1' }
+    ]);
+
+    expect(engine.match('tf-billing-prod')).toBe('Billing');
+    expect(engine.match('tf-auth-prod')).toBe('Infra: auth');
+  });
+
+  test('should skip invalid and incomplete rules', () => {
+    const engine = new GroupRuleEngine([
+      { type: 'regex', pattern: '([a-z', group: 'Broken' },
+      { type: 'regex', pattern: '^api-', group: '' },
+      null,
+      { type: 'regex', pattern: '^api-', group: 'API' }
+    ]);
+
+    expect(engine.rules).toHaveLength(1);
+    expect(engine.match('api-gateway')).toBe('API');
+  });
+
+  test('should ignore matches that expand to an empty group name', () => {
+    const engine = new GroupRuleEngine([
+      { type: 'regex', pattern: '^x(\\d*)$', group: '$1' },
+      { type: 'glob', pattern: 'x*', group: 'Fallback' }
+    ]);
+
+    expect(engine.match('x')).toBe('Fallback');
+  });
+
+  test('should return null for empty names', () => {
+    const engine = new GroupRuleEngine([{ type: 'glob', pattern: '*', group: 'All' }]);
+    expect(engine.match('')).toBeNull();
+  });
+});
+
+describe('GroupManager with rules', () => {
+  test('should check rules before custom groups and the prefix heuristic', () => {
+    const manager = new GroupManager(new Set(['billing']), [
+      { type: 'regex', pattern: '^tf-(\\w+)-', group: 'Infra: $1' },
+      { type: 'glob', pattern: 'svc-billing-*', group: 'Billing' }
+    ]);
+
+    expect(manager.getGroupName('tf-billing-prod')).toBe('Infra: billing');
+    expect(manager.getGroupName('svc-billing-api')).toBe('Billing');
+    expect(manager.getGroupName('billing-web')).toBe('billing');
+    expect(manager.getGroupName('react-native-maps')).toBe('React');
+    expect(manager.getGroupName('dotfiles')).toBe('General');
+  });
+
+  test('should apply updated rules', () => {
+    const manager = new GroupManager();
+    expect(manager.getGroupName('tf-billing-prod')).toBe('Tf');
+
+    manager.updateRules([{ type: 'glob', pattern: 'tf-*-*', group: 'Infra: $1 ($2)' }]);
+    expect(manager.getGroupName('tf-billing-prod')).toBe('Infra: billing (prod)');
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Group Statistics Test Suite.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const GroupStatistics = require('../src/core/repository/GroupStatistics.js');
+const RepositoryParser = require('../src/core/repository/RepositoryParser.js');
+const GroupCard = require('../src/ui/components/GroupCard.js');
+
+const loadItems = (name) => {
+  document.body.innerHTML = fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+  return Array.from(document.querySelectorAll('[itemprop="owns"]'));
+};
+
+describe('GroupStatistics', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('should aggregate stars, languages, activity, archived and forks', () => {
+    const stats = GroupStatistics.compute(loadItems('org-repositories.html').map(item => RepositoryParser.parse(item)));
+
+    expect(stats.repoCount).toBe(3);
+    expect(stats.totalStars).toBe(1286);
+    expect(stats.archivedCount).toBe(1);
+    expect(stats.forkCount).toBe(0);
+    expect(stats.lastUpdated.toISOString()).toBe('2026-10-18T07:22:45.000Z');
+    expect(stats.languages.map(language => language.name)).toEqual(['Go', 'HCL', 'TypeScript']);
+    expect(stats.languages[0].share).toBeCloseTo(1 / 3);
+  });
+
+  test('should order languages by repository count', () => {
+    const stats = GroupStatistics.compute([
+      { stars: 0, language: 'Go', languageColor: '#00ADD8' },
+      { stars: 0, language: 'Shell', languageColor: '#89e051' },
+      { stars: 0, language: 'Go', languageColor: '#00ADD8' },
+      { stars: 0, language: null }
+    ]);
+
+    expect(stats.languages).toEqual([
+      { name: 'Go', color: '#00ADD8', count: 2, share: 2 / 3 },
+      { name: 'Shell', color: '#89e051', count: 1, share: 1 / 3 }
+    ]);
+    expect(stats.lastUpdated).toBeNull();
+  });
+});
+
+describe('GroupCard statistics', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('should render the language bar and aggregate stats', () => {
+    const card = new GroupCard('Vernonthedev', loadItems('user-repositories.html'), 'Vernonthedev', jest.fn()).create();
+
+    expect(card.querySelectorAll('.gitlab-card-language')).toHaveLength(4);
+    expect(card.querySelector('.gitlab-card-stars').textContent.trim()).toBe('1.2k');
+    const lastUpdated = new Date('2026-10-12T21:40:09Z').toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+    expect(card.querySelector('.gitlab-card-updated').textContent).toBe(`Updated ${lastUpdated}`);
+    expect(card.querySelector('.gitlab-card-forks').textContent).toBe('1 fork');
+    expect(card.querySelector('.gitlab-card-archived')).toBeNull();
+  });
+
+  test('should skip stats for empty groups', () => {
+    const card = new GroupCard('Empty', [], 'Empty', jest.fn()).create();
+    expect(card.querySelector('.gitlab-card-stats')).toBeNull();
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Live Group View Test Suite.
+ */
+
+const GroupManager = require('../src/core/repository/GroupManager.js');
+const RepositoryProcessor = require('../src/core/repository/RepositoryProcessor.js');
+const GroupDisplayManager = require('../src/core/repository/GroupDisplayManager.js');
+const GroupCard = require('../src/ui/components/GroupCard.js');
+const { createItem } = require('./helpers/repositoryRows.js');
+
+// Rows keep GitHub's Star button, which must survive grouping.
+const createStarredItem = (name) => {
+  const item = createItem(name);
+  item.insertAdjacentHTML('beforeend', '<button class="star-button">Star</button>');
+  return item;
+};
+
+const visibleNames = (container) => Array.from(container.querySelectorAll('[data-gitlab-group]:not([data-gitlab-filtered])'))
+  .map(row => row.querySelector('h3 a').textContent);
+
+describe('Live group view', () => {
+  let container;
+  let items;
+  let pagination;
+  let processor;
+  let displayManager;
+
+  beforeEach(() => {
+    displayManager = new GroupDisplayManager();
+
+    container = document.createElement('ul');
+    items = ['billing-api', 'auth-api', 'billing-web'].map(createStarredItem);
+    items.forEach(item => container.appendChild(item));
+    pagination = document.createElement('nav');
+    container.appendChild(pagination);
+    document.body.appendChild(container);
+
+    processor = new RepositoryProcessor(new GroupManager(), (groupId, card) => displayManager.showGroupRepos(groupId, GroupCard.getList(card)));
+    processor.createGroupCards(container, items);
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('should keep a single copy of every row in GitHub\'s list', () => {
+    expect(document.querySelectorAll('[itemprop="owns"]')).toHaveLength(3);
+    expect(Array.from(container.children)).toEqual([...items, pagination]);
+    expect(items.map(item => item.dataset.gitlabGroup)).toEqual(['Billing', 'Auth', 'Billing']);
+  });
+
+  test('should place the cards before the list instead of inside it', () => {
+    const section = container.previousElementSibling;
+    expect(section.classList.contains('gitlab-cards-section')).toBe(true);
+    expect(GroupCard.getSection(container)).toBe(section);
+    expect(GroupCard.getList(GroupCard.find(container, 'Auth'))).toBe(container);
+  });
+
+  test('should show the first group as soon as the cards are built', () => {
+    expect(container.dataset.gitlabActiveGroup).toBe('Billing');
+    expect(visibleNames(container)).toEqual(['billing-api', 'billing-web']);
+    expect(GroupCard.find(container, 'Billing').classList.contains('active')).toBe(true);
+  });
+
+  test('should drop the cards of a list GitHub replaced', () => {
+    const list = document.createElement('ul');
+    const rows = ['billing-api', 'auth-api'].map(createItem);
+    rows.forEach(row => list.appendChild(row));
+    container.replaceWith(list);
+    expect(GroupCard.getSection(container)).toBeNull();
+
+    processor.createGroupCards(list, rows);
+
+    expect(document.querySelectorAll('.gitlab-cards-section')).toHaveLength(1);
+    expect(list.previousElementSibling).toBe(GroupCard.getSection(list));
+    expect(list.dataset.gitlabActiveGroup).toBe('Billing');
+  });
+
+  test('should switch groups by toggling attributes on the same rows', () => {
+    const onStar = jest.fn();
+    items[0].querySelector('.star-button').addEventListener('click', onStar);
+
+    displayManager.showGroupRepos('Billing', container);
+    expect(container.dataset.gitlabActiveGroup).toBe('Billing');
+    expect(visibleNames(container)).toEqual(['billing-api', 'billing-web']);
+    expect(items[1].hasAttribute('data-gitlab-filtered')).toBe(true);
+
+    displayManager.showGroupRepos('all', container);
+    expect(visibleNames(container)).toEqual(['billing-api', 'auth-api', 'billing-web']);
+
+    container.querySelector('.star-button').click();
+    expect(onStar).toHaveBeenCalledTimes(1);
+  });
+
+  test('should remove the cards and tags when restored', () => {
+    const before = Array.from(container.children);
+    displayManager.showGroupRepos('Auth', container);
+    processor.restore(container);
+
+    expect(Array.from(container.children)).toEqual(before);
+    expect(document.querySelector('.gitlab-cards-section')).toBeNull();
+    expect(container.classList.contains('gitlab-grouped-repositories')).toBe(false);
+    expect(container.querySelector('[data-gitlab-group], [data-gitlab-filtered]')).toBeNull();
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Grouping Strategies Test Suite.
+ */
+
+const GroupingStrategy = require('../src/core/grouping/GroupingStrategy.js');
+const StrategyRegistry = require('../src/core/grouping/StrategyRegistry.js');
+const LanguageStrategy = require('../src/core/grouping/LanguageStrategy.js');
+const TopicStrategy = require('../src/core/grouping/TopicStrategy.js');
+const VisibilityStrategy = require('../src/core/grouping/VisibilityStrategy.js');
+const RepoTypeStrategy = require('../src/core/grouping/RepoTypeStrategy.js');
+const UpdatedStrategy = require('../src/core/grouping/UpdatedStrategy.js');
+const GroupManager = require('../src/core/repository/GroupManager.js');
+const GroupControls = require('../src/ui/components/GroupControls.js');
+const { createItem } = require('./helpers/repositoryRows.js');
+
+const NOW = new Date('2026-10-19T12:00:00Z').getTime();
+
+const groupSizes = (groups) => Array.from(groups.entries()).map(([name, items]) => [name, items.length]);
+
+describe('Grouping strategies', () => {
+  test('should group by primary language', () => {
+    const groups = new LanguageStrategy().extractGroups([
+      createItem({ name: 'billing-api', language: 'Go' }),
+      createItem({ name: 'billing-web', language: 'TypeScript' }),
+      createItem({ name: 'auth-api', language: 'Go' }),
+      createItem({ name: 'handbook' })
+    ]);
+
+    expect(groupSizes(groups)).toEqual([['Go', 2], ['TypeScript', 1], ['No language', 1]]);
+  });
+
+  test('should group by first topic', () => {
+    const groups = new TopicStrategy().extractGroups([
+      createItem({ name: 'github-explorer2', topics: ['chrome-extension', 'github'] }),
+      createItem({ name: 'tab-sorter', topics: ['chrome-extension'] }),
+      createItem({ name: 'dotfiles' })
+    ]);
+
+    expect(groupSizes(groups)).toEqual([['chrome-extension', 2], ['No topics', 1]]);
+  });
+
+  test('should group by visibility', () => {
+    const groups = new VisibilityStrategy().extractGroups([
+      createItem({ name: 'secrets', classes: 'private source', label: 'Private' }),
+      createItem({ name: 'handbook', classes: 'public source', label: 'Internal' }),
+      createItem({ name: 'website', classes: 'public source', label: 'Public' })
+    ]);
+
+    expect(groupSizes(groups)).toEqual([['Public', 1], ['Private', 1], ['Internal', 1]]);
+  });
+
+  test('should group by source, fork, template and archived', () => {
+    const groups = new RepoTypeStrategy().extractGroups([
+      createItem({ name: 'old-site', classes: 'public archived', label: 'Public archive' }),
+      createItem({ name: 'react', classes: 'public fork', label: 'Public', forkedFrom: 'facebook/react' }),
+      createItem({ name: 'starter', classes: 'public source', label: 'Public template' }),
+      createItem({ name: 'website', classes: 'public source', label: 'Public' })
+    ]);
+
+    expect(groupSizes(groups)).toEqual([['Sources', 1], ['Forks', 1], ['Templates', 1], ['Archived', 1]]);
+  });
+
+  test('should group by last-updated buckets', () => {
+    const groups = new UpdatedStrategy(() => NOW).extractGroups([
+      createItem({ name: 'legacy', updated: '2023-01-05T08:00:00Z' }),
+      createItem({ name: 'active', updated: '2026-10-17T08:00:00Z' }),
+      createItem({ name: 'recent', updated: '2026-10-01T08:00:00Z' }),
+      createItem({ name: 'spring', updated: '2026-04-01T08:00:00Z' }),
+      createItem({ name: 'unknown' })
+    ]);
+
+    expect(groupSizes(groups)).toEqual([
+      ['This week', 1],
+      ['This month', 1],
+      ['This year', 1],
+      ['Older than a year', 1],
+      ['Unknown', 1]
+    ]);
+  });
+
+  test('should require subclasses to implement getItemGroup', () => {
+    expect(() => new GroupingStrategy('broken', 'Broken').extractGroups([createItem({ name: 'x' })])).toThrow();
+  });
+
+  test('should treat GroupManager as the name strategy', () => {
+    const manager = new GroupManager();
+
+    expect(manager).toBeInstanceOf(GroupingStrategy);
+    expect(manager.id).toBe('name');
+    expect(manager.supportsAssignments).toBe(true);
+    expect(new LanguageStrategy().supportsAssignments).toBe(false);
+  });
+});
+
+describe('StrategyRegistry', () => {
+  test('should register, list and look up strategies', () => {
+    const registry = new StrategyRegistry();
+    registry.register(new GroupManager());
+    registry.register(new LanguageStrategy());
+
+    expect(registry.list().map(strategy => strategy.id)).toEqual(['name', 'language']);
+    expect(registry.get('language')).toBeInstanceOf(LanguageStrategy);
+    expect(registry.get('missing')).toBeNull();
+  });
+});
+
+describe('GroupControls strategy selector', () => {
+  test('should render the strategies and report changes', () => {
+    const onStrategyChange = jest.fn();
+    const controls = new GroupControls({
+      onToggleGrouping: jest.fn(),
+      onManageGroups: jest.fn(),
+      strategies: [
+        { id: 'name', label: 'Name' },
+        { id: 'language', label: 'Language' }
+      ],
+      activeStrategy: 'language',
+      onStrategyChange
+    }).create();
+
+    const select = controls.querySelector('.gitlab-strategy-select');
+    expect(select.value).toBe('language');
+
+    select.value = 'name';
+    select.dispatchEvent(new Event('change'));
+    expect(onStrategyChange).toHaveBeenCalledWith('name');
+  });
+});
@@ -0,0 +1,97 @@
+/**
+ * In-memory stand-in for the chrome.storage API. Devices created from the
+ * same cloud share their sync area and each keep their own local area.
+ */
+
+const byteLength = (text) => encodeURIComponent(text).replace(/%[0-9A-F]{2}/g, 'x').length;
+
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+class MemoryArea {
+  /**
+   * Create a storage area.
+   * @param {string} name - Area name passed to onChanged listeners.
+   * @param {Object} options - Shared items, quotas and a change callback.
+   */
+  constructor(name, { items = {}, quota = null, notify }) {
+    this.name = name;
+    this.items = items;
+    this.quota = quota;
+    this.notify = notify;
+  }
+
+  async get(keys = null) {
+    const wanted = keys === null ? Object.keys(this.items) : [].concat(keys);
+    return Object.fromEntries(wanted.filter(key => key in this.items).map(key => [key, clone(this.items[key])]));
+  }
+
+  async set(values) {
+    const next = { ...this.items, ...clone(values) };
+
+    if (this.quota) {
+      Object.entries(values).forEach(([key, value]) => {
+        if (byteLength(key) + byteLength(JSON.stringify(value)) > this.quota.perItem) {
+          throw new Error('QUOTA_BYTES_PER_ITEM quota exceeded');
+        }
+      });
+      const total = Object.entries(next).reduce((sum, [key, value]) => sum + byteLength(key) + byteLength(JSON.stringify(value)), 0);
+      if (total > this.quota.total) {
+        throw new Error('QUOTA_BYTES quota exceeded');
+      }
+    }
+
+    const changes = {};
+    Object.entries(values).forEach(([key, value]) => {
+      changes[key] = { oldValue: clone(this.items[key]), newValue: clone(value) };
+      this.items[key] = clone(value);
+    });
+    this.notify(changes, this.name);
+  }
+
+  async remove(keys) {
+    const changes = {};
+    [].concat(keys).filter(key => key in this.items).forEach(key => {
+      changes[key] = { oldValue: clone(this.items[key]) };
+      delete this.items[key];
+    });
+    if (Object.keys(changes).length > 0) {
+      this.notify(changes, this.name);
+    }
+  }
+}
+
+/**
+ * Create the sync storage shared by a user's devices.
+ * @param {Object} quota - Sync quotas in bytes, total and perItem.
+ * @returns {Object} Cloud to create devices from.
+ */
+const createCloud = (quota = { total: 102400, perItem: 8192 }) => ({ items: {}, quota, devices: [] });
+
+/**
+ * Create the chrome.storage API of one device.
+ * @param {Object} cloud - Cloud shared with the user's other devices.
+ * @returns {Object} Stand-in with sync, local and onChanged.
+ */
+const createChromeStorage = (cloud = createCloud()) => {
+  const listeners = new Set();
+  const device = {
+    onChanged: {
+      addListener: (listener) => listeners.add(listener),
+      removeListener: (listener) => listeners.delete(listener),
+      hasListener: (listener) => listeners.has(listener)
+    },
+    emit: (changes, area) => listeners.forEach(listener => listener(changes, area))
+  };
+
+  device.sync = new MemoryArea('sync', {
+    items: cloud.items,
+    quota: cloud.quota,
+    notify: (changes, area) => cloud.devices.forEach(other => other.emit(changes, area))
+  });
+  device.local = new MemoryArea('local', { notify: device.emit });
+  cloud.devices.push(device);
+
+  return device;
+};
+
+module.exports = { createCloud, createChromeStorage };
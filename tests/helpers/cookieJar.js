@@ -0,0 +1,33 @@
+/**
+ * Cookie jar for suites that read legacy settings out of cookies. Unlike the
+ * plain string in tests/setup.js, each write sets or deletes one cookie.
+ */
+
+/**
+ * Replace document.cookie with a cookie jar; a cookie set with a past expiry is deleted.
+ * @returns {Map<string, string>} Cookie values by name.
+ */
+const installCookieJar = () => {
+  const cookieJar = new Map();
+
+  Object.defineProperty(document, 'cookie', {
+    configurable: true,
+    get: () => Array.from(cookieJar, ([name, value]) => `${name}=${value}`).join('; '),
+    set: (cookie) => {
+      const [pair, ...attributes] = cookie.split(';').map(part => part.trim());
+      const separator = pair.indexOf('=');
+      const name = pair.slice(0, separator);
+      const expires = attributes.find(attribute => attribute.toLowerCase().startsWith('expires='));
+
+      if (expires && new Date(expires.slice(8)) <= new Date()) {
+        cookieJar.delete(name);
+      } else {
+        cookieJar.set(name, pair.slice(separator + 1));
+      }
+    }
+  });
+
+  return cookieJar;
+};
+
+module.exports = { installCookieJar };
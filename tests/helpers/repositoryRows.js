@@ -0,0 +1,70 @@
+/**
+ * Repository rows as GitHub renders them on repository lists and the stars tab.
+ */
+
+/**
+ * Create a repository row. Takes only the name, so it can be passed to map,
+ * or the parts of the row a test reads; parts left out are not rendered.
+ * @param {string|Object} row - Repository name, or the row parts.
+ * @param {string} row.name - Repository name.
+ * @param {string} [row.owner='acme'] - Repository owner.
+ * @param {string} [row.classes] - Classes GitHub sets on the row, like "public fork".
+ * @param {string} [row.label] - Visibility label beside the name.
+ * @param {string} [row.forkedFrom] - Full name of the forked repository.
+ * @param {string} [row.description] - Repository description.
+ * @param {string[]} [row.topics] - Topic names.
+ * @param {string} [row.language] - Primary language.
+ * @param {number} [row.stars] - Stargazer count.
+ * @param {string} [row.updated] - ISO date of the last update.
+ * @returns {Element} Row element.
+ */
+const createItem = (row) => {
+  const { name, owner = 'acme', classes, label, forkedFrom, description, topics = [], language, stars, updated } =
+    typeof row === 'string' ? { name: row } : row;
+  const item = document.createElement('li');
+  item.setAttribute('itemprop', 'owns');
+
+  if (classes) {
+    item.className = classes;
+  }
+
+  item.innerHTML = [
+    `<h3><a href="/${owner}/${name}">${name}</a>${label ? `<span class="Label Label--secondary">${label}</span>` : ''}</h3>`,
+    forkedFrom ? `<span class="f6 color-fg-muted mb-1">Forked from <a class="Link--muted" href="/${forkedFrom}">${forkedFrom}</a></span>` : '',
+    description !== undefined ? `<p itemprop="description">${description}</p>` : '',
+    topics.map(topic => `<a class="topic-tag topic-tag-link" href="/topics/${topic}">${topic}</a>`).join(''),
+    language ? `<span itemprop="programmingLanguage">${language}</span>` : '',
+    stars !== undefined ? `<a class="Link--muted" href="/${owner}/${name}/stargazers">${stars}</a>` : '',
+    updated ? `Updated <relative-time datetime="${updated}">${updated}</relative-time>` : ''
+  ].join('');
+  return item;
+};
+
+/**
+ * Create a row of the stars tab as its owner sees it, with the "Starred" menu
+ * listing their star lists.
+ * @param {string} fullName - Repository full name.
+ * @param {string[]} [lists=[]] - Star lists the repository is checked in.
+ * @param {string} [language='Go'] - Primary language.
+ * @returns {Element} Row element.
+ */
+const createStarredRow = (fullName, lists = [], language = 'Go') => {
+  const template = document.createElement('template');
+  template.innerHTML = `
+    <div class="col-12 d-block width-full py-4 border-bottom color-border-muted">
+      <h3><a href="/${fullName}"><span class="text-normal">${fullName.split('/')[0]} / </span>${fullName.split('/')[1]}</a></h3>
+      <span itemprop="programmingLanguage">${language}</span>
+      <details class="js-user-list-menu">
+        <form class="js-user-list-menu-form">
+          ${['Frontend', 'Tools', 'Reading', 'Web/Mobile'].map(list => `
+            <label class="SelectMenu-item" role="menuitemcheckbox">
+              <input type="checkbox" class="js-user-list-menu-item" ${lists.includes(list) ? 'checked' : ''}>
+              <span class="Truncate"><span class="Truncate-text">${list}</span></span>
+            </label>`).join('')}
+        </form>
+      </details>
+    </div>`;
+  return template.content.firstElementChild;
+};
+
+module.exports = { createItem, createStarredRow };
@@ -0,0 +1,108 @@
+/**
+ * Incremental Row Processing Test Suite.
+ */
+
+const GitHubGitLabTheme = require('../src/main.js');
+const GroupManager = require('../src/core/repository/GroupManager.js');
+const RepositoryParser = require('../src/core/repository/RepositoryParser.js');
+const RepositoryProcessor = require('../src/core/repository/RepositoryProcessor.js');
+const GroupCard = require('../src/ui/components/GroupCard.js');
+const { createItem } = require('./helpers/repositoryRows.js');
+
+describe('Incremental row processing', () => {
+  let app;
+  let container;
+  let rows;
+
+  const card = (groupId) => GroupCard.findAll(container)
+    .find(groupCard => groupCard.dataset.groupId === groupId);
+  const count = (groupId) => card(groupId).querySelector('.gitlab-card-count').textContent;
+  const visibleNames = () => Array.from(container.querySelectorAll('[data-gitlab-group]'))
+    .filter(row => !row.hasAttribute('data-gitlab-filtered') && !row.hasAttribute('data-gitlab-search-miss'))
+    .map(row => RepositoryParser.getName(row));
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    window.history.replaceState(null, '', '/orgs/acme/repositories');
+
+    container = document.createElement('ul');
+    container.id = 'org-repositories-list';
+    rows = ['billing-api', 'billing-web', 'auth-api', 'auth-web'].map(createItem);
+    rows.forEach(row => container.appendChild(row));
+    document.body.appendChild(container);
+
+    app = new GitHubGitLabTheme();
+    app.groupManager = new GroupManager();
+    app.repositoryProcessor = new RepositoryProcessor(app.groupManager, app.showGroupRepos.bind(app));
+    app.processRepositories();
+    app.showGroupRepos('Billing', card('Billing'));
+  });
+
+  afterEach(() => {
+    app.destroy();
+    container.remove();
+    jest.useRealTimers();
+  });
+
+  test('should add new rows to their groups without rebuilding', () => {
+    const section = document.querySelector('.gitlab-cards-section');
+    const allCard = card('all');
+    const createGroupCards = jest.spyOn(app.repositoryProcessor, 'createGroupCards');
+
+    ['billing-cli', 'docs-site'].map(createItem).forEach(row => container.appendChild(row));
+    app.processRepositories();
+
+    expect(createGroupCards).not.toHaveBeenCalled();
+    expect(document.querySelector('.gitlab-cards-section')).toBe(section);
+    expect(card('all')).toBe(allCard);
+    expect(count('all')).toBe('6');
+    expect(count('Billing')).toBe('3');
+    expect(count('Docs')).toBe('1');
+    expect(card('Billing').classList.contains('active')).toBe(true);
+    expect(card('Docs').style.display).toBe('');
+
+    expect(visibleNames()).toEqual(['billing-api', 'billing-web', 'billing-cli']);
+    expect(Array.from(container.querySelectorAll('[itemprop="owns"]')).slice(0, 4)).toEqual(rows);
+  });
+
+  test('should rebuild when rows were removed as well', () => {
+    const section = document.querySelector('.gitlab-cards-section');
+
+    rows[0].remove();
+    container.appendChild(createItem('docs-site'));
+    app.processRepositories();
+
+    expect(document.querySelector('.gitlab-cards-section')).not.toBe(section);
+    expect(count('all')).toBe('4');
+  });
+
+  test('should keep a running search and its view', () => {
+    app.handleSearch('api');
+    container.appendChild(createItem('docs-api'));
+    app.processRepositories();
+
+    expect(visibleNames()).toEqual(['billing-api', 'auth-api', 'docs-api']);
+    expect(count('Docs')).toBe('1');
+    expect(count('Billing')).toBe('1');
+
+    app.resetSearch();
+    expect(visibleNames()).toEqual(['billing-api', 'billing-web']);
+    expect(count('Billing')).toBe('2');
+    expect(count('all')).toBe('5');
+    expect(card('Docs').classList.contains('gitlab-card-no-match')).toBe(false);
+  });
+
+  test('should place new rows and cards in sort order', () => {
+    app.repositoryProcessor.setSorting({ groupSort: 'name', repoSort: 'name' });
+    app.refreshGrouping();
+
+    const added = ['billing-aaa', 'cache-api'].map(createItem);
+    app.addRepositories(container, added);
+
+    const billingRows = Array.from(container.querySelectorAll('[data-gitlab-group="Billing"]'));
+    expect(billingRows.map(row => RepositoryParser.getName(row))).toEqual(['billing-aaa', 'billing-api', 'billing-web']);
+
+    const cardIds = GroupCard.findAll(container).map(groupCard => groupCard.dataset.groupId);
+    expect(cardIds).toEqual(['all', 'Auth', 'Billing', 'Cache']);
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Repository List Update Test Suite.
+ */
+
+const GitHubGitLabTheme = require('../src/main.js');
+const GroupManager = require('../src/core/repository/GroupManager.js');
+const RepositoryParser = require('../src/core/repository/RepositoryParser.js');
+const RepositoryProcessor = require('../src/core/repository/RepositoryProcessor.js');
+const GroupCard = require('../src/ui/components/GroupCard.js');
+const { createItem } = require('./helpers/repositoryRows.js');
+
+// GitHub's filters re-render the rows of the list in place.
+const replaceRows = (container, names) => {
+  container.innerHTML = '';
+  names.map(createItem).forEach(item => container.appendChild(item));
+};
+
+const cardIds = (container) => GroupCard.findAll(container)
+  .map(card => card.dataset.groupId);
+
+const groupRepos = (container, groupId) => Array.from(
+  container.querySelectorAll(`[data-gitlab-group="${groupId}"]`)
+).map(item => RepositoryParser.getName(item));
+
+describe('GitHubGitLabTheme list updates', () => {
+  let app;
+  let container;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    window.history.replaceState(null, '', '/orgs/acme/repositories');
+
+    container = document.createElement('ul');
+    container.id = 'org-repositories-list';
+    replaceRows(container, ['billing-api', 'billing-web', 'auth-api', 'auth-web']);
+    document.body.appendChild(container);
+
+    app = new GitHubGitLabTheme();
+    app.groupManager = new GroupManager();
+    app.repositoryProcessor = new RepositoryProcessor(app.groupManager, app.showGroupRepos.bind(app));
+    app.processRepositories();
+  });
+
+  afterEach(() => {
+    app.destroy();
+    container.remove();
+    jest.useRealTimers();
+  });
+
+  test('should leave an unchanged list alone', () => {
+    const section = document.querySelector('.gitlab-cards-section');
+    app.processRepositories();
+
+    expect(document.querySelector('.gitlab-cards-section')).toBe(section);
+  });
+
+  test('should regroup when the filters replace the rows', () => {
+    replaceRows(container, ['auth-api', 'docs-site', 'docs-api']);
+    app.processRepositories();
+
+    expect(container.classList.contains('gitlab-grouped-repositories')).toBe(true);
+    expect(cardIds(container)).toEqual(['all', 'Auth', 'Docs']);
+    expect(groupRepos(container, 'Docs')).toEqual(['docs-site', 'docs-api']);
+    expect(document.querySelectorAll('.gitlab-cards-section')).toHaveLength(1);
+  });
+
+  test('should keep the active group and the sort order', () => {
+    app.repositoryProcessor.sorting.repoSort = 'name';
+    app.showGroupRepos('Billing', document.querySelector('.gitlab-group-card[data-group-id="Billing"]'));
+
+    replaceRows(container, ['billing-web', 'billing-core', 'auth-api']);
+    app.processRepositories();
+
+    expect(app.groupDisplayManager.getCurrentActiveGroup()).toBe('Billing');
+    expect(document.querySelector('.gitlab-group-card.active').dataset.groupId).toBe('Billing');
+    expect(groupRepos(container, 'Billing')).toEqual(['billing-core', 'billing-web']);
+  });
+
+  test('should only mark new rows while grouping is off', () => {
+    app.groupingEnabled = false;
+    replaceRows(container, ['billing-api']);
+    app.processRepositories();
+
+    expect(container.classList.contains('gitlab-grouped-repositories')).toBe(false);
+    expect(app.repositoryFinder.findUpdatedContainers()).toEqual([]);
+  });
+
+  test('should keep the active group when a filter loads a new list on the same page', () => {
+    app.showGroupRepos('Auth', document.querySelector('.gitlab-group-card[data-group-id="Auth"]'));
+    window.history.pushState(null, '', '/orgs/acme/repositories?language=go');
+    expect(app.getPreferredGroup()).toBe('Auth');
+
+    window.history.pushState(null, '', '/orgs/other/repositories');
+    expect(app.getPreferredGroup()).toBeNull();
+
+    window.history.replaceState(null, '', '/orgs/other/repositories#group=Billing');
+    expect(app.getPreferredGroup()).toBe('Billing');
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * Navigation Manager Test Suite.
+ */
+
+const NavigationManager = require('../src/utils/NavigationManager.js');
+const GitHubGitLabTheme = require('../src/main.js');
+
+const flush = () => Promise.resolve();
+
+describe('NavigationManager', () => {
+  let manager;
+  let events;
+
+  const record = (type) => manager.on(type, detail => events.push([type, detail.url || detail.to]));
+
+  beforeEach(() => {
+    window.history.replaceState(null, '', '/acme?tab=repositories');
+    events = [];
+    manager = new NavigationManager();
+    NavigationManager.EVENTS.forEach(record);
+    manager.init();
+  });
+
+  afterEach(() => {
+    manager.destroy();
+    window.history.replaceState(null, '', '/');
+  });
+
+  test('should report a history change in order', async () => {
+    window.history.pushState({}, '', '/acme/billing-api');
+    expect(events).toEqual([
+      ['beforeNavigate', 'http://localhost/acme/billing-api'],
+      ['navigated', 'http://localhost/acme/billing-api']
+    ]);
+
+    await flush();
+    expect(events[2]).toEqual(['contentReady', 'http://localhost/acme/billing-api']);
+  });
+
+  test('should give the previous URL to navigated handlers', () => {
+    const onNavigated = jest.fn();
+    manager.on('navigated', onNavigated);
+
+    window.history.replaceState(null, '', '/acme?tab=stars');
+    expect(onNavigated).toHaveBeenCalledWith({
+      url: 'http://localhost/acme?tab=stars',
+      previousUrl: 'http://localhost/acme?tab=repositories'
+    });
+  });
+
+  test('should ignore hash changes and unchanged URLs', async () => {
+    window.history.pushState({}, '', '#group=Billing');
+    window.history.replaceState({ gitlabGroup: 'Billing' }, '', '#group=Billing');
+    window.history.replaceState({ gitlabGroup: 'Billing' }, '');
+    await flush();
+
+    expect(events).toEqual([]);
+    expect(manager.getCurrentUrl()).toMatch(/#group=Billing$/);
+  });
+
+  test('should report back and forward', async () => {
+    // The browser has already changed the URL when popstate fires.
+    History.prototype.replaceState.call(window.history, null, '', '/acme/billing-api');
+    window.dispatchEvent(new PopStateEvent('popstate'));
+    await flush();
+
+    expect(events.map(([type]) => type)).toEqual(['beforeNavigate', 'navigated', 'contentReady']);
+  });
+
+  test('should wait for Turbo to render the pages it visits', async () => {
+    document.dispatchEvent(new CustomEvent('turbo:visit', { detail: { url: 'http://localhost/orgs/acme/repositories' } }));
+    window.history.pushState({}, '', '/orgs/acme/repositories');
+    await flush();
+
+    expect(events).toEqual([
+      ['beforeNavigate', 'http://localhost/orgs/acme/repositories'],
+      ['navigated', 'http://localhost/orgs/acme/repositories']
+    ]);
+
+    document.dispatchEvent(new Event('turbo:render'));
+    document.dispatchEvent(new Event('turbo:load'));
+    await flush();
+
+    expect(events.slice(2)).toEqual([['contentReady', 'http://localhost/orgs/acme/repositories']]);
+  });
+
+  test('should report pages again after a Turbo visit fails', async () => {
+    document.dispatchEvent(new CustomEvent('turbo:visit', { detail: { url: 'http://localhost/orgs/acme/repositories' } }));
+    window.history.pushState({}, '', '/orgs/acme/repositories');
+    await flush();
+    document.dispatchEvent(new Event('turbo:fetch-request-error'));
+
+    expect(events.map(([type]) => type)).toEqual(['beforeNavigate', 'navigated', 'contentReady']);
+
+    window.history.pushState({}, '', '/acme/billing-api');
+    await flush();
+    expect(events.slice(3).map(([type]) => type)).toEqual(['beforeNavigate', 'navigated', 'contentReady']);
+  });
+
+  test('should report Turbo loads without a render', () => {
+    document.dispatchEvent(new Event('turbo:load'));
+    expect(events).toEqual([['contentReady', 'http://localhost/acme?tab=repositories']]);
+  });
+
+  test('should report navigations from the Navigation API', async () => {
+    const navigation = new EventTarget();
+    window.navigation = navigation;
+    manager.destroy();
+    manager = new NavigationManager();
+    NavigationManager.EVENTS.forEach(record);
+    manager.init();
+
+    // The page's own router changes history without the wrappers seeing it.
+    const navigate = new Event('navigate');
+    navigate.destination = { url: 'http://localhost/acme?tab=stars' };
+    navigation.dispatchEvent(navigate);
+    expect(events).toEqual([['beforeNavigate', 'http://localhost/acme?tab=stars']]);
+
+    History.prototype.pushState.call(window.history, {}, '', '/acme?tab=stars');
+    navigation.dispatchEvent(new Event('navigatesuccess'));
+    await flush();
+
+    expect(events.map(([type]) => type)).toEqual(['beforeNavigate', 'navigated', 'contentReady']);
+    delete window.navigation;
+  });
+
+  test('should stop waiting for a Turbo visit the Navigation API reports as failed', async () => {
+    const navigation = new EventTarget();
+    window.navigation = navigation;
+    manager.destroy();
+    manager = new NavigationManager();
+    NavigationManager.EVENTS.forEach(record);
+    manager.init();
+
+    document.dispatchEvent(new CustomEvent('turbo:visit', { detail: { url: 'http://localhost/orgs/acme/repositories' } }));
+    window.history.pushState({}, '', '/orgs/acme/repositories');
+    await flush();
+    navigation.dispatchEvent(new Event('navigateerror'));
+
+    expect(events.slice(-1)).toEqual([['contentReady', 'http://localhost/orgs/acme/repositories']]);
+    delete window.navigation;
+  });
+
+  test('should keep calling handlers after one fails', () => {
+    const later = jest.fn();
+    manager.on('navigated', () => { throw new Error('broken'); });
+    manager.on('navigated', later);
+
+    window.history.pushState({}, '', '/acme/auth-api');
+    expect(later).toHaveBeenCalled();
+  });
+
+  test('should unsubscribe handlers', () => {
+    const handler = jest.fn();
+    const unsubscribe = manager.on('navigated', handler);
+    unsubscribe();
+
+    window.history.pushState({}, '', '/acme/auth-api');
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test('should reject unknown events', () => {
+    expect(() => manager.on('navigate', jest.fn())).toThrow('Unknown navigation event: navigate');
+  });
+
+  test('should restore history and stop listening when destroyed', async () => {
+    manager.destroy();
+    window.history.pushState({}, '', '/acme/auth-api');
+    document.dispatchEvent(new Event('turbo:load'));
+    await flush();
+
+    expect(events).toEqual([]);
+    expect(Object.prototype.hasOwnProperty.call(window.history, 'pushState')).toBe(true);
+    expect(window.history.pushState).toBe(History.prototype.pushState);
+  });
+});
+
+describe('GitHubGitLabTheme navigation', () => {
+  test('should process a new page only once its settings have loaded', async () => {
+    const app = new GitHubGitLabTheme();
+    app.run = jest.fn();
+
+    let loaded;
+    app.pendingNavigation = new Promise(resolve => { loaded = resolve; });
+    const ready = app.handleContentReady();
+
+    await flush();
+    expect(app.run).not.toHaveBeenCalled();
+
+    loaded();
+    await ready;
+    expect(app.run).toHaveBeenCalledTimes(1);
+  });
+
+  test('should stop pending work for the page being left', () => {
+    jest.useFakeTimers();
+    const app = new GitHubGitLabTheme();
+    app.checkMarkup = jest.fn();
+    app.scheduleMarkupCheck();
+
+    app.handleBeforeNavigate();
+    jest.advanceTimersByTime(GitHubGitLabTheme.MARKUP_CHECK_DELAY);
+
+    expect(app.checkMarkup).not.toHaveBeenCalled();
+    jest.useRealTimers();
+  });
+});
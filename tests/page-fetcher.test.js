@@ -0,0 +1,211 @@
+/**
+ * Page Fetcher Test Suite.
+ */
+
+const PageFetcher = require('../src/core/repository/PageFetcher.js');
+const RepositoryFinder = require('../src/core/repository/RepositoryFinder.js');
+const RepositoryParser = require('../src/core/repository/RepositoryParser.js');
+const GitHubGitLabTheme = require('../src/main.js');
+const GroupManager = require('../src/core/repository/GroupManager.js');
+const RepositoryProcessor = require('../src/core/repository/RepositoryProcessor.js');
+const GroupCard = require('../src/ui/components/GroupCard.js');
+
+const createList = (names) => `
+  <ul id="org-repositories-list">
+    ${names.map(name => `<li itemprop="owns"><h3><a href="/acme/${name}">${name}</a></h3></li>`).join('')}
+  </ul>
+`;
+
+const createPagination = (page, last) => `
+  <nav aria-label="Pagination">
+    ${page > 1 ? `<a rel="prev" href="/orgs/acme/repositories?page=${page - 1}">Previous</a>` : ''}
+    ${Array.from({ length: last }, (_, i) => i + 1).map(n => n === page
+      ? `<em aria-current="page">${n}</em>`
+      : `<a href="/orgs/acme/repositories?page=${n}">${n}</a>`).join('')}
+    ${page < last ? `<a rel="next" href="/orgs/acme/repositories?page=${page + 1}">Next</a>` : ''}
+  </nav>
+`;
+
+const PAGES = {
+  1: ['billing-api', 'billing-web'],
+  2: ['auth-api', 'auth-web'],
+  3: ['docs-site']
+};
+
+const createMemoryStorage = () => {
+  const entries = new Map();
+  return {
+    entries,
+    loadCache: jest.fn(async (key, maxAge) => {
+      const entry = entries.get(key);
+      return entry && Date.now() - entry.updated <= maxAge ? entry.value : null;
+    }),
+    saveCache: jest.fn(async (key, value) => {
+      entries.set(key, { value, updated: Date.now() });
+    })
+  };
+};
+
+const createFetch = () => jest.fn(async (url) => {
+  const page = Number(new URL(url).searchParams.get('page') || 1);
+  return {
+    ok: true,
+    status: 200,
+    text: async () => `<html><body>${createList(PAGES[page])}${createPagination(page, 3)}</body></html>`
+  };
+});
+
+const names = (items) => items.map(item => RepositoryParser.getName(item));
+
+describe('PageFetcher', () => {
+  let storage;
+  let fetch;
+  let fetcher;
+
+  beforeEach(() => {
+    window.history.replaceState(null, '', '/orgs/acme/repositories?page=2');
+    document.body.innerHTML = createList(PAGES[2]) + createPagination(2, 3);
+
+    storage = createMemoryStorage();
+    fetch = createFetch();
+    fetcher = new PageFetcher(new RepositoryFinder(), storage, { fetch, delay: 0 });
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('should fetch the other pages in list order with progress', async () => {
+    const onProgress = jest.fn();
+    const items = await fetcher.fetchAll(onProgress);
+
+    expect(names(items)).toEqual(['billing-api', 'billing-web', 'docs-site']);
+    expect(items.every(item => item.dataset.gitlabFetched === 'true')).toBe(true);
+    expect(items[0].ownerDocument).toBe(document);
+
+    expect(fetch.mock.calls.map(([url]) => url)).toEqual([
+      'http://localhost/orgs/acme/repositories?page=3',
+      'http://localhost/orgs/acme/repositories?page=1'
+    ]);
+    expect(fetch.mock.calls[0][1]).toMatchObject({ credentials: 'same-origin' });
+    expect(onProgress.mock.calls).toEqual([[{ loaded: 2, total: 3 }], [{ loaded: 3, total: 3 }]]);
+  });
+
+  test('should use the cache until it expires', async () => {
+    await fetcher.fetchAll();
+    fetch.mockClear();
+
+    const cached = await fetcher.fetchAll();
+    expect(names(cached)).toEqual(['billing-api', 'billing-web', 'docs-site']);
+    expect(fetch).not.toHaveBeenCalled();
+
+    const expired = new PageFetcher(new RepositoryFinder(), storage, { fetch, delay: 0, ttl: -1 });
+    await expired.fetchAll();
+    expect(fetch).toHaveBeenCalledTimes(2);
+  });
+
+  test('should follow plain Next links and stop at the page limit', async () => {
+    window.history.replaceState(null, '', '/acme?tab=repositories');
+    document.body.innerHTML = `${createList(PAGES[1])}
+      <div class="paginate-container"><button disabled>Previous</button><a href="/acme?page=2&tab=repositories">Next</a></div>`;
+
+    fetch = jest.fn(async (url) => {
+      const page = Number(new URL(url).searchParams.get('page'));
+      return {
+        ok: true,
+        text: async () => `${createList([`repo-${page}`])}
+          <div class="paginate-container"><a href="/acme?page=${page + 1}&tab=repositories">Next</a></div>`
+      };
+    });
+    fetcher = new PageFetcher(new RepositoryFinder(), storage, { fetch, delay: 0, maxPages: 4 });
+
+    const onProgress = jest.fn();
+    const items = await fetcher.fetchAll(onProgress);
+
+    expect(names(items)).toEqual(['repo-2', 'repo-3', 'repo-4']);
+    expect(onProgress).toHaveBeenLastCalledWith({ loaded: 4, total: null });
+  });
+
+  test('should only follow links on the same origin', () => {
+    document.body.innerHTML = '<nav aria-label="Pagination"><a rel="next" href="https://evil.example/?page=2">Next</a></nav>';
+
+    expect(fetcher.findPageLink(document, 'next', window.location.href)).toBeNull();
+    expect(fetcher.hasMorePages()).toBe(false);
+  });
+
+  test('should reject failed responses', async () => {
+    fetch.mockResolvedValueOnce({ ok: false, status: 500 });
+    await expect(fetcher.fetchAll()).rejects.toThrow('500');
+    expect(storage.saveCache).not.toHaveBeenCalled();
+  });
+
+  test('should key the cache by list and page', () => {
+    expect(PageFetcher.getPageKey('https://github.com/acme?tab=repositories&page=2#group=Billing'))
+      .toBe('pages:https://github.com/acme?tab=repositories#2');
+    expect(PageFetcher.getPageKey('https://github.com/acme?tab=repositories'))
+      .toBe('pages:https://github.com/acme?tab=repositories#1');
+  });
+});
+
+describe('GitHubGitLabTheme all pages', () => {
+  let app;
+  let container;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    window.history.replaceState(null, '', '/orgs/acme/repositories');
+    document.body.innerHTML = createList(PAGES[1]) + createPagination(1, 3);
+    container = document.querySelector('#org-repositories-list');
+    container.scrollIntoView = jest.fn();
+
+    app = new GitHubGitLabTheme();
+    app.groupManager = new GroupManager();
+    app.repositoryProcessor = new RepositoryProcessor(app.groupManager, app.showGroupRepos.bind(app));
+    app.pageFetcher = new PageFetcher(app.repositoryFinder, createMemoryStorage(), { fetch: createFetch(), delay: 0 });
+    app.processRepositories();
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+    jest.useRealTimers();
+  });
+
+  test('should merge repositories from every page into the groups', async () => {
+    expect(container.classList.contains('gitlab-grouped-repositories')).toBe(false);
+
+    const showPageProgress = jest.spyOn(app.repositoryProcessor, 'showPageProgress');
+    await app.loadAllPages();
+
+    expect(showPageProgress).toHaveBeenCalledWith(container, { loaded: 3, total: 3 });
+    expect(document.querySelector('.gitlab-page-progress')).toBeNull();
+    expect(container.dataset.gitlabAllPages).toBe('loaded');
+
+    const cardIds = GroupCard.findAll(container).map(card => card.dataset.groupId);
+    expect(cardIds).toEqual(['all', 'Billing', 'Auth', 'Docs']);
+    expect(GroupCard.find(container, 'all').querySelector('.gitlab-card-count').textContent).toBe('5');
+  });
+
+  test('should drop fetched repositories when turned off', async () => {
+    await app.loadAllPages();
+    await app.handleToggleAllPages(false);
+
+    const rows = app.getListItems(container);
+    expect(names(rows).sort()).toEqual(['billing-api', 'billing-web']);
+    expect(container.dataset.gitlabAllPages).toBeUndefined();
+  });
+
+  test('should show progress on the cards while loading', () => {
+    app.repositoryProcessor.createGroupCards(container, app.getListItems(container).concat(
+      new PageFetcher(app.repositoryFinder, null).createItem('<li itemprop="owns"><h3><a href="/acme/auth-api">auth-api</a></h3></li>')
+    ));
+
+    app.repositoryProcessor.showPageProgress(container, { loaded: 2, total: 4 });
+    const cards = document.querySelector('.gitlab-group-cards-container');
+    expect(document.querySelector('.gitlab-page-progress').textContent).toBe('Loading all pages… 2 of 4');
+    expect(cards.classList.contains('gitlab-cards-loading')).toBe(true);
+    expect(cards.style.getPropertyValue('--gitlab-page-progress')).toBe('50%');
+
+    app.repositoryProcessor.hidePageProgress(container);
+    expect(cards.classList.contains('gitlab-cards-loading')).toBe(false);
+  });
+});
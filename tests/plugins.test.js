@@ -0,0 +1,296 @@
+/**
+ * Event Bus and Plugin API Test Suite.
+ */
+
+const GitHubGitLabTheme = require('../src/main.js');
+const GroupManager = require('../src/core/repository/GroupManager.js');
+const RepositoryProcessor = require('../src/core/repository/RepositoryProcessor.js');
+const GroupingStrategy = require('../src/core/grouping/GroupingStrategy.js');
+const StrategyRegistry = require('../src/core/grouping/StrategyRegistry.js');
+const PluginManager = require('../src/core/plugins/PluginManager.js');
+const EventBus = require('../src/utils/EventBus.js');
+const GroupCard = require('../src/ui/components/GroupCard.js');
+const { createItem } = require('./helpers/repositoryRows.js');
+
+class FirstLetterStrategy extends GroupingStrategy {
+  constructor() {
+    super('first-letter', 'First letter');
+  }
+
+  getItemGroup(repo) {
+    return repo.name.charAt(0).toUpperCase();
+  }
+}
+
+// A plugin as a module would export it: a strategy, a card badge and a toolbar button.
+const createPlugin = (onExport = jest.fn()) => ({
+  id: 'letters',
+  setup(api) {
+    api.registerStrategy(new FirstLetterStrategy());
+    api.decorateCards((card, group) => {
+      const badge = document.createElement('span');
+      badge.className = 'letters-badge';
+      badge.dataset.gitlabDecoration = 'true';
+      badge.textContent = `${group.name}: ${group.repos.length}`;
+      card.appendChild(badge);
+    });
+    api.addToolbarButton({ id: 'export', label: 'Export', title: 'Export groups', onClick: onExport });
+  }
+});
+
+const createRow = (name, group) => {
+  const row = createItem(name);
+  row.dataset.gitlabGroup = group;
+  return row;
+};
+
+const createCard = (groupId) => {
+  const card = document.createElement('div');
+  card.className = 'gitlab-group-card';
+  card.dataset.groupId = groupId;
+  return card;
+};
+
+// Cards live in a section placed before their list, as RepositoryProcessor builds them.
+const createList = (groupIds) => {
+  const section = document.createElement('div');
+  section.className = 'gitlab-cards-section';
+  groupIds.forEach(id => section.appendChild(createCard(id)));
+
+  const container = document.createElement('ul');
+  document.createElement('div').append(section, container);
+  GroupCard.attachSection(container, section);
+  return container;
+};
+
+const badgeTexts = (container) => GroupCard.findAll(container).map(card => card.querySelector('.letters-badge').textContent);
+
+describe('EventBus', () => {
+  test('should call subscribed handlers with the detail until they unsubscribe', () => {
+    const bus = new EventBus();
+    const handler = jest.fn();
+    const unsubscribe = bus.on('groupShown', handler);
+
+    bus.emit('groupShown', { groupId: 'billing' });
+    unsubscribe();
+    bus.emit('groupShown', { groupId: 'auth' });
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(handler).toHaveBeenCalledWith({ groupId: 'billing' });
+    expect(bus.has('groupShown')).toBe(false);
+  });
+
+  test('should keep calling handlers after one fails', () => {
+    const bus = new EventBus();
+    const later = jest.fn();
+    bus.on('pageDetected', () => { throw new Error('broken'); });
+    bus.on('pageDetected', later);
+
+    bus.emit('pageDetected');
+    expect(later).toHaveBeenCalledWith({});
+  });
+
+  test('should reject events it does not know', () => {
+    const bus = new EventBus(['groupShown'], 'lifecycle');
+
+    expect(() => bus.on('groupshown', jest.fn())).toThrow('Unknown lifecycle event: groupshown');
+    expect(() => bus.emit('groupsShown')).toThrow('Unknown lifecycle event: groupsShown');
+  });
+});
+
+describe('PluginManager', () => {
+  let events;
+  let registry;
+  let plugins;
+
+  beforeEach(() => {
+    events = new EventBus(GitHubGitLabTheme.EVENTS);
+    registry = new StrategyRegistry();
+    plugins = new PluginManager(events, registry);
+  });
+
+  afterEach(() => {
+    PluginManager.registered = [];
+    PluginManager.managers.clear();
+  });
+
+  test('should register strategies and toolbar buttons', () => {
+    const onExport = jest.fn();
+    expect(plugins.register(createPlugin(onExport))).toBe(true);
+
+    expect(registry.get('first-letter')).toBeInstanceOf(FirstLetterStrategy);
+    expect(plugins.getToolbarButtons()).toEqual([
+      { id: 'letters:export', label: 'Export', title: 'Export groups', onClick: onExport }
+    ]);
+  });
+
+  test('should decorate cards with their group each time groups are computed', () => {
+    plugins.register(createPlugin());
+
+    const container = createList(['all', 'billing', 'billing/api']);
+    container.appendChild(createRow('billing-api', 'billing/api'));
+    container.appendChild(createRow('billing-web', 'billing'));
+    container.appendChild(createRow('auth-api', 'auth'));
+
+    events.emit('groupsComputed', { container, groups: new Map() });
+    events.emit('groupsComputed', { container, groups: new Map() });
+
+    expect(badgeTexts(container)).toEqual(['All Repositories: 3', 'billing: 2', 'api: 1']);
+  });
+
+  test('should pass lifecycle events to plugin handlers until destroyed', () => {
+    const onGroupShown = jest.fn();
+    plugins.register({ id: 'listener', setup: api => api.on('groupShown', onGroupShown) });
+
+    events.emit('groupShown', { groupId: 'billing' });
+    plugins.destroy();
+    events.emit('groupShown', { groupId: 'auth' });
+
+    expect(onGroupShown.mock.calls).toEqual([[{ groupId: 'billing' }]]);
+  });
+
+  test('should leave out plugins whose setup fails', () => {
+    const registered = plugins.register({
+      id: 'broken',
+      setup(api) {
+        api.registerStrategy(new FirstLetterStrategy());
+        throw new Error('broken');
+      }
+    });
+
+    expect(registered).toBe(false);
+    expect(plugins.plugins.has('broken')).toBe(false);
+  });
+
+  test('should keep other decorators running when one fails', () => {
+    plugins.register({ id: 'broken', setup: api => api.decorateCards(() => { throw new Error('broken'); }) });
+    plugins.register(createPlugin());
+
+    const container = createList(['all']);
+    events.emit('groupsComputed', { container, groups: new Map() });
+
+    expect(badgeTexts(container)).toEqual(['All Repositories: 0']);
+  });
+
+  test('should set up plugins registered by their own modules', () => {
+    const onGroupShown = jest.fn();
+    PluginManager.register(createPlugin());
+    plugins.loadRegistered();
+    expect(registry.get('first-letter')).toBeInstanceOf(FirstLetterStrategy);
+
+    // A module loaded after the extension started.
+    PluginManager.register({ id: 'listener', setup: api => api.on('groupShown', onGroupShown) });
+    events.emit('groupShown', { groupId: 'billing' });
+    expect(onGroupShown).toHaveBeenCalledWith({ groupId: 'billing' });
+
+    plugins.destroy();
+    const late = { id: 'late', setup: jest.fn() };
+    PluginManager.register(late);
+    expect(late.setup).not.toHaveBeenCalled();
+    expect(() => PluginManager.register(createPlugin())).toThrow('Plugin already registered: letters');
+  });
+
+  test('should reject invalid and duplicate plugins', () => {
+    expect(() => plugins.register({ id: 'no-setup' })).toThrow('A plugin needs an id and a setup function');
+
+    plugins.register(createPlugin());
+    expect(() => plugins.register(createPlugin())).toThrow('Plugin already registered: letters');
+  });
+});
+
+describe('GitHubGitLabTheme lifecycle', () => {
+  let app;
+  let container;
+  let lifecycle;
+
+  beforeEach(async () => {
+    jest.useFakeTimers();
+    window.history.replaceState(null, '', '/orgs/acme/repositories');
+    document.body.innerHTML = '<main><ul id="org-repositories-list"></ul></main>';
+    container = document.getElementById('org-repositories-list');
+    ['billing-api', 'billing-web', 'auth-api'].forEach(name => {
+      container.insertAdjacentHTML('beforeend', `<li itemprop="owns"><h3><a href="/acme/${name}">${name}</a></h3></li>`);
+    });
+
+    app = new GitHubGitLabTheme();
+    app.groupManager = new GroupManager();
+    app.registerStrategies();
+    app.repositoryProcessor = new RepositoryProcessor(app.groupManager, app.showGroupRepos.bind(app), null, null, app.events);
+    await app.loadOwnerSettings();
+
+    lifecycle = [];
+    GitHubGitLabTheme.EVENTS.forEach(type => app.events.on(type, detail => lifecycle.push([type, detail])));
+  });
+
+  afterEach(() => {
+    app.destroy();
+    document.body.innerHTML = '';
+    window.history.replaceState(null, '', '/');
+    jest.useRealTimers();
+  });
+
+  test('should announce each step of processing a page', () => {
+    app.run();
+
+    expect(lifecycle.map(([type]) => type)).toEqual(['pageDetected', 'containersFound', 'reposParsed', 'groupsComputed', 'groupShown']);
+    expect(lifecycle[0][1]).toMatchObject({ pageType: 'organization', listType: 'repositories', route: { kind: 'org-repos', owner: 'acme' } });
+    expect(lifecycle[1][1].containers).toEqual([container]);
+    expect(lifecycle[2][1].repos.map(repo => repo.name)).toEqual(['billing-api', 'billing-web', 'auth-api']);
+    expect(Array.from(lifecycle[3][1].groups.keys())).toEqual(['Billing', 'Auth']);
+    expect(lifecycle[4][1]).toEqual({ groupId: 'Billing' });
+  });
+
+  test('should announce the repositories each time the list changes', async () => {
+    const repoNames = () => lifecycle.filter(([type]) => type === 'reposParsed')
+      .map(([, detail]) => detail.repos.map(repo => repo.name));
+
+    app.run();
+    container.insertAdjacentHTML('beforeend', '<li itemprop="owns"><h3><a href="/acme/auth-web">auth-web</a></h3></li>');
+    app.processRepositories();
+
+    const fetched = document.createElement('li');
+    fetched.setAttribute('itemprop', 'owns');
+    fetched.innerHTML = '<h3><a href="/acme/docs">docs</a></h3>';
+    app.addRepositories(container, [fetched]);
+
+    await app.handleSortChange('groupSort', 'name');
+
+    expect(repoNames()).toEqual([
+      ['billing-api', 'billing-web', 'auth-api'],
+      ['billing-api', 'billing-web', 'auth-api', 'auth-web'],
+      ['billing-api', 'billing-web', 'auth-api', 'auth-web', 'docs'],
+      ['billing-api', 'billing-web', 'auth-api', 'auth-web', 'docs']
+    ]);
+  });
+
+  test('should announce settings changes with their owner', async () => {
+    app.run();
+    lifecycle = [];
+
+    await app.handleSortChange('groupSort', 'name');
+    await app.handleToggleTheme();
+
+    expect(lifecycle.filter(([type]) => type === 'settingsChanged').map(([, detail]) => detail)).toEqual([
+      { key: 'groupSort', value: 'name', owner: 'acme' },
+      { key: 'darkMode', value: false, owner: null }
+    ]);
+  });
+
+  test('should add plugin strategies, card decorations and toolbar buttons', async () => {
+    const onExport = jest.fn();
+    expect(app.use(createPlugin(onExport))).toBe(true);
+    app.run();
+
+    const options = Array.from(document.querySelectorAll('.gitlab-strategy-select option')).map(option => option.value);
+    expect(options).toContain('first-letter');
+    expect(document.querySelector('.gitlab-group-card[data-group-id="Billing"] .letters-badge').textContent).toBe('Billing: 2');
+
+    const button = document.querySelector('[data-plugin-button="letters:export"]');
+    button.click();
+    expect(onExport).toHaveBeenCalledWith(button);
+
+    await app.handleStrategyChange('first-letter');
+    const cards = GroupCard.findAll(container).map(card => card.querySelector('.letters-badge').textContent);
+    expect(cards).toEqual(['All Repositories: 3', 'B: 2', 'A: 1']);
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Repository Parser Test Suite.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const RepositoryParser = require('../src/core/repository/RepositoryParser.js');
+const RepositoryModel = require('../src/core/repository/RepositoryModel.js');
+const RepositoryFinder = require('../src/core/repository/RepositoryFinder.js');
+
+const loadFixture = (name) => {
+  document.body.innerHTML = fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+};
+
+describe('RepositoryParser', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('should parse the user repositories list', () => {
+    loadFixture('user-repositories.html');
+    const container = document.querySelector('#user-repositories-list');
+    const repos = new RepositoryFinder().findRepositoryItems(container).map(item => RepositoryParser.parse(item));
+
+    expect(repos.map(repo => repo.name)).toEqual(['github-explorer2', 'dexie.js', 'dotfiles', 'laravel-starter']);
+    expect(repos[0]).toBeInstanceOf(RepositoryModel);
+    expect(repos[0]).toMatchObject({
+      name: 'github-explorer2',
+      owner: 'vernonthedev',
+      description: "Transforms GitHub to GitLab's dark theme with intelligent repository grouping",
+      language: 'JavaScript',
+      stars: 1204,
+      forks: 37,
+      topics: ['chrome-extension', 'gitlab'],
+      visibility: 'public',
+      isFork: false,
+      isArchived: false,
+      isTemplate: false
+    });
+    expect(repos[0].url).toMatch(/\/vernonthedev\/github-explorer2$/);
+    expect(repos[0].fullName).toBe('vernonthedev/github-explorer2');
+    expect(repos[0].languageColor).toBe('rgb(241, 224, 90)');
+    expect(repos[0].updatedAt.toISOString()).toBe('2025-12-29T14:03:11.000Z');
+
+    expect(repos[1]).toMatchObject({ isFork: true, forkedFrom: 'dexie/Dexie.js', stars: 0, topics: [] });
+    expect(repos[2]).toMatchObject({ visibility: 'private', description: '' });
+    expect(repos[3]).toMatchObject({ isTemplate: true, visibility: 'public', stars: 2 });
+  });
+
+  test('should parse the organization repositories list', () => {
+    loadFixture('org-repositories.html');
+    const container = document.querySelector('[data-filterable-for="org-repos-filter"]');
+    const repos = new RepositoryFinder().findRepositoryItems(container).map(item => RepositoryParser.parse(item));
+
+    expect(repos.map(repo => repo.fullName)).toEqual([
+      'acme-corp/svc-billing-api',
+      'acme-corp/billing-web',
+      'acme-corp/tf-billing-prod'
+    ]);
+    expect(repos[0]).toMatchObject({
+      visibility: 'internal',
+      language: 'Go',
+      stars: 1200,
+      forks: 48,
+      topics: ['billing', 'golang'],
+      description: 'Billing service: invoices, plans and the Stripe webhook bridge.'
+    });
+    expect(repos[1]).toMatchObject({ visibility: 'public', stars: 86, forks: 12 });
+    expect(repos[2]).toMatchObject({ visibility: 'private', isArchived: true, language: 'HCL' });
+    expect(repos[2].updatedAt.getUTCFullYear()).toBe(2023);
+  });
+
+  test('should parse the stars list with owner-prefixed names', () => {
+    loadFixture('stars.html');
+    const repos = Array.from(document.querySelectorAll('#user-starred-repos > .col-12'))
+      .map(item => RepositoryParser.parse(item));
+
+    expect(repos.map(repo => repo.fullName)).toEqual(['facebook/react', 'torvalds/linux']);
+    expect(repos[0]).toMatchObject({ name: 'react', owner: 'facebook', stars: 231402, forks: 47610, language: 'JavaScript' });
+    expect(repos[1]).toMatchObject({ stars: 198000, forks: 56300, description: 'Linux kernel source tree' });
+  });
+
+  test('should read just the name without a full parse', () => {
+    loadFixture('stars.html');
+    const item = document.querySelector('#user-starred-repos > .col-12');
+
+    expect(RepositoryParser.getName(item)).toBe('react');
+    expect(new RepositoryFinder().getRepositoryName(item)).toBe('react');
+  });
+
+  test('should fall back to defaults for sparse rows', () => {
+    const item = document.createElement('div');
+    item.innerHTML = '<h3><a>scratch</a></h3>';
+
+    expect(RepositoryParser.parse(item)).toMatchObject({
+      name: 'scratch',
+      owner: null,
+      url: null,
+      language: null,
+      stars: 0,
+      topics: [],
+      visibility: 'public',
+      updatedAt: null
+    });
+  });
+
+  test('should parse GitHub counters', () => {
+    expect(RepositoryParser.parseCount(' 1,234 ')).toBe(1234);
+    expect(RepositoryParser.parseCount('1.2k')).toBe(1200);
+    expect(RepositoryParser.parseCount('3m')).toBe(3000000);
+    expect(RepositoryParser.parseCount('')).toBe(0);
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Repository Search Test Suite.
+ */
+
+const RepositorySearch = require('../src/core/repository/RepositorySearch.js');
+const GroupManager = require('../src/core/repository/GroupManager.js');
+const RepositoryProcessor = require('../src/core/repository/RepositoryProcessor.js');
+const GroupDisplayManager = require('../src/core/repository/GroupDisplayManager.js');
+const GroupControls = require('../src/ui/components/GroupControls.js');
+const GroupCard = require('../src/ui/components/GroupCard.js');
+const { createItem } = require('./helpers/repositoryRows.js');
+
+// jsdom lacks the CSS Custom Highlight API; a Highlight is a set of ranges.
+const installHighlights = () => {
+  window.Highlight = class Highlight extends Set {};
+  window.CSS = { highlights: new Map() };
+};
+
+const removeHighlights = () => {
+  delete window.Highlight;
+  delete window.CSS;
+};
+
+const highlightedText = () => Array.from(CSS.highlights.get(RepositorySearch.HIGHLIGHT_NAME) || [])
+  .map(range => range.toString());
+
+const visibleCardIds = (container) => GroupCard.findAll(container)
+  .filter(card => card.style.display !== 'none')
+  .map(card => card.dataset.groupId);
+
+describe('RepositorySearch', () => {
+  test('should prefer contiguous matches and fall back to fuzzy ones', () => {
+    expect(RepositorySearch.fuzzyMatch('api', 'billing-api')).toEqual([8, 9, 10]);
+    expect(RepositorySearch.fuzzyMatch('bapi', 'billing-api')).toBeNull();
+    expect(RepositorySearch.fuzzyMatch('blng', 'billing')).toEqual([0, 2, 5, 6]);
+    expect(RepositorySearch.fuzzyMatch('Auth API', 'auth-api')).toEqual([0, 1, 2, 3, 5, 6, 7]);
+  });
+
+  test('should reject missing and scattered matches', () => {
+    expect(RepositorySearch.fuzzyMatch('xyz', 'billing-api')).toBeNull();
+    expect(RepositorySearch.fuzzyMatch('ba', 'billing service for the api')).toBeNull();
+    expect(RepositorySearch.fuzzyMatch('', 'billing')).toBeNull();
+  });
+
+  test('should match names, descriptions and topics', () => {
+    const item = createItem({ name: 'svc-billing', description: 'Invoices and plans', topics: ['stripe'] });
+
+    expect(RepositorySearch.matchItem(item, 'billing').map(match => match.element.tagName)).toEqual(['A']);
+    expect(RepositorySearch.matchItem(item, 'invoice').map(match => match.element.tagName)).toEqual(['P']);
+    expect(RepositorySearch.matchItem(item, 'stripe')[0].element.classList.contains('topic-tag')).toBe(true);
+    expect(RepositorySearch.matchItem(item, 'kubernetes')).toEqual([]);
+  });
+
+  test('should highlight matches without changing the row', () => {
+    installHighlights();
+    const item = createItem('billing-api');
+    document.body.appendChild(item);
+    const link = item.querySelector('a');
+    const [match] = RepositorySearch.matchItem(item, 'ingapi');
+
+    RepositorySearch.highlight(match.element, match.indices);
+    expect(highlightedText()).toEqual(['ing', 'api']);
+    expect(link.innerHTML).toBe('billing-api');
+
+    RepositorySearch.clearHighlights(item);
+    expect(highlightedText()).toEqual([]);
+    item.remove();
+    removeHighlights();
+  });
+
+  test('should drop highlights of text that left the page', () => {
+    installHighlights();
+    const item = createItem('billing-api');
+    document.body.appendChild(item);
+    const [match] = RepositorySearch.matchItem(item, 'api');
+    RepositorySearch.highlight(match.element, match.indices);
+
+    // GitHub re-rendered the row.
+    item.querySelector('a').textContent = 'billing-api';
+    RepositorySearch.clearHighlights(document.body);
+
+    expect(highlightedText()).toEqual([]);
+    item.remove();
+    removeHighlights();
+  });
+
+  test('should search without highlights when the browser cannot highlight', () => {
+    const item = createItem('billing-api');
+    const [match] = RepositorySearch.matchItem(item, 'api');
+
+    expect(() => RepositorySearch.highlight(match.element, match.indices)).not.toThrow();
+    expect(() => RepositorySearch.clearHighlights(item)).not.toThrow();
+    expect(item.querySelector('a').innerHTML).toBe('billing-api');
+  });
+});
+
+describe('Searching grouped repositories', () => {
+  let container;
+  let displayManager;
+
+  beforeEach(() => {
+    installHighlights();
+    const manager = new GroupManager();
+    manager.updateMaxDepth(2);
+    displayManager = new GroupDisplayManager();
+
+    container = document.createElement('ul');
+    document.body.appendChild(container);
+    container.scrollIntoView = jest.fn();
+
+    const items = [
+      createItem({ name: 'platform-auth-api', description: 'OAuth provider' }),
+      createItem('platform-auth-web'),
+      createItem({ name: 'billing-api', description: 'Invoices', topics: ['stripe'] }),
+      createItem('billing-web')
+    ];
+    items.forEach(item => container.appendChild(item));
+
+    const processor = new RepositoryProcessor(manager, (groupId) => displayManager.showGroupRepos(groupId, container));
+    processor.createGroupCards(container, items);
+    displayManager.showGroupRepos('Billing', container);
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+    removeHighlights();
+  });
+
+  const cardCount = (groupId) => GroupCard.find(container, groupId).querySelector('.gitlab-card-count').textContent;
+
+  test('should count matches per card and dim cards without matches', () => {
+    displayManager.applySearch(container, 'api');
+
+    expect(cardCount('all')).toBe('2');
+    expect(cardCount('Platform')).toBe('1');
+    expect(cardCount('Platform/Auth')).toBe('1');
+    expect(cardCount('Billing')).toBe('1');
+    expect(visibleCardIds(container)).toEqual(['all', 'Platform', 'Platform/Auth', 'Billing']);
+
+    displayManager.applySearch(container, 'stripe');
+    expect(GroupCard.find(container, 'Platform').classList.contains('gitlab-card-no-match')).toBe(true);
+    expect(GroupCard.find(container, 'Billing').classList.contains('gitlab-card-no-match')).toBe(false);
+  });
+
+  test('should show only matching rows with highlights', () => {
+    displayManager.applySearch(container, 'provider');
+
+    expect(container.dataset.gitlabActiveGroup).toBe('all');
+
+    const visibleRows = Array.from(container.querySelectorAll('[data-gitlab-group]'))
+      .filter(row => !row.hasAttribute('data-gitlab-filtered') && !row.hasAttribute('data-gitlab-search-miss'));
+    expect(visibleRows).toHaveLength(1);
+    expect(highlightedText()).toEqual(['provider']);
+  });
+
+  test('should restore the previous view when cleared', () => {
+    const before = container.innerHTML;
+
+    displayManager.applySearch(container, 'web');
+    displayManager.showGroupRepos('Platform', container);
+    displayManager.applySearch(container, '');
+
+    expect(container.innerHTML).toBe(before);
+    expect(highlightedText()).toEqual([]);
+    expect(displayManager.getCurrentActiveGroup()).toBe('Billing');
+    expect(displayManager.isSearching(container)).toBe(false);
+  });
+});
+
+describe('GroupControls search field', () => {
+  test('should report the query and clear on Escape', () => {
+    const onSearch = jest.fn();
+    const controls = new GroupControls({ onToggleGrouping: jest.fn(), onManageGroups: jest.fn(), onSearch }).create();
+    const input = controls.querySelector('.gitlab-search-input');
+
+    input.value = 'billing';
+    input.dispatchEvent(new Event('input'));
+    expect(onSearch).toHaveBeenLastCalledWith('billing');
+
+    input.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }));
+    expect(input.value).toBe('');
+    expect(onSearch).toHaveBeenLastCalledWith('');
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * Repository Sorter Test Suite.
+ */
+
+const RepositorySorter = require('../src/core/repository/RepositorySorter.js');
+const RepositoryProcessor = require('../src/core/repository/RepositoryProcessor.js');
+const GroupManager = require('../src/core/repository/GroupManager.js');
+const GroupCard = require('../src/ui/components/GroupCard.js');
+const { createItem } = require('./helpers/repositoryRows.js');
+
+const names = (items) => items.map(item => item.querySelector('a').textContent);
+
+describe('RepositorySorter', () => {
+  const items = [
+    createItem({ name: 'web-app', stars: 5, updated: '2026-01-01T00:00:00Z' }),
+    createItem({ name: 'api-server', stars: 120, updated: '2026-10-01T00:00:00Z' }),
+    createItem({ name: 'Docs', stars: 5, updated: '2025-03-01T00:00:00Z' }),
+    createItem('cli')
+  ];
+
+  test('should keep GitHub order by default', () => {
+    expect(names(RepositorySorter.sortRepos(items, 'default'))).toEqual(['web-app', 'api-server', 'Docs', 'cli']);
+  });
+
+  test('should sort repos by name, stars and updated date', () => {
+    expect(names(RepositorySorter.sortRepos(items, 'name'))).toEqual(['api-server', 'cli', 'Docs', 'web-app']);
+    expect(names(RepositorySorter.sortRepos(items, 'stars'))).toEqual(['api-server', 'Docs', 'web-app', 'cli']);
+    expect(names(RepositorySorter.sortRepos(items, 'updated'))).toEqual(['api-server', 'web-app', 'Docs', 'cli']);
+  });
+
+  test('should not mutate the input', () => {
+    RepositorySorter.sortRepos(items, 'name');
+    expect(names(items)).toEqual(['web-app', 'api-server', 'Docs', 'cli']);
+  });
+
+  describe('groups', () => {
+    const nodes = [
+      { id: 'Web', name: 'Web', items: [items[0]] },
+      { id: 'Api', name: 'Api', items: [items[1], items[3]] },
+      { id: 'Docs', name: 'Docs', items: [items[2]] }
+    ];
+    const ids = (sorted) => sorted.map(node => node.id);
+
+    test('should sort alphabetically, by size and by activity', () => {
+      expect(ids(RepositorySorter.sortGroups(nodes, 'default'))).toEqual(['Web', 'Api', 'Docs']);
+      expect(ids(RepositorySorter.sortGroups(nodes, 'name'))).toEqual(['Api', 'Docs', 'Web']);
+      expect(ids(RepositorySorter.sortGroups(nodes, 'size'))).toEqual(['Api', 'Docs', 'Web']);
+      expect(ids(RepositorySorter.sortGroups(nodes, 'activity'))).toEqual(['Api', 'Web', 'Docs']);
+    });
+
+    test('should follow the manual order and keep unknown groups last', () => {
+      expect(ids(RepositorySorter.sortGroups(nodes, 'manual', ['Docs', 'Web']))).toEqual(['Docs', 'Web', 'Api']);
+      expect(ids(RepositorySorter.sortGroups(nodes, 'manual', []))).toEqual(['Web', 'Api', 'Docs']);
+    });
+  });
+});
+
+describe('RepositoryProcessor sorting', () => {
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('should order cards and repos inside each group', () => {
+    const processor = new RepositoryProcessor(new GroupManager(), jest.fn());
+    processor.setSorting({ groupSort: 'size', repoSort: 'stars' });
+
+    const container = document.createElement('ul');
+    const items = [
+      createItem({ name: 'web-app', stars: 1 }),
+      createItem({ name: 'api-gateway', stars: 3 }),
+      createItem({ name: 'api-server', stars: 40 }),
+      createItem({ name: 'api-docs', stars: 7 })
+    ];
+    items.forEach(item => container.appendChild(item));
+    document.body.appendChild(container);
+    processor.createGroupCards(container, items);
+
+    const cardIds = GroupCard.findAll(container).map(card => card.dataset.groupId);
+    expect(cardIds).toEqual(['all', 'Api', 'Web']);
+
+    const apiRepos = Array.from(container.querySelectorAll('[data-gitlab-group="Api"]'));
+    expect(names(apiRepos)).toEqual(['api-server', 'api-docs', 'api-gateway']);
+    expect(container.lastElementChild).toBe(items[0]);
+  });
+
+  test('should report a manual order after a card is dropped', () => {
+    const onReorderGroups = jest.fn();
+    const processor = new RepositoryProcessor(new GroupManager(), jest.fn(), null, onReorderGroups);
+    processor.setSorting({ groupSort: 'manual', manualOrder: ['Web', 'Api', 'Docs'] });
+
+    const container = document.createElement('ul');
+    const items = ['api-server', 'web-app', 'docs-site'].map(name => createItem(name));
+    items.forEach(item => container.appendChild(item));
+    document.body.appendChild(container);
+    processor.createGroupCards(container, items);
+
+    const cards = document.querySelector('.gitlab-group-cards-container');
+    const docsCard = cards.querySelector('[data-group-id="Docs"]');
+    const webCard = cards.querySelector('[data-group-id="Web"]');
+    const data = {};
+    const dragEvent = (type) => {
+      const event = new Event(type, { bubbles: true, cancelable: true });
+      event.dataTransfer = {
+        get types() { return Object.keys(data); },
+        setData: (key, value) => { data[key] = value; },
+        getData: (key) => data[key]
+      };
+      return event;
+    };
+
+    docsCard.dispatchEvent(dragEvent('dragstart'));
+    webCard.dispatchEvent(dragEvent('drop'));
+
+    expect(onReorderGroups).toHaveBeenCalledWith(['Docs', 'Web', 'Api']);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Route Parser Test Suite.
+ */
+
+const RouteParser = require('../src/utils/RouteParser.js');
+const PageDetector = require('../src/utils/PageDetector.js');
+
+const route = (kind, fields = {}) => ({
+  kind, owner: null, repo: null, tab: null, query: null, topic: null, ...fields
+});
+
+describe('RouteParser', () => {
+  test.each([
+    ['https://github.com/', route('home')],
+    ['https://github.com/vernonthedev', route('profile', { owner: 'vernonthedev' })],
+    ['https://github.com/vernonthedev/', route('profile', { owner: 'vernonthedev' })],
+    ['https://github.com/vernonthedev?tab=overview&from=2024-01-01', route('profile', { owner: 'vernonthedev', tab: 'overview' })],
+    ['https://github.com/vernonthedev?tab=repositories', route('user-repos', { owner: 'vernonthedev', tab: 'repositories' })],
+    ['https://github.com/vernonthedev?tab=Repositories&q=api&type=source&language=go', route('user-repos', { owner: 'vernonthedev', tab: 'repositories', query: 'api' })],
+    ['https://github.com/vernonthedev?tab=stars', route('stars', { owner: 'vernonthedev', tab: 'stars' })],
+    ['https://github.com/vernonthedev?tab=stars&q=react#group=facebook', route('stars', { owner: 'vernonthedev', tab: 'stars', query: 'react' })],
+    ['https://github.com/orgs/acme/repositories', route('org-repos', { owner: 'acme', tab: 'repositories' })],
+    ['https://github.com/orgs/acme/repositories/?q=api&type=all&page=2', route('org-repos', { owner: 'acme', tab: 'repositories', query: 'api' })],
+    ['https://github.com/orgs/acme/people', route('org', { owner: 'acme', tab: 'people' })],
+    ['https://github.com/orgs/acme', route('org', { owner: 'acme' })],
+    ['https://github.com/vernonthedev/github-explorer2', route('repo', { owner: 'vernonthedev', repo: 'github-explorer2' })],
+    ['https://github.com/vernonthedev/github-explorer2?tab=stars', route('repo', { owner: 'vernonthedev', repo: 'github-explorer2' })],
+    ['https://github.com/vernonthedev/github-explorer2/issues?q=is%3Aopen', route('repo', { owner: 'vernonthedev', repo: 'github-explorer2', tab: 'issues' })],
+    ['https://github.com/facebook/react/tree/main/packages', route('repo', { owner: 'facebook', repo: 'react', tab: 'tree' })],
+    ['https://github.com/search?q=react&type=repositories', route('search', { tab: 'repositories', query: 'react' })],
+    ['https://github.com/search?q=react+hooks&type=Repositories&s=stars', route('search', { tab: 'repositories', query: 'react hooks' })],
+    ['https://github.com/search?q=bug&type=issues', route('search', { tab: 'issues', query: 'bug' })],
+    ['https://github.com/search', route('search')],
+    ['https://github.com/topics/react', route('topic', { topic: 'react' })],
+    ['https://github.com/topics/machine-learning/?l=python', route('topic', { topic: 'machine-learning' })],
+    ['https://github.com/topics', route('other')],
+    ['https://github.com/new', route('new-repo')],
+    ['https://github.com/new/import', route('new-repo')],
+    ['https://github.com/organizations/acme/repositories/new', route('new-repo', { owner: 'acme' })],
+    ['https://github.com/settings/profile', route('other')],
+    ['https://github.com/notifications?query=is%3Aunread', route('other')],
+    ['https://github.com/marketplace', route('other')],
+    ['https://github.com/stars', route('other')],
+    ['https://github.com/Settings', route('other')]
+  ])('should parse %s', (url, expected) => {
+    expect(RouteParser.parse(url)).toEqual(expected);
+  });
+
+  test('should parse the current page by default', () => {
+    window.history.replaceState(null, '', '/orgs/acme/repositories?q=billing');
+    expect(RouteParser.parse()).toEqual(route('org-repos', { owner: 'acme', tab: 'repositories', query: 'billing' }));
+    window.history.replaceState(null, '', '/');
+  });
+});
+
+describe('PageDetector routes', () => {
+  afterEach(() => {
+    window.history.replaceState(null, '', '/');
+    document.body.innerHTML = '';
+  });
+
+  test.each([
+    ['/vernonthedev?tab=repositories', 'repository', 'vernonthedev', true],
+    ['/orgs/acme/repositories', 'organization', 'acme', true],
+    ['/vernonthedev?tab=stars', 'stars', 'vernonthedev', true],
+    ['/vernonthedev', 'other', 'vernonthedev', false],
+    ['/vernonthedev/github-explorer2', 'other', 'vernonthedev', false],
+    ['/settings/profile', 'other', null, false],
+    ['/new', 'other', null, false]
+  ])('should describe %s', (url, pageType, owner, expectsList) => {
+    window.history.replaceState(null, '', url);
+
+    expect(PageDetector.getPageType()).toBe(pageType);
+    expect(PageDetector.getOwner()).toBe(owner);
+    expect(PageDetector.expectsRepositoryList()).toBe(expectsList);
+  });
+
+  test('should not take a profile for a repository list because of its heading', () => {
+    window.history.replaceState(null, '', '/vernonthedev');
+    document.body.innerHTML = '<main><h1>Repositories</h1></main>';
+
+    expect(PageDetector.isRepositoryPage()).toBe(false);
+  });
+
+  test('should tell an organization overview from a user profile by its header', () => {
+    window.history.replaceState(null, '', '/acme');
+    expect(PageDetector.isOrganizationPage()).toBe(false);
+
+    document.body.innerHTML = '<header data-test-selector="org-header"></header>';
+    expect(PageDetector.isOrganizationPage()).toBe(true);
+  });
+});
@@ -0,0 +1,176 @@
+/**
+ * Search Results and Topic Pages Test Suite.
+ */
+
+const GitHubGitLabTheme = require('../src/main.js');
+const GroupManager = require('../src/core/repository/GroupManager.js');
+const RepositoryProcessor = require('../src/core/repository/RepositoryProcessor.js');
+const RepositoryFinder = require('../src/core/repository/RepositoryFinder.js');
+const RepositoryParser = require('../src/core/repository/RepositoryParser.js');
+const PageDetector = require('../src/utils/PageDetector.js');
+const GroupCard = require('../src/ui/components/GroupCard.js');
+
+// A result of GitHub's repository search, with the query highlighted in the name.
+const searchResult = (owner, name, language) => `
+  <div class="Box-sc-g0xbh4-0 flszRz">
+    <div class="Box-sc-g0xbh4-0 search-title">
+      <a class="prc-Link-Link-85e08" href="/${owner}/${name}"><span>${owner}/<em>${name}</em></span></a>
+    </div>
+    <span class="search-match">A ${language} project</span>
+    <ul>
+      <li><span aria-label="${language} language">${language}</span></li>
+      <li><a href="/${owner}/${name}/stargazers" aria-label="1.2k stars"><span>1.2k</span></a></li>
+    </ul>
+  </div>`;
+
+// A repository on a topic page, whose heading links the owner before the repository.
+const topicArticle = (owner, name, language) => `
+  <article class="border rounded color-shadow-small color-bg-subtle my-4">
+    <div class="px-3">
+      <h3 class="f3 color-fg-muted text-normal lh-condensed">
+        <a href="/${owner}">${owner}</a> /
+        <a class="text-bold wb-break-word" href="/${owner}/${name}">${name}</a>
+      </h3>
+      <span id="repo-stars-counter-star" class="Counter js-social-count" title="2,048">2,048</span>
+    </div>
+    <div class="color-bg-default rounded-bottom-2">
+      <span itemprop="programmingLanguage">${language}</span>
+    </div>
+  </article>`;
+
+const SEARCH_PAGE = `
+  <main>
+    <div data-testid="results-list">
+      ${searchResult('facebook', 'react', 'JavaScript')}
+      ${searchResult('vercel', 'next.js', 'JavaScript')}
+      ${searchResult('facebook', 'react-native', 'C++')}
+    </div>
+    <nav aria-label="Pagination"><a rel="next" href="/search?q=react&type=repositories&p=2">Next</a></nav>
+  </main>`;
+
+const TOPIC_PAGE = `
+  <main>
+    <div class="col-md-8 col-lg-9">
+      ${topicArticle('facebook', 'react', 'JavaScript')}
+      ${topicArticle('vuejs', 'core', 'TypeScript')}
+      <form class="ajax-pagination-form"><button type="submit">Load more…</button></form>
+    </div>
+  </main>`;
+
+describe('Search and topic page detection', () => {
+  afterEach(() => {
+    window.history.replaceState(null, '', '/');
+    document.body.innerHTML = '';
+  });
+
+  test.each([
+    ['/search?q=react&type=repositories', 'search', true],
+    ['/search?q=react&type=Repositories', 'search', true],
+    ['/search?q=react&type=issues', 'repositories', false],
+    ['/topics/react', 'topic', true],
+    ['/topics/react/', 'topic', true]
+  ])('should detect %s', (url, listType, expected) => {
+    window.history.replaceState(null, '', url);
+
+    expect(PageDetector.getListType()).toBe(listType);
+    expect(PageDetector.expectsRepositoryList()).toBe(expected);
+  });
+
+  test('should not scope settings to an owner on search and topic pages', () => {
+    window.history.replaceState(null, '', '/topics/react');
+    expect(PageDetector.getOwner()).toBeNull();
+    expect(PageDetector.getPageType()).toBe('topic');
+  });
+
+  test('should find search results with their names and languages', () => {
+    document.body.innerHTML = SEARCH_PAGE;
+    const finder = new RepositoryFinder();
+    const [container] = finder.findRepositoryContainers();
+    const repos = finder.findRepositoryItems(container).map(item => RepositoryParser.parse(item));
+
+    expect(container.dataset.testid).toBe('results-list');
+    expect(repos.map(repo => repo.fullName)).toEqual(['facebook/react', 'vercel/next.js', 'facebook/react-native']);
+    expect(repos[2]).toMatchObject({ language: 'C++', stars: 1200 });
+  });
+
+  test('should read the repository link, not the owner link, of topic results', () => {
+    document.body.innerHTML = TOPIC_PAGE;
+    const finder = new RepositoryFinder();
+    const [container] = finder.findRepositoryContainers();
+    const repos = finder.findRepositoryItems(container).map(item => RepositoryParser.parse(item));
+
+    expect(container.classList.contains('col-md-8')).toBe(true);
+    expect(repos.map(repo => repo.fullName)).toEqual(['facebook/react', 'vuejs/core']);
+    expect(repos[1]).toMatchObject({ name: 'core', language: 'TypeScript', stars: 2048 });
+  });
+});
+
+describe('Grouping loaded results', () => {
+  let app;
+
+  const cardIds = (container) => GroupCard.findAll(container).map(card => card.dataset.groupId);
+
+  const start = async (url, html) => {
+    window.history.replaceState(null, '', url);
+    document.body.innerHTML = html;
+
+    app = new GitHubGitLabTheme();
+    app.groupManager = new GroupManager();
+    app.registerStrategies();
+    app.repositoryProcessor = new RepositoryProcessor(app.groupManager, app.showGroupRepos.bind(app));
+    app.fetchAllPages = true;
+    await app.loadOwnerSettings();
+    app.run();
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    app.destroy();
+    document.body.innerHTML = '';
+    window.history.replaceState(null, '', '/');
+    jest.useRealTimers();
+  });
+
+  test('should group search results by owner and say only loaded results are grouped', async () => {
+    const fetchAll = jest.fn();
+    await start('/search?q=react&type=repositories', SEARCH_PAGE);
+    app.pageFetcher.fetchAll = fetchAll;
+    await app.loadAllPages();
+
+    const container = document.querySelector('[data-testid="results-list"]');
+    expect(cardIds(container)).toEqual(['all', 'facebook', 'vercel']);
+    expect(document.querySelector('.gitlab-controls-note').textContent).toBe('Grouping applies only to the results loaded on this page');
+    expect(document.querySelector('.gitlab-all-pages-btn')).toBeNull();
+    expect(fetchAll).not.toHaveBeenCalled();
+
+    const options = Array.from(document.querySelectorAll('.gitlab-strategy-select option')).map(option => option.value);
+    expect(options).toEqual(expect.arrayContaining(['name', 'language', 'owner']));
+    expect(options).not.toContain('star-list');
+  });
+
+  test('should add results loaded later on a topic page to their groups', async () => {
+    await start('/topics/frontend', TOPIC_PAGE);
+    const container = document.querySelector('.col-md-8');
+    expect(cardIds(container)).toEqual(['all', 'facebook', 'vuejs']);
+
+    container.querySelector('.ajax-pagination-form').insertAdjacentHTML('beforebegin', topicArticle('sveltejs', 'svelte', 'JavaScript'));
+    app.processRepositories();
+
+    expect(cardIds(container)).toEqual(['all', 'facebook', 'vuejs', 'sveltejs']);
+    expect(document.querySelector('.gitlab-group-card[data-group-id="all"] .gitlab-card-count').textContent).toBe('3');
+  });
+
+  test('should keep the repositories tab unchanged', async () => {
+    await start('/orgs/acme/repositories', `
+      <main><ul id="org-repositories-list">
+        <li itemprop="owns"><h3><a href="/acme/billing-api">billing-api</a></h3></li>
+        <li itemprop="owns"><h3><a href="/acme/auth-api">auth-api</a></h3></li>
+      </ul></main>`);
+
+    expect(document.querySelector('.gitlab-controls-note')).toBeNull();
+    expect(document.querySelector('.gitlab-all-pages-btn')).not.toBeNull();
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Selector Registry Test Suite.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const SelectorRegistry = require('../src/core/selectors/SelectorRegistry.js');
+const GITHUB_SELECTORS = require('../src/core/selectors/GitHubSelectors.js');
+const RepositoryFinder = require('../src/core/repository/RepositoryFinder.js');
+const RepositorySearch = require('../src/core/repository/RepositorySearch.js');
+const PageFetcher = require('../src/core/repository/PageFetcher.js');
+const GitHubGitLabTheme = require('../src/main.js');
+const GroupManager = require('../src/core/repository/GroupManager.js');
+const RepositoryProcessor = require('../src/core/repository/RepositoryProcessor.js');
+const Logger = require('../src/utils/Logger.js');
+
+const loadFixture = (name) => {
+  document.body.innerHTML = fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+};
+
+describe('SelectorRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'info').mockImplementation(() => {});
+    Logger.setLevel('info');
+    registry = new SelectorRegistry({
+      version: 7,
+      roles: {
+        row: ['.current-row', '.old-row'],
+        broken: ['[[invalid', '.fallback']
+      }
+    });
+  });
+
+  afterEach(() => {
+    console.info.mockRestore();
+    Logger.setLevel(Logger.DEFAULT_LEVEL);
+    document.body.innerHTML = '';
+  });
+
+  test('should use the first selector that matches and record it', () => {
+    document.body.innerHTML = '<div class="old-row">a</div><div class="old-row">b</div>';
+
+    expect(registry.queryAll(document, 'row')).toHaveLength(2);
+    expect(registry.getMatch('row')).toEqual({ selector: '.old-row', index: 1 });
+    expect(console.info).toHaveBeenCalledWith('[SelectorRegistry] row matched fallback #1: .old-row');
+
+    document.body.innerHTML += '<div class="current-row">c</div>';
+    expect(registry.query(document, 'row').textContent).toBe('c');
+    expect(registry.getMatch('row')).toEqual({ selector: '.current-row', index: 0 });
+  });
+
+  test('should only count candidates that are accepted', () => {
+    document.body.innerHTML = '<div class="current-row"></div><div class="old-row">b</div>';
+
+    expect(registry.query(document, 'row', el => el.textContent !== '').textContent).toBe('b');
+    expect(registry.query(document, 'row', () => false)).toBeNull();
+  });
+
+  test('should skip invalid selectors and reject unknown roles', () => {
+    document.body.innerHTML = '<div class="fallback"></div>';
+
+    expect(registry.query(document, 'broken')).not.toBeNull();
+    expect(console.warn).toHaveBeenCalledWith('[SelectorRegistry] Invalid broken selector: [[invalid');
+    expect(() => registry.get('missing')).toThrow('Unknown selector role: missing');
+  });
+
+  test('should read pagination and search fields through their roles', () => {
+    const selectors = new SelectorRegistry({
+      version: 8,
+      roles: {
+        ...GITHUB_SELECTORS.roles,
+        pagination: ['.new-pager'],
+        nextPageLink: ['a[data-next]'],
+        description: ['.new-description']
+      }
+    });
+    document.body.innerHTML = `
+      <div class="new-pager"><a href="?page=1">1</a><a href="?page=5">5</a><a href="?page=2" data-next>Next</a></div>
+      <li itemprop="owns"><h3><a href="/acme/billing">billing</a></h3><p class="new-description">Invoices</p></li>
+    `;
+    const fetcher = new PageFetcher(new RepositoryFinder(selectors), null);
+
+    expect(fetcher.findPageLink(document, 'next', 'http://localhost/acme')).toBe('http://localhost/acme?page=2');
+    expect(fetcher.getTotalPages(document)).toBe(5);
+
+    const defaults = RepositorySearch.selectors;
+    RepositorySearch.selectors = selectors;
+    expect(RepositorySearch.getFields(document.querySelector('li')).map(field => field.textContent)).toEqual(['billing', 'Invoices']);
+    RepositorySearch.selectors = defaults;
+  });
+
+  test('should report which roles match', () => {
+    document.body.innerHTML = '<div class="old-row"></div>';
+
+    expect(registry.diagnose(document, ['row', 'broken'])).toEqual({
+      version: 7,
+      roles: { row: '.old-row', broken: null }
+    });
+  });
+
+  test('should recognise the captured GitHub lists with the default selectors', () => {
+    const finder = new RepositoryFinder(new SelectorRegistry(GITHUB_SELECTORS));
+
+    loadFixture('user-repositories.html');
+    expect(finder.findRepositoryContainers().map(container => container.id)).toEqual(['user-repositories-list']);
+    expect(finder.selectors.getMatch('item').index).toBe(0);
+
+    loadFixture('org-repositories.html');
+    expect(finder.findRepositoryItemsIn(document).length).toBeGreaterThan(0);
+  });
+});
+
+describe('Markup status', () => {
+  let app;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    Logger.setLevel('warn');
+    app = new GitHubGitLabTheme();
+    app.groupManager = new GroupManager();
+    app.repositoryProcessor = new RepositoryProcessor(app.groupManager, app.showGroupRepos.bind(app));
+  });
+
+  afterEach(() => {
+    app.destroy();
+    Logger.setLevel(Logger.DEFAULT_LEVEL);
+    document.body.innerHTML = '';
+    jest.useRealTimers();
+  });
+
+  test('should report a repository page without a recognised list', () => {
+    window.history.replaceState(null, '', '/orgs/acme/repositories');
+    document.body.innerHTML = '<main><ul class="new-repo-list"><li><a href="/acme/api">api</a></li></ul></main>';
+
+    app.run();
+    expect(document.querySelector('.gitlab-markup-notice')).toBeNull();
+
+    jest.advanceTimersByTime(GitHubGitLabTheme.MARKUP_CHECK_DELAY);
+    const notice = document.querySelector('main > .gitlab-markup-notice');
+    expect(app.markupStatus).toBe('unrecognised');
+    expect(notice.getAttribute('role')).toBe('status');
+    expect(notice.textContent).toContain(`Selectors v${GITHUB_SELECTORS.version}`);
+    expect(notice.textContent).toContain('container no match');
+    expect(console.warn).toHaveBeenCalledWith('[GitHubGitLabTheme] Repository list markup not recognised', expect.any(Object));
+  });
+
+  test('should clear the report when the list appears later', () => {
+    window.history.replaceState(null, '', '/orgs/acme/repositories');
+    document.body.innerHTML = '<main></main>';
+    app.run();
+    jest.advanceTimersByTime(GitHubGitLabTheme.MARKUP_CHECK_DELAY);
+    expect(document.querySelector('.gitlab-markup-notice')).not.toBeNull();
+
+    document.querySelector('main').innerHTML = '<ul id="org-repositories-list"><li itemprop="owns"><h3><a href="/acme/api">api</a></h3></li></ul>';
+    app.processRepositories();
+
+    expect(app.markupStatus).toBe('recognised');
+    expect(document.querySelector('.gitlab-markup-notice')).toBeNull();
+  });
+
+  test('should accept GitHub\'s empty state and pages that list no repositories', () => {
+    window.history.replaceState(null, '', '/someone?tab=repositories');
+    document.body.innerHTML = '<main><div class="blankslate">someone doesn\'t have any public repositories yet.</div></main>';
+    app.run();
+    jest.advanceTimersByTime(GitHubGitLabTheme.MARKUP_CHECK_DELAY);
+    expect(app.markupStatus).toBe('recognised');
+
+    window.history.replaceState(null, '', '/someone/project/issues');
+    document.body.innerHTML = '<main></main>';
+    app.run();
+    jest.advanceTimersByTime(GitHubGitLabTheme.MARKUP_CHECK_DELAY);
+    expect(app.markupStatus).toBe('unknown');
+    expect(document.querySelector('.gitlab-markup-notice')).toBeNull();
+  });
+});
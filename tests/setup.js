@@ -19,6 +19,10 @@ const localStorageMock = (() => {
     clear: jest.fn(() => {
       store = {};
     }),
+    key: jest.fn((index) => Object.keys(store)[index] || null),
+    get length() {
+      return Object.keys(store).length;
+    },
   };
 })();
 
@@ -29,10 +33,14 @@ Object.defineProperty(window, 'localStorage', {
 
 // Mock document.cookie
 Object.defineProperty(document, 'cookie', {
+  configurable: true,
   writable: true,
   value: ''
 });
 
+// JSDOM does not implement scrolling
+Element.prototype.scrollIntoView = jest.fn();
+
 // Mock console methods to avoid noise in tests
 global.console = {
   ...console,
@@ -41,19 +49,3 @@ global.console = {
   error: jest.fn(),
 };
 
-// Mock Dexie
-global.Dexie = jest.fn().mockImplementation(() => ({
-  version: jest.fn().mockReturnThis(),
-  settings: {
-    where: jest.fn().mockReturnThis(),
-    equals: jest.fn().mockReturnThis(),
-    delete: jest.fn().mockResolvedValue(undefined),
-    add: jest.fn().mockResolvedValue(undefined),
-    first: jest.fn().mockResolvedValue(undefined),
-  },
-  groups: {
-    where: jest.fn().mockReturnThis(),
-    equals: jest.fn().mockReturnThis(),
-    add: jest.fn().mockResolvedValue(undefined),
-  }
-}));
\ No newline at end of file
@@ -0,0 +1,158 @@
+/**
+ * Stars Page Test Suite.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const GitHubGitLabTheme = require('../src/main.js');
+const GroupManager = require('../src/core/repository/GroupManager.js');
+const RepositoryProcessor = require('../src/core/repository/RepositoryProcessor.js');
+const RepositoryFinder = require('../src/core/repository/RepositoryFinder.js');
+const RepositoryParser = require('../src/core/repository/RepositoryParser.js');
+const OwnerStrategy = require('../src/core/grouping/OwnerStrategy.js');
+const StarListStrategy = require('../src/core/grouping/StarListStrategy.js');
+const LanguageStrategy = require('../src/core/grouping/LanguageStrategy.js');
+const PageDetector = require('../src/utils/PageDetector.js');
+const GroupCard = require('../src/ui/components/GroupCard.js');
+const { createStarredRow } = require('./helpers/repositoryRows.js');
+
+const loadFixture = (name) => {
+  document.body.innerHTML = `<main>${fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8')}</main>`;
+};
+
+const groupSizes = (groups) => Array.from(groups.entries()).map(([name, items]) => [name, items.length]);
+
+describe('Stars page detection', () => {
+  afterEach(() => {
+    window.history.replaceState(null, '', '/');
+  });
+
+  test('should treat the stars tab as a repository list', () => {
+    window.history.replaceState(null, '', '/vernonthedev?tab=stars');
+
+    expect(PageDetector.isStarsPage()).toBe(true);
+    expect(PageDetector.getListType()).toBe('stars');
+    expect(PageDetector.getPageType()).toBe('stars');
+    expect(PageDetector.expectsRepositoryList()).toBe(true);
+    expect(PageDetector.isRepositoryPage()).toBe(true);
+  });
+
+  test('should keep other tabs as they were', () => {
+    window.history.replaceState(null, '', '/vernonthedev?tab=repositories');
+    expect(PageDetector.getListType()).toBe('repositories');
+    expect(PageDetector.isStarsPage()).toBe(false);
+
+    window.history.replaceState(null, '', '/vernonthedev/github-explorer2?tab=stars');
+    expect(PageDetector.isStarsPage()).toBe(false);
+  });
+
+  test('should find the starred repositories', () => {
+    loadFixture('stars.html');
+    const finder = new RepositoryFinder();
+
+    expect(finder.findRepositoryContainers().map(container => container.id)).toEqual(['user-starred-repos']);
+    expect(finder.findRepositoryItems(document.getElementById('user-starred-repos'))
+      .map(item => RepositoryParser.parse(item).fullName)).toEqual(['facebook/react', 'torvalds/linux']);
+    document.body.innerHTML = '';
+  });
+});
+
+describe('Stars strategies', () => {
+  const rows = () => [
+    createStarredRow('facebook/react', ['Frontend']),
+    createStarredRow('golang/go', ['Tools', 'Reading']),
+    createStarredRow('facebook/jest', ['Frontend', 'Tools'], 'TypeScript'),
+    createStarredRow('torvalds/linux', [], 'C')
+  ];
+
+  test('should read star lists from the Starred menu', () => {
+    expect(RepositoryParser.parse(rows()[1]).starLists).toEqual(['Tools', 'Reading']);
+    expect(RepositoryParser.parse(rows()[3]).starLists).toEqual([]);
+  });
+
+  test('should group by owner, star list and language', () => {
+    expect(groupSizes(new OwnerStrategy().extractGroups(rows())))
+      .toEqual([['facebook', 2], ['golang', 1], ['torvalds', 1]]);
+    expect(groupSizes(new StarListStrategy().extractGroups(rows())))
+      .toEqual([['Frontend', 2], ['Tools', 1], ['Not in a list', 1]]);
+    expect(groupSizes(new LanguageStrategy().extractGroups(rows())))
+      .toEqual([['Go', 2], ['TypeScript', 1], ['C', 1]]);
+  });
+
+  test('should keep star lists named with a slash as one group', () => {
+    const strategy = new StarListStrategy();
+    const groups = strategy.extractGroups([createStarredRow('facebook/react-native', ['Web/Mobile']), ...rows()]);
+
+    expect(Array.from(groups.keys())[0]).toBe('Web\u2215Mobile');
+    const node = strategy.buildGroupTree(groups).get('Web\u2215Mobile');
+    expect(node).toMatchObject({ name: 'Web\u2215Mobile', parentId: '', depth: 0, children: [] });
+    expect(strategy.buildGroupTree(groups).has('Web')).toBe(false);
+  });
+
+  test('should only be offered on the stars tab', () => {
+    expect(new OwnerStrategy().isAvailableOn('stars')).toBe(true);
+    expect(new StarListStrategy().isAvailableOn('repositories')).toBe(false);
+    expect(new LanguageStrategy().isAvailableOn('stars')).toBe(true);
+  });
+});
+
+describe('Stars page grouping', () => {
+  let app;
+  let container;
+
+  const cardIds = () => GroupCard.findAll(container).map(card => card.dataset.groupId);
+  const visibleNames = () => Array.from(container.querySelectorAll('[data-gitlab-group]:not([data-gitlab-filtered])'))
+    .map(row => RepositoryParser.parse(row).fullName);
+
+  beforeEach(async () => {
+    jest.useFakeTimers();
+    window.history.replaceState(null, '', '/vernonthedev?tab=stars');
+    document.body.innerHTML = '<main><div id="user-starred-repos"></div></main>';
+    container = document.getElementById('user-starred-repos');
+    [
+      createStarredRow('facebook/react', ['Frontend']),
+      createStarredRow('golang/go', ['Tools']),
+      createStarredRow('facebook/jest', ['Frontend'], 'TypeScript')
+    ].forEach(row => container.appendChild(row));
+
+    app = new GitHubGitLabTheme();
+    app.groupManager = new GroupManager();
+    app.registerStrategies();
+    app.repositoryProcessor = new RepositoryProcessor(app.groupManager, app.showGroupRepos.bind(app));
+    await app.loadOwnerSettings();
+    app.run();
+  });
+
+  afterEach(() => {
+    app.destroy();
+    document.body.innerHTML = '';
+    window.history.replaceState(null, '', '/');
+    jest.useRealTimers();
+  });
+
+  test('should group by owner with the usual cards and controls', () => {
+    expect(cardIds()).toEqual(['all', 'facebook', 'golang']);
+
+    const options = Array.from(document.querySelectorAll('.gitlab-strategy-select option')).map(option => option.value);
+    expect(options).toEqual(expect.arrayContaining(['name', 'language', 'owner', 'star-list']));
+
+    app.groupDisplayManager.showGroupRepos('facebook', container);
+    expect(visibleNames()).toEqual(['facebook/react', 'facebook/jest']);
+  });
+
+  test('should switch to star lists and remember it apart from the repositories tab', async () => {
+    await app.handleStrategyChange('star-list');
+
+    expect(cardIds()).toEqual(['all', 'Frontend', 'Tools']);
+    expect(await app.storage.loadOwnerSetting('vernonthedev', 'starsGroupingStrategy')).toBe('star-list');
+    expect(await app.storage.loadOwnerSetting('vernonthedev', 'groupingStrategy')).toBeNull();
+  });
+
+  test('should fall back to names where stars strategies are not offered', () => {
+    app.groupingStrategy = 'owner';
+    window.history.replaceState(null, '', '/vernonthedev?tab=repositories');
+
+    expect(app.getActiveStrategy()).toBe(app.groupManager);
+    expect(app.getAvailableStrategies().map(strategy => strategy.id)).not.toContain('owner');
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Storage Adapters and Legacy Migration Test Suite.
+ */
+
+const StorageManager = require('../src/storage/StorageManager.js');
+const StorageAdapter = require('../src/storage/adapters/StorageAdapter.js');
+const MemoryAdapter = require('../src/storage/adapters/MemoryAdapter.js');
+const LegacyStorageMigration = require('../src/storage/LegacyStorageMigration.js');
+const { installCookieJar } = require('./helpers/cookieJar.js');
+
+installCookieJar();
+
+class BrokenAdapter extends StorageAdapter {
+  constructor() {
+    super('Broken');
+  }
+
+  async init() {
+    throw new Error('broken');
+  }
+}
+
+describe('StorageManager', () => {
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  test('should read settings from the first adapter that has them and write to all', async () => {
+    const extension = new MemoryAdapter({ darkMode: false });
+    const indexedDB = new MemoryAdapter({ darkMode: true, subgroupDepth: 2 });
+    const storage = new StorageManager([extension, indexedDB]);
+    await storage.init();
+
+    expect(await storage.loadSetting('darkMode', true)).toBe(false);
+    expect(await storage.loadSetting('subgroupDepth', 1)).toBe(2);
+    expect(await storage.loadSetting('fetchAllPages', false)).toBe(false);
+
+    await storage.saveOwnerSetting('Acme', 'groupSort', 'name');
+    expect(await extension.get('groupSort_acme')).toBe('name');
+    expect(await indexedDB.get('groupSort_acme')).toBe('name');
+  });
+
+  test('should return copies of stored values', async () => {
+    const storage = new StorageManager([new MemoryAdapter()]);
+    const rules = [{ pattern: 'billing-*', group: 'Billing' }];
+
+    await storage.saveSetting('groupingRules', rules);
+    rules.push({ pattern: 'auth-*', group: 'Auth' });
+
+    expect(await storage.loadSetting('groupingRules', [])).toEqual([{ pattern: 'billing-*', group: 'Billing' }]);
+  });
+
+  test('should never write cookies or localStorage', async () => {
+    const storage = new StorageManager([new MemoryAdapter()]);
+    await storage.init();
+
+    await storage.saveSetting('darkMode', false);
+    await storage.saveOwnerSetting('acme', 'repoAssignments', { 'billing-api': 'Billing' });
+
+    expect(document.cookie).toBe('');
+    expect(localStorage.setItem).not.toHaveBeenCalled();
+  });
+
+  test('should drop adapters that fail to open', async () => {
+    const memory = new MemoryAdapter();
+    const storage = new StorageManager([new BrokenAdapter(), memory]);
+    await storage.init();
+
+    expect(storage.adapters).toEqual([memory]);
+  });
+
+  test('should keep settings in memory when no adapter opens', async () => {
+    const storage = new StorageManager([new BrokenAdapter()]);
+    await storage.init();
+
+    await storage.saveSetting('darkMode', false);
+    expect(await storage.loadSetting('darkMode', true)).toBe(false);
+  });
+
+  test('should cache values in the first adapter that supports it', async () => {
+    const storage = new StorageManager([new StorageAdapter('Settings only'), new MemoryAdapter()]);
+
+    await storage.saveCache('pages', ['a', 'b']);
+    expect(await storage.loadCache('pages', 1000)).toEqual(['a', 'b']);
+  });
+});
+
+describe('LegacyStorageMigration', () => {
+  const setCookie = (name, value) => {
+    document.cookie = `${name}=${JSON.stringify(value)};expires=Fri, 31 Dec 9999 23:59:59 GMT;path=/`;
+  };
+
+  beforeEach(() => {
+    setCookie('gitlab_theme_darkMode', false);
+    setCookie('gitlab_theme_subgroupDepth', 1);
+    setCookie('_octo', 'GH1.1');
+    localStorage.setItem('gitlab_theme_subgroupDepth', JSON.stringify(3));
+    localStorage.setItem('gitlab_theme_customGroups', JSON.stringify(['Billing']));
+    localStorage.setItem('other', 'value');
+  });
+
+  afterEach(() => {
+    document.cookie = '_octo=;expires=Thu, 01 Jan 1970 00:00:00 GMT;path=/';
+    localStorage.clear();
+  });
+
+  test('should move legacy settings into the adapters and delete them', async () => {
+    const memory = new MemoryAdapter();
+    const storage = new StorageManager([memory]);
+    await storage.init();
+
+    expect(await storage.loadSetting('darkMode', true)).toBe(false);
+    expect(await storage.loadSetting('subgroupDepth', 1)).toBe(3);
+    expect(await storage.loadSetting('customGroups', [])).toEqual(['Billing']);
+
+    expect(document.cookie).toBe('_octo="GH1.1"');
+    expect(localStorage.getItem('gitlab_theme_subgroupDepth')).toBeNull();
+    expect(localStorage.getItem('gitlab_theme_customGroups')).toBeNull();
+    expect(localStorage.getItem('other')).toBe('value');
+  });
+
+  test('should keep settings the adapters already hold', async () => {
+    const storage = new StorageManager([new MemoryAdapter({ darkMode: true })]);
+    await storage.init();
+
+    expect(await storage.loadSetting('darkMode', false)).toBe(true);
+    expect(document.cookie).not.toContain('gitlab_theme_darkMode');
+  });
+
+  test('should run only once', async () => {
+    const memory = new MemoryAdapter();
+    await new StorageManager([memory]).init();
+
+    setCookie('gitlab_theme_darkMode', true);
+    await memory.set('darkMode', undefined);
+    expect(await LegacyStorageMigration.run(new StorageManager([memory]))).toBe(0);
+    expect(await memory.get('darkMode')).toBeUndefined();
+    expect(document.cookie).toContain('gitlab_theme_darkMode=true');
+
+    document.cookie = 'gitlab_theme_darkMode=;expires=Thu, 01 Jan 1970 00:00:00 GMT;path=/';
+  });
+});
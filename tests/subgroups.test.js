@@ -0,0 +1,121 @@
+/**
+ * Hierarchical Subgroups Test Suite.
+ */
+
+const GroupManager = require('../src/core/repository/GroupManager.js');
+const RepositoryProcessor = require('../src/core/repository/RepositoryProcessor.js');
+const GroupDisplayManager = require('../src/core/repository/GroupDisplayManager.js');
+const GroupCard = require('../src/ui/components/GroupCard.js');
+const { createItem } = require('./helpers/repositoryRows.js');
+
+const visibleCardIds = (container) => GroupCard.findAll(container)
+  .filter(card => card.style.display !== 'none')
+  .map(card => card.dataset.groupId);
+
+describe('GroupManager group paths', () => {
+  test('should stay flat at depth 1', () => {
+    const manager = new GroupManager();
+    expect(manager.getGroupPath('platform-auth-api')).toEqual(['Platform']);
+  });
+
+  test('should nest prefix segments up to the maximum depth', () => {
+    const manager = new GroupManager();
+    manager.updateMaxDepth(3);
+
+    expect(manager.getGroupPath('platform-auth-api')).toEqual(['Platform', 'Auth']);
+    expect(manager.getGroupPath('platform-auth-web')).toEqual(['Platform', 'Auth']);
+    expect(manager.getGroupPath('platform-billing')).toEqual(['Platform']);
+    expect(manager.getGroupPath('platform-auth-oidc-provider')).toEqual(['Platform', 'Auth', 'Oidc']);
+    expect(manager.getGroupPath('dotfiles')).toEqual(['General']);
+
+    manager.updateMaxDepth(2);
+    expect(manager.getGroupPath('platform-auth-oidc-provider')).toEqual(['Platform', 'Auth']);
+  });
+
+  test('should nest rule and assigned groups on slashes', () => {
+    const manager = new GroupManager(new Set(), [
+      { type: 'regex', pattern: '^tf-(\\w+)-', group: 'Infra/$1' }
+    ]);
+    manager.updateMaxDepth(2);
+    manager.updateAssignments({ 'acme/legacy-portal': 'Frontend/Legacy/Old' });
+
+    expect(manager.getGroupPath('tf-billing-prod')).toEqual(['Infra', 'billing']);
+    expect(manager.getGroupPath('legacy-portal', 'acme/legacy-portal')).toEqual(['Frontend', 'Legacy']);
+  });
+
+  test('should build a tree where each node holds its whole subtree', () => {
+    const manager = new GroupManager();
+    manager.updateMaxDepth(3);
+
+    const groups = manager.extractGroups(['platform-auth-api', 'platform-auth-web', 'platform-billing', 'docs-site'].map(createItem));
+    const tree = manager.buildGroupTree(groups);
+
+    expect(Array.from(groups.keys())).toEqual(['Platform/Auth', 'Platform', 'Docs']);
+    expect(tree.get('Platform').items).toHaveLength(3);
+    expect(tree.get('Platform').children).toEqual(['Platform/Auth']);
+    expect(tree.get('Platform/Auth')).toMatchObject({ name: 'Auth', parentId: 'Platform', depth: 1 });
+    expect(tree.get('Platform/Auth').items).toHaveLength(2);
+  });
+});
+
+describe('Subgroup drill down', () => {
+  let container;
+  let displayManager;
+
+  beforeEach(() => {
+    const manager = new GroupManager();
+    manager.updateMaxDepth(3);
+    displayManager = new GroupDisplayManager();
+
+    container = document.createElement('ul');
+    document.body.appendChild(container);
+    container.scrollIntoView = jest.fn();
+
+    const items = ['platform-auth-api', 'platform-auth-web', 'platform-billing', 'docs-site'].map(createItem);
+    items.forEach(item => container.appendChild(item));
+
+    const processor = new RepositoryProcessor(manager, (groupId) => displayManager.showGroupRepos(groupId, container));
+    processor.createGroupCards(container, items);
+  });
+
+  afterEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  test('should show child counts and open the first group', () => {
+    const platformCard = GroupCard.find(container, 'Platform');
+
+    expect(platformCard.querySelector('.gitlab-card-subgroups').textContent).toBe('1 subgroup');
+    expect(platformCard.querySelector('.gitlab-card-count').textContent).toBe('3');
+    expect(container.dataset.gitlabActiveGroup).toBe('Platform');
+    expect(visibleCardIds(container)).toEqual(['Platform/Auth']);
+
+    displayManager.showGroupRepos('all', container);
+    expect(visibleCardIds(container)).toEqual(['all', 'Platform', 'Docs']);
+  });
+
+  test('should drill down and show the whole subtree of repos', () => {
+    displayManager.showGroupRepos('Platform', container);
+
+    expect(visibleCardIds(container)).toEqual(['Platform/Auth']);
+    const visibleRepos = Array.from(container.querySelectorAll('[data-gitlab-group]:not([data-gitlab-filtered])'))
+      .map(row => row.dataset.gitlabGroup);
+    expect(visibleRepos).toEqual(['Platform/Auth', 'Platform/Auth', 'Platform']);
+
+    const crumbs = Array.from(document.querySelectorAll('.gitlab-breadcrumb-item')).map(c => c.textContent);
+    expect(crumbs).toEqual(['All Repositories', 'Platform']);
+  });
+
+  test('should keep siblings visible for leaf groups and navigate back up', () => {
+    displayManager.showGroupRepos('Platform', container);
+    displayManager.showGroupRepos('Platform/Auth', container);
+
+    expect(visibleCardIds(container)).toEqual(['Platform/Auth']);
+    expect(document.querySelector('.gitlab-group-card.active').dataset.groupId).toBe('Platform/Auth');
+
+    document.querySelector('.gitlab-breadcrumb-item[data-group-id="all"]').click();
+
+    expect(visibleCardIds(container)).toEqual(['all', 'Platform', 'Docs']);
+    expect(document.querySelector('.gitlab-group-breadcrumb').style.display).toBe('none');
+  });
+});
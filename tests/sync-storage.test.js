@@ -0,0 +1,348 @@
+/**
+ * Settings Sync Test Suite.
+ */
+
+const SyncStorage = require('../src/storage/SyncStorage.js');
+const StorageManager = require('../src/storage/StorageManager.js');
+const ExtensionStorageAdapter = require('../src/storage/adapters/ExtensionStorageAdapter.js');
+const MemoryAdapter = require('../src/storage/adapters/MemoryAdapter.js');
+const GitHubGitLabTheme = require('../src/main.js');
+const GroupManager = require('../src/core/repository/GroupManager.js');
+const RepositoryProcessor = require('../src/core/repository/RepositoryProcessor.js');
+const { createCloud, createChromeStorage } = require('./helpers/chromeStorage.js');
+const { createItem } = require('./helpers/repositoryRows.js');
+
+describe('SyncStorage', () => {
+  let cloud;
+  let clock;
+
+  const createDevice = async (storage = createChromeStorage(cloud)) => {
+    const sync = new SyncStorage(storage, () => clock);
+    await sync.init();
+    return sync;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    cloud = createCloud();
+    clock = 1000;
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should bring settings saved on one device to another', async () => {
+    const laptop = await createDevice();
+    const desktop = await createDevice();
+    const onChange = jest.fn();
+    desktop.onChange(onChange);
+
+    laptop.set('customGroups', ['billing', 'auth']);
+    await laptop.flush();
+
+    expect(onChange).toHaveBeenCalledWith(['customGroups']);
+    expect(desktop.get('customGroups')).toEqual(['billing', 'auth']);
+
+    const newDevice = await createDevice();
+    expect(newDevice.get('customGroups')).toEqual(['billing', 'auth']);
+  });
+
+  test('should write settings changed together in one batch', async () => {
+    const storage = createChromeStorage(cloud);
+    const laptop = await createDevice(storage);
+    const set = jest.spyOn(storage.sync, 'set');
+
+    laptop.set('groupSort_acme', 'name');
+    laptop.set('repoSort_acme', 'stars');
+    laptop.set('groupSort_acme', 'size');
+    expect(set).not.toHaveBeenCalled();
+
+    await jest.advanceTimersByTimeAsync(SyncStorage.WRITE_DELAY);
+
+    expect(set).toHaveBeenCalledTimes(1);
+    expect(set).toHaveBeenCalledWith({
+      gitlab_theme_groupSort_acme: { value: 'size', updated: 1000 },
+      gitlab_theme_repoSort_acme: { value: 'stars', updated: 1000 }
+    });
+  });
+
+  test('should keep the newest write when devices change a setting', async () => {
+    const laptop = await createDevice();
+    const desktop = await createDevice();
+
+    desktop.set('darkMode', false);
+    clock = 2000;
+    laptop.set('darkMode', true);
+    await laptop.flush();
+
+    // The desktop's older, not yet written change loses.
+    await desktop.flush();
+    expect(desktop.get('darkMode')).toBe(true);
+    expect(cloud.items.gitlab_theme_darkMode).toEqual({ value: true, updated: 2000 });
+
+    clock = 3000;
+    desktop.set('darkMode', false);
+    await desktop.flush();
+    expect(laptop.get('darkMode')).toBe(false);
+  });
+
+  test('should ignore older writes arriving late', async () => {
+    const laptop = await createDevice();
+    clock = 5000;
+    laptop.set('subgroupDepth', 3);
+    await laptop.flush();
+
+    const onChange = jest.fn();
+    laptop.onChange(onChange);
+    await cloud.devices[0].sync.set({ gitlab_theme_subgroupDepth: { value: 1, updated: 4000 } });
+
+    expect(onChange).not.toHaveBeenCalled();
+    expect(laptop.get('subgroupDepth')).toBe(3);
+  });
+
+  test('should keep settings too large to sync on this device', async () => {
+    const storage = createChromeStorage(cloud);
+    const laptop = await createDevice(storage);
+    const rules = Array.from({ length: 400 }, (_, index) => ({ pattern: `service-${index}-*`, group: `Service ${index}` }));
+
+    laptop.set('groupingRules', rules);
+    laptop.set('darkMode', false);
+    await laptop.flush();
+
+    expect(Object.keys(cloud.items)).toEqual(['gitlab_theme_darkMode']);
+    expect((await createDevice(storage)).get('groupingRules')).toEqual(rules);
+    expect((await createDevice()).has('groupingRules')).toBe(false);
+  });
+
+  test('should fall back to local storage when the sync quota runs out', async () => {
+    cloud = createCloud({ total: 200, perItem: 8192 });
+    const storage = createChromeStorage(cloud);
+    const laptop = await createDevice(storage);
+
+    laptop.set('customGroups', ['billing', 'auth', 'platform', 'frontend', 'mobile', 'data']);
+    laptop.set('groupingRules', [{ pattern: 'billing-*', group: 'Billing' }, { pattern: 'auth-*', group: 'Auth' }]);
+    await laptop.flush();
+
+    expect(cloud.items).toEqual({});
+    expect(Object.keys(storage.local.items)).toEqual(['gitlab_theme_customGroups', 'gitlab_theme_groupingRules']);
+    expect((await createDevice(storage)).get('customGroups')).toHaveLength(6);
+
+    // Once a setting fits again, the local copy goes.
+    clock = 2000;
+    laptop.set('customGroups', ['billing']);
+    await laptop.flush();
+    expect(Object.keys(cloud.items)).toEqual(['gitlab_theme_customGroups']);
+    expect(Object.keys(storage.local.items)).toEqual(['gitlab_theme_groupingRules']);
+  });
+
+  test('should retry writes refused by the write rate limit', async () => {
+    const storage = createChromeStorage(cloud);
+    const laptop = await createDevice(storage);
+    const set = jest.spyOn(storage.sync, 'set')
+      .mockRejectedValueOnce(new Error('MAX_WRITE_OPERATIONS_PER_MINUTE quota exceeded'))
+      .mockRejectedValueOnce(new Error('MAX_WRITE_OPERATIONS_PER_HOUR quota exceeded'));
+
+    laptop.set('darkMode', false);
+    await laptop.flush();
+
+    // Kept on this device meanwhile, in case the page is left before the retry.
+    expect(cloud.items).toEqual({});
+    expect(Object.keys(storage.local.items)).toEqual(['gitlab_theme_darkMode']);
+
+    await jest.advanceTimersByTimeAsync(SyncStorage.RETRY_DELAY);
+    expect(set).toHaveBeenCalledTimes(2);
+
+    // A second refusal in a row waits twice as long.
+    await jest.advanceTimersByTimeAsync(SyncStorage.RETRY_DELAY);
+    expect(set).toHaveBeenCalledTimes(2);
+    await jest.advanceTimersByTimeAsync(SyncStorage.RETRY_DELAY);
+
+    expect(set).toHaveBeenCalledTimes(3);
+    expect(cloud.items.gitlab_theme_darkMode).toEqual({ value: false, updated: 1000 });
+    expect(storage.local.items).toEqual({});
+  });
+
+  test('should write the newest value once the write rate limit has reset', async () => {
+    const storage = createChromeStorage(cloud);
+    const laptop = await createDevice(storage);
+    jest.spyOn(storage.sync, 'set').mockRejectedValueOnce(new Error('MAX_WRITE_OPERATIONS_PER_MINUTE quota exceeded'));
+
+    laptop.set('darkMode', false);
+    await laptop.flush();
+    clock = 2000;
+    laptop.set('darkMode', true);
+    await jest.advanceTimersByTimeAsync(SyncStorage.WRITE_DELAY);
+    expect(cloud.items).toEqual({});
+
+    await jest.advanceTimersByTimeAsync(SyncStorage.RETRY_DELAY);
+    expect(cloud.items.gitlab_theme_darkMode).toEqual({ value: true, updated: 2000 });
+  });
+
+  test('should prefer the newer of a synced and a local copy', async () => {
+    const storage = createChromeStorage(cloud);
+    await storage.sync.set({ gitlab_theme_darkMode: { value: true, updated: 3000 } });
+    await storage.local.set({
+      gitlab_theme_darkMode: { value: false, updated: 2000 },
+      gitlab_theme_subgroupDepth: { value: 2, updated: 2000 },
+      unrelated: 'value'
+    });
+
+    const laptop = await createDevice(storage);
+    expect(laptop.get('darkMode')).toBe(true);
+    expect(laptop.get('subgroupDepth')).toBe(2);
+    expect(laptop.has('unrelated')).toBe(false);
+  });
+
+  test('should write pending settings and stop listening when destroyed', async () => {
+    const laptop = await createDevice();
+    const desktop = await createDevice();
+    const onChange = jest.fn();
+    desktop.onChange(onChange);
+
+    laptop.set('darkMode', false);
+    await laptop.destroy();
+    expect(cloud.items.gitlab_theme_darkMode.value).toBe(false);
+
+    await desktop.destroy();
+    clock = 2000;
+    await cloud.devices[0].sync.set({ gitlab_theme_darkMode: { value: true, updated: 2000 } });
+    expect(onChange).toHaveBeenCalledTimes(1);
+  });
+
+  test('should write pending settings when the page is left', async () => {
+    const storage = createChromeStorage(cloud);
+    const laptop = await createDevice(storage);
+    const set = jest.spyOn(storage.sync, 'set');
+
+    laptop.set('darkMode', false);
+    window.dispatchEvent(new Event('pagehide'));
+    await jest.advanceTimersByTimeAsync(0);
+
+    expect(set).toHaveBeenCalledTimes(1);
+    expect(cloud.items.gitlab_theme_darkMode.value).toBe(false);
+
+    await laptop.destroy();
+    laptop.pending.set('darkMode', { value: true, updated: 2000 });
+    window.dispatchEvent(new Event('pagehide'));
+    expect(set).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('StorageManager with sync', () => {
+  let cloud;
+
+  const createStorage = () => new StorageManager([new ExtensionStorageAdapter(new SyncStorage(createChromeStorage(cloud)))]);
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    cloud = createCloud();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should save and load settings through sync', async () => {
+    const laptop = createStorage();
+    const desktop = createStorage();
+    await laptop.init();
+    await desktop.init();
+    const onRemoteChange = jest.fn();
+    desktop.onRemoteChange(onRemoteChange);
+
+    await laptop.saveOwnerSetting('Acme', 'repoAssignments', { 'billing-api': 'Billing' });
+    await laptop.adapters[0].sync.flush();
+
+    expect(onRemoteChange).toHaveBeenCalledWith(['repoAssignments_acme']);
+    expect(await desktop.loadOwnerSetting('acme', 'repoAssignments', {})).toEqual({ 'billing-api': 'Billing' });
+  });
+
+  test('should delete removed settings on every device', async () => {
+    const laptop = createStorage();
+    const desktop = createStorage();
+    await laptop.init();
+    await desktop.init();
+    const onRemoteChange = jest.fn();
+    desktop.onRemoteChange(onRemoteChange);
+
+    await laptop.saveSetting('subgroupDepth', 3);
+    await laptop.adapters[0].sync.flush();
+    await laptop.removeSetting('subgroupDepth');
+
+    expect(cloud.items).not.toHaveProperty('gitlab_theme_subgroupDepth');
+    expect(await laptop.loadSetting('subgroupDepth', 1)).toBe(1);
+    expect(await desktop.loadSetting('subgroupDepth', 1)).toBe(1);
+    expect(onRemoteChange).toHaveBeenLastCalledWith(['subgroupDepth']);
+
+    const newDevice = createStorage();
+    await newDevice.init();
+    expect(await newDevice.loadSetting('subgroupDepth', 1)).toBe(1);
+  });
+
+  test('should work without sync', async () => {
+    const storage = new StorageManager([new MemoryAdapter()]);
+    await storage.init();
+
+    expect(storage.onRemoteChange(jest.fn())).toEqual(expect.any(Function));
+    await storage.saveSetting('darkMode', false);
+    expect(await storage.loadSetting('darkMode', true)).toBe(false);
+  });
+
+  test('should apply settings synced from another device to the page', async () => {
+    const laptop = createStorage();
+    await laptop.init();
+
+    const app = new GitHubGitLabTheme();
+    app.storage = createStorage();
+    await app.storage.init();
+    app.groupManager = new GroupManager();
+    app.stopRemoteSettings = app.storage.onRemoteChange(keys => app.handleRemoteSettings(keys));
+    const handled = jest.spyOn(app, 'handleRemoteSettings');
+
+    await laptop.saveSetting('groupingRules', [{ pattern: 'billing-*', group: 'Billing' }]);
+    await laptop.saveSetting('darkMode', false);
+    await laptop.adapters[0].sync.flush();
+    await handled.mock.results[0].value;
+
+    expect(handled).toHaveBeenCalledWith(['groupingRules', 'darkMode']);
+    expect(app.groupingRules).toEqual([{ pattern: 'billing-*', group: 'Billing' }]);
+    expect(app.darkMode).toBe(false);
+
+    app.destroy();
+  });
+
+  test('should apply a grouping toggle from another device without saving it again', async () => {
+    window.history.replaceState(null, '', '/orgs/acme/repositories');
+    const container = document.createElement('ul');
+    container.id = 'org-repositories-list';
+    ['billing-api', 'billing-web', 'auth-api'].map(createItem).forEach(item => container.appendChild(item));
+    document.body.appendChild(container);
+
+    const laptop = createStorage();
+    await laptop.init();
+
+    const app = new GitHubGitLabTheme();
+    app.storage = createStorage();
+    await app.storage.init();
+    app.groupManager = new GroupManager();
+    app.repositoryProcessor = new RepositoryProcessor(app.groupManager, app.showGroupRepos.bind(app));
+    app.processRepositories();
+    expect(container.classList.contains('gitlab-grouped-repositories')).toBe(true);
+
+    app.stopRemoteSettings = app.storage.onRemoteChange(keys => app.handleRemoteSettings(keys));
+    const handled = jest.spyOn(app, 'handleRemoteSettings');
+    const saved = jest.spyOn(app.storage, 'saveSetting');
+
+    await laptop.saveSetting('groupingEnabled', false);
+    await laptop.adapters[0].sync.flush();
+    await handled.mock.results[0].value;
+
+    expect(app.groupingEnabled).toBe(false);
+    expect(container.classList.contains('gitlab-grouped-repositories')).toBe(false);
+    expect(saved).not.toHaveBeenCalled();
+
+    app.destroy();
+    document.body.innerHTML = '';
+  });
+});